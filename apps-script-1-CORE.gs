@@ -19,6 +19,111 @@
 const SHEET_USUARIOS = 'Usuarios';
 const SHEET_LISTAS = 'Listas';
 const SHEET_FILMES = 'Filmes';
+const SHEET_PARA_ASSISTIR = 'ParaAssistir';
+const SHEET_LISTA_COMPARTILHADA = 'ListaCompartilhada';
+const SHEET_SESSOES = 'Sessoes';
+const SHEET_TENTATIVAS_LOGIN = 'TentativasLogin';
+const SHEET_CODIGOS_RESET = 'CodigosReset';
+const SHEET_CONVITES = 'Convites';
+
+// Cabeçalhos das abas criadas automaticamente pelo script
+// senha_salt e hash_version ficam vazios em usuários antigos (hash SHA-256 sem salt)
+// servicos guarda os serviços de streaming assinados, separados por vírgula (ex.: 'netflix,prime')
+const HEADERS_USUARIOS = [
+  'id_usuario', 'nome', 'email', 'senha_hash', 'is_admin', 'criado_em',
+  'senha_salt', 'hash_version', 'servicos'
+];
+// updated_at e deleted ficam sempre juntos: são usados pelo sync incremental (getChangesSince)
+// version é incrementada a cada alteração e usada para detectar edições concorrentes
+// tmdb_id fica no fim para não deslocar as colunas de planilhas antigas (vazio nas linhas antigas)
+const HEADERS_FILMES = [
+  'id_filme', 'id_lista', 'id_usuario', 'titulo_filme', 'ano', 'nota',
+  'assistido_em', 'review', 'status', 'updated_at', 'deleted', 'version',
+  'tmdb_id'
+];
+const HEADERS_PARA_ASSISTIR = [
+  'id_filme', 'id_lista', 'id_usuario', 'tmdb_id', 'titulo_filme', 'ano',
+  'poster', 'rating', 'genres', 'overview', 'added_by', 'added_at',
+  'updated_at', 'deleted'
+];
+const HEADERS_LISTA_COMPARTILHADA = [
+  'id_lista', 'id_usuario', 'role', 'compartilhado_por', 'compartilhado_em'
+];
+const HEADERS_SESSOES = [
+  'id_sessao', 'id_usuario', 'criada_em', 'expira_em', 'revogada'
+];
+// chave é 'email:<email>' ou 'client:<fingerprint>'; bloqueado_ate e ultima_falha em milissegundos
+const HEADERS_TENTATIVAS_LOGIN = [
+  'chave', 'falhas', 'bloqueado_ate', 'ultima_falha'
+];
+// Só o hash do código fica na planilha; expira_em em milissegundos
+const HEADERS_CODIGOS_RESET = [
+  'codigo_hash', 'id_usuario', 'criado_por', 'criado_em', 'expira_em', 'usado'
+];
+// max_usos/usos controlam convites de uso único ou múltiplo; expira_em (ms) e id_lista são opcionais
+const HEADERS_CONVITES = [
+  'codigo', 'criado_por', 'criado_em', 'max_usos', 'usos', 'expira_em', 'id_lista', 'role', 'revogado'
+];
+
+// Duração de um token de sessão (24 horas), contada a partir do login ou da última renovação
+const SESSION_DURATION_MS = 24 * 60 * 60 * 1000;
+
+// Idade máxima de uma sessão (7 dias): depois disso é preciso fazer login de novo
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Versões do hash de senha (coluna hash_version da aba Usuarios)
+// 1: SHA-256 sem salt (usuários antigos, convertidos no próximo login)
+// 2: PBKDF2-HMAC-SHA256 com salt por usuário
+const HASH_VERSION_LEGACY = 1;
+const HASH_VERSION_PBKDF2 = 2;
+const PASSWORD_HASH_VERSION = HASH_VERSION_PBKDF2;
+
+// Iterações do PBKDF2: cada uma é uma chamada ao Utilities, então o valor
+// equilibra o custo de um ataque com o tempo de resposta do login
+// Alterar este valor exige uma nova versão de hash
+const PASSWORD_HASH_ITERATIONS = 5000;
+
+// Proteção contra força bruta no login (deve bater com CONFIG.app.maxLoginAttempts)
+// A partir de MAX_LOGIN_ATTEMPTS falhas o bloqueio dobra a cada nova falha: 1, 2, 4... minutos
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+// Falhas mais antigas que isso (contando do fim do último bloqueio) deixam de contar
+const LOGIN_ATTEMPT_WINDOW_MS = 60 * 60 * 1000;
+// Limite de linhas da aba TentativasLogin; acima disso as chaves com falha mais antiga saem primeiro
+const MAX_LOGIN_ATTEMPT_ROWS = 1000;
+
+// Tamanho mínimo de senha (mesma regra do formulário de cadastro)
+const MIN_PASSWORD_LENGTH = 6;
+
+// Códigos de redefinição de senha gerados pelo admin
+const RESET_CODE_LENGTH = 8;
+const RESET_CODE_DURATION_MS = 24 * 60 * 60 * 1000;
+// Sem 0/O e 1/I/L para facilitar o ditado do código
+const RESET_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Limites de tamanho das requisições POST e das reviews
+const MAX_BODY_LENGTH = 100000;
+const MAX_REVIEW_LENGTH = 5000;
+
+// Quantidade máxima de operações aceitas em uma chamada batch
+const MAX_BATCH_OPERATIONS = 50;
+
+// Serviços de streaming assinados: chaves do StreamingService (js/streaming.js)
+// ou tmdb-<id do provedor> para provedores que não estão na tabela
+const MAX_SUBSCRIPTIONS = 30;
+const SUBSCRIPTION_KEY_PATTERN = /^[a-z0-9-]{1,30}$/;
+
+// Ações que podem ser chamadas sem token de sessão
+const PUBLIC_ACTIONS = ['registerUser', 'login', 'redeemResetCode'];
+
+// Campos de identidade que sempre são preenchidos com o usuário do token
+const IDENTITY_FIELDS = ['id_usuario', 'id_usuario_solicitante', 'id_usuario_dono'];
+
+// Papéis de um membro em uma lista ('owner' é sempre o id_usuario_dono da aba Listas)
+const ROLE_OWNER = 'owner';
+const ROLE_EDITOR = 'editor';
+const ROLE_VIEWER = 'viewer';
 
 // ============================================================================
 // FUNÇÕES DE ENTRADA (ROUTING)
@@ -26,6 +131,7 @@ const SHEET_FILMES = 'Filmes';
 
 /**
  * Ponto de entrada para requisições POST
+ * O cliente envia o corpo como JSON em text/plain para evitar o preflight de CORS
  */
 function doPost(e) {
   return handleRequest(e);
@@ -44,7 +150,21 @@ function doGet(e) {
 function handleRequest(e) {
   try {
     const params = e.parameter || {};
-    const postData = e.postData ? JSON.parse(e.postData.contents) : {};
+    const contents = e.postData ? e.postData.contents : '';
+    
+    if (contents.length > MAX_BODY_LENGTH) {
+      return createResponse(false, 'Request body too large: maximum ' + MAX_BODY_LENGTH + ' characters');
+    }
+    
+    let postData = {};
+    if (contents) {
+      try {
+        postData = JSON.parse(contents);
+      } catch (parseError) {
+        return createResponse(false, 'Invalid JSON body');
+      }
+    }
+    
     const data = { ...params, ...postData };
     
     const action = data.action;
@@ -53,45 +173,220 @@ function handleRequest(e) {
       return createResponse(false, 'Missing action parameter');
     }
     
-    // Roteamento para handlers específicos
-    switch (action) {
-      // Endpoints de usuários (definidos em apps-script-2-USERS.gs)
-      case 'registerUser':
-        return registerUser(data);
-      case 'login':
-        return login(data);
-      case 'getUserByEmail':
-        return getUserByEmail(data);
-      case 'getAllUsers':
-        return getAllUsers(data);
-      
-      // Endpoints de listas (definidos em apps-script-3-MOVIES-LISTS.gs)
-      case 'createList':
-        return createList(data);
-      case 'getListsByUser':
-        return getListsByUser(data);
-      case 'shareList':
-        return shareList(data);
-      
-      // Endpoints de filmes (definidos em apps-script-3-MOVIES-LISTS.gs)
-      case 'addWatchedMovie':
-        return addWatchedMovie(data);
-      case 'getMoviesByList':
-        return getMoviesByList(data);
-      case 'updateMovie':
-        return updateMovie(data);
-      case 'deleteMovie':
-        return deleteMovie(data);
+    // Resolve o usuário a partir do token; ids enviados pelo cliente não são confiáveis
+    // Ações públicas também recebem a sessão quando há token (ex.: admin cadastrando usuário)
+    const session = resolveSession(data.token);
+    if (PUBLIC_ACTIONS.indexOf(action) === -1) {
+      if (!session) {
+        return createResponse(false, 'Invalid or expired session');
+      }
       
-      default:
-        return createResponse(false, 'Unknown action: ' + action);
+      IDENTITY_FIELDS.forEach(function(field) {
+        data[field] = session.id_usuario;
+      });
     }
+    data.session = session;
+    
+    return routeAction(action, data);
   } catch (error) {
     Logger.log('Error in handleRequest: ' + error.toString());
     return createResponse(false, 'Server error: ' + error.toString());
   }
 }
 
+/**
+ * Encaminha uma ação para o handler correspondente
+ */
+function routeAction(action, data) {
+  // Roteamento para handlers específicos
+  switch (action) {
+    // Endpoints de usuários (definidos em apps-script-2-USERS.gs)
+    case 'registerUser':
+      return registerUser(data);
+    case 'login':
+      return login(data);
+    case 'getUserByEmail':
+      return getUserByEmail(data);
+    case 'getAllUsers':
+      return getAllUsers(data);
+    case 'logout':
+      return logout(data);
+    case 'renewSession':
+      return renewSession(data);
+    case 'updateUser':
+      return updateUser(data);
+    case 'deleteUser':
+      return deleteUser(data);
+    case 'changePassword':
+      return changePassword(data);
+    case 'updateSubscriptions':
+      return updateSubscriptions(data);
+    case 'createResetCode':
+      return createResetCode(data);
+    case 'redeemResetCode':
+      return redeemResetCode(data);
+    case 'createInvite':
+      return createInvite(data);
+    case 'getInvites':
+      return getInvites(data);
+    case 'revokeInvite':
+      return revokeInvite(data);
+    
+    // Endpoints de listas (definidos em apps-script-3-MOVIES-LISTS.gs)
+    case 'createList':
+      return createList(data);
+    case 'getListsByUser':
+      return getListsByUser(data);
+    case 'updateList':
+      return updateList(data);
+    case 'deleteList':
+      return deleteList(data);
+    case 'shareList':
+      return shareList(data);
+    case 'unshareList':
+      return unshareList(data);
+    case 'getListMembers':
+      return getListMembers(data);
+    
+    // Endpoints da lista compartilhada (definidos em apps-script-3-MOVIES-LISTS.gs)
+    case 'addToSharedList':
+      return addToSharedList(data);
+    case 'removeFromSharedList':
+      return removeFromSharedList(data);
+    case 'getSharedList':
+      return getSharedList(data);
+    case 'markAsWatched':
+      return markAsWatched(data);
+    
+    // Endpoints de filmes (definidos em apps-script-3-MOVIES-LISTS.gs)
+    case 'addWatchedMovie':
+      return addWatchedMovie(data);
+    case 'getMoviesByList':
+      return getMoviesByList(data);
+    case 'updateMovie':
+      return updateMovie(data);
+    case 'deleteMovie':
+      return deleteMovie(data);
+    
+    // Sync incremental (definido em apps-script-3-MOVIES-LISTS.gs)
+    case 'getChangesSince':
+      return getChangesSince(data);
+    
+    // Várias operações em uma única requisição
+    case 'batch':
+      return batch(data);
+    
+    default:
+      return createResponse(false, 'Unknown action: ' + action);
+  }
+}
+
+// ============================================================================
+// BATCH
+// ============================================================================
+
+/**
+ * Executa uma lista ordenada de operações em uma única requisição
+ * Usado pelo SyncManager para enviar a fila offline de uma vez
+ * 
+ * Obrigatório: operations - array de { id, action, tempId?, ...campos da ação }
+ * 
+ * Cada operação é executada na ordem recebida e tem seu próprio resultado;
+ * a falha de uma operação não interrompe as seguintes. Quando uma operação
+ * com tempId cria um registro, o id real é devolvido em realId e substitui
+ * o tempId no id_filme das operações seguintes do mesmo batch.
+ */
+function batch(data) {
+  try {
+    const operations = data.operations;
+    
+    if (!Array.isArray(operations)) {
+      return createResponse(false, 'Missing operations array');
+    }
+    
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+      return createResponse(false, 'Too many operations: maximum ' + MAX_BATCH_OPERATIONS + ' per batch');
+    }
+    
+    const idMap = {};
+    
+    const results = operations.map(function(operation) {
+      return runBatchOperation(operation, data, idMap);
+    });
+    
+    return createResponse(true, 'Batch processed', {
+      results: results,
+      id_map: idMap
+    });
+    
+  } catch (error) {
+    Logger.log('Error in batch: ' + error);
+    return createResponse(false, 'Error processing batch: ' + error);
+  }
+}
+
+/**
+ * Executa uma operação do batch com a identidade da sessão da requisição
+ */
+function runBatchOperation(operation, data, idMap) {
+  const result = {
+    id: operation ? operation.id : null,
+    ok: false
+  };
+  
+  try {
+    if (!operation || !operation.action) {
+      result.message = 'Missing action parameter';
+      return result;
+    }
+    
+    if (operation.action === 'batch' || PUBLIC_ACTIONS.indexOf(operation.action) !== -1) {
+      result.message = 'Action not allowed in batch: ' + operation.action;
+      return result;
+    }
+    
+    const opData = { ...operation };
+    
+    // A identidade vem sempre da sessão do batch, nunca da operação
+    IDENTITY_FIELDS.forEach(function(field) {
+      opData[field] = data[field];
+    });
+    opData.session = data.session;
+    
+    // Operações que dependem de um registro criado antes no mesmo batch
+    if (opData.id_filme && idMap[opData.id_filme]) {
+      opData.id_filme = idMap[opData.id_filme];
+    }
+    
+    const response = JSON.parse(routeAction(operation.action, opData).getContent());
+    result.ok = response.ok;
+    result.message = response.message;
+    
+    if (response.status) {
+      result.status = response.status;
+    }
+    
+    if (response.data !== undefined) {
+      result.data = response.data;
+    }
+    
+    if (response.ok && operation.tempId && response.data) {
+      const realId = response.data.id_filme || response.data.id;
+      if (realId) {
+        idMap[operation.tempId] = realId;
+        result.tempId = operation.tempId;
+        result.realId = realId;
+      }
+    }
+    
+  } catch (error) {
+    Logger.log('Error in batch operation ' + result.id + ': ' + error);
+    result.message = 'Server error: ' + error.toString();
+  }
+  
+  return result;
+}
+
 // ============================================================================
 // FUNÇÕES UTILITÁRIAS
 // ============================================================================
@@ -114,6 +409,147 @@ function createResponse(success, message, data = null) {
   return output;
 }
 
+/**
+ * Resposta de conflito (equivalente ao HTTP 409, que o Apps Script não permite definir)
+ * Devolve a linha atual do servidor para o cliente decidir qual versão manter
+ */
+function createConflictResponse(current) {
+  const response = {
+    ok: false,
+    status: 409,
+    message: 'Conflict: entry was changed by another user',
+    data: { current: current }
+  };
+  
+  const output = ContentService.createTextOutput(JSON.stringify(response));
+  output.setMimeType(ContentService.MimeType.JSON);
+  return output;
+}
+
+/**
+ * Resposta de login bloqueado (equivalente ao HTTP 429)
+ * locked_until é o fim do bloqueio em milissegundos, usado na contagem regressiva do cliente
+ */
+function createLockedResponse(lockedUntil) {
+  const response = {
+    ok: false,
+    status: 429,
+    message: 'Too many failed login attempts',
+    data: { locked_until: lockedUntil }
+  };
+  
+  const output = ContentService.createTextOutput(JSON.stringify(response));
+  output.setMimeType(ContentService.MimeType.JSON);
+  return output;
+}
+
+/**
+ * Retorna uma aba pelo nome, criando-a com os cabeçalhos informados
+ * caso ainda não exista na planilha
+ * Abas antigas com menos colunas recebem os cabeçalhos que faltam
+ */
+function getOrCreateSheet(name, headers) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(name);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(name);
+    sheet.appendRow(headers);
+  } else if (sheet.getLastColumn() < headers.length) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Marca uma linha como alterada agora (coluna updated_at)
+ * rowIndex é o índice em getValues(), com o cabeçalho na posição 0
+ */
+function touchRow(sheet, headers, rowIndex) {
+  sheet.getRange(rowIndex + 1, headers.indexOf('updated_at') + 1).setValue(getCurrentTimestamp());
+}
+
+/**
+ * Marca uma linha como removida (tombstone) em vez de apagá-la,
+ * para que getChangesSince consiga avisar os clientes da remoção
+ */
+function tombstoneRow(sheet, headers, rowIndex) {
+  sheet.getRange(rowIndex + 1, headers.indexOf('updated_at') + 1, 1, 2)
+    .setValues([[getCurrentTimestamp(), true]]);
+}
+
+/**
+ * Apaga as linhas de uma aba cujo valor na coluna (índice a partir de 0) é igual a value
+ * Só para abas sem tombstone (Listas, ListaCompartilhada); quem chama precisa ter o lock
+ */
+function deleteRowsByColumn(sheet, column, value) {
+  const values = sheet.getDataRange().getValues();
+  
+  // Percorre de baixo para cima para não deslocar os índices das linhas restantes
+  for (let i = values.length - 1; i >= 1; i--) {
+    if (values[i][column] === value) {
+      sheet.deleteRow(i + 1);
+    }
+  }
+}
+
+/**
+ * Verifica se uma linha foi removida (tombstone)
+ */
+function isDeletedRow(row, headers) {
+  const deleted = row[headers.indexOf('deleted')];
+  return deleted === true || String(deleted).toUpperCase() === 'TRUE';
+}
+
+/**
+ * Retorna a versão de uma linha (linhas antigas sem a coluna estão na versão 1)
+ */
+function rowVersion(row, headers) {
+  return Number(row[headers.indexOf('version')]) || 1;
+}
+
+/**
+ * Verifica se a versão enviada pelo cliente está desatualizada
+ * Clientes que não enviam versão não participam da detecção de conflitos
+ */
+function isStaleVersion(row, headers, version) {
+  if (version === undefined || version === null || version === '') {
+    return false;
+  }
+  return Number(version) !== rowVersion(row, headers);
+}
+
+/**
+ * Retorna o updated_at de uma linha em milissegundos (0 para linhas antigas sem a coluna)
+ */
+function rowUpdatedAt(row, headers) {
+  const updatedAt = row[headers.indexOf('updated_at')];
+  const time = updatedAt ? new Date(updatedAt).getTime() : 0;
+  return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Converte bytes retornados pelo Utilities em texto hexadecimal
+ */
+function bytesToHex(bytes) {
+  return bytes.map(function(byte) {
+    const v = (byte < 0) ? 256 + byte : byte;
+    return ('0' + v.toString(16)).slice(-2);
+  }).join('');
+}
+
+/**
+ * Valida o tamanho de uma review
+ * Retorna a mensagem de erro ou null se a review for válida
+ */
+function validateReview(review) {
+  if (review && String(review).length > MAX_REVIEW_LENGTH) {
+    return 'Review too long: maximum ' + MAX_REVIEW_LENGTH + ' characters';
+  }
+  return null;
+}
+
 /**
  * Gera UUID v4
  */
@@ -122,20 +558,107 @@ function generateUUID() {
 }
 
 /**
- * Hash de senha usando SHA-256
- * Nota: Para produção, considere usar um método mais seguro
+ * Gera um salt aleatório para o hash de senha (hexadecimal)
+ */
+function generateSalt() {
+  return bytesToHex(Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    Utilities.getUuid() + Utilities.getUuid(),
+    Utilities.Charset.UTF_8
+  )).slice(0, 32);
+}
+
+/**
+ * Hash de senha com PBKDF2-HMAC-SHA256 (um bloco de 32 bytes)
+ */
+function hashPassword(password, salt) {
+  const key = Utilities.newBlob(String(password)).getBytes();
+  
+  // U1 = HMAC(senha, salt || INT(1)); Ui = HMAC(senha, Ui-1); resultado = U1 xor ... xor Un
+  let block = Utilities.computeHmacSha256Signature(
+    Utilities.newBlob(salt).getBytes().concat([0, 0, 0, 1]),
+    key
+  );
+  const derived = block.slice();
+  
+  for (let i = 1; i < PASSWORD_HASH_ITERATIONS; i++) {
+    block = Utilities.computeHmacSha256Signature(block, key);
+    for (let j = 0; j < derived.length; j++) {
+      derived[j] ^= block[j];
+    }
+  }
+  
+  return bytesToHex(derived);
+}
+
+/**
+ * Hash SHA-256 sem salt usado pelos usuários antigos (hash_version 1)
  */
-function hashPassword(password) {
+function legacyHashPassword(password) {
   const rawHash = Utilities.computeDigest(
     Utilities.DigestAlgorithm.SHA_256,
     password,
     Utilities.Charset.UTF_8
   );
   
-  return rawHash.map(function(byte) {
-    const v = (byte < 0) ? 256 + byte : byte;
-    return ('0' + v.toString(16)).slice(-2);
-  }).join('');
+  return bytesToHex(rawHash);
+}
+
+/**
+ * Cria o hash de uma nova senha na versão atual
+ * Retorna { senha_hash, senha_salt, hash_version } na ordem das colunas D, G e H
+ */
+function createPasswordHash(password) {
+  const salt = generateSalt();
+  return {
+    senha_hash: hashPassword(password, salt),
+    senha_salt: salt,
+    hash_version: PASSWORD_HASH_VERSION
+  };
+}
+
+/**
+ * Grava o hash de uma nova senha na linha do usuário (colunas senha_hash, senha_salt e hash_version)
+ * rowIndex é o índice em getValues(), com o cabeçalho na posição 0
+ */
+function writePasswordHash(sheet, rowIndex, password) {
+  const record = createPasswordHash(password);
+  sheet.getRange(rowIndex + 1, 4).setValue(record.senha_hash);
+  sheet.getRange(rowIndex + 1, 7, 1, 2).setValues([[record.senha_salt, record.hash_version]]);
+}
+
+/**
+ * Retorna a versão do hash de senha de uma linha da aba Usuarios
+ */
+function passwordHashVersion(row) {
+  return Number(row[7]) || HASH_VERSION_LEGACY;
+}
+
+/**
+ * Confere uma senha com o hash de uma linha da aba Usuarios, em qualquer versão
+ */
+function verifyPassword(password, row) {
+  const expected = String(row[3]);
+  const actual = passwordHashVersion(row) === HASH_VERSION_LEGACY
+    ? legacyHashPassword(password)
+    : hashPassword(password, String(row[6]));
+  
+  return constantTimeEquals(actual, expected);
+}
+
+/**
+ * Compara dois textos sem interromper na primeira diferença
+ */
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
 }
 
 /**
@@ -144,3 +667,170 @@ function hashPassword(password) {
 function getCurrentTimestamp() {
   return new Date().toISOString();
 }
+
+// ============================================================================
+// SESSÕES
+// ============================================================================
+
+/**
+ * Retorna o segredo usado para assinar os tokens, criando-o na primeira execução
+ * O segredo fica nas propriedades do script e nunca é enviado ao cliente
+ */
+function getSessionSecret() {
+  const properties = PropertiesService.getScriptProperties();
+  let secret = properties.getProperty('SESSION_SECRET');
+  
+  if (!secret) {
+    secret = generateUUID() + generateUUID();
+    properties.setProperty('SESSION_SECRET', secret);
+  }
+  
+  return secret;
+}
+
+/**
+ * Assina os dados de uma sessão com HMAC-SHA256
+ */
+function signSession(idSessao, idUsuario, expiraEm) {
+  const payload = idSessao + '.' + idUsuario + '.' + expiraEm;
+  return bytesToHex(Utilities.computeHmacSha256Signature(payload, getSessionSecret()));
+}
+
+/**
+ * Cria uma sessão para o usuário e retorna o token assinado
+ * Formato do token: id_sessao.expira_em.assinatura
+ */
+function createSession(idUsuario) {
+  const sheet = getOrCreateSheet(SHEET_SESSOES, HEADERS_SESSOES);
+  const agora = Date.now();
+  const idSessao = generateUUID();
+  const expiraEm = agora + SESSION_DURATION_MS;
+  
+  // Aproveita para remover sessões vencidas do mesmo usuário
+  const values = sheet.getDataRange().getValues();
+  for (let i = values.length - 1; i >= 1; i--) {
+    if (values[i][1] === idUsuario && Number(values[i][3]) < agora) {
+      sheet.deleteRow(i + 1);
+    }
+  }
+  
+  sheet.appendRow([idSessao, idUsuario, new Date(agora).toISOString(), expiraEm, false]);
+  
+  return {
+    token: idSessao + '.' + expiraEm + '.' + signSession(idSessao, idUsuario, expiraEm),
+    expira_em: expiraEm,
+    expira_max: agora + SESSION_MAX_AGE_MS
+  };
+}
+
+/**
+ * Estende uma sessão por mais SESSION_DURATION_MS, sem passar de SESSION_MAX_AGE_MS desde o login
+ * Retorna um novo token; o anterior continua válido até a própria expiração
+ */
+function extendSession(idSessao) {
+  const sheet = getOrCreateSheet(SHEET_SESSOES, HEADERS_SESSOES);
+  const values = sheet.getDataRange().getValues();
+  
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][0] !== idSessao) {
+      continue;
+    }
+    
+    const idUsuario = values[i][1];
+    const expiraMax = new Date(values[i][2]).getTime() + SESSION_MAX_AGE_MS;
+    const expiraEm = Math.max(Number(values[i][3]), Math.min(Date.now() + SESSION_DURATION_MS, expiraMax));
+    
+    sheet.getRange(i + 1, 4).setValue(expiraEm); // Coluna expira_em
+    
+    return {
+      token: idSessao + '.' + expiraEm + '.' + signSession(idSessao, idUsuario, expiraEm),
+      expira_em: expiraEm,
+      expira_max: expiraMax
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Valida um token de sessão
+ * Retorna { id_usuario, is_admin, id_sessao } ou null se o token for inválido, vencido ou revogado
+ */
+function resolveSession(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  
+  const idSessao = parts[0];
+  const expiraEm = Number(parts[1]);
+  if (!expiraEm || expiraEm < Date.now()) {
+    return null;
+  }
+  
+  const values = getOrCreateSheet(SHEET_SESSOES, HEADERS_SESSOES).getDataRange().getValues();
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    if (row[0] !== idSessao) {
+      continue;
+    }
+    
+    // A sessão precisa bater com a planilha e com a assinatura
+    // Tokens anteriores a uma renovação têm expiração menor e continuam valendo até ela
+    if (row[4] === true || expiraEm > Number(row[3])) {
+      return null;
+    }
+    if (signSession(idSessao, row[1], expiraEm) !== parts[2]) {
+      return null;
+    }
+    
+    const userRow = findUserRow(row[1]);
+    if (!userRow) {
+      return null;
+    }
+    
+    return {
+      id_sessao: idSessao,
+      id_usuario: row[1],
+      is_admin: userRow[4] === true
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Revoga uma sessão (usado no logout)
+ */
+function revokeSession(idSessao) {
+  const sheet = getOrCreateSheet(SHEET_SESSOES, HEADERS_SESSOES);
+  const values = sheet.getDataRange().getValues();
+  
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][0] === idSessao) {
+      sheet.getRange(i + 1, 5).setValue(true); // Coluna revogada
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Revoga todas as sessões de um usuário (troca de senha ou exclusão da conta)
+ * Opcional: exceto (id_sessao que continua válida, usado quando o próprio usuário troca a senha)
+ */
+function revokeUserSessions(idUsuario, exceto) {
+  const sheet = getOrCreateSheet(SHEET_SESSOES, HEADERS_SESSOES);
+  const values = sheet.getDataRange().getValues();
+  
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][1] === idUsuario && values[i][4] !== true && values[i][0] !== exceto) {
+      sheet.getRange(i + 1, 5).setValue(true); // Coluna revogada
+    }
+  }
+}
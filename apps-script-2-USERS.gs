@@ -2,35 +2,57 @@
  * Letterboxd Manager - USERS (Arquivo 2 de 3)
  * 
  * Este arquivo contém todas as funções relacionadas a usuários:
- * - Registro de novos usuários
- * - Login/autenticação
+ * - Registro de novos usuários (somente com convite)
+ * - Convites de cadastro (admin)
+ * - Login/autenticação (emissão e revogação de tokens de sessão)
+ * - Bloqueio de login após falhas seguidas (força bruta)
  * - Busca de usuários
- * - Listagem de todos os usuários (admin)
+ * - Listagem, edição e exclusão de usuários (admin)
+ * - Troca de senha e códigos de redefinição gerados pelo admin
  */
 
+// Destinos dos filmes e listas de um usuário excluído (deleteUser)
+const DELETE_MODE_DELETE = 'delete';
+const DELETE_MODE_REASSIGN = 'reassign';
+
 // ============================================================================
 // ENDPOINTS DE GERENCIAMENTO DE USUÁRIOS
 // ============================================================================
 
 /**
  * Registra um novo usuário
- * Obrigatório: nome, email, senha
+ * Obrigatório: nome, email, senha, convite (dispensado quando quem cadastra é um admin logado)
+ * Se o convite tiver id_lista, o novo usuário entra na lista com o papel do convite
  */
 function registerUser(data) {
+  // A validação e o consumo do convite precisam acontecer sem outro cadastro no meio
+  const lock = LockService.getScriptLock();
+  
   try {
-    const { nome, email, senha } = data;
+    const { nome, email, senha, convite } = data;
+    const isAdminRequest = !!(data.session && data.session.is_admin);
     
     // Valida campos obrigatórios
     if (!nome || !email || !senha) {
       return createResponse(false, 'Missing required fields: nome, email, senha');
     }
     
+    if (!convite && !isAdminRequest) {
+      return createResponse(false, 'Missing required field: convite');
+    }
+    
     // Valida formato do email
     if (!email.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
       return createResponse(false, 'Invalid email format');
     }
     
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_USUARIOS);
+    if (String(senha).length < MIN_PASSWORD_LENGTH) {
+      return createResponse(false, 'Password too short: minimum ' + MIN_PASSWORD_LENGTH + ' characters');
+    }
+    
+    lock.waitLock(10000);
+    
+    const sheet = getOrCreateSheet(SHEET_USUARIOS, HEADERS_USUARIOS);
     const dataRange = sheet.getDataRange();
     const values = dataRange.getValues();
     
@@ -41,14 +63,25 @@ function registerUser(data) {
       }
     }
     
+    const invitesSheet = getOrCreateSheet(SHEET_CONVITES, HEADERS_CONVITES);
+    let invite = null;
+    if (convite && !isAdminRequest) {
+      invite = findValidInvite(invitesSheet, convite);
+      if (!invite) {
+        return createResponse(false, 'Invalid or expired invite code');
+      }
+    }
+    
     // Cria novo usuário
     const userId = generateUUID();
-    const senhaHash = hashPassword(senha);
+    const hash = createPasswordHash(senha);
     const isAdmin = false;
     const criadoEm = getCurrentTimestamp();
     
     // Adiciona nova linha de usuário
-    sheet.appendRow([userId, nome, email, senhaHash, isAdmin, criadoEm]);
+    sheet.appendRow([
+      userId, nome, email, hash.senha_hash, isAdmin, criadoEm, hash.senha_salt, hash.hash_version
+    ]);
     
     const userData = {
       id_usuario: userId,
@@ -58,47 +91,83 @@ function registerUser(data) {
       criado_em: criadoEm
     };
     
+    if (invite) {
+      invitesSheet.getRange(invite.rowIndex + 1, 5).setValue(invite.usos + 1); // Coluna usos
+      
+      if (invite.id_lista && findListRow(invite.id_lista)) {
+        getOrCreateSheet(SHEET_LISTA_COMPARTILHADA, HEADERS_LISTA_COMPARTILHADA)
+          .appendRow([invite.id_lista, userId, invite.role, invite.criado_por, criadoEm]);
+        userData.id_lista = invite.id_lista;
+      }
+    }
+    
     return createResponse(true, 'User registered successfully', userData);
   } catch (error) {
     Logger.log('Error in registerUser: ' + error.toString());
     return createResponse(false, 'Error registering user: ' + error.toString());
+  } finally {
+    lock.releaseLock();
   }
 }
 
 /**
  * Autentica usuário
  * Obrigatório: email, senha
+ * Opcional: fingerprint (identificador do navegador, também limitado por tentativas)
+ * Após MAX_LOGIN_ATTEMPTS falhas o email/navegador fica bloqueado e a resposta traz status 429
  */
 function login(data) {
   try {
-    const { email, senha } = data;
+    const { email, senha, fingerprint } = data;
     
     if (!email || !senha) {
       return createResponse(false, 'Missing required fields: email, senha');
     }
     
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_USUARIOS);
+    // Durante o bloqueio a senha nem é conferida
+    const attemptKeys = loginAttemptKeys(email, fingerprint);
+    const lockedUntil = getLoginLockout(attemptKeys);
+    if (lockedUntil) {
+      return createLockedResponse(lockedUntil);
+    }
+    
+    const sheet = getOrCreateSheet(SHEET_USUARIOS, HEADERS_USUARIOS);
     const dataRange = sheet.getDataRange();
     const values = dataRange.getValues();
     
-    const senhaHash = hashPassword(senha);
-    
-    // Busca usuário por email e senha
+    // Busca usuário por email e confere a senha
     for (let i = 1; i < values.length; i++) {
       const row = values[i];
-      if (row[2] === email && row[3] === senhaHash) {
+      if (row[2] === email && verifyPassword(senha, row)) {
+        // Hashes de versões antigas são refeitos com a senha que acabou de ser conferida
+        if (passwordHashVersion(row) < PASSWORD_HASH_VERSION) {
+          writePasswordHash(sheet, i, senha);
+        }
+        
+        clearLoginFailures(attemptKeys);
+        
+        const session = createSession(row[0]);
         const userData = {
           id_usuario: row[0],
           nome: row[1],
           email: row[2],
           is_admin: row[4] || false,
-          criado_em: row[5]
+          criado_em: row[5],
+          servicos: parseSubscriptions(row[8]),
+          token: session.token,
+          expira_em: session.expira_em,
+          expira_max: session.expira_max
         };
         
         return createResponse(true, 'Login successful', userData);
       }
     }
     
+    const newLock = recordLoginFailure(attemptKeys);
+    if (newLock) {
+      return createLockedResponse(newLock);
+    }
+    
     return createResponse(false, 'Invalid email or password');
   } catch (error) {
     Logger.log('Error in login: ' + error.toString());
@@ -106,6 +175,38 @@ function login(data) {
   }
 }
 
+/**
+ * Encerra a sessão do token atual
+ * Obrigatório: token (validado em handleRequest)
+ */
+function logout(data) {
+  try {
+    revokeSession(data.session.id_sessao);
+    return createResponse(true, 'Logout successful');
+  } catch (error) {
+    Logger.log('Error in logout: ' + error.toString());
+    return createResponse(false, 'Error during logout: ' + error.toString());
+  }
+}
+
+/**
+ * Renova o token atual enquanto o usuário está ativo
+ * Obrigatório: token (validado em handleRequest)
+ */
+function renewSession(data) {
+  try {
+    const session = extendSession(data.session.id_sessao);
+    if (!session) {
+      return createResponse(false, 'Invalid or expired session');
+    }
+    
+    return createResponse(true, 'Session renewed', session);
+  } catch (error) {
+    Logger.log('Error in renewSession: ' + error.toString());
+    return createResponse(false, 'Error renewing session: ' + error.toString());
+  }
+}
+
 /**
  * Busca usuário por email
  * Obrigatório: email
@@ -147,33 +248,19 @@ function getUserByEmail(data) {
 
 /**
  * Lista todos os usuários (somente admin)
- * Obrigatório: id_usuario (deve ser admin)
+ * O usuário solicitante vem do token de sessão
  */
 function getAllUsers(data) {
   try {
-    const { id_usuario } = data;
-    
-    if (!id_usuario) {
-      return createResponse(false, 'Missing required field: id_usuario');
+    // Verifica se o usuário da sessão é admin
+    if (!data.session || !data.session.is_admin) {
+      return createResponse(false, 'Unauthorized: Admin access required');
     }
     
     const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_USUARIOS);
     const dataRange = sheet.getDataRange();
     const values = dataRange.getValues();
     
-    // Verifica se o usuário solicitante é admin
-    let isAdmin = false;
-    for (let i = 1; i < values.length; i++) {
-      if (values[i][0] === id_usuario && values[i][4] === true) {
-        isAdmin = true;
-        break;
-      }
-    }
-    
-    if (!isAdmin) {
-      return createResponse(false, 'Unauthorized: Admin access required');
-    }
-    
     // Busca todos os usuários (excluindo hash de senha)
     const users = [];
     for (let i = 1; i < values.length; i++) {
@@ -193,3 +280,809 @@ function getAllUsers(data) {
     return createResponse(false, 'Error fetching users: ' + error.toString());
   }
 }
+
+/**
+ * Atualiza os dados de um usuário (somente admin)
+ * Obrigatório: id_usuario_alvo
+ * Opcional: nome, email, is_admin, senha (redefine a senha e encerra as sessões do usuário)
+ */
+function updateUser(data) {
+  // A checagem do último admin e a gravação precisam acontecer sem outra alteração no meio
+  const lock = LockService.getScriptLock();
+  
+  try {
+    if (!data.session || !data.session.is_admin) {
+      return createResponse(false, 'Unauthorized: Admin access required');
+    }
+    
+    const { id_usuario_alvo, nome, email, is_admin, senha } = data;
+    
+    if (!id_usuario_alvo) {
+      return createResponse(false, 'Missing required field: id_usuario_alvo');
+    }
+    
+    if (nome !== undefined && !String(nome).trim()) {
+      return createResponse(false, 'Invalid name: cannot be empty');
+    }
+    
+    if (email !== undefined && !String(email).match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
+      return createResponse(false, 'Invalid email format');
+    }
+    
+    if (senha && String(senha).length < MIN_PASSWORD_LENGTH) {
+      return createResponse(false, 'Password too short: minimum ' + MIN_PASSWORD_LENGTH + ' characters');
+    }
+    
+    lock.waitLock(10000);
+    
+    const sheet = getOrCreateSheet(SHEET_USUARIOS, HEADERS_USUARIOS);
+    const values = sheet.getDataRange().getValues();
+    
+    let rowIndex = -1;
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === id_usuario_alvo) {
+        rowIndex = i;
+      } else if (email !== undefined && values[i][2] === email) {
+        return createResponse(false, 'Email already registered');
+      }
+    }
+    
+    if (rowIndex === -1) {
+      return createResponse(false, 'User not found');
+    }
+    
+    const row = values[rowIndex];
+    const isAdmin = is_admin === undefined ? row[4] === true : is_admin === true || is_admin === 'true';
+    
+    // O sistema precisa manter pelo menos um administrador
+    if (row[4] === true && !isAdmin && countAdmins(values) === 1) {
+      return createResponse(false, 'Cannot remove the last admin');
+    }
+    
+    row[1] = nome !== undefined ? String(nome).trim() : row[1];
+    row[2] = email !== undefined ? email : row[2];
+    row[4] = isAdmin;
+    sheet.getRange(rowIndex + 1, 1, 1, 5).setValues([row.slice(0, 5)]);
+    
+    if (senha) {
+      writePasswordHash(sheet, rowIndex, senha);
+      revokeUserSessions(id_usuario_alvo);
+    }
+    
+    return createResponse(true, 'User updated successfully', {
+      id_usuario: row[0],
+      nome: row[1],
+      email: row[2],
+      is_admin: row[4],
+      criado_em: row[5]
+    });
+  } catch (error) {
+    Logger.log('Error in updateUser: ' + error.toString());
+    return createResponse(false, 'Error updating user: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Exclui um usuário (somente admin)
+ * Obrigatório: id_usuario_alvo
+ * Opcional: modo ('delete' apaga as listas e filmes do usuário, 'reassign' transfere
+ * para id_usuario_destino; padrão 'delete'), id_usuario_destino (obrigatório com 'reassign')
+ */
+function deleteUser(data) {
+  // Como em updateUser, dois admins excluídos ao mesmo tempo não podem deixar o sistema sem admin
+  const lock = LockService.getScriptLock();
+  
+  try {
+    if (!data.session || !data.session.is_admin) {
+      return createResponse(false, 'Unauthorized: Admin access required');
+    }
+    
+    const { id_usuario_alvo, modo = DELETE_MODE_DELETE, id_usuario_destino } = data;
+    
+    if (!id_usuario_alvo) {
+      return createResponse(false, 'Missing required field: id_usuario_alvo');
+    }
+    
+    if (modo !== DELETE_MODE_DELETE && modo !== DELETE_MODE_REASSIGN) {
+      return createResponse(false, 'Invalid mode: must be delete or reassign');
+    }
+    
+    if (modo === DELETE_MODE_REASSIGN) {
+      if (!id_usuario_destino) {
+        return createResponse(false, 'Missing required field: id_usuario_destino');
+      }
+      if (id_usuario_destino === id_usuario_alvo) {
+        return createResponse(false, 'Cannot reassign entries to the deleted user');
+      }
+    }
+    
+    lock.waitLock(10000);
+    
+    if (modo === DELETE_MODE_REASSIGN && !findUserRow(id_usuario_destino)) {
+      return createResponse(false, 'Target user not found');
+    }
+    
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_USUARIOS);
+    const values = sheet.getDataRange().getValues();
+    
+    let rowIndex = -1;
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === id_usuario_alvo) {
+        rowIndex = i;
+        break;
+      }
+    }
+    
+    if (rowIndex === -1) {
+      return createResponse(false, 'User not found');
+    }
+    
+    if (values[rowIndex][4] === true && countAdmins(values) === 1) {
+      return createResponse(false, 'Cannot remove the last admin');
+    }
+    
+    if (modo === DELETE_MODE_REASSIGN) {
+      reassignUserEntries(id_usuario_alvo, id_usuario_destino);
+    } else {
+      deleteUserEntries(id_usuario_alvo);
+    }
+    
+    // Remove o usuário de todas as listas compartilhadas com ele (coluna id_usuario)
+    deleteRowsByColumn(
+      getOrCreateSheet(SHEET_LISTA_COMPARTILHADA, HEADERS_LISTA_COMPARTILHADA),
+      HEADERS_LISTA_COMPARTILHADA.indexOf('id_usuario'),
+      id_usuario_alvo
+    );
+    revokeUserSessions(id_usuario_alvo);
+    sheet.deleteRow(rowIndex + 1);
+    
+    return createResponse(true, 'User deleted successfully', {
+      id_usuario: id_usuario_alvo,
+      modo: modo,
+      id_usuario_destino: modo === DELETE_MODE_REASSIGN ? id_usuario_destino : null
+    });
+  } catch (error) {
+    Logger.log('Error in deleteUser: ' + error.toString());
+    return createResponse(false, 'Error deleting user: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Conta os administradores na aba Usuarios (values inclui o cabeçalho)
+ */
+function countAdmins(values) {
+  let admins = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][4] === true) {
+      admins++;
+    }
+  }
+  return admins;
+}
+
+/**
+ * Transfere as listas e os filmes de um usuário para outro
+ * O novo dono deixa de ser membro das listas que passa a possuir
+ */
+function reassignUserEntries(id_usuario, id_usuario_destino) {
+  const listasSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_LISTAS);
+  const listas = listasSheet.getDataRange().getValues();
+  const transferidas = [];
+  for (let i = 1; i < listas.length; i++) {
+    if (listas[i][1] === id_usuario) {
+      listasSheet.getRange(i + 1, 2).setValue(id_usuario_destino);
+      transferidas.push(listas[i][0]);
+    }
+  }
+  
+  const membrosSheet = getOrCreateSheet(SHEET_LISTA_COMPARTILHADA, HEADERS_LISTA_COMPARTILHADA);
+  const membros = membrosSheet.getDataRange().getValues();
+  for (let i = membros.length - 1; i >= 1; i--) {
+    if (membros[i][1] === id_usuario_destino && transferidas.indexOf(membros[i][0]) !== -1) {
+      membrosSheet.deleteRow(i + 1);
+    }
+  }
+  
+  // updated_at faz o sync incremental entregar as linhas com o novo id_usuario
+  [[SHEET_FILMES, HEADERS_FILMES], [SHEET_PARA_ASSISTIR, HEADERS_PARA_ASSISTIR]].forEach(([name, headers]) => {
+    const sheet = getOrCreateSheet(name, headers);
+    const values = sheet.getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][2] === id_usuario) {
+        sheet.getRange(i + 1, 3).setValue(id_usuario_destino);
+        touchRow(sheet, headers, i);
+      }
+    }
+  });
+}
+
+/**
+ * Apaga as listas de um usuário e remove (tombstone) os filmes que ele
+ * adicionou em listas de outras pessoas
+ */
+function deleteUserEntries(id_usuario) {
+  const listas = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_LISTAS)
+    .getDataRange().getValues();
+  for (let i = 1; i < listas.length; i++) {
+    if (listas[i][1] === id_usuario) {
+      deleteListData(listas[i][0]);
+    }
+  }
+  
+  [[SHEET_FILMES, HEADERS_FILMES], [SHEET_PARA_ASSISTIR, HEADERS_PARA_ASSISTIR]].forEach(([name, headers]) => {
+    const sheet = getOrCreateSheet(name, headers);
+    const values = sheet.getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][2] === id_usuario && !isDeletedRow(values[i], headers)) {
+        tombstoneRow(sheet, headers, i);
+      }
+    }
+  });
+}
+
+// ============================================================================
+// TROCA E REDEFINIÇÃO DE SENHA
+// ============================================================================
+
+/**
+ * Troca a senha do usuário da sessão
+ * Obrigatório: id_usuario (do token), senha_atual, nova_senha
+ * As outras sessões do usuário são encerradas; a sessão atual continua válida
+ */
+function changePassword(data) {
+  // A conferência da senha atual e a gravação da nova não podem se intercalar com outra troca
+  const lock = LockService.getScriptLock();
+  
+  try {
+    const { id_usuario, senha_atual, nova_senha } = data;
+    
+    if (!id_usuario || !senha_atual || !nova_senha) {
+      return createResponse(false, 'Missing required fields: senha_atual, nova_senha');
+    }
+    
+    if (String(nova_senha).length < MIN_PASSWORD_LENGTH) {
+      return createResponse(false, 'Password too short: minimum ' + MIN_PASSWORD_LENGTH + ' characters');
+    }
+    
+    lock.waitLock(10000);
+    
+    const sheet = getOrCreateSheet(SHEET_USUARIOS, HEADERS_USUARIOS);
+    const values = sheet.getDataRange().getValues();
+    
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] !== id_usuario) {
+        continue;
+      }
+      
+      if (!verifyPassword(senha_atual, values[i])) {
+        return createResponse(false, 'Current password is incorrect');
+      }
+      
+      writePasswordHash(sheet, i, nova_senha);
+      revokeUserSessions(id_usuario, data.session.id_sessao);
+      
+      return createResponse(true, 'Password changed successfully', { id_usuario: id_usuario });
+    }
+    
+    return createResponse(false, 'User not found');
+  } catch (error) {
+    Logger.log('Error in changePassword: ' + error.toString());
+    return createResponse(false, 'Error changing password: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Gera um código de redefinição de senha de uso único (somente admin)
+ * Obrigatório: id_usuario_alvo
+ * O código só é retornado nesta resposta; códigos anteriores do usuário deixam de valer
+ */
+function createResetCode(data) {
+  // Invalidar os códigos antigos e gravar o novo não pode se intercalar com um resgate
+  const lock = LockService.getScriptLock();
+  
+  try {
+    if (!data.session || !data.session.is_admin) {
+      return createResponse(false, 'Unauthorized: Admin access required');
+    }
+    
+    const { id_usuario_alvo } = data;
+    
+    if (!id_usuario_alvo) {
+      return createResponse(false, 'Missing required field: id_usuario_alvo');
+    }
+    
+    lock.waitLock(10000);
+    
+    if (!findUserRow(id_usuario_alvo)) {
+      return createResponse(false, 'User not found');
+    }
+    
+    const sheet = getOrCreateSheet(SHEET_CODIGOS_RESET, HEADERS_CODIGOS_RESET);
+    const values = sheet.getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][1] === id_usuario_alvo && values[i][5] !== true) {
+        sheet.getRange(i + 1, 6).setValue(true); // Coluna usado
+      }
+    }
+    
+    const codigo = generateRandomCode();
+    const expiraEm = Date.now() + RESET_CODE_DURATION_MS;
+    sheet.appendRow([
+      hashResetCode(codigo), id_usuario_alvo, data.session.id_usuario, getCurrentTimestamp(), expiraEm, false
+    ]);
+    
+    return createResponse(true, 'Reset code created successfully', {
+      id_usuario: id_usuario_alvo,
+      codigo: codigo,
+      expira_em: expiraEm
+    });
+  } catch (error) {
+    Logger.log('Error in createResetCode: ' + error.toString());
+    return createResponse(false, 'Error creating reset code: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Define uma nova senha usando um código de redefinição (não exige sessão)
+ * Obrigatório: email, codigo, nova_senha
+ * Opcional: fingerprint
+ * Códigos errados contam como falhas de login e levam ao mesmo bloqueio
+ */
+function redeemResetCode(data) {
+  try {
+    const { email, codigo, nova_senha, fingerprint } = data;
+    
+    if (!email || !codigo || !nova_senha) {
+      return createResponse(false, 'Missing required fields: email, codigo, nova_senha');
+    }
+    
+    if (String(nova_senha).length < MIN_PASSWORD_LENGTH) {
+      return createResponse(false, 'Password too short: minimum ' + MIN_PASSWORD_LENGTH + ' characters');
+    }
+    
+    const attemptKeys = loginAttemptKeys(email, fingerprint);
+    const lockedUntil = getLoginLockout(attemptKeys);
+    if (lockedUntil) {
+      return createLockedResponse(lockedUntil);
+    }
+    
+    if (consumeResetCode(email, codigo, nova_senha)) {
+      clearLoginFailures(attemptKeys);
+      return createResponse(true, 'Password reset successfully', { email: email });
+    }
+    
+    const newLock = recordLoginFailure(attemptKeys);
+    if (newLock) {
+      return createLockedResponse(newLock);
+    }
+    
+    return createResponse(false, 'Invalid or expired reset code');
+  } catch (error) {
+    Logger.log('Error in redeemResetCode: ' + error.toString());
+    return createResponse(false, 'Error resetting password: ' + error.toString());
+  }
+}
+
+/**
+ * Confere o código de redefinição e, se for válido, marca como usado e grava a nova senha
+ * Roda sob o lock para que dois resgates simultâneos não usem o mesmo código
+ * Retorna true se a senha foi trocada
+ */
+function consumeResetCode(email, codigo, nova_senha) {
+  const lock = LockService.getScriptLock();
+  
+  try {
+    lock.waitLock(10000);
+    
+    const usersSheet = getOrCreateSheet(SHEET_USUARIOS, HEADERS_USUARIOS);
+    const users = usersSheet.getDataRange().getValues();
+    let userIndex = -1;
+    for (let i = 1; i < users.length; i++) {
+      if (users[i][2] === email) {
+        userIndex = i;
+        break;
+      }
+    }
+    
+    if (userIndex === -1) {
+      return false;
+    }
+    
+    const codesSheet = getOrCreateSheet(SHEET_CODIGOS_RESET, HEADERS_CODIGOS_RESET);
+    const codes = codesSheet.getDataRange().getValues();
+    const codigoHash = hashResetCode(codigo);
+    const agora = Date.now();
+    
+    for (let i = 1; i < codes.length; i++) {
+      const row = codes[i];
+      if (row[0] === codigoHash && row[1] === users[userIndex][0] && row[5] !== true && Number(row[4]) > agora) {
+        codesSheet.getRange(i + 1, 6).setValue(true); // Coluna usado
+        writePasswordHash(usersSheet, userIndex, nova_senha);
+        revokeUserSessions(row[1]);
+        return true;
+      }
+    }
+    
+    return false;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Gera um código aleatório com RESET_CODE_LENGTH caracteres de RESET_CODE_ALPHABET
+ * Usado nos códigos de redefinição de senha e nos convites
+ */
+function generateRandomCode() {
+  const bytes = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    Utilities.getUuid() + Utilities.getUuid(),
+    Utilities.Charset.UTF_8
+  );
+  
+  let codigo = '';
+  for (let i = 0; i < RESET_CODE_LENGTH; i++) {
+    const v = (bytes[i] < 0) ? 256 + bytes[i] : bytes[i];
+    codigo += RESET_CODE_ALPHABET.charAt(v % RESET_CODE_ALPHABET.length);
+  }
+  return codigo;
+}
+
+/**
+ * Hash do código de redefinição (ignora maiúsculas, espaços e hífens digitados pelo usuário)
+ */
+function hashResetCode(codigo) {
+  const normalizado = String(codigo).toUpperCase().replace(/[\s-]/g, '');
+  return bytesToHex(Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    normalizado,
+    Utilities.Charset.UTF_8
+  ));
+}
+
+// ============================================================================
+// SERVIÇOS DE STREAMING ASSINADOS
+// ============================================================================
+
+/**
+ * Salva os serviços de streaming que o usuário da sessão assina
+ * Obrigatório: id_usuario (do token), servicos - array de chaves (ex.: ['netflix', 'prime'])
+ * A lista enviada substitui a anterior; um array vazio remove todos os serviços
+ */
+function updateSubscriptions(data) {
+  try {
+    const { id_usuario, servicos } = data;
+    
+    if (!id_usuario || !Array.isArray(servicos)) {
+      return createResponse(false, 'Missing required fields: servicos');
+    }
+    
+    if (servicos.length > MAX_SUBSCRIPTIONS ||
+        servicos.some(servico => !SUBSCRIPTION_KEY_PATTERN.test(String(servico)))) {
+      return createResponse(false, 'Invalid servicos: expected up to ' + MAX_SUBSCRIPTIONS + ' service keys');
+    }
+    
+    const unique = servicos.filter((servico, index) => servicos.indexOf(servico) === index);
+    
+    const sheet = getOrCreateSheet(SHEET_USUARIOS, HEADERS_USUARIOS);
+    const values = sheet.getDataRange().getValues();
+    
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === id_usuario) {
+        sheet.getRange(i + 1, HEADERS_USUARIOS.indexOf('servicos') + 1).setValue(unique.join(','));
+        return createResponse(true, 'Subscriptions updated successfully', {
+          id_usuario: id_usuario,
+          servicos: unique
+        });
+      }
+    }
+    
+    return createResponse(false, 'User not found');
+  } catch (error) {
+    Logger.log('Error in updateSubscriptions: ' + error.toString());
+    return createResponse(false, 'Error updating subscriptions: ' + error.toString());
+  }
+}
+
+/**
+ * Converte a coluna servicos da aba Usuarios em array de chaves
+ */
+function parseSubscriptions(value) {
+  return value ? String(value).split(',').filter(Boolean) : [];
+}
+
+// ============================================================================
+// CONVITES DE CADASTRO
+// ============================================================================
+
+/**
+ * Cria um convite de cadastro (somente admin)
+ * Opcional: max_usos (padrão 1), expira_em (milissegundos), id_lista (o convidado entra
+ * na lista ao se cadastrar), role ('editor' ou 'viewer', padrão 'editor')
+ */
+function createInvite(data) {
+  try {
+    if (!data.session || !data.session.is_admin) {
+      return createResponse(false, 'Unauthorized: Admin access required');
+    }
+    
+    const { id_lista = '', role = ROLE_EDITOR } = data;
+    const maxUsos = data.max_usos === undefined || data.max_usos === '' ? 1 : Number(data.max_usos);
+    const expiraEm = data.expira_em ? Number(data.expira_em) : '';
+    
+    if (!Number.isInteger(maxUsos) || maxUsos < 1) {
+      return createResponse(false, 'Invalid max_usos: must be a positive integer');
+    }
+    
+    if (expiraEm !== '' && (isNaN(expiraEm) || expiraEm <= Date.now())) {
+      return createResponse(false, 'Invalid expira_em: must be in the future');
+    }
+    
+    if (role !== ROLE_EDITOR && role !== ROLE_VIEWER) {
+      return createResponse(false, 'Invalid role: must be editor or viewer');
+    }
+    
+    if (id_lista && !findListRow(id_lista)) {
+      return createResponse(false, 'List not found');
+    }
+    
+    const codigo = generateRandomCode();
+    const row = [codigo, data.session.id_usuario, getCurrentTimestamp(), maxUsos, 0, expiraEm, id_lista, role, false];
+    getOrCreateSheet(SHEET_CONVITES, HEADERS_CONVITES).appendRow(row);
+    
+    return createResponse(true, 'Invite created successfully', inviteRowToObject(row));
+  } catch (error) {
+    Logger.log('Error in createInvite: ' + error.toString());
+    return createResponse(false, 'Error creating invite: ' + error.toString());
+  }
+}
+
+/**
+ * Lista todos os convites com seus usos (somente admin)
+ */
+function getInvites(data) {
+  try {
+    if (!data.session || !data.session.is_admin) {
+      return createResponse(false, 'Unauthorized: Admin access required');
+    }
+    
+    const values = getOrCreateSheet(SHEET_CONVITES, HEADERS_CONVITES).getDataRange().getValues();
+    const listValues = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_LISTAS)
+      .getDataRange().getValues();
+    const titulos = {};
+    for (let i = 1; i < listValues.length; i++) {
+      titulos[listValues[i][0]] = listValues[i][2];
+    }
+    
+    const invites = [];
+    for (let i = 1; i < values.length; i++) {
+      const invite = inviteRowToObject(values[i]);
+      invite.titulo_lista = invite.id_lista ? (titulos[invite.id_lista] || null) : null;
+      invites.push(invite);
+    }
+    
+    return createResponse(true, 'Invites retrieved successfully', invites);
+  } catch (error) {
+    Logger.log('Error in getInvites: ' + error.toString());
+    return createResponse(false, 'Error fetching invites: ' + error.toString());
+  }
+}
+
+/**
+ * Revoga um convite para que não possa mais ser usado (somente admin)
+ * Obrigatório: codigo
+ */
+function revokeInvite(data) {
+  try {
+    if (!data.session || !data.session.is_admin) {
+      return createResponse(false, 'Unauthorized: Admin access required');
+    }
+    
+    const { codigo } = data;
+    
+    if (!codigo) {
+      return createResponse(false, 'Missing required field: codigo');
+    }
+    
+    const sheet = getOrCreateSheet(SHEET_CONVITES, HEADERS_CONVITES);
+    const values = sheet.getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === codigo) {
+        sheet.getRange(i + 1, 9).setValue(true); // Coluna revogado
+        values[i][8] = true;
+        return createResponse(true, 'Invite revoked successfully', inviteRowToObject(values[i]));
+      }
+    }
+    
+    return createResponse(false, 'Invite not found');
+  } catch (error) {
+    Logger.log('Error in revokeInvite: ' + error.toString());
+    return createResponse(false, 'Error revoking invite: ' + error.toString());
+  }
+}
+
+/**
+ * Busca um convite que ainda pode ser usado (não revogado, não expirado e com usos restantes)
+ * Retorna o convite com rowIndex (índice em getValues()) ou null
+ */
+function findValidInvite(sheet, codigo) {
+  const normalizado = String(codigo).trim().toUpperCase();
+  const values = sheet.getDataRange().getValues();
+  
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][0] !== normalizado) {
+      continue;
+    }
+    
+    const invite = inviteRowToObject(values[i]);
+    if (invite.status !== 'ativo') {
+      return null;
+    }
+    
+    invite.rowIndex = i;
+    return invite;
+  }
+  
+  return null;
+}
+
+/**
+ * Monta o objeto de um convite a partir de uma linha da aba Convites
+ * status: 'ativo', 'esgotado', 'expirado' ou 'revogado'
+ */
+function inviteRowToObject(row) {
+  const maxUsos = Number(row[3]) || 1;
+  const usos = Number(row[4]) || 0;
+  const expiraEm = Number(row[5]) || null;
+  
+  let status = 'ativo';
+  if (row[8] === true) {
+    status = 'revogado';
+  } else if (usos >= maxUsos) {
+    status = 'esgotado';
+  } else if (expiraEm && expiraEm <= Date.now()) {
+    status = 'expirado';
+  }
+  
+  return {
+    codigo: row[0],
+    criado_por: row[1],
+    criado_em: row[2],
+    max_usos: maxUsos,
+    usos: usos,
+    expira_em: expiraEm,
+    id_lista: row[6] || null,
+    role: row[7] || ROLE_EDITOR,
+    status: status
+  };
+}
+
+// ============================================================================
+// PROTEÇÃO CONTRA FORÇA BRUTA
+// ============================================================================
+
+/**
+ * Chaves usadas para contar as falhas de login: o email e, se enviado, o navegador
+ */
+function loginAttemptKeys(email, fingerprint) {
+  const keys = ['email:' + String(email).trim().toLowerCase()];
+  if (fingerprint) {
+    keys.push('client:' + String(fingerprint).slice(0, 100));
+  }
+  return keys;
+}
+
+/**
+ * Retorna o fim do bloqueio vigente (em milissegundos) para as chaves, ou 0 se não houver
+ */
+function getLoginLockout(keys) {
+  const values = getOrCreateSheet(SHEET_TENTATIVAS_LOGIN, HEADERS_TENTATIVAS_LOGIN)
+    .getDataRange().getValues();
+  const agora = Date.now();
+  
+  let lockedUntil = 0;
+  for (let i = 1; i < values.length; i++) {
+    const bloqueadoAte = Number(values[i][2]) || 0;
+    if (keys.indexOf(values[i][0]) !== -1 && bloqueadoAte > agora) {
+      lockedUntil = Math.max(lockedUntil, bloqueadoAte);
+    }
+  }
+  return lockedUntil;
+}
+
+/**
+ * Duração do bloqueio após um número de falhas (dobra a cada falha além do limite)
+ */
+function loginLockoutDuration(falhas) {
+  return Math.min(
+    LOGIN_LOCKOUT_BASE_MS * Math.pow(2, falhas - MAX_LOGIN_ATTEMPTS),
+    LOGIN_LOCKOUT_MAX_MS
+  );
+}
+
+/**
+ * Registra uma falha de login para cada chave
+ * Retorna o fim do bloqueio iniciado por esta falha, ou 0 se o limite ainda não foi atingido
+ * 
+ * A aba é regravada a cada falha: linhas cuja janela já expirou são removidas e cada
+ * chave fica em uma única linha, então emails inventados não fazem a aba crescer sem limite.
+ */
+function recordLoginFailure(keys) {
+  // Tentativas simultâneas não podem se sobrescrever na contagem
+  const lock = LockService.getScriptLock();
+  
+  try {
+    lock.waitLock(10000);
+    
+    const sheet = getOrCreateSheet(SHEET_TENTATIVAS_LOGIN, HEADERS_TENTATIVAS_LOGIN);
+    const values = sheet.getDataRange().getValues();
+    const agora = Date.now();
+    
+    // Uma linha por chave, só com falhas que ainda contam
+    const rows = {};
+    for (let i = 1; i < values.length; i++) {
+      const ultimaAtividade = Math.max(Number(values[i][2]) || 0, Number(values[i][3]) || 0);
+      if (values[i][0] && agora - ultimaAtividade <= LOGIN_ATTEMPT_WINDOW_MS) {
+        rows[values[i][0]] = values[i].slice(0, HEADERS_TENTATIVAS_LOGIN.length);
+      }
+    }
+    
+    let lockedUntil = 0;
+    keys.forEach(key => {
+      const falhas = (rows[key] ? Number(rows[key][1]) || 0 : 0) + 1;
+      const bloqueadoAte = falhas >= MAX_LOGIN_ATTEMPTS ? agora + loginLockoutDuration(falhas) : 0;
+      rows[key] = [key, falhas, bloqueadoAte, agora];
+      lockedUntil = Math.max(lockedUntil, bloqueadoAte);
+    });
+    
+    // Chaves ainda bloqueadas ficam na frente; entre as demais, as falhas mais recentes
+    const kept = Object.keys(rows)
+      .map(key => rows[key])
+      .sort((a, b) => ((Number(b[2]) > agora) - (Number(a[2]) > agora)) || Number(b[3]) - Number(a[3]))
+      .slice(0, MAX_LOGIN_ATTEMPT_ROWS);
+    
+    if (kept.length > 0) {
+      sheet.getRange(2, 1, kept.length, HEADERS_TENTATIVAS_LOGIN.length).setValues(kept);
+    }
+    const surplus = values.length - 1 - kept.length;
+    if (surplus > 0) {
+      sheet.deleteRows(kept.length + 2, surplus);
+    }
+    
+    return lockedUntil;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Zera as falhas das chaves após um login bem-sucedido
+ */
+function clearLoginFailures(keys) {
+  // recordLoginFailure regrava a aba inteira, então a remoção não pode acontecer no meio
+  const lock = LockService.getScriptLock();
+  
+  try {
+    lock.waitLock(10000);
+    
+    const sheet = getOrCreateSheet(SHEET_TENTATIVAS_LOGIN, HEADERS_TENTATIVAS_LOGIN);
+    const values = sheet.getDataRange().getValues();
+    
+    // Percorre de baixo para cima para não deslocar os índices das linhas restantes
+    for (let i = values.length - 1; i >= 1; i--) {
+      if (keys.indexOf(values[i][0]) !== -1) {
+        sheet.deleteRow(i + 1);
+      }
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -3,9 +3,10 @@
  * 
  * Este arquivo contém todas as funções relacionadas a listas e filmes:
  * - Criação e gerenciamento de listas
- * - Compartilhamento de listas
+ * - Compartilhamento de listas com papéis por membro (aba ListaCompartilhada)
  * - Adição, atualização e remoção de filmes
  * - Busca de filmes por lista
+ * - Lista compartilhada de filmes para assistir (aba ParaAssistir)
  */
 
 // ============================================================================
@@ -63,19 +64,32 @@ function getListsByUser(data) {
     const dataRange = sheet.getDataRange();
     const values = dataRange.getValues();
     
+    // Papéis do usuário nas listas compartilhadas com ele
+    const sharedRoles = {};
+    const membersValues = getOrCreateSheet(SHEET_LISTA_COMPARTILHADA, HEADERS_LISTA_COMPARTILHADA)
+      .getDataRange().getValues();
+    for (let i = 1; i < membersValues.length; i++) {
+      if (membersValues[i][1] === id_usuario) {
+        sharedRoles[membersValues[i][0]] = membersValues[i][2];
+      }
+    }
+    
     const lists = [];
     
-    // Busca todas as listas do usuário
+    // Busca as listas do usuário e as compartilhadas com ele
     for (let i = 1; i < values.length; i++) {
       const row = values[i];
-      if (row[1] === id_usuario) { // id_usuario_dono
+      const isOwner = row[1] === id_usuario; // id_usuario_dono
+      
+      if (isOwner || sharedRoles[row[0]]) {
         lists.push({
           id_lista: row[0],
           id_usuario_dono: row[1],
           titulo: row[2],
           descricao: row[3],
           criada_em: row[4],
-          is_owner: true
+          is_owner: isOwner,
+          role: isOwner ? ROLE_OWNER : sharedRoles[row[0]]
         });
       }
     }
@@ -87,42 +101,169 @@ function getListsByUser(data) {
   }
 }
 
+/**
+ * Renomeia uma lista e/ou altera sua descrição (apenas o dono)
+ * Obrigatório: id_lista, id_usuario
+ * Opcional: titulo, descricao
+ */
+function updateList(data) {
+  try {
+    const { id_lista, id_usuario, titulo, descricao } = data;
+    
+    if (!id_lista || !id_usuario) {
+      return createResponse(false, 'Missing required fields: id_lista, id_usuario');
+    }
+    
+    if (titulo !== undefined && String(titulo).trim() === '') {
+      return createResponse(false, 'List title cannot be empty');
+    }
+    
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_LISTAS);
+    const values = sheet.getDataRange().getValues();
+    
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      if (row[0] === id_lista) {
+        if (row[1] !== id_usuario) {
+          return createResponse(false, 'Only the owner can edit this list');
+        }
+        
+        if (titulo !== undefined) {
+          sheet.getRange(i + 1, 3).setValue(titulo); // Coluna titulo
+          row[2] = titulo;
+        }
+        if (descricao !== undefined) {
+          sheet.getRange(i + 1, 4).setValue(descricao); // Coluna descricao
+          row[3] = descricao;
+        }
+        
+        return createResponse(true, 'List updated successfully', {
+          id_lista: row[0],
+          id_usuario_dono: row[1],
+          titulo: row[2],
+          descricao: row[3],
+          criada_em: row[4],
+          is_owner: true,
+          role: ROLE_OWNER
+        });
+      }
+    }
+    
+    return createResponse(false, 'List not found');
+  } catch (error) {
+    Logger.log('Error in updateList: ' + error.toString());
+    return createResponse(false, 'Error updating list: ' + error.toString());
+  }
+}
+
+/**
+ * Exclui uma lista com seus filmes e membros (apenas o dono)
+ * Obrigatório: id_lista, id_usuario
+ */
+function deleteList(data) {
+  // A exclusão percorre várias abas; outra escrita no meio deslocaria as linhas já lidas
+  const lock = LockService.getScriptLock();
+  
+  try {
+    const { id_lista, id_usuario } = data;
+    
+    if (!id_lista || !id_usuario) {
+      return createResponse(false, 'Missing required fields: id_lista, id_usuario');
+    }
+    
+    lock.waitLock(10000);
+    
+    if (getListRole(id_lista, id_usuario) !== ROLE_OWNER) {
+      return createResponse(false, 'List not found or user is not owner');
+    }
+    
+    deleteListData(id_lista);
+    
+    return createResponse(true, 'List deleted successfully', { id_lista: id_lista });
+  } catch (error) {
+    Logger.log('Error in deleteList: ' + error.toString());
+    return createResponse(false, 'Error deleting list: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Remove a lista da aba Listas junto com seus membros e marca seus filmes como removidos
+ * Os filmes viram tombstones para que a sincronização dos clientes veja a remoção
+ * Usado por deleteList e pela exclusão de usuários (deleteUser); quem chama já tem o lock
+ */
+function deleteListData(id_lista) {
+  tombstoneRowsByList(getOrCreateSheet(SHEET_FILMES, HEADERS_FILMES), HEADERS_FILMES, id_lista);
+  tombstoneRowsByList(getOrCreateSheet(SHEET_PARA_ASSISTIR, HEADERS_PARA_ASSISTIR), HEADERS_PARA_ASSISTIR, id_lista);
+  deleteRowsByColumn(getOrCreateSheet(SHEET_LISTA_COMPARTILHADA, HEADERS_LISTA_COMPARTILHADA), 0, id_lista);
+  deleteRowsByColumn(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_LISTAS), 0, id_lista);
+}
+
+/**
+ * Marca como removidas as linhas de filmes da lista que ainda não foram removidas
+ */
+function tombstoneRowsByList(sheet, headers, id_lista) {
+  const values = sheet.getDataRange().getValues();
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][1] === id_lista && !isDeletedRow(values[i], headers)) {
+      tombstoneRow(sheet, headers, i);
+    }
+  }
+}
+
 /**
  * Compartilha uma lista com outro usuário
  * Obrigatório: id_lista, id_usuario_solicitante, id_usuario_compartilhar
- * Nota: Implementação básica - versão completa requer tabela separada de compartilhamento
+ * Opcional: role ('editor' ou 'viewer', padrão 'editor')
+ * Se o usuário já for membro, apenas o papel é atualizado
  */
 function shareList(data) {
   try {
-    const { id_lista, id_usuario_solicitante, id_usuario_compartilhar } = data;
+    const { id_lista, id_usuario_solicitante, id_usuario_compartilhar, role = ROLE_EDITOR } = data;
     
     if (!id_lista || !id_usuario_solicitante || !id_usuario_compartilhar) {
-      return createResponse(false, 'Missing required fields');
+      return createResponse(false, 'Missing required fields: id_lista, id_usuario_solicitante, id_usuario_compartilhar');
     }
     
-    // Verifica se a lista existe e o usuário é o dono
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_LISTAS);
-    const dataRange = sheet.getDataRange();
-    const values = dataRange.getValues();
+    if (role !== ROLE_EDITOR && role !== ROLE_VIEWER) {
+      return createResponse(false, 'Invalid role: must be editor or viewer');
+    }
+    
+    // Apenas o dono pode compartilhar a lista
+    if (getListRole(id_lista, id_usuario_solicitante) !== ROLE_OWNER) {
+      return createResponse(false, 'List not found or user is not owner');
+    }
+    
+    if (id_usuario_compartilhar === id_usuario_solicitante) {
+      return createResponse(false, 'Owner is already a member of the list');
+    }
+    
+    if (!findUserRow(id_usuario_compartilhar)) {
+      return createResponse(false, 'User not found');
+    }
+    
+    const sheet = getOrCreateSheet(SHEET_LISTA_COMPARTILHADA, HEADERS_LISTA_COMPARTILHADA);
+    const values = sheet.getDataRange().getValues();
+    const compartilhadoEm = getCurrentTimestamp();
     
-    let listFound = false;
+    let updated = false;
     for (let i = 1; i < values.length; i++) {
-      const row = values[i];
-      if (row[0] === id_lista && row[1] === id_usuario_solicitante) {
-        listFound = true;
+      if (values[i][0] === id_lista && values[i][1] === id_usuario_compartilhar) {
+        sheet.getRange(i + 1, 3).setValue(role);
+        updated = true;
         break;
       }
     }
     
-    if (!listFound) {
-      return createResponse(false, 'List not found or user is not owner');
+    if (!updated) {
+      sheet.appendRow([id_lista, id_usuario_compartilhar, role, id_usuario_solicitante, compartilhadoEm]);
     }
     
-    // Por enquanto, apenas retorna sucesso
-    // Implementação completa adicionaria entrada em aba "ListaCompartilhada"
-    return createResponse(true, 'List shared successfully', {
+    return createResponse(true, updated ? 'Member role updated' : 'List shared successfully', {
       id_lista: id_lista,
-      shared_with: id_usuario_compartilhar
+      shared_with: id_usuario_compartilhar,
+      role: role
     });
   } catch (error) {
     Logger.log('Error in shareList: ' + error.toString());
@@ -130,6 +271,169 @@ function shareList(data) {
   }
 }
 
+/**
+ * Remove um membro de uma lista
+ * Obrigatório: id_lista, id_usuario_solicitante, id_usuario_remover
+ * O dono pode remover qualquer membro; os demais só podem sair da lista
+ */
+function unshareList(data) {
+  try {
+    const { id_lista, id_usuario_solicitante, id_usuario_remover } = data;
+    
+    if (!id_lista || !id_usuario_solicitante || !id_usuario_remover) {
+      return createResponse(false, 'Missing required fields: id_lista, id_usuario_solicitante, id_usuario_remover');
+    }
+    
+    const requesterRole = getListRole(id_lista, id_usuario_solicitante);
+    if (requesterRole !== ROLE_OWNER && id_usuario_solicitante !== id_usuario_remover) {
+      return createResponse(false, 'Only the owner can remove other members');
+    }
+    
+    const sheet = getOrCreateSheet(SHEET_LISTA_COMPARTILHADA, HEADERS_LISTA_COMPARTILHADA);
+    const values = sheet.getDataRange().getValues();
+    
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === id_lista && values[i][1] === id_usuario_remover) {
+        sheet.deleteRow(i + 1);
+        return createResponse(true, 'Member removed from list', {
+          id_lista: id_lista,
+          removed: id_usuario_remover
+        });
+      }
+    }
+    
+    return createResponse(false, 'User is not a member of this list');
+  } catch (error) {
+    Logger.log('Error in unshareList: ' + error.toString());
+    return createResponse(false, 'Error removing member: ' + error.toString());
+  }
+}
+
+/**
+ * Lista os membros de uma lista (dono + compartilhados) com seus papéis
+ * Obrigatório: id_lista, id_usuario (precisa ser membro da lista)
+ */
+function getListMembers(data) {
+  try {
+    const { id_lista, id_usuario } = data;
+    
+    if (!id_lista || !id_usuario) {
+      return createResponse(false, 'Missing required fields: id_lista, id_usuario');
+    }
+    
+    if (!getListRole(id_lista, id_usuario)) {
+      return createResponse(false, 'List not found or user is not a member');
+    }
+    
+    const members = [];
+    const listRow = findListRow(id_lista);
+    members.push(memberToObject(listRow[1], ROLE_OWNER, listRow[4]));
+    
+    const values = getOrCreateSheet(SHEET_LISTA_COMPARTILHADA, HEADERS_LISTA_COMPARTILHADA)
+      .getDataRange().getValues();
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === id_lista) {
+        members.push(memberToObject(values[i][1], values[i][2], values[i][4]));
+      }
+    }
+    
+    return createResponse(true, 'List members retrieved successfully', members);
+  } catch (error) {
+    Logger.log('Error in getListMembers: ' + error.toString());
+    return createResponse(false, 'Error fetching list members: ' + error.toString());
+  }
+}
+
+/**
+ * Retorna o papel do usuário na lista ('owner', 'editor', 'viewer') ou null se não for membro
+ */
+function getListRole(id_lista, id_usuario) {
+  const listRow = findListRow(id_lista);
+  if (!listRow) {
+    return null;
+  }
+  
+  if (listRow[1] === id_usuario) {
+    return ROLE_OWNER;
+  }
+  
+  const values = getOrCreateSheet(SHEET_LISTA_COMPARTILHADA, HEADERS_LISTA_COMPARTILHADA)
+    .getDataRange().getValues();
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][0] === id_lista && values[i][1] === id_usuario) {
+      return values[i][2];
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Verifica se o usuário pode alterar os filmes da lista (dono ou editor)
+ * Viewers só podem ler a lista; quem não é membro não tem acesso
+ */
+function canEditList(id_lista, id_usuario) {
+  const role = getListRole(id_lista, id_usuario);
+  return role === ROLE_OWNER || role === ROLE_EDITOR;
+}
+
+/**
+ * Resposta para quem tenta alterar uma lista sem ser dono ou editor
+ */
+function createEditDeniedResponse() {
+  return createResponse(false, 'Access denied: only the owner and editors can change this list');
+}
+
+/**
+ * Resposta para quem tenta ler uma lista da qual não é membro
+ */
+function createMemberDeniedResponse() {
+  return createResponse(false, 'Access denied: user is not a member of this list');
+}
+
+/**
+ * Busca a linha de uma lista na aba Listas
+ */
+function findListRow(id_lista) {
+  const values = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_LISTAS)
+    .getDataRange().getValues();
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][0] === id_lista) {
+      return values[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Busca a linha de um usuário na aba Usuarios
+ */
+function findUserRow(id_usuario) {
+  const values = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_USUARIOS)
+    .getDataRange().getValues();
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][0] === id_usuario) {
+      return values[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Monta o objeto de um membro com nome, email e serviços de streaming vindos da aba Usuarios
+ */
+function memberToObject(id_usuario, role, desde) {
+  const userRow = findUserRow(id_usuario);
+  return {
+    id_usuario: id_usuario,
+    nome: userRow ? userRow[1] : '',
+    email: userRow ? userRow[2] : '',
+    servicos: userRow ? parseSubscriptions(userRow[8]) : [],
+    role: role,
+    desde: desde
+  };
+}
+
 // ============================================================================
 // ENDPOINTS DE GERENCIAMENTO DE FILMES
 // ============================================================================
@@ -137,31 +441,46 @@ function shareList(data) {
 /**
  * Adiciona um filme assistido a uma lista
  * Obrigatório: id_lista, id_usuario, titulo_filme, nota
- * Opcional: ano, assistido_em, review
+ * Opcional: ano, assistido_em, review, tmdb_id
  */
 function addWatchedMovie(data) {
+  const {
+    id_lista,
+    id_usuario,
+    titulo_filme,
+    tmdb_id = '',
+    ano = '',
+    nota,
+    assistido_em = getCurrentTimestamp(),
+    review = ''
+  } = data;
+  
+  if (!id_lista || !id_usuario || !titulo_filme || nota === undefined) {
+    return createResponse(false, 'Missing required fields: id_lista, id_usuario, titulo_filme, nota');
+  }
+  
+  // Valida que nota está entre 0 e 5
+  const notaNum = parseFloat(nota);
+  if (isNaN(notaNum) || notaNum < 0 || notaNum > 5) {
+    return createResponse(false, 'Invalid nota: must be between 0 and 5');
+  }
+  
+  const reviewError = validateReview(review);
+  if (reviewError) {
+    return createResponse(false, reviewError);
+  }
+  
+  // Toda escrita com updated_at acontece sob o lock, para não escapar de um getChangesSince em andamento
+  const lock = LockService.getScriptLock();
+  
   try {
-    const {
-      id_lista,
-      id_usuario,
-      titulo_filme,
-      ano = '',
-      nota,
-      assistido_em = getCurrentTimestamp(),
-      review = ''
-    } = data;
-    
-    if (!id_lista || !id_usuario || !titulo_filme || nota === undefined) {
-      return createResponse(false, 'Missing required fields: id_lista, id_usuario, titulo_filme, nota');
-    }
+    lock.waitLock(10000);
     
-    // Valida que nota está entre 0 e 5
-    const notaNum = parseFloat(nota);
-    if (isNaN(notaNum) || notaNum < 0 || notaNum > 5) {
-      return createResponse(false, 'Invalid nota: must be between 0 and 5');
+    if (!canEditList(id_lista, id_usuario)) {
+      return createEditDeniedResponse();
     }
     
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_FILMES);
+    const sheet = getOrCreateSheet(SHEET_FILMES, HEADERS_FILMES);
     
     const idFilme = generateUUID();
     
@@ -173,7 +492,12 @@ function addWatchedMovie(data) {
       ano,
       notaNum,
       assistido_em,
-      review
+      review,
+      'assistido',
+      getCurrentTimestamp(),
+      false,
+      1,
+      tmdb_id ? Number(tmdb_id) : ''
     ]);
     
     const movieData = {
@@ -184,13 +508,17 @@ function addWatchedMovie(data) {
       ano: ano,
       nota: notaNum,
       assistido_em: assistido_em,
-      review: review
+      review: review,
+      tmdb_id: tmdb_id ? Number(tmdb_id) : '',
+      version: 1
     };
     
     return createResponse(true, 'Movie added successfully', movieData);
   } catch (error) {
     Logger.log('Error in addWatchedMovie: ' + error.toString());
     return createResponse(false, 'Error adding movie: ' + error.toString());
+  } finally {
+    lock.releaseLock();
   }
 }
 
@@ -206,7 +534,11 @@ function getMoviesByList(data) {
       return createResponse(false, 'Missing required fields: id_lista, id_usuario');
     }
     
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_FILMES);
+    if (!getListRole(id_lista, id_usuario)) {
+      return createMemberDeniedResponse();
+    }
+    
+    const sheet = getOrCreateSheet(SHEET_FILMES, HEADERS_FILMES);
     const dataRange = sheet.getDataRange();
     const values = dataRange.getValues();
     
@@ -215,7 +547,7 @@ function getMoviesByList(data) {
     // Busca todos os filmes da lista
     for (let i = 1; i < values.length; i++) {
       const row = values[i];
-      if (row[1] === id_lista) { // id_lista
+      if (row[1] === id_lista && !isDeletedRow(row, HEADERS_FILMES)) { // id_lista
         movies.push({
           id_filme: row[0],
           id_lista: row[1],
@@ -224,7 +556,9 @@ function getMoviesByList(data) {
           ano: row[4],
           nota: row[5],
           assistido_em: row[6],
-          review: row[7]
+          review: row[7],
+          tmdb_id: row[HEADERS_FILMES.indexOf('tmdb_id')],
+          version: rowVersion(row, HEADERS_FILMES)
         });
       }
     }
@@ -237,39 +571,66 @@ function getMoviesByList(data) {
 }
 
 /**
- * Atualiza uma entrada de filme
- * Obrigatório: id_filme, nota
- * Opcional: assistido_em, review
+ * Atualiza uma entrada de filme (dono ou editor da lista)
+ * Obrigatório: id_filme, id_usuario, nota
+ * Opcional: assistido_em, review, version (versão lida pelo cliente)
+ * 
+ * Quando version é enviada e a linha já foi alterada por outra pessoa,
+ * nada é gravado e a resposta é um conflito com a linha atual.
  */
 function updateMovie(data) {
+  const {
+    id_filme,
+    id_usuario,
+    nota,
+    assistido_em = getCurrentTimestamp(),
+    review = '',
+    version
+  } = data;
+  
+  if (!id_filme || nota === undefined) {
+    return createResponse(false, 'Missing required fields: id_filme, nota');
+  }
+  
+  const notaNum = parseFloat(nota);
+  if (isNaN(notaNum) || notaNum < 0 || notaNum > 5) {
+    return createResponse(false, 'Invalid nota: must be between 0 and 5');
+  }
+  
+  const reviewError = validateReview(review);
+  if (reviewError) {
+    return createResponse(false, reviewError);
+  }
+  
+  // A verificação de versão e a gravação precisam acontecer sem outra escrita no meio
+  const lock = LockService.getScriptLock();
+  
   try {
-    const {
-      id_filme,
-      nota,
-      assistido_em = getCurrentTimestamp(),
-      review = ''
-    } = data;
+    lock.waitLock(10000);
     
-    if (!id_filme || nota === undefined) {
-      return createResponse(false, 'Missing required fields: id_filme, nota');
-    }
-    
-    const notaNum = parseFloat(nota);
-    if (isNaN(notaNum) || notaNum < 0 || notaNum > 5) {
-      return createResponse(false, 'Invalid nota: must be between 0 and 5');
-    }
-    
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_FILMES);
+    const sheet = getOrCreateSheet(SHEET_FILMES, HEADERS_FILMES);
     const dataRange = sheet.getDataRange();
     const values = dataRange.getValues();
     
     // Busca o filme por id_filme
     for (let i = 1; i < values.length; i++) {
-      if (values[i][0] === id_filme) {
+      if (values[i][0] === id_filme && !isDeletedRow(values[i], HEADERS_FILMES)) {
+        if (!canEditList(values[i][1], id_usuario)) {
+          return createEditDeniedResponse();
+        }
+        
+        if (isStaleVersion(values[i], HEADERS_FILMES, version)) {
+          return createConflictResponse(movieRowToObject(values[i]));
+        }
+        
+        const newVersion = rowVersion(values[i], HEADERS_FILMES) + 1;
+        
         // Atualiza a linha
         sheet.getRange(i + 1, 6).setValue(notaNum); // Coluna F (nota)
         sheet.getRange(i + 1, 7).setValue(assistido_em); // Coluna G (assistido_em)
         sheet.getRange(i + 1, 8).setValue(review); // Coluna H (review)
+        sheet.getRange(i + 1, HEADERS_FILMES.indexOf('version') + 1).setValue(newVersion);
+        touchRow(sheet, HEADERS_FILMES, i);
         
         const movieData = {
           id_filme: values[i][0],
@@ -279,7 +640,8 @@ function updateMovie(data) {
           ano: values[i][4],
           nota: notaNum,
           assistido_em: assistido_em,
-          review: review
+          review: review,
+          version: newVersion
         };
         
         return createResponse(true, 'Movie updated successfully', movieData);
@@ -290,29 +652,44 @@ function updateMovie(data) {
   } catch (error) {
     Logger.log('Error in updateMovie: ' + error.toString());
     return createResponse(false, 'Error updating movie: ' + error.toString());
+  } finally {
+    lock.releaseLock();
   }
 }
 
 /**
- * Remove uma entrada de filme
- * Obrigatório: id_filme
+ * Remove uma entrada de filme (dono ou editor da lista)
+ * Obrigatório: id_filme, id_usuario
+ * Opcional: version (a remoção é recusada se a linha mudou depois dessa versão)
  */
 function deleteMovie(data) {
+  const { id_filme, id_usuario, version } = data;
+  
+  if (!id_filme) {
+    return createResponse(false, 'Missing required field: id_filme');
+  }
+  
+  const lock = LockService.getScriptLock();
+  
   try {
-    const { id_filme } = data;
+    lock.waitLock(10000);
     
-    if (!id_filme) {
-      return createResponse(false, 'Missing required field: id_filme');
-    }
-    
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_FILMES);
+    const sheet = getOrCreateSheet(SHEET_FILMES, HEADERS_FILMES);
     const dataRange = sheet.getDataRange();
     const values = dataRange.getValues();
     
-    // Busca e remove a linha
+    // Busca a linha e marca como removida (tombstone) para o sync incremental
     for (let i = 1; i < values.length; i++) {
-      if (values[i][0] === id_filme) {
-        sheet.deleteRow(i + 1);
+      if (values[i][0] === id_filme && !isDeletedRow(values[i], HEADERS_FILMES)) {
+        if (!canEditList(values[i][1], id_usuario)) {
+          return createEditDeniedResponse();
+        }
+        
+        if (isStaleVersion(values[i], HEADERS_FILMES, version)) {
+          return createConflictResponse(movieRowToObject(values[i]));
+        }
+        
+        tombstoneRow(sheet, HEADERS_FILMES, i);
         return createResponse(true, 'Movie deleted successfully', { id_filme: id_filme });
       }
     }
@@ -321,5 +698,412 @@ function deleteMovie(data) {
   } catch (error) {
     Logger.log('Error in deleteMovie: ' + error.toString());
     return createResponse(false, 'Error deleting movie: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ============================================================================
+// ENDPOINTS DA LISTA COMPARTILHADA (FILMES PARA ASSISTIR)
+// ============================================================================
+
+/**
+ * Adiciona um filme à lista compartilhada (para assistir) (dono ou editor da lista)
+ * Obrigatório: id_lista, id_usuario, titulo_filme, tmdb_id
+ * Opcional: ano, poster, rating, genres (array ou JSON), overview, added_by
+ */
+function addToSharedList(data) {
+  const {
+    id_lista,
+    id_usuario,
+    titulo_filme,
+    tmdb_id,
+    ano = '',
+    poster = '',
+    rating = 0,
+    genres = [],
+    overview = '',
+    added_by = ''
+  } = data;
+  
+  if (!id_lista || !id_usuario || !titulo_filme || !tmdb_id) {
+    return createResponse(false, 'Missing required fields: id_lista, id_usuario, titulo_filme, tmdb_id');
+  }
+  
+  // A checagem de duplicado e o appendRow precisam acontecer sem outra escrita no meio
+  const lock = LockService.getScriptLock();
+  
+  try {
+    lock.waitLock(10000);
+    
+    if (!canEditList(id_lista, id_usuario)) {
+      return createEditDeniedResponse();
+    }
+    
+    const sheet = getOrCreateSheet(SHEET_PARA_ASSISTIR, HEADERS_PARA_ASSISTIR);
+    const values = sheet.getDataRange().getValues();
+    
+    // Um mesmo filme (tmdb_id) entra apenas uma vez em cada lista
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][1] === id_lista && String(values[i][3]) === String(tmdb_id) &&
+          !isDeletedRow(values[i], HEADERS_PARA_ASSISTIR)) {
+        return createResponse(true, 'Movie already in shared list', sharedListRowToObject(values[i]));
+      }
+    }
+    
+    const ratingNum = parseFloat(rating);
+    const row = [
+      generateUUID(),
+      id_lista,
+      id_usuario,
+      Number(tmdb_id),
+      titulo_filme,
+      ano,
+      poster,
+      isNaN(ratingNum) ? 0 : ratingNum,
+      JSON.stringify(parseGenres(genres)),
+      overview,
+      added_by,
+      getCurrentTimestamp(),
+      getCurrentTimestamp(),
+      false
+    ];
+    
+    sheet.appendRow(row);
+    
+    return createResponse(true, 'Movie added to shared list', sharedListRowToObject(row));
+  } catch (error) {
+    Logger.log('Error in addToSharedList: ' + error.toString());
+    return createResponse(false, 'Error adding movie to shared list: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Remove um filme da lista compartilhada (dono ou editor da lista)
+ * Obrigatório: id_filme, id_usuario
+ */
+function removeFromSharedList(data) {
+  const { id_filme, id_usuario } = data;
+  
+  if (!id_filme) {
+    return createResponse(false, 'Missing required field: id_filme');
+  }
+  
+  const lock = LockService.getScriptLock();
+  
+  try {
+    lock.waitLock(10000);
+    
+    const sheet = getOrCreateSheet(SHEET_PARA_ASSISTIR, HEADERS_PARA_ASSISTIR);
+    const values = sheet.getDataRange().getValues();
+    
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === id_filme && !isDeletedRow(values[i], HEADERS_PARA_ASSISTIR)) {
+        if (!canEditList(values[i][1], id_usuario)) {
+          return createEditDeniedResponse();
+        }
+        
+        tombstoneRow(sheet, HEADERS_PARA_ASSISTIR, i);
+        return createResponse(true, 'Movie removed from shared list', { id_filme: id_filme });
+      }
+    }
+    
+    return createResponse(false, 'Movie not found in shared list');
+  } catch (error) {
+    Logger.log('Error in removeFromSharedList: ' + error.toString());
+    return createResponse(false, 'Error removing movie from shared list: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Busca todos os filmes para assistir de uma lista
+ * Obrigatório: id_lista, id_usuario (precisa ser membro da lista)
+ */
+function getSharedList(data) {
+  try {
+    const { id_lista, id_usuario } = data;
+    
+    if (!id_lista || !id_usuario) {
+      return createResponse(false, 'Missing required fields: id_lista, id_usuario');
+    }
+    
+    if (!getListRole(id_lista, id_usuario)) {
+      return createMemberDeniedResponse();
+    }
+    
+    const sheet = getOrCreateSheet(SHEET_PARA_ASSISTIR, HEADERS_PARA_ASSISTIR);
+    const values = sheet.getDataRange().getValues();
+    
+    const entries = [];
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][1] === id_lista && !isDeletedRow(values[i], HEADERS_PARA_ASSISTIR)) {
+        entries.push(sharedListRowToObject(values[i]));
+      }
+    }
+    
+    return createResponse(true, 'Shared list retrieved successfully', entries);
+  } catch (error) {
+    Logger.log('Error in getSharedList: ' + error.toString());
+    return createResponse(false, 'Error fetching shared list: ' + error.toString());
+  }
+}
+
+/**
+ * Move um filme da lista compartilhada para os assistidos em uma única requisição
+ * A operação roda sob LockService para que duas pessoas não marquem o mesmo filme ao mesmo tempo
+ * Obrigatório: id_filme (entrada da aba ParaAssistir), id_usuario (dono ou editor da lista), nota
+ * Opcional: assistido_em, review
+ */
+function markAsWatched(data) {
+  const {
+    id_filme,
+    id_usuario,
+    nota,
+    assistido_em = getCurrentTimestamp(),
+    review = ''
+  } = data;
+  
+  if (!id_filme || !id_usuario || nota === undefined) {
+    return createResponse(false, 'Missing required fields: id_filme, id_usuario, nota');
+  }
+  
+  // Valida que nota está entre 0.5 e 5
+  const notaNum = parseFloat(nota);
+  if (isNaN(notaNum) || notaNum < 0.5 || notaNum > 5) {
+    return createResponse(false, 'Invalid nota: must be between 0.5 and 5');
+  }
+  
+  const reviewError = validateReview(review);
+  if (reviewError) {
+    return createResponse(false, reviewError);
+  }
+  
+  const lock = LockService.getScriptLock();
+  
+  try {
+    lock.waitLock(10000);
+    
+    const sharedSheet = getOrCreateSheet(SHEET_PARA_ASSISTIR, HEADERS_PARA_ASSISTIR);
+    const values = sharedSheet.getDataRange().getValues();
+    
+    let rowIndex = -1;
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === id_filme && !isDeletedRow(values[i], HEADERS_PARA_ASSISTIR)) {
+        rowIndex = i;
+        break;
+      }
+    }
+    
+    if (rowIndex === -1) {
+      return createResponse(false, 'Movie not found in shared list');
+    }
+    
+    if (!canEditList(values[rowIndex][1], id_usuario)) {
+      return createEditDeniedResponse();
+    }
+    
+    const entry = sharedListRowToObject(values[rowIndex]);
+    const moviesSheet = getOrCreateSheet(SHEET_FILMES, HEADERS_FILMES);
+    const idAssistido = generateUUID();
+    
+    moviesSheet.appendRow([
+      idAssistido,
+      entry.id_lista,
+      id_usuario,
+      entry.titulo_filme,
+      entry.ano,
+      notaNum,
+      assistido_em,
+      review,
+      'assistido',
+      getCurrentTimestamp(),
+      false,
+      1,
+      entry.tmdb_id
+    ]);
+    
+    // Remove a entrada original só depois que o assistido foi gravado
+    tombstoneRow(sharedSheet, HEADERS_PARA_ASSISTIR, rowIndex);
+    
+    const movieData = {
+      id_filme: idAssistido,
+      id_lista: entry.id_lista,
+      id_usuario: id_usuario,
+      titulo_filme: entry.titulo_filme,
+      ano: entry.ano,
+      nota: notaNum,
+      assistido_em: assistido_em,
+      review: review,
+      id_para_assistir: id_filme,
+      tmdb_id: entry.tmdb_id,
+      version: 1
+    };
+    
+    return createResponse(true, 'Movie marked as watched', movieData);
+  } catch (error) {
+    Logger.log('Error in markAsWatched: ' + error.toString());
+    return createResponse(false, 'Error marking movie as watched: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ============================================================================
+// SYNC INCREMENTAL
+// ============================================================================
+
+/**
+ * Retorna apenas as linhas alteradas ou removidas de uma lista desde um cursor
+ * Obrigatório: id_lista, id_usuario
+ * Opcional: since (cursor devolvido pela chamada anterior; sem ele retorna tudo)
+ * 
+ * A leitura roda sob o mesmo lock das escritas: nenhuma linha pode receber um
+ * updated_at anterior ao cursor e só ser gravada depois da leitura.
+ */
+function getChangesSince(data) {
+  const { id_lista, id_usuario } = data;
+  const since = Number(data.since) || 0;
+  
+  if (!id_lista || !id_usuario) {
+    return createResponse(false, 'Missing required fields: id_lista, id_usuario');
+  }
+  
+  const lock = LockService.getScriptLock();
+  
+  try {
+    lock.waitLock(10000);
+    
+    if (!getListRole(id_lista, id_usuario)) {
+      return createMemberDeniedResponse();
+    }
+    
+    const cursor = new Date().getTime();
+    
+    const shared = collectChanges(
+      getOrCreateSheet(SHEET_PARA_ASSISTIR, HEADERS_PARA_ASSISTIR),
+      HEADERS_PARA_ASSISTIR,
+      id_lista,
+      since,
+      sharedListRowToObject
+    );
+    
+    const watched = collectChanges(
+      getOrCreateSheet(SHEET_FILMES, HEADERS_FILMES),
+      HEADERS_FILMES,
+      id_lista,
+      since,
+      movieRowToObject
+    );
+    
+    return createResponse(true, 'Changes retrieved successfully', {
+      cursor: cursor,
+      full: since === 0,
+      shared: shared,
+      watched: watched
+    });
+  } catch (error) {
+    Logger.log('Error in getChangesSince: ' + error.toString());
+    return createResponse(false, 'Error fetching changes: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Separa as linhas de uma lista alteradas desde o cursor em changed e deleted
+ * Em uma carga completa (since = 0) as linhas removidas são omitidas
+ */
+function collectChanges(sheet, headers, id_lista, since, toObject) {
+  const values = sheet.getDataRange().getValues();
+  const changes = { changed: [], deleted: [] };
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    if (row[1] !== id_lista) {
+      continue;
+    }
+    
+    const deleted = isDeletedRow(row, headers);
+    
+    if (since === 0) {
+      if (!deleted) {
+        changes.changed.push(toObject(row));
+      }
+    } else if (rowUpdatedAt(row, headers) >= since) {
+      if (deleted) {
+        changes.deleted.push(row[0]);
+      } else {
+        changes.changed.push(toObject(row));
+      }
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Converte uma linha da aba Filmes em objeto
+ */
+function movieRowToObject(row) {
+  return {
+    id_filme: row[0],
+    id_lista: row[1],
+    id_usuario: row[2],
+    titulo_filme: row[3],
+    ano: row[4],
+    nota: row[5],
+    assistido_em: row[6],
+    review: row[7],
+    status: row[8],
+    tmdb_id: row[HEADERS_FILMES.indexOf('tmdb_id')],
+    version: rowVersion(row, HEADERS_FILMES)
+  };
+}
+
+/**
+ * Converte uma linha da aba ParaAssistir em objeto
+ */
+function sharedListRowToObject(row) {
+  return {
+    id_filme: row[0],
+    id_lista: row[1],
+    id_usuario: row[2],
+    tmdb_id: row[3],
+    titulo_filme: row[4],
+    ano: row[5],
+    poster: row[6],
+    rating: row[7],
+    genres: parseGenres(row[8]),
+    overview: row[9],
+    added_by: row[10],
+    added_at: row[11]
+  };
+}
+
+/**
+ * Normaliza a lista de gêneros recebida como array, JSON ou texto separado por vírgulas
+ */
+function parseGenres(genres) {
+  if (Array.isArray(genres)) {
+    return genres;
+  }
+  
+  if (!genres) {
+    return [];
+  }
+  
+  try {
+    const parsed = JSON.parse(genres);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return String(genres).split(',').map(function(genre) {
+      return genre.trim();
+    }).filter(function(genre) {
+      return genre.length > 0;
+    });
   }
 }
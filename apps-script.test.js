@@ -0,0 +1,809 @@
+/**
+ * Unit tests for the Apps Script backend (apps-script-*.gs)
+ * The scripts run in a VM context with an in-memory spreadsheet and
+ * minimal stand-ins for the Apps Script services they use
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const SCRIPT_FILES = ['apps-script-1-CORE.gs', 'apps-script-2-USERS.gs', 'apps-script-3-MOVIES-LISTS.gs'];
+const SOURCE = SCRIPT_FILES
+  .map(file => fs.readFileSync(path.join(__dirname, file), 'utf8'))
+  .join('\n');
+
+const HEADERS_LISTAS = ['id_lista', 'id_usuario_dono', 'titulo', 'descricao', 'criada_em'];
+
+// Sheet backed by an array of rows (row 1 is the header)
+class FakeSheet {
+  constructor(name) {
+    this.name = name;
+    this.rows = [];
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((max, row) => Math.max(max, row.length), 0);
+  }
+
+  getLastRow() {
+    return this.rows.length;
+  }
+
+  getDataRange() {
+    return this.getRange(1, 1, this.rows.length, this.getLastColumn());
+  }
+
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    const sheet = this;
+    return {
+      getValues() {
+        const values = [];
+        for (let r = 0; r < numRows; r++) {
+          const source = sheet.rows[row - 1 + r] || [];
+          const copy = [];
+          for (let c = 0; c < numColumns; c++) {
+            const value = source[column - 1 + c];
+            copy.push(value === undefined ? '' : value);
+          }
+          values.push(copy);
+        }
+        return values;
+      },
+      setValue(value) {
+        sheet.write(row, column, [[value]]);
+      },
+      setValues(values) {
+        sheet.write(row, column, values);
+      }
+    };
+  }
+
+  write(row, column, values) {
+    values.forEach((rowValues, r) => {
+      while (this.rows.length < row + r) {
+        this.rows.push([]);
+      }
+      const target = this.rows[row - 1 + r];
+      rowValues.forEach((value, c) => {
+        target[column - 1 + c] = value;
+      });
+    });
+  }
+
+  appendRow(values) {
+    this.rows.push([...values]);
+  }
+
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+  }
+
+  deleteRows(row, howMany) {
+    this.rows.splice(row - 1, howMany);
+  }
+}
+
+class FakeSpreadsheet {
+  constructor() {
+    this.sheets = new Map();
+  }
+
+  getSheetByName(name) {
+    return this.sheets.get(name) || null;
+  }
+
+  insertSheet(name) {
+    const sheet = new FakeSheet(name);
+    this.sheets.set(name, sheet);
+    return sheet;
+  }
+}
+
+// Script lock state; each getScriptLock() call gets its own handle, as in Apps Script,
+// so releasing a handle that never got the lock leaves it held
+class FakeScriptLock {
+  constructor() {
+    this.held = false;
+    this.acquisitions = 0;
+  }
+
+  handle() {
+    const state = this;
+    let owned = false;
+    return {
+      waitLock() {
+        if (state.held) {
+          throw new Error('Lock timeout: another process was holding the lock for too long');
+        }
+        state.held = true;
+        state.acquisitions++;
+        owned = true;
+      },
+      tryLock() {
+        if (state.held) {
+          return false;
+        }
+        this.waitLock();
+        return true;
+      },
+      hasLock() {
+        return owned;
+      },
+      releaseLock() {
+        if (owned) {
+          state.held = false;
+          owned = false;
+        }
+      }
+    };
+  }
+}
+
+// Apps Script byte arrays are signed
+function toSignedBytes(buffer) {
+  return Array.from(new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+}
+
+function toBuffer(value) {
+  return typeof value === 'string' ? Buffer.from(value, 'utf8') : Buffer.from(value.map(b => b & 0xff));
+}
+
+function createBackend() {
+  const spreadsheet = new FakeSpreadsheet();
+  const lock = new FakeScriptLock();
+  const properties = {};
+
+  const context = vm.createContext({
+    SpreadsheetApp: { getActiveSpreadsheet: () => spreadsheet },
+    LockService: { getScriptLock: () => lock.handle() },
+    PropertiesService: {
+      getScriptProperties: () => ({
+        getProperty: key => (key in properties ? properties[key] : null),
+        setProperty: (key, value) => { properties[key] = String(value); }
+      })
+    },
+    ContentService: {
+      MimeType: { JSON: 'application/json' },
+      createTextOutput: content => ({
+        getContent: () => content,
+        setMimeType() { return this; }
+      })
+    },
+    Utilities: {
+      DigestAlgorithm: { SHA_256: 'sha256' },
+      Charset: { UTF_8: 'utf8' },
+      getUuid: () => crypto.randomUUID(),
+      computeDigest: (algorithm, value) =>
+        toSignedBytes(crypto.createHash(algorithm).update(toBuffer(value)).digest()),
+      computeHmacSha256Signature: (value, key) =>
+        toSignedBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest()),
+      newBlob: value => ({ getBytes: () => toSignedBytes(Buffer.from(value, 'utf8')) })
+    },
+    Logger: { log: () => {} }
+  });
+  vm.runInContext(SOURCE, context, { filename: 'apps-script.gs' });
+
+  // The script expects Usuarios and Listas to exist already
+  spreadsheet.insertSheet('Usuarios').appendRow(vm.runInContext('HEADERS_USUARIOS', context));
+  spreadsheet.insertSheet('Listas').appendRow(HEADERS_LISTAS);
+
+  const backend = {
+    context,
+    spreadsheet,
+    lock,
+    constant: name => vm.runInContext(name, context),
+    call: (handler, data) => JSON.parse(context[handler](data).getContent()),
+    // Goes through doPost, so the token is checked and the identity fields are filled in
+    request: body => JSON.parse(context.doPost({ parameter: {}, postData: { contents: JSON.stringify(body) } }).getContent()),
+    sheet: name => spreadsheet.getSheetByName(name),
+
+    addUser(id, { isAdmin = false } = {}) {
+      spreadsheet.getSheetByName('Usuarios')
+        .appendRow([id, id, `${id}@example.com`, '', isAdmin, new Date().toISOString(), '', '', '']);
+      return id;
+    },
+
+    createList(owner) {
+      const response = backend.call('createList', { id_usuario_dono: owner, titulo: 'Lista' });
+      return response.data.id_lista;
+    },
+
+    share(idLista, owner, member, role) {
+      return backend.call('shareList', {
+        id_lista: idLista,
+        id_usuario_solicitante: owner,
+        id_usuario_compartilhar: member,
+        role
+      });
+    }
+  };
+
+  return backend;
+}
+
+describe('Apps Script backend', () => {
+  describe('list roles', () => {
+    let backend;
+    let idLista;
+    let sharedEntry;
+    let movie;
+
+    beforeEach(() => {
+      backend = createBackend();
+      ['owner', 'editor', 'viewer', 'stranger'].forEach(id => backend.addUser(id));
+      idLista = backend.createList('owner');
+      backend.share(idLista, 'owner', 'editor', backend.constant('ROLE_EDITOR'));
+      backend.share(idLista, 'owner', 'viewer', backend.constant('ROLE_VIEWER'));
+
+      sharedEntry = backend.call('addToSharedList', {
+        id_lista: idLista, id_usuario: 'owner', titulo_filme: 'Alien', tmdb_id: 348
+      }).data;
+      movie = backend.call('addWatchedMovie', {
+        id_lista: idLista, id_usuario: 'owner', titulo_filme: 'Heat', nota: 4
+      }).data;
+    });
+
+    const expectDenied = (response) => {
+      expect(response.ok).toBe(false);
+      expect(response.message).toMatch(/^Access denied/);
+    };
+
+    test('viewer cannot change films in the list', () => {
+      expectDenied(backend.call('addToSharedList', {
+        id_lista: idLista, id_usuario: 'viewer', titulo_filme: 'Ran', tmdb_id: 11645
+      }));
+      expectDenied(backend.call('removeFromSharedList', { id_filme: sharedEntry.id_filme, id_usuario: 'viewer' }));
+      expectDenied(backend.call('markAsWatched', { id_filme: sharedEntry.id_filme, id_usuario: 'viewer', nota: 3 }));
+      expectDenied(backend.call('addWatchedMovie', {
+        id_lista: idLista, id_usuario: 'viewer', titulo_filme: 'Ran', nota: 3
+      }));
+      expectDenied(backend.call('updateMovie', { id_filme: movie.id_filme, id_usuario: 'viewer', nota: 1 }));
+      expectDenied(backend.call('deleteMovie', { id_filme: movie.id_filme, id_usuario: 'viewer' }));
+
+      // Nothing was changed
+      const shared = backend.call('getSharedList', { id_lista: idLista, id_usuario: 'viewer' }).data;
+      expect(shared.map(entry => entry.id_filme)).toEqual([sharedEntry.id_filme]);
+      const movies = backend.call('getMoviesByList', { id_lista: idLista, id_usuario: 'viewer' }).data;
+      expect(movies).toHaveLength(1);
+      expect(movies[0].nota).toBe(4);
+    });
+
+    test('non-member cannot read or change the list', () => {
+      expectDenied(backend.call('getSharedList', { id_lista: idLista, id_usuario: 'stranger' }));
+      expectDenied(backend.call('getMoviesByList', { id_lista: idLista, id_usuario: 'stranger' }));
+      expectDenied(backend.call('updateMovie', { id_filme: movie.id_filme, id_usuario: 'stranger', nota: 1 }));
+      expectDenied(backend.call('removeFromSharedList', { id_filme: sharedEntry.id_filme, id_usuario: 'stranger' }));
+    });
+
+    test('editor can change films in the list', () => {
+      expect(backend.call('addToSharedList', {
+        id_lista: idLista, id_usuario: 'editor', titulo_filme: 'Ran', tmdb_id: 11645
+      }).ok).toBe(true);
+      expect(backend.call('updateMovie', { id_filme: movie.id_filme, id_usuario: 'editor', nota: 5 }).ok).toBe(true);
+      expect(backend.call('markAsWatched', { id_filme: sharedEntry.id_filme, id_usuario: 'editor', nota: 3 }).ok).toBe(true);
+      expect(backend.call('deleteMovie', { id_filme: movie.id_filme, id_usuario: 'editor' }).ok).toBe(true);
+
+      const shared = backend.call('getSharedList', { id_lista: idLista, id_usuario: 'editor' }).data;
+      expect(shared.map(entry => entry.titulo_filme)).toEqual(['Ran']);
+    });
+  });
+
+  describe('script lock', () => {
+    let backend;
+    let idLista;
+    let sharedEntry;
+
+    beforeEach(() => {
+      backend = createBackend();
+      backend.addUser('owner');
+      idLista = backend.createList('owner');
+      sharedEntry = backend.call('addToSharedList', {
+        id_lista: idLista, id_usuario: 'owner', titulo_filme: 'Alien', tmdb_id: 348
+      }).data;
+    });
+
+    test('writers and getChangesSince wait for the lock held by another request', () => {
+      backend.lock.held = true;
+
+      const responses = [
+        backend.call('addToSharedList', { id_lista: idLista, id_usuario: 'owner', titulo_filme: 'Ran', tmdb_id: 11645 }),
+        backend.call('removeFromSharedList', { id_filme: sharedEntry.id_filme, id_usuario: 'owner' }),
+        backend.call('addWatchedMovie', { id_lista: idLista, id_usuario: 'owner', titulo_filme: 'Heat', nota: 4 }),
+        backend.call('getChangesSince', { id_lista: idLista, id_usuario: 'owner', since: 0 })
+      ];
+
+      responses.forEach(response => {
+        expect(response.ok).toBe(false);
+        expect(response.message).toMatch(/Lock timeout/);
+      });
+      expect(backend.sheet('ParaAssistir').rows).toHaveLength(2);
+      expect(backend.sheet('Filmes')).toBeNull();
+    });
+
+    test('lock is released after each call', () => {
+      const acquisitions = backend.lock.acquisitions;
+
+      expect(backend.call('getChangesSince', { id_lista: idLista, id_usuario: 'owner', since: 0 }).ok).toBe(true);
+      expect(backend.call('removeFromSharedList', { id_filme: sharedEntry.id_filme, id_usuario: 'owner' }).ok).toBe(true);
+
+      expect(backend.lock.acquisitions).toBe(acquisitions + 2);
+      expect(backend.lock.held).toBe(false);
+    });
+
+    test('adding the same film twice keeps a single entry', () => {
+      const again = backend.call('addToSharedList', {
+        id_lista: idLista, id_usuario: 'owner', titulo_filme: 'Alien', tmdb_id: '348'
+      });
+
+      expect(again.data.id_filme).toBe(sharedEntry.id_filme);
+      expect(backend.call('getSharedList', { id_lista: idLista, id_usuario: 'owner' }).data).toHaveLength(1);
+    });
+
+    test('deleteList waits for the lock and tombstones the list films', () => {
+      backend.addUser('member');
+      backend.share(idLista, 'owner', 'member', 'editor');
+      backend.call('addWatchedMovie', { id_lista: idLista, id_usuario: 'owner', titulo_filme: 'Heat', nota: 4 });
+
+      backend.lock.held = true;
+      expect(backend.call('deleteList', { id_lista: idLista, id_usuario: 'owner' }).message).toMatch(/Lock timeout/);
+      expect(backend.sheet('Listas').rows).toHaveLength(2);
+
+      backend.lock.held = false;
+      expect(backend.call('deleteList', { id_lista: idLista, id_usuario: 'owner' }).ok).toBe(true);
+
+      const deletedColumn = headers => backend.constant(headers).indexOf('deleted');
+      const paraAssistir = backend.sheet('ParaAssistir').rows;
+      const filmes = backend.sheet('Filmes').rows;
+      expect(paraAssistir).toHaveLength(2);
+      expect(paraAssistir[1][deletedColumn('HEADERS_PARA_ASSISTIR')]).toBe(true);
+      expect(filmes).toHaveLength(2);
+      expect(filmes[1][deletedColumn('HEADERS_FILMES')]).toBe(true);
+      expect(backend.sheet('Listas').rows).toHaveLength(1);
+      expect(backend.sheet('ListaCompartilhada').rows).toHaveLength(1);
+      expect(backend.lock.held).toBe(false);
+    });
+  });
+
+  describe('user administration', () => {
+    let backend;
+    const adminSession = { id_sessao: 'session-1', id_usuario: 'admin', is_admin: true };
+
+    beforeEach(() => {
+      backend = createBackend();
+      backend.addUser('admin', { isAdmin: true });
+      backend.addUser('user');
+    });
+
+    test('updateUser rejects a password shorter than the minimum', () => {
+      const response = backend.call('updateUser', {
+        session: adminSession, id_usuario_alvo: 'user', senha: '123'
+      });
+
+      expect(response.ok).toBe(false);
+      expect(response.message).toMatch(/Password too short/);
+      expect(backend.sheet('Usuarios').rows[2][3]).toBe('');
+    });
+
+    test('updateUser accepts a password of the minimum length', () => {
+      const senha = 'x'.repeat(backend.constant('MIN_PASSWORD_LENGTH'));
+      const response = backend.call('updateUser', { session: adminSession, id_usuario_alvo: 'user', senha });
+
+      expect(response.ok).toBe(true);
+      expect(backend.sheet('Usuarios').rows[2][3]).not.toBe('');
+    });
+
+    test('registerUser rejects a password shorter than the minimum', () => {
+      const { codigo } = backend.call('createInvite', { session: adminSession }).data;
+      const response = backend.call('registerUser', {
+        nome: 'Ana', email: 'ana@example.com', senha: '1', convite: codigo
+      });
+
+      expect(response.ok).toBe(false);
+      expect(response.message).toMatch(/Password too short/);
+      expect(backend.sheet('Usuarios').rows).toHaveLength(3);
+    });
+
+    test('the last admin cannot be demoted or deleted', () => {
+      expect(backend.call('updateUser', {
+        session: adminSession, id_usuario_alvo: 'admin', is_admin: false
+      }).message).toBe('Cannot remove the last admin');
+      expect(backend.call('deleteUser', {
+        session: adminSession, id_usuario_alvo: 'admin'
+      }).message).toBe('Cannot remove the last admin');
+    });
+
+    test('updateUser and deleteUser wait for the lock held by another request', () => {
+      backend.lock.held = true;
+
+      [
+        backend.call('updateUser', { session: adminSession, id_usuario_alvo: 'user', is_admin: true }),
+        backend.call('deleteUser', { session: adminSession, id_usuario_alvo: 'user' })
+      ].forEach(response => {
+        expect(response.ok).toBe(false);
+        expect(response.message).toMatch(/Lock timeout/);
+      });
+      expect(backend.sheet('Usuarios').rows).toHaveLength(3);
+      expect(backend.sheet('Usuarios').rows[2][4]).toBe(false);
+    });
+
+    test('deleteUser removes the memberships of the user and the lists it owns', () => {
+      backend.addUser('ana');
+      const adminList = backend.createList('admin');
+      const userList = backend.createList('user');
+      backend.share(adminList, 'admin', 'user', 'editor');
+      backend.share(adminList, 'admin', 'ana', 'viewer');
+      backend.share(userList, 'user', 'ana', 'editor');
+
+      expect(backend.call('deleteUser', { session: adminSession, id_usuario_alvo: 'user' }).ok).toBe(true);
+
+      expect(backend.sheet('ListaCompartilhada').rows.slice(1).map(row => [row[0], row[1]]))
+        .toEqual([[adminList, 'ana']]);
+      expect(backend.sheet('Listas').rows.slice(1).map(row => row[0])).toEqual([adminList]);
+      expect(backend.lock.held).toBe(false);
+    });
+  });
+
+  describe('login attempts', () => {
+    let backend;
+    let attempts;
+    const HOUR = 60 * 60 * 1000;
+
+    beforeEach(() => {
+      backend = createBackend();
+      attempts = backend.spreadsheet.insertSheet('TentativasLogin');
+      attempts.appendRow(backend.constant('HEADERS_TENTATIVAS_LOGIN'));
+    });
+
+    const failLogin = (email) => backend.call('login', { email, senha: 'wrong-password' });
+    const keysInSheet = () => attempts.rows.slice(1).map(row => row[0]);
+
+    test('expired rows are removed on the next failure', () => {
+      const old = Date.now() - 2 * HOUR;
+      attempts.appendRow(['email:old@example.com', 3, 0, old]);
+      attempts.appendRow(['email:recent@example.com', 2, 0, Date.now() - 60 * 1000]);
+
+      failLogin('new@example.com');
+
+      expect(keysInSheet()).toEqual(['email:new@example.com', 'email:recent@example.com']);
+    });
+
+    test('repeated failures update a single row per key', () => {
+      attempts.appendRow(['email:someone@example.com', 1, 0, Date.now()]);
+      attempts.appendRow(['email:someone@example.com', 2, 0, Date.now()]);
+
+      failLogin('someone@example.com');
+      failLogin('someone@example.com');
+
+      expect(attempts.rows).toHaveLength(2);
+      expect(attempts.rows[1].slice(0, 2)).toEqual(['email:someone@example.com', 4]);
+    });
+
+    test('the sheet never grows past the row limit', () => {
+      const limit = backend.constant('MAX_LOGIN_ATTEMPT_ROWS');
+      const recent = Date.now() - 60 * 1000;
+      attempts.appendRow(['email:locked@example.com', 5, Date.now() + HOUR, recent - 1000]);
+      for (let i = 0; i < limit; i++) {
+        attempts.appendRow([`email:user${i}@example.com`, 1, 0, recent]);
+      }
+
+      failLogin('new@example.com');
+
+      expect(attempts.rows).toHaveLength(limit + 1);
+      expect(keysInSheet()).toContain('email:new@example.com');
+      // A running lockout is not dropped to make room
+      expect(keysInSheet()).toContain('email:locked@example.com');
+    });
+
+    test('successful login clears the failures of its keys', () => {
+      const senha = 'correct-password';
+      backend.call('registerUser', { nome: 'Ana', email: 'ana@example.com', senha, session: { is_admin: true } });
+      failLogin('ana@example.com');
+      failLogin('other@example.com');
+
+      expect(backend.call('login', { email: 'ana@example.com', senha }).ok).toBe(true);
+      expect(keysInSheet()).toEqual(['email:other@example.com']);
+      expect(backend.lock.held).toBe(false);
+    });
+  });
+
+  describe('watched films', () => {
+    let backend;
+    let idLista;
+
+    beforeEach(() => {
+      backend = createBackend();
+      backend.addUser('owner');
+      idLista = backend.createList('owner');
+    });
+
+    test('marking a film as watched keeps its tmdb_id', () => {
+      const entry = backend.call('addToSharedList', {
+        id_lista: idLista, id_usuario: 'owner', titulo_filme: 'Alien', tmdb_id: 348
+      }).data;
+
+      const watched = backend.call('markAsWatched', { id_filme: entry.id_filme, id_usuario: 'owner', nota: 4 }).data;
+      expect(watched.tmdb_id).toBe(348);
+
+      const changes = backend.call('getChangesSince', { id_lista: idLista, id_usuario: 'owner', since: 0 }).data;
+      expect(changes.shared.changed).toHaveLength(0);
+      expect(changes.watched.changed.map(row => [row.id_filme, row.tmdb_id])).toEqual([[watched.id_filme, 348]]);
+
+      const movies = backend.call('getMoviesByList', { id_lista: idLista, id_usuario: 'owner' }).data;
+      expect(movies[0].tmdb_id).toBe(348);
+    });
+
+    test('addWatchedMovie stores the tmdb_id it receives', () => {
+      const movie = backend.call('addWatchedMovie', {
+        id_lista: idLista, id_usuario: 'owner', titulo_filme: 'Heat', tmdb_id: '949', nota: 5
+      }).data;
+
+      expect(movie.tmdb_id).toBe(949);
+      const changes = backend.call('getChangesSince', { id_lista: idLista, id_usuario: 'owner', since: 0 }).data;
+      expect(changes.watched.changed[0].tmdb_id).toBe(949);
+    });
+  });
+
+  describe('password reset codes', () => {
+    let backend;
+    let codigo;
+    const adminSession = { id_sessao: 'session-1', id_usuario: 'admin', is_admin: true };
+
+    beforeEach(() => {
+      backend = createBackend();
+      backend.addUser('admin', { isAdmin: true });
+      backend.addUser('user');
+      codigo = backend.call('createResetCode', { session: adminSession, id_usuario_alvo: 'user' }).data.codigo;
+    });
+
+    const redeem = (code, nova_senha = 'new-password') =>
+      backend.call('redeemResetCode', { email: 'user@example.com', codigo: code, nova_senha });
+
+    test('a code can only be used once', () => {
+      expect(redeem(codigo).ok).toBe(true);
+      expect(backend.call('login', { email: 'user@example.com', senha: 'new-password' }).ok).toBe(true);
+
+      const again = redeem(codigo, 'another-password');
+      expect(again.ok).toBe(false);
+      expect(again.message).toBe('Invalid or expired reset code');
+      expect(backend.call('login', { email: 'user@example.com', senha: 'new-password' }).ok).toBe(true);
+    });
+
+    test('a new code invalidates the previous one', () => {
+      const newer = backend.call('createResetCode', { session: adminSession, id_usuario_alvo: 'user' }).data.codigo;
+
+      expect(redeem(codigo).ok).toBe(false);
+      expect(redeem(newer).ok).toBe(true);
+    });
+
+    test('an expired code is rejected', () => {
+      const codes = backend.sheet('CodigosReset');
+      codes.rows[1][4] = Date.now() - 1000;
+
+      expect(redeem(codigo).ok).toBe(false);
+      expect(codes.rows[1][5]).toBe(false);
+    });
+
+    test('wrong codes lead to the login lockout', () => {
+      const maxAttempts = backend.constant('MAX_LOGIN_ATTEMPTS');
+      let response;
+      for (let i = 0; i < maxAttempts; i++) {
+        response = redeem('WRONGCODE');
+      }
+      expect(response.status).toBe(429);
+
+      // During the lockout even the right code is not checked
+      expect(redeem(codigo).status).toBe(429);
+      expect(backend.sheet('CodigosReset').rows[1][5]).toBe(false);
+    });
+
+    test('redeeming waits for the lock held by another request', () => {
+      backend.lock.held = true;
+
+      expect(redeem(codigo).message).toMatch(/Lock timeout/);
+      backend.lock.held = false;
+      expect(redeem(codigo).ok).toBe(true);
+    });
+  });
+
+  describe('sessions', () => {
+    let backend;
+    let token;
+
+    beforeEach(() => {
+      backend = createBackend();
+      backend.addUser('user');
+      backend.addUser('other');
+      backend.createList('other');
+      token = backend.context.createSession('user').token;
+    });
+
+    const expectRejected = response => {
+      expect(response.ok).toBe(false);
+      expect(response.message).toBe('Invalid or expired session');
+    };
+
+    test('a token issued by createSession resolves to its user', () => {
+      expect(backend.context.resolveSession(token)).toMatchObject({ id_usuario: 'user', is_admin: false });
+      expect(backend.request({ action: 'getListsByUser', token }).ok).toBe(true);
+    });
+
+    test('forged tokens are rejected', () => {
+      const [idSessao, expiraEm, assinatura] = token.split('.');
+      const otherSession = backend.context.createSession('other').token.split('.')[0];
+
+      [
+        `${idSessao}.${expiraEm}.${assinatura.slice(0, -2)}xx`,
+        `${idSessao}.${Number(expiraEm) + 1000}.${assinatura}`,
+        `${otherSession}.${expiraEm}.${assinatura}`,
+        `${idSessao}.${expiraEm}`,
+        'not-a-token'
+      ].forEach(forged => {
+        expect(backend.context.resolveSession(forged)).toBeNull();
+        expectRejected(backend.request({ action: 'getListsByUser', token: forged }));
+      });
+    });
+
+    test('expired tokens are rejected', () => {
+      const idSessao = token.split('.')[0];
+      const expirado = Date.now() - 1000;
+      backend.sheet('Sessoes').rows[1][3] = expirado;
+      const stale = `${idSessao}.${expirado}.${backend.context.signSession(idSessao, 'user', expirado)}`;
+
+      expect(backend.context.resolveSession(stale)).toBeNull();
+      expectRejected(backend.request({ action: 'getListsByUser', token: stale }));
+    });
+
+    test('revoked tokens are rejected', () => {
+      expect(backend.request({ action: 'logout', token }).ok).toBe(true);
+      expectRejected(backend.request({ action: 'getListsByUser', token }));
+
+      const second = backend.context.createSession('user').token;
+      backend.context.revokeUserSessions('user');
+      expectRejected(backend.request({ action: 'getListsByUser', token: second }));
+    });
+
+    test('identity fields sent by the client are replaced by the session user', () => {
+      const created = backend.request({ action: 'createList', token, id_usuario_dono: 'other', titulo: 'Minha' });
+      expect(created.ok).toBe(true);
+      expect(backend.sheet('Listas').rows.find(row => row[0] === created.data.id_lista)[1]).toBe('user');
+
+      const lists = backend.request({ action: 'getListsByUser', token, id_usuario: 'other' }).data;
+      expect(lists.map(list => list.titulo)).toEqual(['Minha']);
+    });
+  });
+
+  describe('batch', () => {
+    let backend;
+    let token;
+    let idLista;
+
+    beforeEach(() => {
+      backend = createBackend();
+      backend.addUser('owner');
+      idLista = backend.createList('owner');
+      token = backend.context.createSession('owner').token;
+    });
+
+    const watched = (id, extra = {}) => ({
+      id, action: 'addWatchedMovie', id_lista: idLista, titulo_filme: `Filme ${id}`, nota: 3, ...extra
+    });
+
+    test('later operations use the real id of a record created in the same batch', () => {
+      const response = backend.request({
+        action: 'batch',
+        token,
+        operations: [
+          watched('op-1', { tempId: 'temp-1' }),
+          { id: 'op-2', action: 'updateMovie', id_filme: 'temp-1', nota: 5, review: 'Revisto' }
+        ]
+      });
+
+      expect(response.ok).toBe(true);
+      const [added, updated] = response.data.results;
+      expect(added).toMatchObject({ id: 'op-1', ok: true, tempId: 'temp-1' });
+      expect(response.data.id_map).toEqual({ 'temp-1': added.realId });
+      expect(updated).toMatchObject({ id: 'op-2', ok: true });
+
+      const row = backend.sheet('Filmes').rows.find(r => r[0] === added.realId);
+      expect(row[2]).toBe('owner');
+      expect(row[5]).toBe(5);
+      expect(row[7]).toBe('Revisto');
+    });
+
+    test('an unknown temp id is passed through and fails on its own', () => {
+      const response = backend.request({
+        action: 'batch',
+        token,
+        operations: [{ id: 'op-1', action: 'updateMovie', id_filme: 'temp-missing', nota: 4 }, watched('op-2')]
+      });
+
+      expect(response.data.results[0].ok).toBe(false);
+      expect(response.data.results[1].ok).toBe(true);
+      expect(response.data.id_map).toEqual({});
+    });
+
+    test('a batch holds at most MAX_BATCH_OPERATIONS operations', () => {
+      const max = backend.constant('MAX_BATCH_OPERATIONS');
+      expect(max).toBe(50);
+
+      const tooMany = backend.request({
+        action: 'batch',
+        token,
+        operations: Array.from({ length: max + 1 }, (_, i) => watched(`op-${i}`))
+      });
+      expect(tooMany.ok).toBe(false);
+      expect(tooMany.message).toBe('Too many operations: maximum 50 per batch');
+      expect(backend.sheet('Filmes')).toBeNull();
+
+      const full = backend.request({
+        action: 'batch',
+        token,
+        operations: Array.from({ length: max }, (_, i) => watched(`op-${i}`))
+      });
+      expect(full.ok).toBe(true);
+      expect(full.data.results.every(result => result.ok)).toBe(true);
+      expect(backend.sheet('Filmes').rows).toHaveLength(max + 1);
+    });
+
+    test('nested batches and public actions are refused per operation', () => {
+      const response = backend.request({
+        action: 'batch',
+        token,
+        operations: [
+          { id: 'op-1', action: 'batch', operations: [] },
+          { id: 'op-2', action: 'login', email: 'owner@example.com', senha: 'x' }
+        ]
+      });
+
+      expect(response.data.results.map(result => result.message)).toEqual([
+        'Action not allowed in batch: batch',
+        'Action not allowed in batch: login'
+      ]);
+    });
+  });
+
+  describe('password hashing', () => {
+    let backend;
+
+    beforeEach(() => {
+      backend = createBackend();
+    });
+
+    test('hashPassword is PBKDF2-HMAC-SHA256 and round-trips through verifyPassword', () => {
+      const iterations = backend.constant('PASSWORD_HASH_ITERATIONS');
+      const record = backend.context.createPasswordHash('senha-forte');
+
+      expect(record.hash_version).toBe(backend.constant('HASH_VERSION_PBKDF2'));
+      expect(record.senha_hash).toBe(
+        crypto.pbkdf2Sync('senha-forte', record.senha_salt, iterations, 32, 'sha256').toString('hex')
+      );
+
+      const row = ['user', 'user', 'user@example.com', record.senha_hash, false, '', record.senha_salt, record.hash_version, ''];
+      expect(backend.context.verifyPassword('senha-forte', row)).toBe(true);
+      expect(backend.context.verifyPassword('senha-fraca', row)).toBe(false);
+      expect(backend.context.createPasswordHash('senha-forte').senha_salt).not.toBe(record.senha_salt);
+    });
+
+    test('a legacy SHA-256 hash is upgraded on the next login', () => {
+      const legacyHash = crypto.createHash('sha256').update('senha-antiga').digest('hex');
+      backend.sheet('Usuarios')
+        .appendRow(['old', 'Old', 'old@example.com', legacyHash, false, new Date().toISOString(), '', '', '']);
+
+      expect(backend.call('login', { email: 'old@example.com', senha: 'errada' }).ok).toBe(false);
+      expect(backend.sheet('Usuarios').rows[1][3]).toBe(legacyHash);
+
+      expect(backend.call('login', { email: 'old@example.com', senha: 'senha-antiga' }).ok).toBe(true);
+
+      const row = backend.sheet('Usuarios').rows[1];
+      expect(row[7]).toBe(backend.constant('PASSWORD_HASH_VERSION'));
+      expect(row[6]).toBeTruthy();
+      expect(row[3]).not.toBe(legacyHash);
+      expect(row[3]).toBe(backend.context.hashPassword('senha-antiga', row[6]));
+
+      expect(backend.call('login', { email: 'old@example.com', senha: 'senha-antiga' }).ok).toBe(true);
+      expect(backend.call('login', { email: 'old@example.com', senha: 'errada' }).ok).toBe(false);
+    });
+  });
+});
@@ -8,7 +8,8 @@ const CONFIG = {
         apiKey: 'YOUR_TMDB_API_KEY_HERE',
         readAccessToken: 'YOUR_TMDB_READ_ACCESS_TOKEN_HERE',
         baseUrl: 'https://api.themoviedb.org/3',
-        imageBaseUrl: 'https://image.tmdb.org/t/p/w500'
+        imageBaseUrl: 'https://image.tmdb.org/t/p/w500',
+        watchRegion: 'BR' // Country (ISO 3166-1) of the streaming, rental and purchase options
     },
     
     // Google Sheets API Configuration
@@ -20,9 +21,11 @@ const CONFIG = {
     
     // Application Settings
     app: {
-        sessionTimeout: 3600000, // 1 hour in milliseconds
-        maxLoginAttempts: 5,
-        cacheExpiration: 300000 // 5 minutes in milliseconds
+        sessionTimeout: 3600000, // Idle time before the session ends (1 hour in milliseconds)
+        sessionMaxAge: 604800000, // Session length regardless of activity (7 days); the Apps Script caps it at SESSION_MAX_AGE_MS
+        maxLoginAttempts: 5, // Enforced by the Apps Script: keep equal to MAX_LOGIN_ATTEMPTS
+        cacheExpiration: 300000, // 5 minutes in milliseconds
+        persistedCacheExpiration: 604800000 // TMDB responses kept in storage across reloads (7 days)
     }
 };
 
@@ -1,16 +1,31 @@
 /**
  * Admin Page Module
- * Manages the admin interface for user management
+ * Manages the admin interface for user management and registration invites
  * Requirements: 1.1, 1.2, 1.3, 1.4
  */
 
-// Initialize services
+// Initialize services (the admin actions need the Apps Script API)
+const googleSheetsApi = typeof CONFIG !== 'undefined' && CONFIG.googleSheets?.apiUrl
+  ? new GoogleSheetsApi(CONFIG.googleSheets.apiUrl)
+  : null;
 const storageManager = new StorageManager();
-const userService = new UserService(storageManager);
-const authService = new AuthService(storageManager, userService);
+const userService = new UserService(googleSheetsApi);
+const appConfig = (typeof CONFIG !== 'undefined' && CONFIG.app) || {};
+const authService = new AuthService(storageManager, googleSheetsApi, {
+  sessionTimeout: appConfig.sessionTimeout,
+  sessionMaxAge: appConfig.sessionMaxAge
+});
 
 // State
-let editingUserId = null;
+let users = [];
+
+// Labels for the invite status computed by the Apps Script
+const INVITE_STATUS_LABELS = {
+  ativo: 'Ativo',
+  esgotado: 'Esgotado',
+  expirado: 'Expirado',
+  revogado: 'Revogado'
+};
 
 /**
  * Initialize the admin page
@@ -37,6 +52,28 @@ function initAdminPage() {
     return;
   }
 
+  if (!googleSheetsApi) {
+    notificationService.error('API não configurada. Configure o Google Sheets API no arquivo config.js.');
+    return;
+  }
+
+  // Send the admin back to the login screen when the server rejects the token
+  googleSheetsApi.onSessionExpired = () => {
+    notificationService.warning('Sua sessão expirou. Faça login novamente.');
+    handleLogout();
+  };
+
+  // Keep the session alive while the admin works here, and end it once it timed out
+  ['click', 'keydown'].forEach(type => {
+    document.addEventListener(type, () => {
+      if (authService.getSessionTimeLeft() > 0) {
+        authService.recordActivity();
+      } else {
+        googleSheetsApi.onSessionExpired();
+      }
+    }, { capture: true });
+  });
+
   // Set up navigation
   setupNavigation();
 
@@ -45,6 +82,10 @@ function initAdminPage() {
 
   // Load and display users
   loadUsers();
+
+  // Load invites and the lists they can add new users to
+  loadInviteLists();
+  loadInvites();
 }
 
 /**
@@ -71,27 +112,50 @@ function setupNavigation() {
 function setupEventListeners() {
   const createUserForm = document.getElementById('create-user-form');
   createUserForm.addEventListener('submit', handleCreateUser);
+
+  const createInviteForm = document.getElementById('create-invite-form');
+  createInviteForm.addEventListener('submit', handleCreateInvite);
+}
+
+/**
+ * Find a loaded user by ID
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} User from the last getAllUsers call
+ */
+function findUser(userId) {
+  return users.find(user => user.id_usuario === userId);
+}
+
+/**
+ * Count the admins among the loaded users
+ * @returns {number} Number of admins
+ */
+function countAdmins() {
+  return users.filter(user => user.is_admin === true).length;
 }
 
 /**
  * Load and display all users
  */
-function loadUsers() {
-  const users = userService.getAllUsers();
+async function loadUsers() {
   const tbody = document.getElementById('users-tbody');
-  
+  users = await userService.getAllUsers();
+
   if (users.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="3" style="text-align: center;">Nenhum usuário cadastrado</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">Nenhum usuário cadastrado</td></tr>';
     return;
   }
 
   tbody.innerHTML = users.map(user => `
-    <tr data-user-id="${user.id}">
-      <td>${escapeHtml(user.username)}</td>
-      <td>${user.isAdmin ? 'Administrador' : 'Usuário'}</td>
+    <tr data-user-id="${escapeHtml(user.id_usuario)}">
+      <td>${escapeHtml(user.nome)}</td>
+      <td>${escapeHtml(user.email)}</td>
+      <td>${user.is_admin === true ? 'Administrador' : 'Usuário'}</td>
       <td>
-        <button class="edit-btn" data-user-id="${user.id}">Editar</button>
-        <button class="delete-btn" data-user-id="${user.id}" style="background-color: #ff4444; margin-left: 0.5rem;">Remover</button>
+        <button class="edit-btn" data-user-id="${escapeHtml(user.id_usuario)}">Editar</button>
+        <button class="reset-code-btn" data-user-id="${escapeHtml(user.id_usuario)}" style="margin-left: 0.5rem;">Código de senha</button>
+        <button class="delete-btn" data-user-id="${escapeHtml(user.id_usuario)}" style="background-color: #ff4444; margin-left: 0.5rem;">Remover</button>
+        <div class="reset-code hidden" style="margin-top: 0.5rem;"></div>
       </td>
     </tr>
   `).join('');
@@ -101,6 +165,10 @@ function loadUsers() {
     btn.addEventListener('click', handleEditUser);
   });
 
+  tbody.querySelectorAll('.reset-code-btn').forEach(btn => {
+    btn.addEventListener('click', handleCreateResetCode);
+  });
+
   tbody.querySelectorAll('.delete-btn').forEach(btn => {
     btn.addEventListener('click', handleDeleteUser);
   });
@@ -112,13 +180,14 @@ function loadUsers() {
 async function handleCreateUser(event) {
   event.preventDefault();
 
-  const username = document.getElementById('username').value.trim();
+  const nome = document.getElementById('username').value.trim();
+  const email = document.getElementById('email').value.trim();
   const password = document.getElementById('password').value;
   const isAdmin = document.getElementById('is-admin').checked;
   const submitBtn = event.target.querySelector('button[type="submit"]');
 
   // Validate input
-  if (!username || !password) {
+  if (!nome || !email || !password) {
     notificationService.error('Por favor, preencha todos os campos.');
     return;
   }
@@ -127,9 +196,8 @@ async function handleCreateUser(event) {
   notificationService.setButtonLoading(submitBtn, true);
 
   try {
-    // Hash password and create user
-    const passwordHash = authService.hashPassword(password);
-    userService.createUser(username, passwordHash, isAdmin);
+    // The password is hashed by the Apps Script
+    await userService.createUser(nome, email, password, isAdmin);
 
     // Show success notification
     notificationService.success('Usuário criado com sucesso!');
@@ -138,7 +206,7 @@ async function handleCreateUser(event) {
     document.getElementById('create-user-form').reset();
 
     // Reload user list
-    loadUsers();
+    await loadUsers();
   } catch (error) {
     // Log context information (Requirement 6.5)
     ErrorRecovery.logError(error, {
@@ -160,7 +228,7 @@ async function handleCreateUser(event) {
  */
 function handleEditUser(event) {
   const userId = event.target.dataset.userId;
-  const user = userService.getUserById(userId);
+  const user = findUser(userId);
 
   if (!user) {
     notificationService.error('Usuário não encontrado.');
@@ -168,45 +236,61 @@ function handleEditUser(event) {
   }
 
   // Get the row
-  const row = document.querySelector(`tr[data-user-id="${userId}"]`);
+  const row = event.target.closest('tr');
   
   // Replace row content with edit form
   row.innerHTML = `
     <td>
-      <input type="text" id="edit-username-${userId}" value="${escapeHtml(user.username)}" style="width: 100%;">
+      <input type="text" class="edit-nome" placeholder="Nome" style="width: 100%;">
+    </td>
+    <td>
+      <input type="email" class="edit-email" placeholder="Email" style="width: 100%;">
     </td>
     <td>
       <label>
-        <input type="checkbox" id="edit-isadmin-${userId}" ${user.isAdmin ? 'checked' : ''}>
+        <input type="checkbox" class="edit-isadmin" ${user.is_admin === true ? 'checked' : ''}>
         Admin
       </label>
     </td>
     <td>
-      <button class="save-btn" data-user-id="${userId}">Salvar</button>
-      <button class="cancel-btn" data-user-id="${userId}" style="background-color: #666; margin-left: 0.5rem;">Cancelar</button>
+      <button class="save-btn">Salvar</button>
+      <button class="cancel-btn" style="background-color: #666; margin-left: 0.5rem;">Cancelar</button>
       <div style="margin-top: 0.5rem;">
-        <input type="password" id="edit-password-${userId}" placeholder="Nova senha (opcional)" style="width: 100%;">
+        <input type="password" class="edit-password" placeholder="Nova senha (opcional)" style="width: 100%;">
       </div>
     </td>
   `;
 
+  // Values are set through the DOM so names with quotes do not break the markup
+  row.querySelector('.edit-nome').value = user.nome || '';
+  row.querySelector('.edit-email').value = user.email || '';
+
   // Add event listeners
-  row.querySelector('.save-btn').addEventListener('click', handleSaveUser);
+  row.querySelector('.save-btn').addEventListener('click', (saveEvent) => handleSaveUser(saveEvent, user));
   row.querySelector('.cancel-btn').addEventListener('click', () => loadUsers());
 }
 
 /**
  * Handle save user changes
+ * @param {Event} event - Click on the save button
+ * @param {Object} user - User being edited
  */
-function handleSaveUser(event) {
-  const userId = event.target.dataset.userId;
-  const username = document.getElementById(`edit-username-${userId}`).value.trim();
-  const isAdmin = document.getElementById(`edit-isadmin-${userId}`).checked;
-  const newPassword = document.getElementById(`edit-password-${userId}`).value;
+async function handleSaveUser(event, user) {
+  const row = event.target.closest('tr');
+  const userId = user.id_usuario;
+  const nome = row.querySelector('.edit-nome').value.trim();
+  const email = row.querySelector('.edit-email').value.trim();
+  const isAdmin = row.querySelector('.edit-isadmin').checked;
+  const newPassword = row.querySelector('.edit-password').value;
   const saveBtn = event.target;
 
-  if (!username) {
-    notificationService.error('Nome de usuário não pode estar vazio.');
+  if (!nome || !email) {
+    notificationService.error('Nome e email não podem estar vazios.');
+    return;
+  }
+
+  if (user.is_admin === true && !isAdmin && countAdmins() === 1) {
+    notificationService.error('Não é possível remover o último administrador.');
     return;
   }
 
@@ -215,18 +299,26 @@ function handleSaveUser(event) {
 
   try {
     const updates = {
-      username,
+      nome,
+      email,
       isAdmin
     };
 
-    // Only update password if provided
+    // Only reset password if provided
     if (newPassword) {
-      updates.passwordHash = authService.hashPassword(newPassword);
+      updates.senha = newPassword;
     }
 
-    userService.updateUser(userId, updates);
+    await userService.updateUser(userId, updates);
     notificationService.success('Usuário atualizado com sucesso!');
-    loadUsers();
+
+    // An admin who removed their own privileges can no longer use this page
+    if (userId === authService.getCurrentUser()?.id && !isAdmin) {
+      handleLogout();
+      return;
+    }
+
+    await loadUsers();
   } catch (error) {
     // Log context information (Requirement 6.5)
     ErrorRecovery.logError(error, {
@@ -242,37 +334,268 @@ function handleSaveUser(event) {
   }
 }
 
+/**
+ * Generate a one-time password reset code and show it in the user's row
+ * The code is only shown here, so the admin must pass it on to the user
+ */
+async function handleCreateResetCode(event) {
+  const userId = event.target.dataset.userId;
+  const user = findUser(userId);
+  const codeBtn = event.target;
+
+  if (!user) {
+    notificationService.error('Usuário não encontrado.');
+    return;
+  }
+
+  if (!confirm(`Gerar um código de redefinição de senha para "${user.nome}"? Códigos anteriores deixarão de valer.`)) {
+    return;
+  }
+
+  notificationService.setButtonLoading(codeBtn, true);
+
+  try {
+    const { codigo, expira_em } = await userService.createResetCode(userId);
+    const codeBox = codeBtn.closest('td').querySelector('.reset-code');
+
+    codeBox.innerHTML = `
+      Código: <strong>${escapeHtml(codigo)}</strong><br>
+      Válido até ${escapeHtml(new Date(expira_em).toLocaleString('pt-BR'))}. Entregue ao usuário, ele será exibido apenas agora.
+    `;
+    codeBox.classList.remove('hidden');
+  } catch (error) {
+    // Log context information (Requirement 6.5)
+    ErrorRecovery.logError(error, {
+      context: 'createResetCode',
+      userId,
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao gerar código: ${error.message}`);
+  } finally {
+    notificationService.setButtonLoading(codeBtn, false);
+  }
+}
+
 /**
  * Handle delete user button click
+ * Asks what happens to the user's lists and films before deleting
  */
 function handleDeleteUser(event) {
   const userId = event.target.dataset.userId;
-  const user = userService.getUserById(userId);
+  const user = findUser(userId);
 
   if (!user) {
     notificationService.error('Usuário não encontrado.');
     return;
   }
 
-  // Confirm deletion
-  const confirmed = confirm(`Tem certeza que deseja remover o usuário "${user.username}"?`);
-  
-  if (!confirmed) {
+  if (user.is_admin === true && countAdmins() === 1) {
+    notificationService.error('Não é possível remover o último administrador.');
+    return;
+  }
+
+  const row = event.target.closest('tr');
+  const others = users.filter(other => other.id_usuario !== userId);
+
+  row.innerHTML = `
+    <td colspan="3">
+      <label>
+        Listas e filmes de <strong>${escapeHtml(user.nome)}</strong>:
+        <select class="delete-mode">
+          <option value="delete">Excluir</option>
+          ${others.map(other => `
+            <option value="${escapeHtml(other.id_usuario)}">Transferir para ${escapeHtml(other.nome)}</option>
+          `).join('')}
+        </select>
+      </label>
+    </td>
+    <td>
+      <button class="confirm-delete-btn" style="background-color: #ff4444;">Remover</button>
+      <button class="cancel-btn" style="background-color: #666; margin-left: 0.5rem;">Cancelar</button>
+    </td>
+  `;
+
+  row.querySelector('.confirm-delete-btn').addEventListener('click', (confirmEvent) => handleConfirmDelete(confirmEvent, user));
+  row.querySelector('.cancel-btn').addEventListener('click', () => loadUsers());
+}
+
+/**
+ * Delete a user after the admin picked what happens to their entries
+ * @param {Event} event - Click on the confirm button
+ * @param {Object} user - User being deleted
+ */
+async function handleConfirmDelete(event, user) {
+  const row = event.target.closest('tr');
+  const target = row.querySelector('.delete-mode').value;
+  const options = target === 'delete' ? { mode: 'delete' } : { mode: 'reassign', reassignTo: target };
+  const confirmBtn = event.target;
+
+  const message = options.mode === 'delete'
+    ? `Tem certeza que deseja remover o usuário "${user.nome}" junto com suas listas e filmes?`
+    : `Tem certeza que deseja remover o usuário "${user.nome}"? As listas e filmes serão transferidos para "${findUser(target)?.nome}".`;
+
+  if (!confirm(message)) {
     return;
   }
 
+  notificationService.setButtonLoading(confirmBtn, true);
+
   try {
-    userService.deleteUser(userId);
+    await userService.deleteUser(user.id_usuario, options);
     notificationService.success('Usuário removido com sucesso!');
-    loadUsers();
+
+    // Deleting your own account ends your sessions on the server
+    if (user.id_usuario === authService.getCurrentUser()?.id) {
+      handleLogout();
+      return;
+    }
+
+    await loadUsers();
   } catch (error) {
     // Log context information (Requirement 6.5)
     ErrorRecovery.logError(error, {
       context: 'deleteUser',
-      userId,
+      userId: user.id_usuario,
+      mode: options.mode,
       errorMessage: error.message
     });
     notificationService.error(`Erro ao remover usuário: ${error.message}`);
+    notificationService.setButtonLoading(confirmBtn, false);
+  }
+}
+
+/**
+ * Fill the invite list select with the admin's lists
+ */
+async function loadInviteLists() {
+  const select = document.getElementById('invite-list');
+
+  try {
+    const response = await googleSheetsApi.getListsByUser(authService.getCurrentUser().id);
+    (response.data || []).forEach(list => {
+      const option = document.createElement('option');
+      option.value = list.id_lista;
+      option.textContent = list.titulo;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    // Invites still work without a list, so only log
+    ErrorRecovery.logError(error, {
+      context: 'loadInviteLists',
+      errorMessage: error.message
+    });
+  }
+}
+
+/**
+ * Load and display all invites
+ */
+async function loadInvites() {
+  const tbody = document.getElementById('invites-tbody');
+  const invites = await userService.getInvites();
+
+  if (invites.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">Nenhum convite criado</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = invites.map(invite => `
+    <tr>
+      <td><strong>${escapeHtml(invite.codigo)}</strong></td>
+      <td>${invite.usos} / ${invite.max_usos}</td>
+      <td>${invite.expira_em ? escapeHtml(new Date(invite.expira_em).toLocaleDateString('pt-BR')) : 'Nunca'}</td>
+      <td>${invite.id_lista ? `${escapeHtml(invite.titulo_lista || 'Lista removida')} (${invite.role === 'viewer' ? 'visualizador' : 'editor'})` : '-'}</td>
+      <td>${INVITE_STATUS_LABELS[invite.status] || escapeHtml(invite.status)}</td>
+      <td>
+        ${invite.status === 'ativo' ? `<button class="revoke-invite-btn" data-code="${escapeHtml(invite.codigo)}" style="background-color: #ff4444;">Revogar</button>` : ''}
+      </td>
+    </tr>
+  `).join('');
+
+  tbody.querySelectorAll('.revoke-invite-btn').forEach(btn => {
+    btn.addEventListener('click', handleRevokeInvite);
+  });
+}
+
+/**
+ * Handle create invite form submission
+ */
+async function handleCreateInvite(event) {
+  event.preventDefault();
+
+  const maxUses = parseInt(document.getElementById('invite-max-uses').value, 10);
+  const expiresDate = document.getElementById('invite-expires-at').value;
+  const listId = document.getElementById('invite-list').value;
+  const role = document.getElementById('invite-role').value;
+  const submitBtn = event.target.querySelector('button[type="submit"]');
+
+  if (!Number.isInteger(maxUses) || maxUses < 1) {
+    notificationService.error('O número de usos deve ser pelo menos 1.');
+    return;
+  }
+
+  // The invite stays valid until the end of the chosen day
+  const expiresAt = expiresDate ? new Date(`${expiresDate}T23:59:59`).getTime() : undefined;
+  if (expiresAt && expiresAt <= Date.now()) {
+    notificationService.error('A data de expiração deve ser no futuro.');
+    return;
+  }
+
+  notificationService.setButtonLoading(submitBtn, true);
+
+  try {
+    const invite = await userService.createInvite({
+      maxUses,
+      expiresAt,
+      listId: listId || undefined,
+      role
+    });
+
+    notificationService.success(`Convite criado: ${invite.codigo}`);
+    document.getElementById('create-invite-form').reset();
+    await loadInvites();
+  } catch (error) {
+    // Log context information (Requirement 6.5)
+    ErrorRecovery.logError(error, {
+      context: 'createInvite form submit',
+      maxUses,
+      expiresAt,
+      listId,
+      role,
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao criar convite: ${error.message}`);
+  } finally {
+    notificationService.setButtonLoading(submitBtn, false);
+  }
+}
+
+/**
+ * Handle revoke invite button click
+ */
+async function handleRevokeInvite(event) {
+  const code = event.target.dataset.code;
+  const revokeBtn = event.target;
+
+  if (!confirm(`Revogar o convite "${code}"? Ele não poderá mais ser usado.`)) {
+    return;
+  }
+
+  notificationService.setButtonLoading(revokeBtn, true);
+
+  try {
+    await userService.revokeInvite(code);
+    notificationService.success('Convite revogado.');
+    await loadInvites();
+  } catch (error) {
+    // Log context information (Requirement 6.5)
+    ErrorRecovery.logError(error, {
+      context: 'revokeInvite',
+      code,
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao revogar convite: ${error.message}`);
+    notificationService.setButtonLoading(revokeBtn, false);
   }
 }
 
@@ -3,6 +3,16 @@
  * Encapsulates HTTP calls for users, shared lists, and watched movies.
  */
 class GoogleSheetsApi {
+  // Message returned by the Apps Script when the token is missing, forged or expired
+  static SESSION_EXPIRED_MESSAGE = 'Invalid or expired session';
+
+  // Status sent by the Apps Script when an entry changed after the version the client read
+  static CONFLICT_STATUS = 409;
+
+  // Must match MAX_BODY_LENGTH / MAX_REVIEW_LENGTH in apps-script-1-CORE.gs
+  static MAX_BODY_LENGTH = 100000;
+  static MAX_REVIEW_LENGTH = 5000;
+
   /**
    * @param {string} baseUrl - Apps Script Web App URL
    */
@@ -11,11 +21,24 @@ class GoogleSheetsApi {
       throw new Error('GoogleSheetsApi requires a valid base URL');
     }
     this.baseUrl = baseUrl;
+    this.sessionToken = null;
+    // Optional callback invoked when the server rejects the session token
+    this.onSessionExpired = null;
+  }
+
+  /**
+   * Set the session token sent with every request.
+   * @param {string|null} token - Token issued by login (null to clear)
+   */
+  setSessionToken(token) {
+    this.sessionToken = token || null;
   }
 
   /**
    * Register a new user.
-   * @param {{nome: string, email: string, senha: string}} payload
+   * convite is required unless the session belongs to an admin; an invite tied to a
+   * list adds the new user to it.
+   * @param {{nome: string, email: string, senha: string, convite?: string}} payload
    * @returns {Promise<Object>}
    */
   async registerUser(payload) {
@@ -27,7 +50,8 @@ class GoogleSheetsApi {
 
   /**
    * Authenticate a user.
-   * @param {{email: string, senha: string}} payload
+   * After too many failures the server answers with status 429 and data.locked_until.
+   * @param {{email: string, senha: string, fingerprint?: string}} payload
    * @returns {Promise<Object>}
    */
   async login(payload) {
@@ -37,6 +61,113 @@ class GoogleSheetsApi {
     });
   }
 
+  /**
+   * Revoke a session token on the server.
+   * @param {string} token - Token to revoke
+   * @returns {Promise<Object>}
+   */
+  async logout(token) {
+    return this._post({
+      action: 'logout',
+      token
+    });
+  }
+
+  /**
+   * Get a new token for the current session with a later expiry.
+   * Earlier tokens of the session stay valid until their own expiry.
+   * @returns {Promise<Object>} data: {token, expira_em, expira_max}
+   */
+  async renewSession() {
+    return this._post({
+      action: 'renewSession'
+    });
+  }
+
+  /**
+   * Change the password of the session user. Other sessions of the user are ended.
+   * @param {{senha_atual: string, nova_senha: string}} payload
+   * @returns {Promise<Object>}
+   */
+  async changePassword(payload) {
+    return this._post({
+      action: 'changePassword',
+      ...payload
+    });
+  }
+
+  /**
+   * Replace the streaming services the session user subscribes to.
+   * @param {{servicos: Array<string>}} payload - StreamingService keys (e.g. ['netflix', 'prime'])
+   * @returns {Promise<Object>} data: {id_usuario, servicos}
+   */
+  async updateSubscriptions(payload) {
+    return this._post({
+      action: 'updateSubscriptions',
+      ...payload
+    });
+  }
+
+  /**
+   * Set a new password with a reset code issued by an admin (no session needed).
+   * Wrong codes count as failed logins and can lock the email out (status 429).
+   * @param {{email: string, codigo: string, nova_senha: string, fingerprint?: string}} payload
+   * @returns {Promise<Object>}
+   */
+  async redeemResetCode(payload) {
+    return this._post({
+      action: 'redeemResetCode',
+      ...payload
+    });
+  }
+
+  /**
+   * Create a one-time password reset code for a user (admin only).
+   * The code is only returned in this response.
+   * @param {{id_usuario_alvo: string}} payload
+   * @returns {Promise<Object>} data: {id_usuario, codigo, expira_em}
+   */
+  async createResetCode(payload) {
+    return this._post({
+      action: 'createResetCode',
+      ...payload
+    });
+  }
+
+  /**
+   * Create a registration invite (admin only).
+   * @param {{max_usos?: number, expira_em?: number, id_lista?: string, role?: 'editor'|'viewer'}} payload
+   * @returns {Promise<Object>} data: {codigo, max_usos, usos, expira_em, id_lista, role, status}
+   */
+  async createInvite(payload) {
+    return this._post({
+      action: 'createInvite',
+      ...payload
+    });
+  }
+
+  /**
+   * Get every registration invite with its uses and status (admin only).
+   * @returns {Promise<Object>}
+   */
+  async getInvites() {
+    return this._get({
+      action: 'getInvites'
+    });
+  }
+
+  /**
+   * Revoke a registration invite (admin only).
+   * @param {string} codigo - Invite code
+   * @returns {Promise<Object>}
+   */
+  async revokeInvite(codigo) {
+    return this._post({
+      action: 'revokeInvite',
+      codigo
+    });
+  }
+
   /**
    * Create a shared list.
    * @param {{id_usuario_dono: string, titulo: string, descricao?: string}} payload
@@ -50,8 +181,32 @@ class GoogleSheetsApi {
   }
 
   /**
-   * Share a list with another user.
-   * @param {{id_lista: string, id_usuario_solicitante: string, id_usuario_compartilhar: string}} payload
+   * Rename a list or change its description (owner only).
+   * @param {{id_lista: string, id_usuario: string, titulo?: string, descricao?: string}} payload
+   * @returns {Promise<Object>}
+   */
+  async updateList(payload) {
+    return this._post({
+      action: 'updateList',
+      ...payload
+    });
+  }
+
+  /**
+   * Delete a list with all of its movies and members (owner only).
+   * @param {{id_lista: string, id_usuario: string}} payload
+   * @returns {Promise<Object>}
+   */
+  async deleteList(payload) {
+    return this._post({
+      action: 'deleteList',
+      ...payload
+    });
+  }
+
+  /**
+   * Share a list with another user (or change the role of an existing member).
+   * @param {{id_lista: string, id_usuario_solicitante: string, id_usuario_compartilhar: string, role?: 'editor'|'viewer'}} payload
    * @returns {Promise<Object>}
    */
   async shareList(payload) {
@@ -61,9 +216,33 @@ class GoogleSheetsApi {
     });
   }
 
+  /**
+   * Remove a member from a list (owners remove anyone, members can leave).
+   * @param {{id_lista: string, id_usuario_solicitante: string, id_usuario_remover: string}} payload
+   * @returns {Promise<Object>}
+   */
+  async unshareList(payload) {
+    return this._post({
+      action: 'unshareList',
+      ...payload
+    });
+  }
+
+  /**
+   * Get the members of a list with their roles (owner / editor / viewer).
+   * @param {{id_lista: string, id_usuario: string}} params
+   * @returns {Promise<Object>}
+   */
+  async getListMembers(params) {
+    return this._get({
+      action: 'getListMembers',
+      ...params
+    });
+  }
+
   /**
    * Add watched movie entry.
-   * @param {{id_lista: string, id_usuario: string, titulo_filme: string, ano?: string|number, nota?: string|number, assistido_em?: string}} payload
+   * @param {{id_lista: string, id_usuario: string, titulo_filme: string, tmdb_id?: number, ano?: string|number, nota?: string|number, assistido_em?: string}} payload
    * @returns {Promise<Object>}
    */
   async addWatchedMovie(payload) {
@@ -73,6 +252,67 @@ class GoogleSheetsApi {
     });
   }
 
+  /**
+   * Add a film to the shared (to-watch) list.
+   * @param {{id_lista: string, id_usuario: string, titulo_filme: string, tmdb_id: number, ano?: string|number, poster?: string, rating?: number, genres?: string, overview?: string, added_by?: string}} payload
+   * @returns {Promise<Object>}
+   */
+  async addToSharedList(payload) {
+    return this._post({
+      action: 'addToSharedList',
+      ...payload
+    });
+  }
+
+  /**
+   * Remove an entry from the shared (to-watch) list.
+   * @param {string} idFilme - Shared list entry ID
+   * @returns {Promise<Object>}
+   */
+  async removeFromSharedList(idFilme) {
+    return this._post({
+      action: 'removeFromSharedList',
+      id_filme: idFilme
+    });
+  }
+
+  /**
+   * Fetch the shared (to-watch) entries of a list.
+   * @param {{id_lista: string, id_usuario: string}} params
+   * @returns {Promise<Object>}
+   */
+  async getSharedList(params) {
+    return this._get({
+      action: 'getSharedList',
+      ...params
+    });
+  }
+
+  /**
+   * Move a shared list entry to the watched movies in a single request.
+   * @param {{id_filme: string, id_usuario: string, nota: number, assistido_em?: string, review?: string}} payload
+   * @returns {Promise<Object>}
+   */
+  async markAsWatched(payload) {
+    return this._post({
+      action: 'markAsWatched',
+      ...payload
+    });
+  }
+
+  /**
+   * Fetch the shared and watched rows of a list changed since a cursor.
+   * Without a cursor every row is returned (full: true).
+   * @param {{id_lista: string, id_usuario: string, since?: number}} params
+   * @returns {Promise<Object>} data: {cursor, full, shared: {changed, deleted}, watched: {changed, deleted}}
+   */
+  async getChangesSince(params) {
+    return this._get({
+      action: 'getChangesSince',
+      ...params
+    });
+  }
+
   /**
    * Get all lists visible to a user (owned + shared).
    * @param {string} idUsuario
@@ -110,20 +350,47 @@ class GoogleSheetsApi {
   }
 
   /**
-   * Get all users (admin only)
-   * @param {string} idUsuario - Admin user ID
+   * Get all users (admin only, the admin is resolved from the session token)
    * @returns {Promise<Object>}
    */
-  async getAllUsers(idUsuario) {
+  async getAllUsers() {
     return this._get({
-      action: 'getAllUsers',
-      id_usuario: idUsuario
+      action: 'getAllUsers'
+    });
+  }
+
+  /**
+   * Update a user (admin only). Sending senha resets the password and ends the user's sessions.
+   * The server refuses to demote the last admin.
+   * @param {{id_usuario_alvo: string, nome?: string, email?: string, is_admin?: boolean, senha?: string}} payload
+   * @returns {Promise<Object>}
+   */
+  async updateUser(payload) {
+    return this._post({
+      action: 'updateUser',
+      ...payload
+    });
+  }
+
+  /**
+   * Delete a user (admin only). With modo 'reassign' the user's lists and films move to
+   * id_usuario_destino; with 'delete' (default) they are removed.
+   * The server refuses to delete the last admin.
+   * @param {{id_usuario_alvo: string, modo?: 'delete'|'reassign', id_usuario_destino?: string}} payload
+   * @returns {Promise<Object>}
+   */
+  async deleteUser(payload) {
+    return this._post({
+      action: 'deleteUser',
+      ...payload
     });
   }
 
   /**
-   * Update a movie entry
-   * @param {{id_filme: string, nota: number, assistido_em?: string, review?: string}} payload
+   * Update a movie entry.
+   * When version is sent and the entry changed since, the request fails with a
+   * conflict error (error.response.status === 409, error.response.data.current).
+   * @param {{id_filme: string, nota: number, assistido_em?: string, review?: string, version?: number}} payload
    * @returns {Promise<Object>}
    */
   async updateMovie(payload) {
@@ -136,16 +403,38 @@ class GoogleSheetsApi {
   /**
    * Delete a movie entry
    * @param {string} idFilme - Movie ID
+   * @param {number} [version] - Version the client read (conflict if the entry changed since)
    * @returns {Promise<Object>}
    */
-  async deleteMovie(idFilme) {
+  async deleteMovie(idFilme, version) {
     return this._post({
       action: 'deleteMovie',
-      id_filme: idFilme
+      id_filme: idFilme,
+      version
+    });
+  }
+
+  /**
+   * Run several operations in a single request, in order.
+   * Each result carries the operation id, ok/message/data and, when the
+   * operation had a tempId, the realId created by the server.
+   * @param {Array<{id: string, action: string, tempId?: string}>} operations
+   * @returns {Promise<Object>}
+   */
+  async batch(operations) {
+    return this._post({
+      action: 'batch',
+      operations
     });
   }
 
   async _get(params) {
+    // The session token must never reach a URL (server logs, browser history),
+    // so authenticated reads travel in a POST body like the writes
+    if (this.sessionToken) {
+      return this._post(params);
+    }
+
     const url = new URL(this.baseUrl);
     Object.entries(params).forEach(([key, value]) => {
       if (value !== undefined && value !== null && value !== '') {
@@ -158,21 +447,30 @@ class GoogleSheetsApi {
   }
 
   async _post(body) {
-    // Use GET with query params to avoid CORS preflight
-    const url = new URL(this.baseUrl);
-    Object.entries(body).forEach(([key, value]) => {
-      if (value !== undefined && value !== null && value !== '') {
-        url.searchParams.set(key, String(value));
-      }
-    });
+    if (body.review && String(body.review).length > GoogleSheetsApi.MAX_REVIEW_LENGTH) {
+      throw new Error(`Review too long: maximum ${GoogleSheetsApi.MAX_REVIEW_LENGTH} characters`);
+    }
 
-    const response = await fetch(url.toString(), { 
-      method: 'GET',
+    const payload = JSON.stringify(this._withToken(body));
+    if (payload.length > GoogleSheetsApi.MAX_BODY_LENGTH) {
+      throw new Error(`Request body too large: maximum ${GoogleSheetsApi.MAX_BODY_LENGTH} characters`);
+    }
+
+    // text/plain is a "simple" content type, so the browser skips the CORS preflight
+    // that Apps Script cannot answer; doPost parses the JSON body
+    const response = await fetch(this.baseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+      body: payload,
       redirect: 'follow'
     });
     return this._parseResponse(response);
   }
 
+  _withToken(params) {
+    return this.sessionToken ? { token: this.sessionToken, ...params } : params;
+  }
+
   async _parseResponse(response) {
     let data;
     try {
@@ -187,8 +485,15 @@ class GoogleSheetsApi {
     }
 
     if (!data || data.ok !== true) {
-      const message = data && data.error ? data.error : 'API request failed';
-      throw new Error(message);
+      const message = data && (data.message || data.error) ? (data.message || data.error) : 'API request failed';
+      if (message === GoogleSheetsApi.SESSION_EXPIRED_MESSAGE && typeof this.onSessionExpired === 'function') {
+        this.onSessionExpired();
+      }
+      const error = new Error(message);
+      if (data && data.status) {
+        error.response = { status: data.status, data: data.data };
+      }
+      throw error;
     }
 
     return data;
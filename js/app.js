@@ -7,6 +7,7 @@
 let filmService;
 let listService;
 let storageManager;
+let cacheStorage;
 let authService;
 let userService;
 let tabManager;
@@ -22,6 +23,22 @@ let currentCategory = 'popular';
 let currentPage = 1;
 let totalPages = 1;
 let currentSearchQuery = null;
+let discoverFilters = {};
+let loginLockoutTimer = null;
+let sessionWatchTimer = null;
+let sessionWarning = null;
+let sessionUser = null;
+let sessionActivityTracked = false;
+let streamingAvailabilityLoading = false;
+
+// Filter, tab and Discover state is kept per user (see scopeUiStateToUser)
+const FILTER_STATE_KEY = 'letterboxd_filter_state';
+const WATCHED_FILTER_STATE_KEY = 'letterboxd_watched_filter_state';
+const ACTIVE_TAB_KEY = 'letterboxd_active_tab';
+const DISCOVER_STATE_KEY = 'letterboxd_discover_filter_state';
+
+// Global keys used for that state by older versions, removed at startup
+const LEGACY_UI_STATE_KEYS = ['filter_state', 'watched_filter_state', 'activeTab', 'discover_filter_state'];
 
 /**
  * Generate star rating HTML
@@ -74,6 +91,17 @@ function debounce(func, wait) {
   };
 }
 
+/**
+ * Check whether a key belongs in the cache storage instead of localStorage
+ * Used to move these keys out of localStorage the first time IndexedDB is used
+ * @param {string} key - Storage key
+ * @returns {boolean} True for cache, filter and tab keys
+ */
+function isCacheStorageKey(key) {
+  return /^letterboxd_(user_|shared_list|watched_list|pending_operations|sync_cursor|selected_list)/.test(key) ||
+    LEGACY_UI_STATE_KEYS.includes(key);
+}
+
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
   // Wrap initialization in ErrorRecovery.retryWithBackoff (Requirements 4.1, 4.2)
@@ -116,12 +144,30 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Initialize services with dependencies
       console.log('📦 Inicializando serviços...');
       storageManager = new StorageManager();
+      
+      // Caches, filters and tab state live in IndexedDB (localStorage when unavailable);
+      // the session stays in localStorage, where the admin page reads it
+      cacheStorage = new StorageManager(createStorageAdapter());
+      await cacheStorage.init();
+      cacheStorage.importFromLocalStorage(isCacheStorageKey);
+      LEGACY_UI_STATE_KEYS.forEach(key => cacheStorage.remove(key));
+      
+      // Upgrade entries cached by older versions before anything reads them
+      CacheMigrations.run(cacheStorage);
+      
       userService = new UserService(googleSheetsApi);
-      authService = new AuthService(storageManager, googleSheetsApi);
-      filmService = new FilmService();
+      const appConfig = (typeof CONFIG !== 'undefined' && CONFIG.app) || {};
+      authService = new AuthService(storageManager, googleSheetsApi, {
+        sessionTimeout: appConfig.sessionTimeout,
+        sessionMaxAge: appConfig.sessionMaxAge
+      });
+      if (googleSheetsApi) {
+        googleSheetsApi.onSessionExpired = handleSessionExpired;
+      }
+      filmService = new FilmService(cacheStorage);
       
       // Create CacheManager (Requirement 1.5, 3.5)
-      cacheManager = new CacheManager(storageManager);
+      cacheManager = new CacheManager(cacheStorage);
       console.log('✅ CacheManager inicializado');
       
       // Create SyncManager with googleSheetsApi and CacheManager (Requirement 3.5)
@@ -137,11 +183,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       listService = new ListService(googleSheetsApi, authService, cacheManager, syncManager);
       console.log('✅ ListService inicializado com CacheManager e SyncManager');
       
-      filterManager = new FilterManager(listService);
-      watchedFilterManager = new FilterManager(listService);
-      watchedFilterManager.storageKey = 'watched_filter_state'; // Use separate storage key
-      tabManager = new TabManager(storageManager);
-      streamingService = new StreamingService();
+      filterManager = new FilterManager(listService, cacheStorage, FILTER_STATE_KEY);
+      watchedFilterManager = new FilterManager(listService, cacheStorage, WATCHED_FILTER_STATE_KEY);
+      tabManager = new TabManager(cacheStorage, ACTIVE_TAB_KEY);
+      streamingService = new StreamingService(filmService);
       
       console.log('✅ Todos os serviços inicializados');
       
@@ -151,6 +196,13 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       // Initialize offline mode support (Requirements 7.2, 7.3, 7.4)
       initializeOfflineMode();
+      registerServiceWorker();
+      
+      // Let the user resolve edits that conflict with newer server versions
+      initializeConflictResolution();
+      
+      // Show the operations waiting to sync and let the user retry or discard them
+      initializeSyncQueue();
       
       // Note: Default user creation is now handled by the backend API
       // No need to create users on the frontend
@@ -307,6 +359,9 @@ function showLoginScreen() {
   
   // Setup register form handler
   setupRegisterForm();
+  
+  // Setup reset code form handler
+  setupResetCodeForm();
 }
 
 /**
@@ -316,6 +371,17 @@ function setupAuthTabs() {
   const authTabs = document.querySelectorAll('.auth-tab');
   const loginContainer = document.getElementById('login-form-container');
   const registerContainer = document.getElementById('register-form-container');
+  const resetContainer = document.getElementById('reset-form-container');
+  
+  // The reset code form is reached from the login form, not from a tab
+  document.getElementById('show-reset-form').addEventListener('click', () => {
+    loginContainer.classList.add('hidden');
+    resetContainer.classList.remove('hidden');
+  });
+  document.getElementById('back-to-login').addEventListener('click', () => {
+    resetContainer.classList.add('hidden');
+    loginContainer.classList.remove('hidden');
+  });
   
   authTabs.forEach(tab => {
     tab.addEventListener('click', () => {
@@ -327,6 +393,7 @@ function setupAuthTabs() {
       
       // Show/hide appropriate form
       const tabType = tab.dataset.tab;
+      resetContainer.classList.add('hidden');
       if (tabType === 'login') {
         loginContainer.classList.remove('hidden');
         registerContainer.classList.add('hidden');
@@ -380,22 +447,62 @@ function setupLoginForm() {
       // Show success notification
       notificationService.success('Login realizado com sucesso!');
       
+      // Load the user's lists into their own cache before rendering
+      await initializeUserData();
+      
       // Show authenticated UI
       showAuthenticatedUI();
     } catch (error) {
-      // Show error message
-      loginError.textContent = error.message;
-      loginError.classList.remove('hidden');
+      // Show error message (a lockout keeps counting down in the same place)
+      if (error.lockedUntil) {
+        startLoginLockoutCountdown(error.lockedUntil);
+      } else {
+        loginError.textContent = error.message;
+        loginError.classList.remove('hidden');
+      }
       
       // Also show notification for better visibility
       notificationService.error(error.message);
     } finally {
       // Remove loading state
       setButtonLoading(loginBtn, false);
+      if (loginLockoutTimer) {
+        loginBtn.disabled = true;
+      }
     }
   });
 }
 
+/**
+ * Count down a login lockout in the login form
+ * The login button stays disabled until the lockout ends
+ * @param {number} lockedUntil - End of the lockout in milliseconds
+ */
+function startLoginLockoutCountdown(lockedUntil) {
+  const loginError = document.getElementById('login-error');
+  const loginBtn = document.getElementById('login-btn');
+  
+  clearInterval(loginLockoutTimer);
+  
+  const tick = () => {
+    if (Date.now() >= lockedUntil) {
+      clearInterval(loginLockoutTimer);
+      loginLockoutTimer = null;
+      loginBtn.disabled = false;
+      loginError.textContent = '';
+      loginError.classList.add('hidden');
+      return;
+    }
+    
+    loginBtn.disabled = true;
+    loginError.textContent = authService.formatLockoutMessage(lockedUntil);
+    loginError.classList.remove('hidden');
+  };
+  
+  loginLockoutTimer = setInterval(tick, 1000);
+  tick();
+}
+
 /**
  * Setup register form handler
  */
@@ -403,6 +510,14 @@ function setupRegisterForm() {
   const registerForm = document.getElementById('register-form');
   const registerError = document.getElementById('register-error');
   const registerBtn = document.getElementById('register-btn');
+  const inviteInput = document.getElementById('register-invite');
+  
+  // Invite links (?convite=CODIGO) open the register tab with the code filled in
+  const inviteFromUrl = new URLSearchParams(window.location.search).get('convite');
+  if (inviteFromUrl) {
+    inviteInput.value = inviteFromUrl.trim().toUpperCase();
+    document.querySelector('.auth-tab[data-tab="register"]').click();
+  }
   
   registerForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -416,16 +531,17 @@ function setupRegisterForm() {
     const email = document.getElementById('register-email').value.trim();
     const password = document.getElementById('register-password').value;
     const passwordConfirm = document.getElementById('register-password-confirm').value;
+    const inviteCode = inviteInput.value.trim();
     
     // Validate inputs
-    if (!name || !email || !password || !passwordConfirm) {
+    if (!name || !email || !password || !passwordConfirm || !inviteCode) {
       registerError.textContent = 'Por favor, preencha todos os campos.';
       registerError.classList.remove('hidden');
       return;
     }
     
-    if (password.length < 6) {
-      registerError.textContent = 'A senha deve ter no mínimo 6 caracteres.';
+    if (password.length < AuthService.MIN_PASSWORD_LENGTH) {
+      registerError.textContent = `A senha deve ter no mínimo ${AuthService.MIN_PASSWORD_LENGTH} caracteres.`;
       registerError.classList.remove('hidden');
       return;
     }
@@ -449,7 +565,7 @@ function setupRegisterForm() {
     
     try {
       // Attempt registration
-      await authService.register(name, email, password);
+      await authService.register(name, email, password, inviteCode);
       
       // Registration successful - show success notification
       notificationService.success('Conta criada com sucesso! Faça login para continuar.');
@@ -478,6 +594,71 @@ function setupRegisterForm() {
   });
 }
 
+/**
+ * Setup reset code form handler
+ * Codes are generated by an admin and redeemed here with a new password
+ */
+function setupResetCodeForm() {
+  const resetForm = document.getElementById('reset-code-form');
+  const resetError = document.getElementById('reset-error');
+  const resetBtn = document.getElementById('reset-btn');
+  
+  resetForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    // Clear previous errors
+    resetError.classList.add('hidden');
+    resetError.textContent = '';
+    
+    // Get form values
+    const email = document.getElementById('reset-email').value.trim();
+    const code = document.getElementById('reset-code').value.trim();
+    const password = document.getElementById('reset-password').value;
+    const passwordConfirm = document.getElementById('reset-password-confirm').value;
+    
+    // Validate inputs (same password policy as the register form)
+    if (!email || !code || !password || !passwordConfirm) {
+      resetError.textContent = 'Por favor, preencha todos os campos.';
+      resetError.classList.remove('hidden');
+      return;
+    }
+    
+    if (password.length < AuthService.MIN_PASSWORD_LENGTH) {
+      resetError.textContent = `A senha deve ter no mínimo ${AuthService.MIN_PASSWORD_LENGTH} caracteres.`;
+      resetError.classList.remove('hidden');
+      return;
+    }
+    
+    if (password !== passwordConfirm) {
+      resetError.textContent = 'As senhas não coincidem.';
+      resetError.classList.remove('hidden');
+      return;
+    }
+    
+    // Set loading state
+    setButtonLoading(resetBtn, true);
+    
+    try {
+      await authService.redeemResetCode(email, code, password);
+      
+      notificationService.success('Senha redefinida! Entre com a nova senha.');
+      
+      // Back to the login form with the email filled in
+      resetForm.reset();
+      document.getElementById('reset-form-container').classList.add('hidden');
+      document.getElementById('login-form-container').classList.remove('hidden');
+      document.getElementById('login-email').value = email;
+      document.getElementById('login-password').focus();
+    } catch (error) {
+      resetError.textContent = error.message;
+      resetError.classList.remove('hidden');
+      notificationService.error(error.message);
+    } finally {
+      setButtonLoading(resetBtn, false);
+    }
+  });
+}
+
 /**
  * Set button loading state
  * @param {HTMLButtonElement} button - Button element
@@ -520,6 +701,8 @@ function showAuthenticatedUI() {
     tabsContainer.classList.remove('hidden');
   }
   
+  scopeUiStateToUser();
+  
   // Initialize tab manager - this will handle showing only the active tab (Requirements 13.2, 13.5)
   tabManager.initialize();
   
@@ -530,6 +713,28 @@ function showAuthenticatedUI() {
   
   // Setup navigation with logout button
   setupNavigation();
+  
+  // Setup "Minha conta" (change password)
+  initializeAccountSection();
+  
+  // Warn before the session ends and ask for the password again when it does
+  setupReauthForm();
+  startSessionWatch();
+}
+
+/**
+ * Keep the filter and tab state under the keys of the logged in user, so the next
+ * person on this browser starts with the defaults and logout removes it (purgeUserData)
+ */
+function scopeUiStateToUser() {
+  const currentUser = authService.getCurrentUser();
+  if (currentUser) {
+    cacheManager.setCurrentUser(currentUser.id);
+  }
+  
+  filterManager.setStorageKey(cacheManager.scopedKey(FILTER_STATE_KEY));
+  watchedFilterManager.setStorageKey(cacheManager.scopedKey(WATCHED_FILTER_STATE_KEY));
+  tabManager.setStorageKey(cacheManager.scopedKey(ACTIVE_TAB_KEY));
 }
 
 /**
@@ -541,35 +746,455 @@ function setupNavigation() {
   
   navMenu.innerHTML = `
     <span style="color: #9ab; margin-right: 1rem;">Olá, ${escapeHtml(currentUser.username)}</span>
+    <button id="pending-ops-indicator" class="pending-ops-indicator hidden" aria-controls="sync-queue-panel" aria-expanded="false"></button>
+    <button id="account-btn" style="padding: 0.5rem 1rem; margin-right: 0.5rem;">Minha conta</button>
     ${currentUser.isAdmin ? '<a href="admin.html">Admin</a>' : ''}
     <button id="logout-btn" style="padding: 0.5rem 1rem;">Sair</button>
   `;
   
+  document.getElementById('account-btn').addEventListener('click', showAccountSection);
+  document.getElementById('pending-ops-indicator').addEventListener('click', () => toggleSyncQueuePanel());
+  renderSyncQueue();
+  
   // Setup logout handler - clears session and redirects to login
   const logoutBtn = document.getElementById('logout-btn');
   logoutBtn.addEventListener('click', handleLogout);
 }
 
+/**
+ * Setup the "Minha conta" section: streaming services and change password forms,
+ * and leaving the section when a main tab is clicked
+ */
+function initializeAccountSection() {
+  const form = document.getElementById('change-password-form');
+  if (!form || form.dataset.initialized) {
+    return;
+  }
+  form.dataset.initialized = 'true';
+  
+  const tabsContainer = document.getElementById('main-tabs');
+  if (tabsContainer) {
+    tabsContainer.addEventListener('click', (e) => {
+      if (e.target.closest('.main-tab-btn')) {
+        document.getElementById('account-section').classList.add('hidden');
+      }
+    });
+  }
+  
+  form.addEventListener('submit', handleChangePassword);
+  document.getElementById('subscriptions-form')?.addEventListener('submit', handleSaveSubscriptions);
+}
+
+/**
+ * Show "Minha conta" in place of the active tab
+ */
+function showAccountSection() {
+  const currentUser = authService.getCurrentUser();
+  if (!currentUser) {
+    return;
+  }
+  
+  // The account section replaces the tab content until a tab is clicked again
+  tabManager.hideAllTabContent();
+  document.querySelectorAll('.main-tab-btn').forEach(button => button.classList.remove('active'));
+  
+  document.getElementById('account-name').textContent = currentUser.username || '';
+  document.getElementById('account-email').textContent = currentUser.email || '';
+  renderSubscriptionOptions();
+  document.getElementById('account-section').classList.remove('hidden');
+}
+
+/**
+ * Handle the change password form
+ * @param {Event} e - Submit event
+ */
+async function handleChangePassword(e) {
+  e.preventDefault();
+  
+  const form = e.target;
+  const errorEl = document.getElementById('change-password-error');
+  const submitBtn = document.getElementById('change-password-btn');
+  const currentPassword = document.getElementById('current-password').value;
+  const newPassword = document.getElementById('new-password').value;
+  const newPasswordConfirm = document.getElementById('new-password-confirm').value;
+  
+  errorEl.classList.add('hidden');
+  errorEl.textContent = '';
+  
+  // Validate inputs (same password policy as the register form)
+  let validationError = null;
+  if (!currentPassword || !newPassword || !newPasswordConfirm) {
+    validationError = 'Por favor, preencha todos os campos.';
+  } else if (newPassword.length < AuthService.MIN_PASSWORD_LENGTH) {
+    validationError = `A senha deve ter no mínimo ${AuthService.MIN_PASSWORD_LENGTH} caracteres.`;
+  } else if (newPassword !== newPasswordConfirm) {
+    validationError = 'As senhas não coincidem.';
+  } else if (newPassword === currentPassword) {
+    validationError = 'A nova senha deve ser diferente da atual.';
+  }
+  
+  if (validationError) {
+    errorEl.textContent = validationError;
+    errorEl.classList.remove('hidden');
+    return;
+  }
+  
+  setButtonLoading(submitBtn, true);
+  
+  try {
+    await authService.changePassword(currentPassword, newPassword);
+    form.reset();
+    notificationService.success('Senha alterada com sucesso! Outras sessões foram encerradas.');
+  } catch (error) {
+    errorEl.textContent = error.message;
+    errorEl.classList.remove('hidden');
+    notificationService.error(error.message);
+  } finally {
+    setButtonLoading(submitBtn, false);
+  }
+}
+
+/**
+ * Render one checkbox per streaming service in "Minha conta", checked for the
+ * services the user subscribes to
+ */
+function renderSubscriptionOptions() {
+  const container = document.getElementById('subscription-options');
+  const currentUser = authService.getCurrentUser();
+  if (!container || !currentUser) {
+    return;
+  }
+  
+  container.innerHTML = streamingService.getAllServices().map(service => `
+    <label class="subscription-option">
+      <input type="checkbox" name="servicos" value="${escapeHtmlAttr(service.key)}"
+        ${currentUser.subscriptions.includes(service.key) ? 'checked' : ''} />
+      <span>${service.icon} ${escapeHtml(service.name)}</span>
+    </label>
+  `).join('');
+}
+
+/**
+ * Handle the streaming services form of "Minha conta"
+ * @param {Event} e - Submit event
+ */
+async function handleSaveSubscriptions(e) {
+  e.preventDefault();
+  
+  const submitBtn = document.getElementById('save-subscriptions-btn');
+  const serviceKeys = Array.from(e.target.querySelectorAll('input[name="servicos"]:checked'))
+    .map(input => input.value);
+  
+  setButtonLoading(submitBtn, true);
+  
+  try {
+    await authService.updateSubscriptions(serviceKeys);
+    applySubscriptions();
+    renderSharedList();
+    notificationService.success('Seus serviços de streaming foram salvos!');
+  } catch (error) {
+    notificationService.error(error.message);
+  } finally {
+    setButtonLoading(submitBtn, false);
+  }
+}
+
+/**
+ * Hand the streaming services of the user and of the list members to the
+ * streaming filter and the badges
+ * @param {Array} [members] - Members of the current list (defaults to the cached ones)
+ */
+function applySubscriptions(members = cacheManager?.getListMembers() || []) {
+  const currentUser = authService.getCurrentUser();
+  const mine = currentUser ? currentUser.subscriptions : [];
+  
+  // The user's own services come from the session, which is updated as soon as they are saved
+  const others = members.filter(member => !currentUser || member.id_usuario !== currentUser.id);
+  const group = [...new Set([...mine, ...others.flatMap(member => member.servicos || [])])];
+  
+  filterManager.setSubscriptions(mine, group);
+  streamingService.setSubscribedServices(mine);
+}
+
+/**
+ * Load the members of the current list for the "Disponível para alguém do grupo" filter
+ * Offline, the members last loaded are used
+ */
+async function loadGroupSubscriptions() {
+  if (!listService || !listService.currentListId || !authService.getCurrentUser()) {
+    return;
+  }
+  
+  let members;
+  try {
+    members = await listService.getListMembers();
+  } catch (error) {
+    console.warn('⚠️  Erro ao carregar os membros da lista:', error.message);
+    return;
+  }
+  
+  applySubscriptions(members);
+  
+  if (filterManager.getActiveFilters().streaming === FilterManager.STREAMING_GROUP) {
+    renderSharedList();
+  }
+}
+
+/**
+ * Load the lists of the user who just logged in and send the operations they
+ * left unsynced in this browser
+ */
+async function initializeUserData() {
+  if (!listService) {
+    return;
+  }
+  
+  try {
+    await ErrorRecovery.withTimeout(listService.initialize(), 10000);
+  } catch (err) {
+    const errorInfo = ErrorRecovery.handleApiError(err, 'ListService.initialize');
+    console.warn('⚠️  Erro ao inicializar cache da lista:', errorInfo.userMessage);
+  }
+  
+  if (syncManager && cacheManager.getPendingOperations().length > 0) {
+    notificationService.info('Enviando alterações guardadas do seu último acesso...');
+    syncManager.processSyncQueue().catch(error => {
+      console.error('❌ Erro ao sincronizar alterações guardadas:', error);
+    });
+  }
+}
+
 /**
  * Handle logout - clear session and redirect to login
+ * Unsynced operations are sent first when possible; otherwise, once the user confirms,
+ * they are kept for their next login (discarding them is done in the sync queue panel).
+ * The rest of the user's cached data is removed so the next person on this browser starts clean.
  * Requirements: 2.4
  */
-function handleLogout() {
+async function handleLogout() {
+  if (cacheManager) {
+    if (syncManager && cacheManager.getPendingOperations().length > 0 && navigator.onLine) {
+      try {
+        await syncManager.processSyncQueue();
+      } catch (error) {
+        console.error('❌ Erro ao sincronizar antes de sair:', error);
+      }
+    }
+    
+    const pendingCount = cacheManager.getPendingOperations().length;
+    let keepPendingOperations = false;
+    
+    if (pendingCount > 0) {
+      const label = pendingCount === 1 ? '1 alteração ainda não sincronizada' : `${pendingCount} alterações ainda não sincronizadas`;
+      if (!confirm(
+        `Você tem ${label}. Sair e guardá-las neste navegador para enviá-las no seu próximo login?\n\n` +
+        'Cancelar mantém você conectado. Para descartar as alterações, use a fila de sincronização.'
+      )) {
+        return;
+      }
+      keepPendingOperations = true;
+    }
+    
+    cacheManager.purgeUserData({ keepPendingOperations });
+  }
+  
   // Clear session
   authService.logout();
   
+  // Let the cache storage finish its writes before the page goes away
+  if (cacheStorage) {
+    await cacheStorage.flush();
+  }
+  
   // Redirect to login screen by reloading the page
   // This will trigger checkAuthenticationAndRedirect which will show login
   location.reload();
 }
 
+/**
+ * Handle a session that ended: token rejected by the server (expired, revoked or
+ * forged) or idle/absolute timeout reached in the browser.
+ * Instead of reloading to the login screen, the user logs in again in a modal so
+ * the page state and the unsynced operations in CacheManager are kept.
+ */
+function handleSessionExpired() {
+  const reauthModal = document.getElementById('reauth-modal');
+  
+  // Ignore repeated rejections while the modal is open or before the app UI is shown
+  if (!sessionUser || !reauthModal.classList.contains('hidden')) {
+    return;
+  }
+  
+  stopSessionWatch();
+  
+  // Pending operations stay queued; they are sent after the next login
+  authService.logout();
+  
+  document.getElementById('reauth-email').value = sessionUser.email;
+  reauthModal.classList.remove('hidden');
+  document.body.classList.add('modal-open');
+  document.getElementById('reauth-password').focus();
+  
+  notificationService.warning('Sua sessão expirou. Entre novamente para continuar.');
+}
+
+// How often the session end is checked (milliseconds)
+const SESSION_CHECK_INTERVAL = 5000;
+
+/**
+ * Start checking the session end every SESSION_CHECK_INTERVAL and sliding the
+ * idle timeout on user activity
+ */
+function startSessionWatch() {
+  sessionUser = authService.getCurrentUser();
+  if (!sessionUser) {
+    return;
+  }
+  
+  if (!sessionActivityTracked) {
+    const recordActivity = () => {
+      if (sessionWatchTimer) {
+        authService.recordActivity();
+      }
+    };
+    ['click', 'keydown', 'touchstart', 'scroll'].forEach(type => {
+      document.addEventListener(type, recordActivity, { passive: true, capture: true });
+    });
+    sessionActivityTracked = true;
+  }
+  
+  clearInterval(sessionWatchTimer);
+  sessionWatchTimer = setInterval(checkSession, SESSION_CHECK_INTERVAL);
+}
+
+/**
+ * Stop the session checks and close the expiry warning
+ */
+function stopSessionWatch() {
+  clearInterval(sessionWatchTimer);
+  sessionWatchTimer = null;
+  hideSessionWarning();
+}
+
+/**
+ * Warn a minute before the session ends, and handle its end
+ */
+function checkSession() {
+  const timeLeft = authService.getSessionTimeLeft();
+  
+  if (timeLeft <= 0) {
+    handleSessionExpired();
+  } else if (timeLeft <= AuthService.SESSION_WARNING_TIME) {
+    showSessionWarning();
+  } else {
+    hideSessionWarning();
+  }
+}
+
+/**
+ * Show the expiry warning toast ("continuar conectado" while the idle timeout
+ * can still be pushed back)
+ */
+function showSessionWarning() {
+  if (sessionWarning) {
+    return;
+  }
+  
+  if (authService.canExtendSession()) {
+    sessionWarning = notificationService.action(
+      'Sua sessão vai expirar em 1 minuto por inatividade.',
+      'Continuar conectado',
+      () => {
+        sessionWarning = null;
+        authService.recordActivity({ force: true });
+      },
+      'warning',
+      AuthService.SESSION_WARNING_TIME
+    );
+  } else {
+    sessionWarning = notificationService.show(
+      'Sua sessão termina em 1 minuto. Depois disso será preciso entrar novamente.',
+      'warning',
+      AuthService.SESSION_WARNING_TIME
+    );
+  }
+}
+
+/**
+ * Close the expiry warning toast
+ */
+function hideSessionWarning() {
+  if (sessionWarning) {
+    notificationService.dismiss(sessionWarning);
+    sessionWarning = null;
+  }
+}
+
+/**
+ * Setup the re-login modal shown when the session ends
+ * Logging in again resumes the session watch and sends the pending operations
+ */
+function setupReauthForm() {
+  const form = document.getElementById('reauth-form');
+  if (!form || form.dataset.initialized) {
+    return;
+  }
+  form.dataset.initialized = 'true';
+  
+  const reauthModal = document.getElementById('reauth-modal');
+  const reauthError = document.getElementById('reauth-error');
+  const reauthBtn = document.getElementById('reauth-btn');
+  
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    reauthError.classList.add('hidden');
+    reauthError.textContent = '';
+    
+    const password = document.getElementById('reauth-password').value;
+    if (!password) {
+      reauthError.textContent = 'Por favor, informe sua senha.';
+      reauthError.classList.remove('hidden');
+      return;
+    }
+    
+    setButtonLoading(reauthBtn, true);
+    
+    try {
+      await authService.login(sessionUser.email, password);
+      
+      form.reset();
+      reauthModal.classList.add('hidden');
+      document.body.classList.remove('modal-open');
+      startSessionWatch();
+      
+      notificationService.success('Sessão renovada!');
+      
+      // Send what was queued while the session was gone
+      if (syncManager && cacheManager.getPendingOperations().length > 0) {
+        syncManager.processSyncQueue().catch(error => {
+          console.error('❌ Erro ao sincronizar após novo login:', error);
+        });
+      }
+    } catch (error) {
+      reauthError.textContent = error.message;
+      reauthError.classList.remove('hidden');
+    } finally {
+      setButtonLoading(reauthBtn, false);
+    }
+  });
+  
+  // Another account means a fresh page (and the login screen)
+  document.getElementById('reauth-logout-btn').addEventListener('click', handleLogout);
+}
+
 /**
  * Hide all main sections
  * Ensures mutual exclusivity of UI sections
  * Requirements: 2.2, 2.4, 2.5
  */
 function hideAllSections() {
-  const sections = ['login-section', 'film-listing', 'shared-list', 'watched-films'];
+  const sections = ['login-section', 'film-listing', 'shared-list', 'watched-films', 'account-section'];
   sections.forEach(sectionId => {
     const section = document.getElementById(sectionId);
     if (section && !section.classList.contains('hidden')) {
@@ -598,8 +1223,11 @@ function initializeFilmListing() {
   // Don't show section here - TabManager will handle visibility (Requirement 13.1)
   // filmListingSection.classList.remove('hidden');
 
-  // Load initial films (popular)
-  loadFilms('popular', 1);
+  // Restore the Discover filters (and category) of the previous visit
+  initializeDiscoverPanel();
+  
+  // Load initial films (popular, or Discover when it was the last category used)
+  loadFilms(currentCategory, 1);
 
   // Initialize infinite scroll
   infiniteScroll = new InfiniteScroll(filmsGrid, async () => {
@@ -622,6 +1250,8 @@ function initializeFilmListing() {
         result = await filmService.getPopularFilms(nextPage);
       } else if (currentCategory === 'trending') {
         result = await filmService.getTrendingFilms(nextPage);
+      } else if (currentCategory === 'discover') {
+        result = await filmService.discoverFilms(discoverFilters, nextPage);
       }
       
       // Update pagination state
@@ -700,14 +1330,142 @@ function initializeFilmListing() {
       currentCategory = category;
       currentSearchQuery = null;
       searchInput.value = ''; // Clear search
+      document.getElementById('discover-panel').classList.toggle('hidden', category !== 'discover');
+      saveDiscoverState();
       loadFilms(category, 1);
     });
   });
 }
 
 /**
- * Load films by category (popular or trending)
- * @param {string} category - 'popular' or 'trending'
+ * Initialize the Discover filters panel of the Explore tab
+ * The filters are kept in storage, so they survive tab switches and reloads
+ */
+function initializeDiscoverPanel() {
+  const form = document.getElementById('discover-controls');
+  const genreOptions = document.getElementById('discover-genre-options');
+  
+  if (!form || !genreOptions) {
+    return;
+  }
+  
+  genreOptions.innerHTML = Object.entries(filmService.genreMap)
+    .sort(([, a], [, b]) => a.localeCompare(b, 'pt-BR'))
+    .map(([id, name]) => `
+      <label class="discover-genre">
+        <input type="checkbox" value="${escapeHtmlAttr(id)}" />
+        ${escapeHtml(name)}
+      </label>
+    `).join('');
+  
+  // Discover filters and whether Discover was the selected category
+  const saved = cacheStorage.load(cacheManager.scopedKey(DISCOVER_STATE_KEY));
+  if (saved) {
+    discoverFilters = saved.filters || {};
+    fillDiscoverForm(discoverFilters);
+    
+    if (saved.active) {
+      currentCategory = 'discover';
+      document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.category === 'discover');
+      });
+      document.getElementById('discover-panel').classList.remove('hidden');
+    }
+  }
+  
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleApplyDiscoverFilters();
+  });
+  document.getElementById('discover-clear-btn').addEventListener('click', () => {
+    fillDiscoverForm({});
+    handleApplyDiscoverFilters();
+  });
+  
+  initializeFilterToggle('discover-filter-toggle-btn', 'discover-controls');
+}
+
+/**
+ * Read the Discover filters from the form
+ * @returns {Object} Filters for FilmService.discoverFilms (null for empty fields)
+ */
+function readDiscoverForm() {
+  const number = id => {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) ? value : null;
+  };
+  
+  return {
+    genres: Array.from(document.querySelectorAll('#discover-genre-options input:checked'))
+      .map(input => Number(input.value)),
+    yearFrom: number('discover-year-from'),
+    yearTo: number('discover-year-to'),
+    runtimeMin: number('discover-runtime-min'),
+    runtimeMax: number('discover-runtime-max'),
+    minRating: number('discover-min-rating'),
+    minVotes: number('discover-min-votes'),
+    language: document.getElementById('discover-language').value,
+    sortBy: document.getElementById('discover-sort').value
+  };
+}
+
+/**
+ * Show a set of Discover filters in the form
+ * @param {Object} filters - Filters (see readDiscoverForm)
+ */
+function fillDiscoverForm(filters) {
+  const setValue = (id, value) => {
+    document.getElementById(id).value = value ?? '';
+  };
+  
+  document.querySelectorAll('#discover-genre-options input').forEach(input => {
+    input.checked = (filters.genres || []).includes(Number(input.value));
+  });
+  setValue('discover-year-from', filters.yearFrom);
+  setValue('discover-year-to', filters.yearTo);
+  setValue('discover-runtime-min', filters.runtimeMin);
+  setValue('discover-runtime-max', filters.runtimeMax);
+  setValue('discover-min-rating', filters.minRating);
+  setValue('discover-min-votes', filters.minVotes);
+  setValue('discover-language', filters.language);
+  setValue('discover-sort', filters.sortBy || 'popularity.desc');
+}
+
+/**
+ * Save the Discover filters and whether Discover is the selected category
+ */
+function saveDiscoverState() {
+  cacheStorage.save(cacheManager.scopedKey(DISCOVER_STATE_KEY), {
+    active: currentCategory === 'discover',
+    filters: discoverFilters
+  });
+}
+
+/**
+ * Apply the filters of the Discover form and load the first page of results
+ */
+function handleApplyDiscoverFilters() {
+  const filters = readDiscoverForm();
+  
+  if (filters.yearFrom && filters.yearTo && filters.yearFrom > filters.yearTo) {
+    notificationService.warning('O ano inicial não pode ser maior que o ano final.');
+    return;
+  }
+  if (filters.runtimeMin && filters.runtimeMax && filters.runtimeMin > filters.runtimeMax) {
+    notificationService.warning('A duração mínima não pode ser maior que a máxima.');
+    return;
+  }
+  
+  discoverFilters = filters;
+  currentSearchQuery = null;
+  document.getElementById('film-search').value = '';
+  saveDiscoverState();
+  loadFilms('discover', 1);
+}
+
+/**
+ * Load films by category (popular, trending or discover)
+ * @param {string} category - 'popular', 'trending' or 'discover' (uses the Discover filters)
  * @param {number} page - Page number
  */
 async function loadFilms(category, page = 1) {
@@ -733,15 +1491,21 @@ async function loadFilms(category, page = 1) {
       result = await filmService.getPopularFilms(page);
     } else if (category === 'trending') {
       result = await filmService.getTrendingFilms(page);
+    } else if (category === 'discover') {
+      result = await filmService.discoverFilms(discoverFilters, page);
     }
-
+    
     // Update pagination state
     currentPage = page;
     totalPages = result.totalPages;
     currentSearchQuery = null;
-
+    
     // Render films (this will remove skeletons)
-    renderFilms(result.films);
+    if (result.films.length === 0 && category === 'discover') {
+      filmsGrid.innerHTML = '<p style="color: #9ab; text-align: center; grid-column: 1 / -1;">Nenhum filme encontrado com esses filtros.</p>';
+    } else {
+      renderFilms(result.films);
+    }
 
     // Pagination controls are no longer needed with infinite scroll
     } catch (error) {
@@ -992,6 +1756,11 @@ function showFilmModal(film) {
   modalOverview.textContent = film.overview && film.overview.trim().length > 0 
     ? film.overview 
     : 'Sinopse não disponível.';
+  
+  // Credits, runtime, age rating, trailer and related films are loaded after the modal opens
+  resetFilmModalDetails();
+  loadFilmModalDetails(film);
+  loadRelatedFilms(film);
 
   // Update button text and class based on list status (Requirements 16.1, 16.4)
   modalAddBtn.textContent = isInList ? 'Retirar da Lista' : 'Adicionar à Lista';
@@ -1021,14 +1790,198 @@ function showFilmModal(film) {
   // Setup overlay click to close
   modalOverlay.onclick = closeFilmModal;
 
-  // Show modal
+  // Show modal (a film opened from the related films starts at the top)
   modal.classList.remove('hidden');
   document.body.classList.add('modal-open');
+  modal.querySelector('.modal-content').scrollTop = 0;
+  modal.querySelector('.modal-body').scrollTop = 0;
 
   // Setup escape key to close
   document.addEventListener('keydown', handleModalEscape);
 }
 
+/**
+ * Hide the details of the previous film shown in the modal
+ */
+function resetFilmModalDetails() {
+  ['modal-tagline', 'modal-runtime', 'modal-certification', 'modal-director', 'modal-credits', 'modal-trailer', 'modal-related']
+    .forEach(id => document.getElementById(id)?.classList.add('hidden'));
+  
+  const cast = document.getElementById('modal-cast');
+  if (cast) {
+    cast.innerHTML = '';
+  }
+  const related = document.getElementById('modal-related-list');
+  if (related) {
+    related.innerHTML = '';
+  }
+  const trailerPlayer = document.getElementById('modal-trailer-player');
+  if (trailerPlayer) {
+    trailerPlayer.innerHTML = '';
+  }
+}
+
+/**
+ * Load the full details of a film (credits, videos, release dates) into the open modal
+ * Failures only leave the basic information on screen
+ * @param {Object} film - Film shown in the modal
+ */
+async function loadFilmModalDetails(film) {
+  const modal = document.getElementById('film-modal');
+  modal.dataset.filmId = String(film.id);
+  
+  if (!filmService || typeof film.id !== 'number') {
+    return;
+  }
+  
+  let details;
+  try {
+    details = await filmService.getFilmDetails(film.id);
+  } catch (error) {
+    console.warn('⚠️  Erro ao carregar detalhes do filme:', error.message);
+    return;
+  }
+  
+  // The modal may have been closed or opened for another film meanwhile
+  if (modal.classList.contains('hidden') || modal.dataset.filmId !== String(film.id)) {
+    return;
+  }
+  
+  renderFilmModalDetails(details);
+}
+
+/**
+ * Fill the detail sections of the modal
+ * @param {Object} details - Film details from FilmService.getFilmDetails
+ */
+function renderFilmModalDetails(details) {
+  const showText = (id, text) => {
+    const element = document.getElementById(id);
+    if (element && text) {
+      element.textContent = text;
+      element.classList.remove('hidden');
+    }
+  };
+  
+  showText('modal-tagline', details.tagline);
+  showText('modal-runtime', formatRuntime(details.runtime));
+  showText('modal-certification', details.certification);
+  
+  const overview = document.getElementById('modal-overview');
+  if (details.overview && overview.textContent === 'Sinopse não disponível.') {
+    overview.textContent = details.overview;
+  }
+  
+  // Director and top cast
+  if (details.director || details.cast.length > 0) {
+    showText('modal-director', details.director && `Direção: ${details.director}`);
+    document.getElementById('modal-cast').innerHTML = details.cast.map(member => `
+      <li class="modal-cast-member">
+        ${member.photo
+          ? `<img class="modal-cast-photo" src="${escapeHtmlAttr(member.photo)}" alt="" loading="lazy" />`
+          : '<span class="modal-cast-photo"></span>'}
+        <span>
+          <span class="modal-cast-name">${escapeHtml(member.name)}</span>
+          ${member.character ? `<span class="modal-cast-character">${escapeHtml(member.character)}</span>` : ''}
+        </span>
+      </li>
+    `).join('');
+    document.getElementById('modal-credits').classList.remove('hidden');
+  }
+  
+  // Trailer: a button loads the YouTube player on demand, without autoplay
+  if (details.trailerKey) {
+    const trailerPlayer = document.getElementById('modal-trailer-player');
+    const key = encodeURIComponent(details.trailerKey);
+    
+    trailerPlayer.innerHTML = '<button type="button" class="modal-trailer-btn">▶ Assistir trailer</button>';
+    trailerPlayer.querySelector('button').addEventListener('click', () => {
+      trailerPlayer.innerHTML = `
+        <iframe src="https://www.youtube-nocookie.com/embed/${key}"
+                title="${escapeHtmlAttr(`Trailer de ${details.title}`)}"
+                allow="encrypted-media; picture-in-picture; fullscreen"
+                allowfullscreen></iframe>
+      `;
+    });
+    document.getElementById('modal-trailer-link').href = `https://www.youtube.com/watch?v=${key}`;
+    document.getElementById('modal-trailer').classList.remove('hidden');
+  }
+}
+
+// Most related films shown in the film modal
+const RELATED_FILMS_LIMIT = 12;
+
+/**
+ * Load the films related to the one in the modal
+ * TMDB recommendations are used, falling back to similar films when a film has none.
+ * Films already on the shared or watched lists are left out.
+ * @param {Object} film - Film shown in the modal
+ */
+async function loadRelatedFilms(film) {
+  const modal = document.getElementById('film-modal');
+  
+  if (!filmService || typeof film.id !== 'number') {
+    return;
+  }
+  
+  let films;
+  try {
+    films = (await filmService.getRecommendations(film.id)).films;
+    if (films.length === 0) {
+      films = (await filmService.getSimilarFilms(film.id)).films;
+    }
+  } catch (error) {
+    console.warn('⚠️  Erro ao carregar filmes relacionados:', error.message);
+    return;
+  }
+  
+  // The modal may have been closed or opened for another film meanwhile
+  if (modal.classList.contains('hidden') || modal.dataset.filmId !== String(film.id)) {
+    return;
+  }
+  
+  renderRelatedFilms(films
+    .filter(related => related.id !== film.id)
+    .filter(related => !listService.isFilmInList(related.id) && !listService.isFilmWatched(related.id))
+    .slice(0, RELATED_FILMS_LIMIT));
+}
+
+/**
+ * Render the related films strip of the modal
+ * Cards work as in the film listing: a click opens the film, the button adds it to the list
+ * @param {Array} films - Films to show
+ */
+function renderRelatedFilms(films) {
+  const section = document.getElementById('modal-related');
+  const list = document.getElementById('modal-related-list');
+  
+  if (films.length === 0) {
+    section.classList.add('hidden');
+    return;
+  }
+  
+  list.innerHTML = '';
+  films.forEach(film => list.appendChild(createFilmCard(film)));
+  section.classList.remove('hidden');
+}
+
+/**
+ * Format a runtime for display
+ * @param {number|null} minutes - Runtime in minutes
+ * @returns {string} e.g. '2h 19min' ('' when unknown)
+ */
+function formatRuntime(minutes) {
+  if (!minutes) {
+    return '';
+  }
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) {
+    return `${rest}min`;
+  }
+  return rest > 0 ? `${hours}h ${rest}min` : `${hours}h`;
+}
+
 /**
  * Close film details modal
  */
@@ -1037,6 +1990,12 @@ function closeFilmModal() {
   modal.classList.add('hidden');
   document.body.classList.remove('modal-open');
   
+  // Stop the trailer if it is playing
+  const trailerPlayer = document.getElementById('modal-trailer-player');
+  if (trailerPlayer) {
+    trailerPlayer.innerHTML = '';
+  }
+  
   // Remove escape key listener
   document.removeEventListener('keydown', handleModalEscape);
 }
@@ -1095,13 +2054,13 @@ async function handleAddOrRemoveFromList(film) {
       }
     } else {
       // Fetch streaming availability before adding (Requirement 10.1)
-      const streamingServices = await streamingService.getAvailability(film.id);
-      
-      // Attach streaming data to film object
-      const filmWithStreaming = {
-        ...film,
-        streamingServices: streamingServices
-      };
+      // The film is added anyway when TMDB cannot be reached
+      let filmWithStreaming = film;
+      try {
+        filmWithStreaming = withStreamingAvailability(film, await streamingService.getAvailability(film.id));
+      } catch (error) {
+        console.warn('⚠️  Erro ao buscar onde assistir:', error.message);
+      }
       
       // Add film to list
       listService.addFilmToList(filmWithStreaming, currentUser.id, currentUser.username);
@@ -1193,26 +2152,207 @@ function handleAddToList(film) {
       userId: currentUser?.id,
       errorMessage: error.message
     });
-    // Show error notification
-    notificationService.error(`Erro ao adicionar filme: ${error.message}`);
+    // Show error notification
+    notificationService.error(`Erro ao adicionar filme: ${error.message}`);
+  }
+}
+
+/**
+ * Initialize shared list interface
+ * Requirements: 13.1 - Don't show section, let TabManager handle visibility
+ */
+function initializeSharedList() {
+  const sharedListSection = document.getElementById('shared-list');
+  
+  // Don't show section here - TabManager will handle visibility (Requirement 13.1)
+  // sharedListSection.classList.remove('hidden');
+  
+  // Initialize list picker (create, rename, switch, delete)
+  initializeListPicker();
+  
+  // Streaming services of the user for the filter and the badges
+  applySubscriptions();
+  
+  // Initialize filter controls
+  initializeFilterControls();
+  
+  // Render initial list
+  renderSharedList();
+  
+  // Streaming services of the other list members (for the group filter)
+  loadGroupSubscriptions();
+}
+
+/**
+ * Initialize the list picker of the shared list tab
+ */
+function initializeListPicker() {
+  const listSelect = document.getElementById('list-select');
+  const createBtn = document.getElementById('create-list-btn');
+  const renameBtn = document.getElementById('rename-list-btn');
+  const deleteBtn = document.getElementById('delete-list-btn');
+  
+  if (!listSelect) {
+    return;
+  }
+  
+  listSelect.addEventListener('change', () => handleSwitchList(listSelect.value));
+  createBtn.addEventListener('click', handleCreateList);
+  renameBtn.addEventListener('click', handleRenameList);
+  deleteBtn.addEventListener('click', handleDeleteList);
+  
+  renderListPicker();
+}
+
+/**
+ * Render the available lists in the picker and enable owner-only actions
+ */
+function renderListPicker() {
+  const listSelect = document.getElementById('list-select');
+  if (!listSelect) {
+    return;
+  }
+  
+  const lists = listService.getLists();
+  listSelect.innerHTML = lists.map(list => {
+    const suffix = list.is_owner === false ? ' (compartilhada)' : '';
+    return `<option value="${escapeHtmlAttr(list.id_lista)}">${escapeHtml(list.titulo + suffix)}</option>`;
+  }).join('');
+  listSelect.value = listService.currentListId || '';
+  listSelect.disabled = lists.length === 0;
+  
+  // Only the owner can rename or delete a list
+  const currentList = listService.getCurrentList();
+  const isOwner = !!currentList && currentList.is_owner !== false;
+  ['rename-list-btn', 'delete-list-btn'].forEach(id => {
+    const button = document.getElementById(id);
+    button.disabled = !isOwner;
+    button.title = isOwner ? '' : 'Apenas o dono da lista pode fazer isso';
+  });
+}
+
+/**
+ * Refresh every view that depends on the selected list
+ */
+function refreshListViews() {
+  renderListPicker();
+  applySubscriptions();
+  renderSharedList();
+  renderWatchedFilms();
+  loadGroupSubscriptions();
+  
+  // Film cards already on screen show whether they belong to the selected list
+  document.querySelectorAll('.film-card[data-film-id]').forEach(card => {
+    const filmId = Number(card.dataset.filmId);
+    updateFilmCardButton(filmId, listService.isFilmInList(filmId));
+  });
+}
+
+/**
+ * Handle switching to another list
+ * @param {string} listId - List ID
+ */
+async function handleSwitchList(listId) {
+  if (!listId || listId === listService.currentListId) {
+    return;
+  }
+  
+  try {
+    const list = await listService.switchList(listId);
+    notificationService.info(`Lista "${list.titulo}" selecionada`);
+  } catch (error) {
+    // Log context information (Requirement 6.5)
+    ErrorRecovery.logError(error, {
+      context: 'handleSwitchList',
+      listId,
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao trocar de lista: ${error.message}`);
+  }
+  
+  refreshListViews();
+}
+
+/**
+ * Handle creating a new list
+ */
+async function handleCreateList() {
+  const titulo = prompt('Nome da nova lista:');
+  if (!titulo || titulo.trim().length === 0) {
+    return;
+  }
+  
+  try {
+    await listService.createAndSwitchList(titulo.trim());
+    notificationService.success(`Lista "${titulo.trim()}" criada!`);
+    refreshListViews();
+  } catch (error) {
+    // Log context information (Requirement 6.5)
+    ErrorRecovery.logError(error, {
+      context: 'handleCreateList',
+      titulo,
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao criar lista: ${error.message}`);
+  }
+}
+
+/**
+ * Handle renaming the selected list
+ */
+async function handleRenameList() {
+  const currentList = listService.getCurrentList();
+  if (!currentList) {
+    return;
+  }
+  
+  const titulo = prompt('Novo nome da lista:', currentList.titulo);
+  if (!titulo || titulo.trim().length === 0 || titulo.trim() === currentList.titulo) {
+    return;
+  }
+  
+  try {
+    await listService.renameList(currentList.id_lista, titulo.trim());
+    notificationService.success('Lista renomeada com sucesso!');
+    renderListPicker();
+  } catch (error) {
+    // Log context information (Requirement 6.5)
+    ErrorRecovery.logError(error, {
+      context: 'handleRenameList',
+      listId: currentList.id_lista,
+      titulo,
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao renomear lista: ${error.message}`);
   }
 }
 
 /**
- * Initialize shared list interface
- * Requirements: 13.1 - Don't show section, let TabManager handle visibility
+ * Handle deleting the selected list
  */
-function initializeSharedList() {
-  const sharedListSection = document.getElementById('shared-list');
-  
-  // Don't show section here - TabManager will handle visibility (Requirement 13.1)
-  // sharedListSection.classList.remove('hidden');
+async function handleDeleteList() {
+  const currentList = listService.getCurrentList();
+  if (!currentList) {
+    return;
+  }
   
-  // Initialize filter controls
-  initializeFilterControls();
+  if (!confirm(`Tem certeza que deseja excluir a lista "${currentList.titulo}"? Todos os filmes dela serão removidos.`)) {
+    return;
+  }
   
-  // Render initial list
-  renderSharedList();
+  try {
+    await listService.deleteList(currentList.id_lista);
+    notificationService.success('Lista excluída com sucesso!');
+    refreshListViews();
+  } catch (error) {
+    // Log context information (Requirement 6.5)
+    ErrorRecovery.logError(error, {
+      context: 'handleDeleteList',
+      listId: currentList.id_lista,
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao excluir lista: ${error.message}`);
+  }
 }
 
 /**
@@ -1298,9 +2438,7 @@ function initializeFilterControls() {
     
     // Update chips (Requirement 11.1)
     if (selectedService) {
-      const service = streamingService.services[selectedService];
-      const serviceName = service ? service.name : selectedService;
-      filterChips.addChip('streaming', `Streaming: ${serviceName}`, (key) => {
+      filterChips.addChip('streaming', getStreamingFilterLabel(selectedService), (key) => {
         // Remove filter when chip is clicked
         filterManager.setStreamingFilter(null);
         streamingFilter.value = '';
@@ -1311,6 +2449,10 @@ function initializeFilterControls() {
       filterChips.removeChip('streaming');
     }
     
+    if (selectedService === FilterManager.STREAMING_MINE && filterManager.subscriptions.mine.length === 0) {
+      notificationService.info('Escolha os serviços que você assina em "Minha conta".');
+    }
+    
     renderSharedList(); // Immediate update
     updateClearButtonState();
   });
@@ -1513,9 +2655,7 @@ function restoreFilterChips() {
   
   // Restore streaming chip
   if (activeFilters.streaming) {
-    const service = streamingService.services[activeFilters.streaming];
-    const serviceName = service ? service.name : activeFilters.streaming;
-    filterChips.addChip('streaming', `Streaming: ${serviceName}`, (key) => {
+    filterChips.addChip('streaming', getStreamingFilterLabel(activeFilters.streaming), (key) => {
       filterManager.setStreamingFilter(null);
       streamingFilter.value = '';
       renderSharedList();
@@ -1557,16 +2697,27 @@ function populateGenreFilter() {
 
 /**
  * Populate streaming filter dropdown with available services
+ * The services of the user and of the group come first
  * Requirements: 10.1
  */
 function populateStreamingFilter() {
   const streamingFilter = document.getElementById('streaming-filter');
   const services = streamingService.getAllServices();
-
+  
   // Clear existing options (except the first "All services" option)
   while (streamingFilter.options.length > 1) {
     streamingFilter.remove(1);
   }
+  
+  [
+    { value: FilterManager.STREAMING_MINE, label: '⭐ Disponível nos meus serviços' },
+    { value: FilterManager.STREAMING_GROUP, label: '👥 Disponível para alguém do grupo' }
+  ].forEach(mode => {
+    const option = document.createElement('option');
+    option.value = mode.value;
+    option.textContent = mode.label;
+    streamingFilter.appendChild(option);
+  });
 
   // Add streaming service options
   services.forEach(service => {
@@ -1577,6 +2728,22 @@ function populateStreamingFilter() {
   });
 }
 
+/**
+ * Chip label of a streaming filter value
+ * @param {string} serviceKey - Service key, or FilterManager.STREAMING_MINE / STREAMING_GROUP
+ * @returns {string} Label
+ */
+function getStreamingFilterLabel(serviceKey) {
+  if (serviceKey === FilterManager.STREAMING_MINE) {
+    return 'Nos meus serviços';
+  }
+  if (serviceKey === FilterManager.STREAMING_GROUP) {
+    return 'Disponível para o grupo';
+  }
+  const service = streamingService.services[serviceKey];
+  return `Streaming: ${service ? service.name : serviceKey}`;
+}
+
 /**
  * Update clear filters button state
  */
@@ -1664,9 +2831,69 @@ function renderSharedList() {
       const entryElement = createListEntryElement(entry);
       container.appendChild(entryElement);
     });
+    
+    loadMissingStreamingAvailability();
   }, 100); // Small delay to show skeleton briefly
 }
 
+/**
+ * Attach streaming availability to a film
+ * @param {Object} film - Film object
+ * @param {Object} availability - Result of StreamingService.getAvailability
+ * @returns {Object} Film with streaming (all offers) and streamingServices (subscription keys, used by the filter)
+ */
+function withStreamingAvailability(film, availability) {
+  return {
+    ...film,
+    streaming: availability,
+    streamingServices: streamingService.getStreamingKeys(availability)
+  };
+}
+
+/**
+ * Load the streaming availability of shared list entries that do not have it yet
+ * Rows from the server carry no TMDB data; FilmService keeps the providers cached,
+ * so this only reaches TMDB once per film. Re-renders the list when something was loaded.
+ */
+async function loadMissingStreamingAvailability() {
+  if (streamingAvailabilityLoading || !cacheManager) {
+    return;
+  }
+  
+  const missing = listService.getSharedList().filter(entry =>
+    typeof entry.film?.id === 'number' && !entry.film.streaming
+  );
+  if (missing.length === 0) {
+    return;
+  }
+  
+  streamingAvailabilityLoading = true;
+  const loaded = new Map();
+  
+  for (const entry of missing) {
+    try {
+      loaded.set(entry.id, await streamingService.getAvailability(entry.film.id));
+    } catch (error) {
+      console.warn('⚠️  Erro ao buscar onde assistir:', entry.film.title, error.message);
+      // Offline: the rest is loaded on a later render
+      if (error.message.startsWith('Network error')) {
+        break;
+      }
+    }
+  }
+  
+  streamingAvailabilityLoading = false;
+  
+  if (loaded.size === 0) {
+    return;
+  }
+  
+  cacheManager.updateSharedListCache(cacheManager.getSharedList().map(entry =>
+    loaded.has(entry.id) ? { ...entry, film: withStreamingAvailability(entry.film, loaded.get(entry.id)) } : entry
+  ));
+  renderSharedList();
+}
+
 /**
  * Create a list entry element
  * @param {Object} entry - Film entry object
@@ -1705,8 +2932,9 @@ function createListEntryElement(entry) {
   const yearText = entry.film.year ? `(${entry.film.year})` : '';
   
   // Streaming badges (Requirements 10.2, 10.3, 10.4)
-  const streamingBadgesHTML = entry.film.streamingServices && entry.film.streamingServices.length > 0
-    ? `<div class="streaming-badges">${streamingService.createBadges(entry.film.streamingServices)}</div>`
+  const availability = entry.film.streaming || entry.film.streamingServices;
+  const streamingBadgesHTML = availability
+    ? `<div class="streaming-badges">${streamingService.createBadges(availability)}</div>`
     : '';
   
   // Get current user to check admin status (Requirement 12.8)
@@ -1970,7 +3198,7 @@ async function handleMarkAsWatched(filmId) {
     const isOnline = syncManager ? syncManager.isOnline() : navigator.onLine;
     
     // Mark as watched (pass isAdmin flag)
-    listService.markAsWatched(filmId, rating, currentUser.id, currentUser.username, review, currentUser.isAdmin);
+    await listService.markAsWatched(filmId, rating, currentUser.id, currentUser.username, review, currentUser.isAdmin);
     
     // Show success notification with offline context (Requirements 7.2, 7.3)
     if (isOnline) {
@@ -2285,12 +3513,11 @@ function createWatchedFilmElement(watchedFilm) {
     ? `<div class="watched-review"><strong>Review:</strong> ${escapeHtml(watchedFilm.review)}</div>`
     : '';
   
-  // Get current user to check admin status (Requirements 13.1, 13.2, 13.5)
-  const currentUser = authService.getCurrentUser();
-  const isAdmin = currentUser && currentUser.isAdmin;
+  // Owners and editors of the list can edit watched films (Requirements 13.1, 13.2, 13.5)
+  const canEdit = listService.canEditCurrentList();
   
-  // Only show edit and remove buttons for admins
-  const editButtonsHTML = isAdmin 
+  // Only show edit and remove buttons to those who can change the list
+  const editButtonsHTML = canEdit 
     ? `<div class="watched-actions">
         <button class="edit-rating-btn" data-watched-id="${watchedFilm.id}">✏️ Editar Avaliação</button>
         <button class="edit-review-btn" data-watched-id="${watchedFilm.id}">✏️ Editar Review</button>
@@ -2321,8 +3548,8 @@ function createWatchedFilmElement(watchedFilm) {
     </div>
   `;
   
-  // Add click handlers for edit buttons (only if admin)
-  if (isAdmin) {
+  // Add click handlers for edit buttons (only if the list can be changed)
+  if (canEdit) {
     const editRatingBtn = watchedDiv.querySelector('.edit-rating-btn');
     const editReviewBtn = watchedDiv.querySelector('.edit-review-btn');
     const removeWatchedBtn = watchedDiv.querySelector('.remove-watched-btn');
@@ -2566,9 +3793,9 @@ async function handleEditRating(watchedId, currentRating) {
     return;
   }
   
-  // Check if user is admin (Requirement 13.7)
-  if (!currentUser.isAdmin) {
-    notificationService.error('Apenas administradores podem editar avaliações.');
+  // Only owners and editors can change the list (Requirement 13.7)
+  if (!listService.canEditCurrentList()) {
+    notificationService.error('Apenas o dono e os editores da lista podem editar avaliações.');
     return;
   }
   
@@ -2581,8 +3808,7 @@ async function handleEditRating(watchedId, currentRating) {
   }
   
   try {
-    // Update rating (pass isAdmin flag)
-    listService.updateWatchedRating(watchedId, newRating, currentUser.isAdmin);
+    listService.updateWatchedRating(watchedId, newRating);
     
     // Show success notification
     notificationService.success('Avaliação atualizada com sucesso!');
@@ -2618,9 +3844,9 @@ function handleEditReview(watchedId, currentReview) {
     return;
   }
   
-  // Check if user is admin (Requirement 13.7)
-  if (!currentUser.isAdmin) {
-    notificationService.error('Apenas administradores podem editar reviews.');
+  // Only owners and editors can change the list (Requirement 13.7)
+  if (!listService.canEditCurrentList()) {
+    notificationService.error('Apenas o dono e os editores da lista podem editar reviews.');
     return;
   }
   
@@ -2633,8 +3859,7 @@ function handleEditReview(watchedId, currentReview) {
   }
   
   try {
-    // Update review (pass isAdmin flag)
-    listService.updateWatchedReview(watchedId, newReview, currentUser.isAdmin);
+    listService.updateWatchedReview(watchedId, newReview);
     
     // Show success notification
     notificationService.success('Review atualizada com sucesso!');
@@ -2669,9 +3894,9 @@ function handleRemoveWatched(watchedId) {
     return;
   }
   
-  // Check if user is admin (Requirement 13.7)
-  if (!currentUser.isAdmin) {
-    notificationService.error('Apenas administradores podem remover filmes assistidos.');
+  // Only owners and editors can change the list (Requirement 13.7)
+  if (!listService.canEditCurrentList()) {
+    notificationService.error('Apenas o dono e os editores da lista podem remover filmes assistidos.');
     return;
   }
   
@@ -2681,8 +3906,7 @@ function handleRemoveWatched(watchedId) {
   }
   
   try {
-    // Remove watched film (pass isAdmin flag)
-    listService.removeFromWatched(watchedId, currentUser.isAdmin);
+    listService.removeFromWatched(watchedId);
     
     // Show success notification
     notificationService.success('Filme removido da lista de assistidos com sucesso!');
@@ -2701,6 +3925,339 @@ function handleRemoveWatched(watchedId) {
   }
 }
 
+// Storage key of the conflict policy chosen in the conflicts panel
+const CONFLICT_POLICY_KEY = 'letterboxd_conflict_policy';
+
+/**
+ * Initialize the sync conflicts panel and the saved conflict policy
+ */
+function initializeConflictResolution() {
+  const policySelect = document.getElementById('conflict-policy-select');
+  
+  if (!syncManager || !policySelect) {
+    return;
+  }
+  
+  const savedPolicy = storageManager.load(CONFLICT_POLICY_KEY);
+  if (SyncManager.CONFLICT_POLICIES.includes(savedPolicy)) {
+    syncManager.setConflictPolicy(savedPolicy);
+  }
+  policySelect.value = syncManager.conflictPolicy;
+  
+  policySelect.addEventListener('change', () => {
+    syncManager.setConflictPolicy(policySelect.value);
+    storageManager.save(CONFLICT_POLICY_KEY, policySelect.value);
+  });
+  
+  syncManager.onConflict = () => {
+    notificationService.warning('Outra pessoa alterou um filme que você editou. Veja os conflitos em Filmes Assistidos.');
+    renderConflicts();
+  };
+  
+  renderConflicts();
+}
+
+/**
+ * Render the operations waiting for a conflict resolution
+ */
+function renderConflicts() {
+  const panel = document.getElementById('conflicts-panel');
+  const list = document.getElementById('conflicts-list');
+  
+  if (!panel || !list || !syncManager) {
+    return;
+  }
+  
+  const conflicts = syncManager.getConflicts();
+  panel.classList.toggle('hidden', conflicts.length === 0);
+  
+  list.innerHTML = conflicts.map(operation => {
+    const server = operation.conflict.server || {};
+    const localText = operation.type === 'remove'
+      ? 'Você removeu este filme'
+      : `Sua versão: nota ${operation.data.nota}${operation.data.review ? ` — "${operation.data.review}"` : ''}`;
+    const serverText = `Servidor: nota ${server.nota}${server.review ? ` — "${server.review}"` : ''}`;
+    
+    return `
+      <li class="conflict-item" data-operation-id="${escapeHtmlAttr(operation.id)}">
+        <span class="conflict-title">${escapeHtml(server.titulo_filme || 'Filme')}</span>
+        <span class="conflict-version">${escapeHtml(localText)}</span>
+        <span class="conflict-version">${escapeHtml(serverText)}</span>
+        <button class="filter-btn" data-resolution="client">Manter a minha</button>
+        <button class="filter-btn clear-btn" data-resolution="server">Usar a do servidor</button>
+      </li>
+    `;
+  }).join('');
+  
+  list.querySelectorAll('button[data-resolution]').forEach(button => {
+    button.addEventListener('click', () => {
+      const operationId = button.closest('.conflict-item').dataset.operationId;
+      handleResolveConflict(operationId, button.dataset.resolution);
+    });
+  });
+}
+
+/**
+ * Handle the choice of a version for a conflict
+ * @param {string} operationId - Conflicting operation ID
+ * @param {'server'|'client'} resolution - Version to keep
+ */
+function handleResolveConflict(operationId, resolution) {
+  try {
+    syncManager.resolveConflict(operationId, resolution);
+    notificationService.success(resolution === 'server'
+      ? 'Versão do servidor mantida.'
+      : 'Sua versão será enviada novamente.');
+  } catch (error) {
+    // Log context information (Requirement 6.5)
+    ErrorRecovery.logError(error, {
+      context: 'handleResolveConflict',
+      operationId,
+      resolution,
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao resolver conflito: ${error.message}`);
+  }
+  
+  renderConflicts();
+  renderWatchedFilms();
+}
+
+/**
+ * Initialize the pending operations indicator and the sync queue panel
+ */
+function initializeSyncQueue() {
+  if (!syncManager) {
+    return;
+  }
+  
+  syncManager.onQueueChange = renderSyncQueue;
+  
+  document.getElementById('sync-now-btn')?.addEventListener('click', handleSyncNow);
+  document.getElementById('sync-queue-close-btn')?.addEventListener('click', () => toggleSyncQueuePanel(false));
+}
+
+/**
+ * Show or hide the sync queue panel
+ * @param {boolean} [show] - Omit to toggle
+ */
+function toggleSyncQueuePanel(show) {
+  const panel = document.getElementById('sync-queue-panel');
+  const indicator = document.getElementById('pending-ops-indicator');
+  
+  if (!panel) {
+    return;
+  }
+  
+  const visible = show !== undefined ? show : panel.classList.contains('hidden');
+  panel.classList.toggle('hidden', !visible);
+  indicator?.setAttribute('aria-expanded', String(visible));
+  
+  if (visible) {
+    renderSyncQueue();
+  }
+}
+
+/**
+ * Describe a queued operation for the sync queue panel
+ * @param {Object} operation - Pending operation
+ * @returns {string} Description (e.g. 'Adicionar "Alien" à lista')
+ */
+function describePendingOperation(operation) {
+  const data = operation.data || {};
+  const cached = [...cacheManager.getSharedList(), ...cacheManager.getWatchedList()]
+    .find(entry => entry.id === data.id_filme || (data.tempId && entry.id === data.tempId));
+  const title = data.titulo_filme || cached?.film?.title || cached?.titulo_filme;
+  const film = title ? `"${title}"` : 'filme';
+  
+  const descriptions = {
+    'shared:add': `Adicionar ${film} à lista`,
+    'shared:remove': `Remover ${film} da lista`,
+    'watched:add': `Marcar ${film} como assistido`,
+    'watched:move': `Marcar ${film} como assistido`,
+    'watched:update': `Editar nota e review de ${film}`,
+    'watched:remove': `Remover ${film} dos assistidos`
+  };
+  
+  return descriptions[`${operation.entity}:${operation.type}`] || 'Alteração';
+}
+
+/**
+ * Describe the sync state of a queued operation
+ * @param {Object} operation - Pending operation
+ * @returns {string} Status text
+ */
+function describePendingOperationStatus(operation) {
+  if (operation.status === 'conflict') {
+    return 'Conflito com outra pessoa — resolva em Filmes Assistidos';
+  }
+  if (operation.status === 'failed') {
+    return `Falhou após ${operation.retries} tentativas`;
+  }
+  if (operation.nextRetryAt) {
+    const time = new Date(operation.nextRetryAt).toLocaleTimeString('pt-BR', {
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    return `Erro ao enviar — nova tentativa às ${time}`;
+  }
+  return 'Aguardando envio';
+}
+
+/**
+ * Render the pending operations indicator and the sync queue panel
+ */
+function renderSyncQueue() {
+  const indicator = document.getElementById('pending-ops-indicator');
+  const panel = document.getElementById('sync-queue-panel');
+  const list = document.getElementById('sync-queue-list');
+  
+  if (!syncManager) {
+    return;
+  }
+  
+  const summary = syncManager.getQueueSummary();
+  
+  if (indicator) {
+    const label = summary.total === 1 ? '1 alteração pendente' : `${summary.total} alterações pendentes`;
+    indicator.textContent = summary.failed > 0 ? `${label} (${summary.failed} com erro)` : label;
+    indicator.classList.toggle('hidden', summary.total === 0);
+    indicator.classList.toggle('has-failed', summary.failed > 0);
+  }
+  
+  if (!panel || !list) {
+    return;
+  }
+  
+  if (summary.total === 0) {
+    toggleSyncQueuePanel(false);
+    list.innerHTML = '';
+    return;
+  }
+  
+  if (panel.classList.contains('hidden')) {
+    return;
+  }
+  
+  list.innerHTML = cacheManager.getPendingOperations().map(operation => {
+    const canRetry = operation.status === 'failed' || (operation.status === 'pending' && operation.nextRetryAt);
+    const canDiscard = operation.status !== 'conflict';
+    
+    return `
+      <li class="sync-queue-item ${escapeHtmlAttr(operation.status)}" data-operation-id="${escapeHtmlAttr(operation.id)}">
+        <span class="sync-queue-title">${escapeHtml(describePendingOperation(operation))}</span>
+        <span class="sync-queue-status">${escapeHtml(describePendingOperationStatus(operation))}</span>
+        ${canRetry ? '<button class="filter-btn" data-action="retry">Tentar novamente</button>' : ''}
+        ${canDiscard ? '<button class="filter-btn clear-btn" data-action="discard">Descartar</button>' : ''}
+      </li>
+    `;
+  }).join('');
+  
+  list.querySelectorAll('button[data-action]').forEach(button => {
+    button.addEventListener('click', () => {
+      const operationId = button.closest('.sync-queue-item').dataset.operationId;
+      if (button.dataset.action === 'retry') {
+        handleRetryOperation(operationId);
+      } else {
+        handleDiscardOperation(operationId);
+      }
+    });
+  });
+}
+
+/**
+ * Send the whole queue now, without waiting for the retry delays
+ */
+async function handleSyncNow() {
+  const button = document.getElementById('sync-now-btn');
+  setButtonLoading(button, true);
+  
+  try {
+    await syncManager.syncToServer();
+    renderSharedList();
+    renderWatchedFilms();
+    
+    const { total, failed, conflicts } = syncManager.getQueueSummary();
+    if (total === 0) {
+      notificationService.success('Todas as alterações foram sincronizadas com sucesso!');
+    } else if (total > failed + conflicts) {
+      notificationService.warning('Algumas alterações não puderam ser enviadas. Tentaremos novamente em breve.');
+    }
+  } catch (error) {
+    ErrorRecovery.logError(error, {
+      context: 'handleSyncNow',
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao sincronizar: ${error.message}`);
+  } finally {
+    setButtonLoading(button, false);
+  }
+}
+
+/**
+ * Send a failed or waiting operation again
+ * @param {string} operationId - Operation ID
+ */
+async function handleRetryOperation(operationId) {
+  try {
+    await syncManager.retryOperation(operationId);
+    renderSharedList();
+    renderWatchedFilms();
+    
+    const stillPending = cacheManager.getPendingOperations().some(op => op.id === operationId);
+    if (stillPending) {
+      notificationService.warning('Não foi possível enviar a alteração. Tentaremos novamente em breve.');
+    } else {
+      notificationService.success('Alteração sincronizada!');
+    }
+  } catch (error) {
+    // Log context information (Requirement 6.5)
+    ErrorRecovery.logError(error, {
+      context: 'handleRetryOperation',
+      operationId,
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao reenviar alteração: ${error.message}`);
+  }
+}
+
+/**
+ * Give up a queued operation and reload the list from the server
+ * @param {string} operationId - Operation ID
+ */
+async function handleDiscardOperation(operationId) {
+  if (!confirm('Descartar esta alteração? Ela não será enviada e a lista volta à versão do servidor.')) {
+    return;
+  }
+  
+  try {
+    syncManager.discardOperation(operationId);
+    notificationService.info('Alteração descartada.');
+  } catch (error) {
+    // Log context information (Requirement 6.5)
+    ErrorRecovery.logError(error, {
+      context: 'handleDiscardOperation',
+      operationId,
+      errorMessage: error.message
+    });
+    notificationService.error(`Erro ao descartar alteração: ${error.message}`);
+    return;
+  }
+  
+  // The sync cursor was reset, so this reloads the whole list
+  if (syncManager.isOnline()) {
+    try {
+      await listService.refreshCache();
+    } catch (error) {
+      console.warn('⚠️  Erro ao recarregar a lista após descartar alteração:', error.message);
+    }
+  }
+  
+  renderSharedList();
+  renderWatchedFilms();
+}
+
 /**
  * Initialize offline mode support
  * Add online/offline event listeners and display offline indicator
@@ -2785,3 +4342,72 @@ function initializeOfflineMode() {
   
   console.log('✅ Modo offline inicializado');
 }
+
+/**
+ * Register the service worker that keeps the app working offline
+ * When a new version has been installed, offers to reload into it
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    console.warn('⚠️  Service worker não suportado - o app não abrirá sem conexão');
+    return;
+  }
+  
+  let updateAccepted = false;
+  
+  /**
+   * Ask the user to switch to the installed version
+   * @param {ServiceWorker} worker - Waiting service worker
+   */
+  function showUpdateAvailable(worker) {
+    notificationService.action('Uma nova versão do app está disponível.', 'Atualizar', () => {
+      updateAccepted = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    }, 'info', 30000);
+  }
+  
+  // Reload once the new worker takes over (only after the user accepted the update,
+  // not when the first worker claims the page)
+  navigator.serviceWorker.addEventListener('controllerchange', async () => {
+    if (!updateAccepted) {
+      return;
+    }
+    updateAccepted = false;
+    if (cacheStorage) {
+      await cacheStorage.flush();
+    }
+    location.reload();
+  });
+  
+  // Background Sync: the worker asks this page to send its queue when the connection is back
+  navigator.serviceWorker.addEventListener('message', event => {
+    if (event.data?.type === 'SYNC_QUEUE' && syncManager) {
+      syncManager.processSyncQueue({ ignoreBackoff: true }).catch(error => {
+        console.error('❌ Erro ao sincronizar pelo Background Sync:', error);
+      });
+    }
+  });
+  
+  navigator.serviceWorker.register('service-worker.js').then(registration => {
+    console.log('✅ Service worker registrado');
+    
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdateAvailable(registration.waiting);
+    }
+    
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          showUpdateAvailable(worker);
+        }
+      });
+    });
+  }).catch(error => {
+    ErrorRecovery.logError(error, {
+      context: 'registerServiceWorker',
+      protocol: location.protocol
+    });
+  });
+}
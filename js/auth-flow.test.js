@@ -13,6 +13,7 @@
 
 const AuthService = require('./auth.js');
 const StorageManager = require('./storage.js');
+const { GoogleSheetsApi } = require('./api.js');
 
 // Mock GoogleSheetsApi for testing
 class MockGoogleSheetsApi {
@@ -346,6 +347,62 @@ describe('Complete Authentication Flow - Task 28', () => {
       expect(currentUser).not.toBeNull();
       expect(currentUser.email).toBe(userData.email);
     });
+
+    describe('idle and absolute timeouts', () => {
+      const HOUR = 60 * 60 * 1000;
+      let now;
+
+      beforeEach(async () => {
+        now = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        authService = new AuthService(storageManager, mockApi, { sessionTimeout: HOUR, sessionMaxAge: 8 * HOUR });
+        await authService.register('Idle User', 'idle@example.com', 'senha123');
+        await authService.login('idle@example.com', 'senha123');
+      });
+
+      afterEach(() => {
+        Date.now.mockRestore();
+      });
+
+      it('should end the session after the configured idle time', () => {
+        now += HOUR - 1000;
+        expect(authService.getSessionTimeLeft()).toBe(1000);
+        expect(authService.isAuthenticated()).toBe(true);
+
+        now += 2000;
+        expect(authService.isAuthenticated()).toBe(false);
+      });
+
+      it('should slide the idle timeout on activity', () => {
+        now += HOUR / 2;
+        authService.recordActivity();
+
+        now += HOUR - 1000;
+        expect(authService.isAuthenticated()).toBe(true);
+      });
+
+      it('should not write activity more often than ACTIVITY_SAVE_INTERVAL', () => {
+        const lastActivity = storageManager.load('letterboxd_session').lastActivity;
+
+        now += AuthService.ACTIVITY_SAVE_INTERVAL - 1;
+        authService.recordActivity();
+        expect(storageManager.load('letterboxd_session').lastActivity).toBe(lastActivity);
+
+        authService.recordActivity({ force: true });
+        expect(storageManager.load('letterboxd_session').lastActivity).toBe(now);
+      });
+
+      it('should end the session at the absolute timeout despite activity', () => {
+        for (let i = 0; i < 8; i++) {
+          now += HOUR - 1000;
+          authService.recordActivity();
+        }
+
+        expect(authService.canExtendSession()).toBe(false);
+        now += HOUR;
+        expect(authService.isAuthenticated()).toBe(false);
+      });
+    });
   });
 
   describe('5. Testar logout', () => {
@@ -480,4 +537,308 @@ describe('Complete Authentication Flow - Task 28', () => {
       }
     });
   });
+
+  describe('6. Testar token de sessão', () => {
+    const API_URL = 'https://script.google.com/macros/s/test/exec';
+    let api;
+
+    // Build a fetch response for the Apps Script JSON envelope
+    const jsonResponse = (body) => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(body)
+    });
+
+    // Requests with a session go in a JSON body; only anonymous reads use the query string
+    const requestData = (callIndex) => {
+      const [url, options] = global.fetch.mock.calls[callIndex];
+      if (options && options.method === 'POST') {
+        return JSON.parse(options.body);
+      }
+      return Object.fromEntries(new URL(url).searchParams);
+    };
+
+    beforeEach(() => {
+      api = new GoogleSheetsApi(API_URL);
+      authService = new AuthService(storageManager, api);
+      global.fetch = jest.fn().mockImplementation(() => jsonResponse({
+        ok: true,
+        data: {
+          id_usuario: 'user-1',
+          nome: 'Token User',
+          email: 'token@example.com',
+          is_admin: false,
+          token: 'session-1.9999999999999.signature',
+          expira_em: 9999999999999
+        }
+      }));
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('should send the token issued at login on every request', async () => {
+      await authService.login('token@example.com', 'senha123');
+      await api.getListsByUser('user-1');
+
+      expect(requestData(0).token).toBeUndefined();
+      expect(requestData(1).token).toBe('session-1.9999999999999.signature');
+    });
+
+    it('should never put the token in the URL of a read', async () => {
+      await authService.login('token@example.com', 'senha123');
+      await api.getListsByUser('user-1');
+      await api.getInvites();
+
+      global.fetch.mock.calls.slice(1).forEach(([url, options]) => {
+        expect(url).toBe(API_URL);
+        expect(options.method).toBe('POST');
+      });
+      expect(requestData(2)).toMatchObject({ action: 'getInvites', token: 'session-1.9999999999999.signature' });
+    });
+
+    it('should restore the token of a saved session', async () => {
+      await authService.login('token@example.com', 'senha123');
+
+      const reloadedApi = new GoogleSheetsApi(API_URL);
+      new AuthService(storageManager, reloadedApi);
+
+      expect(reloadedApi.sessionToken).toBe('session-1.9999999999999.signature');
+    });
+
+    it('should revoke the token on logout', async () => {
+      await authService.login('token@example.com', 'senha123');
+      authService.logout();
+
+      expect(api.sessionToken).toBeNull();
+      expect(requestData(1).action).toBe('logout');
+      expect(requestData(1).token).toBe('session-1.9999999999999.signature');
+    });
+
+    it('should send a fingerprint that persists across logins', async () => {
+      await authService.login('token@example.com', 'senha123');
+      await authService.login('token@example.com', 'senha123');
+
+      expect(requestData(0).fingerprint).toBeTruthy();
+      expect(requestData(1).fingerprint).toBe(requestData(0).fingerprint);
+    });
+
+    it('should report when the login is locked out', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      const lockedUntil = Date.now() + 90 * 1000;
+      global.fetch = jest.fn().mockImplementation(() => jsonResponse({
+        ok: false,
+        status: 429,
+        message: 'Too many failed login attempts',
+        data: { locked_until: lockedUntil }
+      }));
+
+      const error = await authService.login('token@example.com', 'errada').catch(e => e);
+
+      expect(error.lockedUntil).toBe(lockedUntil);
+      expect(error.message).toMatch(/^Muitas tentativas de login\. Tente novamente em 1:(29|30)\.$/);
+      console.error.mockRestore();
+    });
+
+    it('should change the password of the session user', async () => {
+      await authService.login('token@example.com', 'senha123');
+      await authService.changePassword('senha123', 'novaSenha456');
+
+      expect(requestData(1)).toEqual({
+        action: 'changePassword',
+        token: 'session-1.9999999999999.signature',
+        senha_atual: 'senha123',
+        nova_senha: 'novaSenha456'
+      });
+    });
+
+    it('should reject short new passwords before calling the server', async () => {
+      await expect(authService.changePassword('senha123', '12345'))
+        .rejects.toThrow('A senha deve ter no mínimo 6 caracteres.');
+      await expect(authService.redeemResetCode('token@example.com', 'ABCD2345', '12345'))
+        .rejects.toThrow('A senha deve ter no mínimo 6 caracteres.');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should report a wrong current password in Portuguese', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      global.fetch = jest.fn().mockImplementation(() => jsonResponse({
+        ok: false,
+        message: 'Current password is incorrect'
+      }));
+
+      await expect(authService.changePassword('errada', 'novaSenha456'))
+        .rejects.toThrow('Senha atual incorreta.');
+      console.error.mockRestore();
+    });
+
+    it('should keep the streaming services returned at login', async () => {
+      global.fetch = jest.fn().mockImplementation(() => jsonResponse({
+        ok: true,
+        data: { id_usuario: 'user-1', nome: 'Token User', token: 'session-1.x', servicos: ['netflix', 'prime'] }
+      }));
+
+      const user = await authService.login('token@example.com', 'senha123');
+
+      expect(user.subscriptions).toEqual(['netflix', 'prime']);
+      expect(authService.getCurrentUser().subscriptions).toEqual(['netflix', 'prime']);
+    });
+
+    it('should save the streaming services of the session user', async () => {
+      await authService.login('token@example.com', 'senha123');
+      expect(authService.getCurrentUser().subscriptions).toEqual([]);
+
+      global.fetch.mockImplementationOnce(() => jsonResponse({
+        ok: true,
+        data: { id_usuario: 'user-1', servicos: ['disney'] }
+      }));
+      const saved = await authService.updateSubscriptions(['disney']);
+
+      expect(requestData(1)).toEqual({
+        action: 'updateSubscriptions',
+        token: 'session-1.9999999999999.signature',
+        servicos: ['disney']
+      });
+      expect(saved).toEqual(['disney']);
+      expect(authService.getCurrentUser().subscriptions).toEqual(['disney']);
+    });
+
+    it('should redeem a reset code without a session', async () => {
+      await authService.redeemResetCode('token@example.com', 'ABCD2345', 'novaSenha456');
+
+      const body = requestData(0);
+      expect(body.action).toBe('redeemResetCode');
+      expect(body.token).toBeUndefined();
+      expect(body).toMatchObject({ email: 'token@example.com', codigo: 'ABCD2345', nova_senha: 'novaSenha456' });
+      expect(body.fingerprint).toBeTruthy();
+    });
+
+    it('should map invalid reset codes and lockouts', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      global.fetch = jest.fn().mockImplementation(() => jsonResponse({
+        ok: false,
+        message: 'Invalid or expired reset code'
+      }));
+
+      await expect(authService.redeemResetCode('token@example.com', 'ERRADO', 'novaSenha456'))
+        .rejects.toThrow('Código inválido ou expirado.');
+
+      const lockedUntil = Date.now() + 60 * 1000;
+      global.fetch = jest.fn().mockImplementation(() => jsonResponse({
+        ok: false,
+        status: 429,
+        message: 'Too many failed login attempts',
+        data: { locked_until: lockedUntil }
+      }));
+
+      const error = await authService.redeemResetCode('token@example.com', 'ERRADO', 'novaSenha456').catch(e => e);
+      expect(error.lockedUntil).toBe(lockedUntil);
+      console.error.mockRestore();
+    });
+
+    it('should send the invite code when registering', async () => {
+      await authService.register('Token User', 'token@example.com', 'senha123', ' abcd2345 ');
+
+      expect(requestData(0)).toEqual(expect.objectContaining({
+        action: 'registerUser',
+        email: 'token@example.com',
+        convite: 'ABCD2345'
+      }));
+    });
+
+    it('should explain rejected invite codes', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      global.fetch = jest.fn().mockImplementation(() => jsonResponse({
+        ok: false,
+        message: 'Invalid or expired invite code'
+      }));
+
+      await expect(authService.register('Token User', 'token@example.com', 'senha123', 'ERRADO'))
+        .rejects.toThrow('Código de convite inválido, expirado ou esgotado.');
+      console.error.mockRestore();
+    });
+
+    it('should renew the token once half of its lifetime has passed', async () => {
+      const HOUR = 60 * 60 * 1000;
+      const loginAt = 1700000000000;
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(loginAt);
+      global.fetch = jest.fn().mockImplementation(() => jsonResponse({
+        ok: true,
+        data: { id_usuario: 'user-1', nome: 'Token User', email: 'token@example.com', token: 'session-1.old', expira_em: loginAt + 2 * HOUR }
+      }));
+      await authService.login('token@example.com', 'senha123');
+
+      global.fetch = jest.fn().mockImplementation(() => jsonResponse({
+        ok: true,
+        data: { token: 'session-1.renewed', expira_em: loginAt + 3 * HOUR }
+      }));
+
+      // Early activity does not renew
+      dateSpy.mockReturnValue(loginAt + HOUR - 1);
+      authService.recordActivity();
+      expect(global.fetch).not.toHaveBeenCalled();
+
+      dateSpy.mockReturnValue(loginAt + HOUR);
+      authService.recordActivity();
+      await authService.renewing;
+      dateSpy.mockRestore();
+
+      expect(requestData(0)).toEqual({ action: 'renewSession', token: 'session-1.old' });
+      expect(storageManager.load('letterboxd_session').token).toBe('session-1.renewed');
+      expect(storageManager.load('letterboxd_session').expiresAt).toBe(loginAt + 3 * HOUR);
+      expect(api.sessionToken).toBe('session-1.renewed');
+    });
+
+    it('should keep the session when renewal fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      await authService.login('token@example.com', 'senha123');
+      global.fetch = jest.fn().mockRejectedValue(new Error('Network error: Failed to fetch'));
+
+      await expect(authService.renewSession()).resolves.toBe(false);
+      expect(storageManager.load('letterboxd_session').token).toBe('session-1.9999999999999.signature');
+      console.error.mockRestore();
+    });
+
+    it('should format the lockout countdown as m:ss', () => {
+      expect(authService.formatLockoutMessage(125000, 0))
+        .toBe('Muitas tentativas de login. Tente novamente em 2:05.');
+      expect(authService.formatLockoutMessage(1000, 5000))
+        .toBe('Muitas tentativas de login. Tente novamente em 0:00.');
+    });
+
+    it('should notify when the server rejects the token', async () => {
+      api.onSessionExpired = jest.fn();
+      global.fetch = jest.fn().mockImplementation(() => jsonResponse({
+        ok: false,
+        message: 'Invalid or expired session'
+      }));
+
+      await expect(api.getListsByUser('user-1')).rejects.toThrow('Invalid or expired session');
+      expect(api.onSessionExpired).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send mutations as a text/plain JSON body', async () => {
+      await authService.login('token@example.com', 'senha123');
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe(API_URL);
+      expect(options.method).toBe('POST');
+      expect(options.headers['Content-Type']).toBe('text/plain;charset=utf-8');
+      expect(JSON.parse(options.body)).toEqual({
+        action: 'login',
+        email: 'token@example.com',
+        senha: expect.any(String),
+        fingerprint: expect.any(String)
+      });
+    });
+
+    it('should reject oversized reviews before sending them', async () => {
+      const review = 'a'.repeat(GoogleSheetsApi.MAX_REVIEW_LENGTH + 1);
+
+      await expect(api.updateMovie({ id_filme: 'movie-1', nota: 4, review }))
+        .rejects.toThrow('Review too long');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -18,11 +18,95 @@ if (typeof window !== 'undefined' && window.dcodeIO?.bcrypt) {
 }
 
 class AuthService {
-  constructor(storageManager, googleSheetsApi) {
+  // Status sent by the Apps Script while an email/browser is locked after too many failed logins
+  static LOGIN_LOCKED_STATUS = 429;
+
+  // Same policy as MIN_PASSWORD_LENGTH in apps-script-1-CORE.gs (used by every password form)
+  static MIN_PASSWORD_LENGTH = 6;
+
+  // How long before the session ends the user is warned
+  static SESSION_WARNING_TIME = 60 * 1000;
+
+  // Activity is written to storage at most this often
+  static ACTIVITY_SAVE_INTERVAL = 30 * 1000;
+
+  /**
+   * @param {StorageManager} storageManager
+   * @param {GoogleSheetsApi|null} googleSheetsApi
+   * @param {{sessionTimeout?: number, sessionMaxAge?: number}} [options] - Idle and absolute
+   *   session timeouts in milliseconds (CONFIG.app.sessionTimeout / CONFIG.app.sessionMaxAge)
+   */
+  constructor(storageManager, googleSheetsApi, options = {}) {
     this.storageManager = storageManager;
     this.googleSheetsApi = googleSheetsApi;
     this.SESSION_KEY = 'letterboxd_session';
-    this.SESSION_TIMEOUT = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+    this.CLIENT_ID_KEY = 'letterboxd_client_id';
+    this.SESSION_TIMEOUT = options.sessionTimeout || 24 * 60 * 60 * 1000; // Idle timeout, 24 hours by default
+    this.SESSION_MAX_AGE = options.sessionMaxAge || 7 * 24 * 60 * 60 * 1000; // 7 days by default
+    this.renewing = null;
+    
+    // Resume sending the token of a session saved by a previous page load
+    const session = this.storageManager.load(this.SESSION_KEY);
+    if (session && session.token && Date.now() <= this.getSessionDeadline(session)) {
+      this.applySessionToken(session.token);
+    }
+  }
+
+  /**
+   * Hand the session token to the API client so every request carries it
+   * @param {string|null} token - Session token issued by the server
+   */
+  applySessionToken(token) {
+    if (this.googleSheetsApi && typeof this.googleSheetsApi.setSessionToken === 'function') {
+      this.googleSheetsApi.setSessionToken(token);
+    }
+  }
+
+  /**
+   * Get the random ID that identifies this browser to the login lockout
+   * Created on first use and kept across sessions
+   * @returns {string} Browser fingerprint
+   */
+  getClientFingerprint() {
+    let clientId = this.storageManager.load(this.CLIENT_ID_KEY);
+    
+    if (!clientId) {
+      clientId = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+      this.storageManager.save(this.CLIENT_ID_KEY, clientId);
+    }
+    
+    return clientId;
+  }
+
+  /**
+   * Build the lockout message with the time left (m:ss)
+   * @param {number} lockedUntil - End of the lockout in milliseconds
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {string} Portuguese message for the login form
+   */
+  formatLockoutMessage(lockedUntil, now = Date.now()) {
+    const secondsLeft = Math.max(0, Math.ceil((lockedUntil - now) / 1000));
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = String(secondsLeft % 60).padStart(2, '0');
+    return `Muitas tentativas de login. Tente novamente em ${minutes}:${seconds}.`;
+  }
+
+  /**
+   * Turn a lockout response (status 429) into an error carrying lockedUntil
+   * @param {Error} error - Error thrown by the API client
+   * @returns {Error|null} Lockout error, or null for any other error
+   */
+  toLockedError(error) {
+    const lockedUntil = Number(error.response?.data?.locked_until);
+    if (error.response?.status !== AuthService.LOGIN_LOCKED_STATUS || !lockedUntil) {
+      return null;
+    }
+    
+    const lockedError = new Error(this.formatLockoutMessage(lockedUntil));
+    lockedError.lockedUntil = lockedUntil;
+    return lockedError;
   }
 
   /**
@@ -50,7 +134,7 @@ class AuthService {
    * @param {string} email - User email
    * @param {string} password - Plain text password
    * @returns {Promise<Object>} User object if successful
-   * @throws {Error} If authentication fails
+   * @throws {Error} If authentication fails; while locked out the error carries lockedUntil (ms)
    */
   async login(email, password) {
     // Check if API is configured
@@ -62,28 +146,38 @@ class AuthService {
       // Call Google Sheets API for authentication
       const response = await this.googleSheetsApi.login({
         email: email,
-        senha: password
+        senha: password,
+        fingerprint: this.getClientFingerprint()
       });
       
       // Create local session with user data from API
+      // The token expiry is set by the server; without one only the local timeouts apply
+      const now = Date.now();
       const session = {
         userId: response.data.id_usuario,
         username: response.data.nome,
         email: response.data.email,
         isAdmin: response.data.is_admin || false,
-        loginTime: Date.now(),
-        expiresAt: Date.now() + this.SESSION_TIMEOUT
+        subscriptions: Array.isArray(response.data.servicos) ? response.data.servicos : [],
+        token: response.data.token || null,
+        loginTime: now,
+        lastActivity: now,
+        tokenIssuedAt: now,
+        expiresAt: Number(response.data.expira_em) || now + this.SESSION_MAX_AGE,
+        maxExpiresAt: Number(response.data.expira_max) || null
       };
       
       // Save session to localStorage
       this.storageManager.save(this.SESSION_KEY, session);
+      this.applySessionToken(session.token);
       
       // Return user without sensitive data
       return {
         id: session.userId,
         username: session.username,
         email: session.email,
-        isAdmin: session.isAdmin
+        isAdmin: session.isAdmin,
+        subscriptions: session.subscriptions
       };
     } catch (error) {
       // Log API responses and status codes on errors (Requirement 6.2)
@@ -95,6 +189,12 @@ class AuthService {
         responseData: error.response?.data
       });
       
+      // Locked out: the form counts down to lockedUntil
+      const lockedError = this.toLockedError(error);
+      if (lockedError) {
+        throw lockedError;
+      }
+      
       // Provide user-friendly error messages
       if (error.message.includes('Network') || error.message.includes('fetch')) {
         throw new Error('Erro de conexão. Verifique sua internet e tente novamente.');
@@ -117,10 +217,11 @@ class AuthService {
    * @param {string} nome - User name
    * @param {string} email - User email
    * @param {string} password - Plain text password
+   * @param {string} inviteCode - Invite code issued by an admin
    * @returns {Promise<Object>} Created user object
    * @throws {Error} If registration fails
    */
-  async register(nome, email, password) {
+  async register(nome, email, password, inviteCode) {
     // Check if API is configured
     if (!this.googleSheetsApi) {
       throw new Error('API não configurada. Configure o Google Sheets API no arquivo config.js para usar o cadastro.');
@@ -131,7 +232,8 @@ class AuthService {
       const response = await this.googleSheetsApi.registerUser({
         nome: nome,
         email: email,
-        senha: password
+        senha: password,
+        convite: inviteCode ? inviteCode.trim().toUpperCase() : undefined
       });
       
       // Return created user data
@@ -157,6 +259,10 @@ class AuthService {
         throw new Error('Erro de conexão. Verifique sua internet e tente novamente.');
       } else if (error.message.includes('já existe') || error.message.includes('already exists')) {
         throw new Error('Este email já está cadastrado.');
+      } else if (error.message === 'Invalid or expired invite code') {
+        throw new Error('Código de convite inválido, expirado ou esgotado.');
+      } else if (error.message === 'Missing required field: convite') {
+        throw new Error('Informe o código de convite.');
       } else if (error.message.includes('400')) {
         throw new Error('Dados inválidos. Verifique os campos e tente novamente.');
       } else if (error.message.includes('429')) {
@@ -169,11 +275,279 @@ class AuthService {
     }
   }
 
+  /**
+   * Change the password of the logged in user
+   * The server ends the user's other sessions; this one stays valid
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password (at least MIN_PASSWORD_LENGTH characters)
+   * @returns {Promise<void>}
+   * @throws {Error} If the current password is wrong or the change fails
+   */
+  async changePassword(currentPassword, newPassword) {
+    if (!this.googleSheetsApi) {
+      throw new Error('API não configurada. Configure o Google Sheets API no arquivo config.js.');
+    }
+    
+    if (!newPassword || newPassword.length < AuthService.MIN_PASSWORD_LENGTH) {
+      throw new Error(`A senha deve ter no mínimo ${AuthService.MIN_PASSWORD_LENGTH} caracteres.`);
+    }
+    
+    try {
+      await this.googleSheetsApi.changePassword({
+        senha_atual: currentPassword,
+        nova_senha: newPassword
+      });
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'AuthService.changePassword',
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      
+      if (error.message.includes('Network') || error.message.includes('fetch')) {
+        throw new Error('Erro de conexão. Verifique sua internet e tente novamente.');
+      } else if (error.message === 'Current password is incorrect') {
+        throw new Error('Senha atual incorreta.');
+      } else {
+        throw new Error(`Falha ao trocar a senha: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Save the streaming services the current user subscribes to
+   * @param {Array<string>} serviceKeys - StreamingService keys (e.g. ['netflix', 'prime'])
+   * @returns {Promise<Array<string>>} Saved service keys
+   * @throws {Error} If the user is not logged in or the change fails
+   */
+  async updateSubscriptions(serviceKeys) {
+    if (!this.googleSheetsApi) {
+      throw new Error('API não configurada. Configure o Google Sheets API no arquivo config.js.');
+    }
+    
+    const session = this.storageManager.load(this.SESSION_KEY);
+    if (!session) {
+      throw new Error('Sessão expirada. Faça login novamente.');
+    }
+    
+    try {
+      const response = await this.googleSheetsApi.updateSubscriptions({ servicos: serviceKeys });
+      const subscriptions = response.data?.servicos || serviceKeys;
+      
+      // The session may have been renewed while the request was in flight
+      const current = this.storageManager.load(this.SESSION_KEY) || session;
+      this.storageManager.save(this.SESSION_KEY, { ...current, subscriptions });
+      
+      return subscriptions;
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'AuthService.updateSubscriptions',
+        serviceKeys,
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      
+      if (error.message.includes('Network') || error.message.includes('fetch')) {
+        throw new Error('Erro de conexão. Verifique sua internet e tente novamente.');
+      }
+      throw new Error(`Falha ao salvar seus serviços: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set a new password with a reset code issued by an admin
+   * @param {string} email - User email
+   * @param {string} code - Reset code
+   * @param {string} newPassword - New password (at least MIN_PASSWORD_LENGTH characters)
+   * @returns {Promise<void>}
+   * @throws {Error} If the code is invalid or expired; while locked out the error carries lockedUntil (ms)
+   */
+  async redeemResetCode(email, code, newPassword) {
+    if (!this.googleSheetsApi) {
+      throw new Error('API não configurada. Configure o Google Sheets API no arquivo config.js.');
+    }
+    
+    if (!newPassword || newPassword.length < AuthService.MIN_PASSWORD_LENGTH) {
+      throw new Error(`A senha deve ter no mínimo ${AuthService.MIN_PASSWORD_LENGTH} caracteres.`);
+    }
+    
+    try {
+      await this.googleSheetsApi.redeemResetCode({
+        email: email,
+        codigo: code,
+        nova_senha: newPassword,
+        fingerprint: this.getClientFingerprint()
+      });
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'AuthService.redeemResetCode',
+        email,
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      
+      const lockedError = this.toLockedError(error);
+      if (lockedError) {
+        throw lockedError;
+      }
+      
+      if (error.message.includes('Network') || error.message.includes('fetch')) {
+        throw new Error('Erro de conexão. Verifique sua internet e tente novamente.');
+      } else if (error.message === 'Invalid or expired reset code') {
+        throw new Error('Código inválido ou expirado.');
+      } else {
+        throw new Error(`Falha ao redefinir a senha: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Log out current user
    */
   logout() {
+    const session = this.storageManager.load(this.SESSION_KEY);
+    
     this.storageManager.remove(this.SESSION_KEY);
+    this.applySessionToken(null);
+    
+    // Revoke the token on the server without blocking the UI
+    if (session && session.token && this.googleSheetsApi && typeof this.googleSheetsApi.logout === 'function') {
+      this.googleSheetsApi.logout(session.token).catch(error => {
+        console.warn('Failed to revoke session on server:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Get when a session ends: the token expiry, the idle timeout after the last
+   * activity or the absolute timeout after login, whichever comes first
+   * @param {Object} session - Stored session
+   * @returns {number} End of the session in milliseconds
+   */
+  getSessionDeadline(session) {
+    const lastActivity = session.lastActivity || session.loginTime || 0;
+    return Math.min(
+      Number(session.expiresAt) || 0,
+      lastActivity + this.SESSION_TIMEOUT,
+      this.getSessionMaxDeadline(session)
+    );
+  }
+
+  /**
+   * Get the absolute end of a session, which activity cannot extend
+   * @param {Object} session - Stored session
+   * @returns {number} End of the session in milliseconds
+   */
+  getSessionMaxDeadline(session) {
+    const localMax = (session.loginTime || 0) + this.SESSION_MAX_AGE;
+    return session.maxExpiresAt ? Math.min(localMax, session.maxExpiresAt) : localMax;
+  }
+
+  /**
+   * Get the time left in the current session without ending it
+   * @returns {number} Milliseconds left (0 when there is no session)
+   */
+  getSessionTimeLeft() {
+    const session = this.storageManager.load(this.SESSION_KEY);
+    if (!session) {
+      return 0;
+    }
+    return Math.max(0, this.getSessionDeadline(session) - Date.now());
+  }
+
+  /**
+   * Check whether activity can still push back the end of the current session
+   * (false once the absolute timeout is what ends it)
+   * @returns {boolean} True if the session can be extended
+   */
+  canExtendSession() {
+    const session = this.storageManager.load(this.SESSION_KEY);
+    if (!session) {
+      return false;
+    }
+    return this.getSessionMaxDeadline(session) > this.getSessionDeadline(session);
+  }
+
+  /**
+   * Record user activity, sliding the idle timeout
+   * Once half of the token lifetime has passed the token is renewed in the background
+   * @param {{force?: boolean}} [options] - force saves even within ACTIVITY_SAVE_INTERVAL
+   */
+  recordActivity({ force = false } = {}) {
+    const session = this.storageManager.load(this.SESSION_KEY);
+    const now = Date.now();
+    
+    if (!session || now > this.getSessionDeadline(session)) {
+      return;
+    }
+    
+    if (force || now - (session.lastActivity || session.loginTime || 0) >= AuthService.ACTIVITY_SAVE_INTERVAL) {
+      session.lastActivity = now;
+      this.storageManager.save(this.SESSION_KEY, session);
+    }
+    
+    const issuedAt = session.tokenIssuedAt || session.loginTime || now;
+    if (session.token && now - issuedAt >= (session.expiresAt - issuedAt) / 2) {
+      this.renewSession();
+    }
+  }
+
+  /**
+   * Exchange the session token for one with a later expiry
+   * Concurrent calls share the same request
+   * @returns {Promise<boolean>} True if the token was renewed
+   */
+  async renewSession() {
+    if (this.renewing) {
+      return this.renewing;
+    }
+    
+    const session = this.storageManager.load(this.SESSION_KEY);
+    if (!session || !session.token || !this.googleSheetsApi || typeof this.googleSheetsApi.renewSession !== 'function') {
+      return false;
+    }
+    
+    this.renewing = (async () => {
+      try {
+        const response = await this.googleSheetsApi.renewSession();
+        const current = this.storageManager.load(this.SESSION_KEY);
+        
+        // The user logged out while the request was in flight
+        if (!current || current.token !== session.token) {
+          return false;
+        }
+        
+        const now = Date.now();
+        current.token = response.data.token;
+        current.tokenIssuedAt = now;
+        current.lastActivity = now;
+        current.expiresAt = Number(response.data.expira_em) || current.expiresAt;
+        current.maxExpiresAt = Number(response.data.expira_max) || current.maxExpiresAt || null;
+        
+        this.storageManager.save(this.SESSION_KEY, current);
+        this.applySessionToken(current.token);
+        return true;
+      } catch (error) {
+        // Log API responses and status codes on errors (Requirement 6.2)
+        ErrorRecovery.logError(error, {
+          context: 'AuthService.renewSession',
+          statusCode: error.response?.status,
+          statusText: error.response?.statusText,
+          responseData: error.response?.data
+        });
+        return false;
+      } finally {
+        this.renewing = null;
+      }
+    })();
+    
+    return this.renewing;
   }
 
   /**
@@ -187,8 +561,8 @@ class AuthService {
       return null;
     }
     
-    // Check if session has expired
-    if (Date.now() > session.expiresAt) {
+    // Check if session has expired (token, idle or absolute timeout)
+    if (Date.now() > this.getSessionDeadline(session)) {
       this.logout();
       return null;
     }
@@ -197,7 +571,8 @@ class AuthService {
       id: session.userId,
       username: session.username,
       email: session.email,
-      isAdmin: session.isAdmin
+      isAdmin: session.isAdmin,
+      subscriptions: session.subscriptions || []
     };
   }
 
@@ -1,6 +1,8 @@
 /**
  * CacheManager - Manages local cache for shared list and watched movies
  * Provides immediate updates and tracks pending sync operations
+ * Entries, cursors and pending operations are stored per user (and per list), so
+ * people sharing a browser never see or sync each other's data
  * Requirements: 3.1, 3.4, 3.6, 3.7
  */
 
@@ -13,6 +15,15 @@ class CacheManager {
     this.SHARED_LIST_KEY = 'letterboxd_shared_list';
     this.WATCHED_LIST_KEY = 'letterboxd_watched_list';
     this.PENDING_OPS_KEY = 'letterboxd_pending_operations';
+    this.SELECTED_LIST_KEY = 'letterboxd_selected_list';
+    this.SYNC_CURSOR_KEY = 'letterboxd_sync_cursor';
+    this.LIST_MEMBERS_KEY = 'letterboxd_list_members';
+    
+    // User whose data is currently cached (null keeps the pre-login global keys)
+    this.currentUserId = null;
+    
+    // List whose entries are currently cached (each list has its own storage keys)
+    this.currentListId = null;
     
     // In-memory cache for faster access
     this.sharedListCache = null;
@@ -20,6 +31,244 @@ class CacheManager {
     this.pendingOpsCache = null;
   }
 
+  /**
+   * Switch the cache to another user
+   * The first time a user is set, data left under the old global keys is sorted out (see migrateGlobalKeys)
+   * @param {string|null} userId - User ID
+   */
+  setCurrentUser(userId) {
+    if (this.currentUserId === (userId || null)) {
+      return;
+    }
+    
+    this.currentUserId = userId || null;
+    this.currentListId = null;
+    this.sharedListCache = null;
+    this.watchedListCache = null;
+    this.pendingOpsCache = null;
+    
+    if (this.currentUserId) {
+      this.migrateGlobalKeys();
+    }
+    
+    console.log('CacheManager: Switched to user', this.currentUserId);
+  }
+
+  /**
+   * Build the storage key of a user (the current one by default) for a base key
+   * e.g. letterboxd_shared_list → letterboxd_user_<userId>_shared_list_<listId>
+   * @param {string} baseKey - One of the *_KEY constants
+   * @param {string|null} listId - List ID (omitted for per-user keys)
+   * @param {string|null} userId - User ID
+   * @returns {string} Storage key
+   */
+  scopedKey(baseKey, listId = null, userId = this.currentUserId) {
+    const key = userId
+      ? baseKey.replace(/^letterboxd_/, `letterboxd_user_${userId}_`)
+      : baseKey;
+    return listId ? `${key}_${listId}` : key;
+  }
+
+  /**
+   * Storage key of the pending operations of the current user
+   * @returns {string} Storage key
+   */
+  getPendingOpsKey() {
+    return this.scopedKey(this.PENDING_OPS_KEY);
+  }
+
+  /**
+   * Sort out data stored under global keys (before caches were kept per user)
+   * Several people may have used the browser, so nothing is handed to whoever logs in first:
+   * pending operations go to the user in their id_usuario (operations without one are dropped)
+   * and cached entries and cursors are removed, to be pulled again on the next sync
+   */
+  migrateGlobalKeys() {
+    const baseKeys = [this.SHARED_LIST_KEY, this.WATCHED_LIST_KEY, this.SYNC_CURSOR_KEY];
+    let removed = 0;
+    
+    for (const key of this.storage.keys()) {
+      if (baseKeys.some(base => key === base || key.startsWith(`${base}_`))) {
+        this.storage.remove(key);
+        removed++;
+      }
+    }
+    
+    const globalOps = this.storage.load(this.PENDING_OPS_KEY);
+    const opsByUser = new Map();
+    let dropped = 0;
+    
+    for (const op of Array.isArray(globalOps) ? globalOps : []) {
+      const owner = op.data && op.data.id_usuario;
+      if (!owner) {
+        dropped++;
+        continue;
+      }
+      if (!opsByUser.has(owner)) {
+        opsByUser.set(owner, []);
+      }
+      opsByUser.get(owner).push(op);
+    }
+    
+    for (const [owner, ops] of opsByUser) {
+      const key = this.scopedKey(this.PENDING_OPS_KEY, null, owner);
+      this.storage.save(key, [...(this.storage.load(key) || []), ...ops]);
+    }
+    this.storage.remove(this.PENDING_OPS_KEY);
+    this.pendingOpsCache = null;
+    
+    if (removed > 0 || globalOps) {
+      console.log('CacheManager: Migrated global cache keys', {
+        removedKeys: removed,
+        operationOwners: [...opsByUser.keys()],
+        droppedOperations: dropped
+      });
+    }
+  }
+
+  /**
+   * Remove the cached data of the current user (used on logout)
+   * @param {{keepPendingOperations?: boolean}} [options] - keepPendingOperations leaves
+   *   the unsynced operations for the user's next login
+   */
+  purgeUserData({ keepPendingOperations = false } = {}) {
+    if (!this.currentUserId) {
+      return;
+    }
+    
+    const prefix = this.scopedKey('letterboxd_');
+    const pendingOpsKey = this.getPendingOpsKey();
+    
+    for (const key of this.storage.keys()) {
+      if (key.startsWith(prefix) && !(keepPendingOperations && key === pendingOpsKey)) {
+        this.storage.remove(key);
+      }
+    }
+    
+    this.sharedListCache = null;
+    this.watchedListCache = null;
+    this.pendingOpsCache = null;
+    
+    console.log('CacheManager: Purged data of user', this.currentUserId, { keepPendingOperations });
+  }
+
+  /**
+   * Switch the cache to another list
+   * Entries of each list are stored under their own keys, so switching never mixes lists
+   * @param {string|null} listId - List ID
+   */
+  setCurrentList(listId) {
+    if (this.currentListId === listId) {
+      return;
+    }
+    
+    this.currentListId = listId || null;
+    this.sharedListCache = null;
+    this.watchedListCache = null;
+    
+    console.log('CacheManager: Switched to list', this.currentListId);
+  }
+
+  /**
+   * Storage key of the shared list for a list ID
+   * @param {string|null} listId - List ID (defaults to the current list)
+   * @returns {string} Storage key
+   */
+  getSharedListKey(listId = this.currentListId) {
+    return this.scopedKey(this.SHARED_LIST_KEY, listId);
+  }
+
+  /**
+   * Storage key of the watched list for a list ID
+   * @param {string|null} listId - List ID (defaults to the current list)
+   * @returns {string} Storage key
+   */
+  getWatchedListKey(listId = this.currentListId) {
+    return this.scopedKey(this.WATCHED_LIST_KEY, listId);
+  }
+
+  /**
+   * Remove the cached entries of a list (e.g. after the list is deleted)
+   * @param {string} listId - List ID
+   */
+  clearList(listId) {
+    this.storage.remove(this.getSharedListKey(listId));
+    this.storage.remove(this.getWatchedListKey(listId));
+    this.storage.remove(this.getSyncCursorKey(listId));
+    this.storage.remove(this.scopedKey(this.LIST_MEMBERS_KEY, listId));
+    
+    if (listId === this.currentListId) {
+      this.sharedListCache = null;
+      this.watchedListCache = null;
+    }
+  }
+
+  /**
+   * Storage key of the delta sync cursor for a list ID
+   * @param {string|null} listId - List ID (defaults to the current list)
+   * @returns {string} Storage key
+   */
+  getSyncCursorKey(listId = this.currentListId) {
+    return this.scopedKey(this.SYNC_CURSOR_KEY, listId);
+  }
+
+  /**
+   * Get the cursor of the last delta sync (server time of the last getChangesSince)
+   * @param {string|null} listId - List ID (defaults to the current list)
+   * @returns {number|null} Cursor or null when the list was never synced
+   */
+  getSyncCursor(listId = this.currentListId) {
+    return this.storage.load(this.getSyncCursorKey(listId)) || null;
+  }
+
+  /**
+   * Store the cursor returned by getChangesSince
+   * @param {number} cursor - Server cursor
+   * @param {string|null} listId - List ID (defaults to the current list)
+   */
+  saveSyncCursor(cursor, listId = this.currentListId) {
+    this.storage.save(this.getSyncCursorKey(listId), cursor);
+  }
+
+  /**
+   * Get the members of a list as last loaded from the server
+   * @param {string|null} listId - List ID (defaults to the current list)
+   * @returns {Array|null} Members ({id_usuario, nome, servicos, role, ...}) or null when never loaded
+   */
+  getListMembers(listId = this.currentListId) {
+    return this.storage.load(this.scopedKey(this.LIST_MEMBERS_KEY, listId));
+  }
+
+  /**
+   * Store the members of a list (used offline for the group streaming filter)
+   * @param {Array} members - Members returned by getListMembers
+   * @param {string|null} listId - List ID (defaults to the current list)
+   */
+  saveListMembers(members, listId = this.currentListId) {
+    this.storage.save(this.scopedKey(this.LIST_MEMBERS_KEY, listId), members);
+  }
+
+  /**
+   * Get the list last selected by a user
+   * @param {string} userId - User ID
+   * @returns {string|null} List ID
+   */
+  getSelectedList(userId) {
+    const selected = this.storage.load(this.SELECTED_LIST_KEY) || {};
+    return selected[userId] || null;
+  }
+
+  /**
+   * Remember the list selected by a user
+   * @param {string} userId - User ID
+   * @param {string} listId - List ID
+   */
+  saveSelectedList(userId, listId) {
+    const selected = this.storage.load(this.SELECTED_LIST_KEY) || {};
+    selected[userId] = listId;
+    this.storage.save(this.SELECTED_LIST_KEY, selected);
+  }
+
   /**
    * Get shared list from cache
    * @returns {Array} Cached entries
@@ -27,7 +276,7 @@ class CacheManager {
    */
   getSharedList() {
     if (this.sharedListCache === null) {
-      this.sharedListCache = this.storage.load(this.SHARED_LIST_KEY) || [];
+      this.sharedListCache = this.storage.load(this.getSharedListKey()) || [];
     }
     return this.sharedListCache;
   }
@@ -39,11 +288,48 @@ class CacheManager {
    */
   getWatchedList() {
     if (this.watchedListCache === null) {
-      this.watchedListCache = this.storage.load(this.WATCHED_LIST_KEY) || [];
+      this.watchedListCache = this.storage.load(this.getWatchedListKey()) || [];
     }
     return this.watchedListCache;
   }
 
+  /**
+   * Get the cached entries of any list of the current user
+   * The current list goes through the in-memory cache; other lists are read from storage
+   * (with no list selected every entry lives in the unscoped cache)
+   * @param {'shared'|'watched'} entity - Which cache to read
+   * @param {string|null} listId - List ID (defaults to the current list)
+   * @returns {Array} Cached entries
+   */
+  getListEntries(entity, listId = this.currentListId) {
+    if (!listId || !this.currentListId || listId === this.currentListId) {
+      return entity === 'shared' ? this.getSharedList() : this.getWatchedList();
+    }
+    
+    const key = entity === 'shared' ? this.getSharedListKey(listId) : this.getWatchedListKey(listId);
+    return this.storage.load(key) || [];
+  }
+
+  /**
+   * Save the cached entries of any list of the current user
+   * @param {'shared'|'watched'} entity - Which cache to write
+   * @param {Array} entries - Entries to save
+   * @param {string|null} listId - List ID (defaults to the current list)
+   */
+  saveListEntries(entity, entries, listId = this.currentListId) {
+    if (!listId || !this.currentListId || listId === this.currentListId) {
+      if (entity === 'shared') {
+        this.updateSharedListCache(entries);
+      } else {
+        this.updateWatchedCache(entries);
+      }
+      return;
+    }
+    
+    const key = entity === 'shared' ? this.getSharedListKey(listId) : this.getWatchedListKey(listId);
+    this.storage.save(key, entries);
+  }
+
   /**
    * Add entry to shared list cache
    * @param {Object} entry - Entry to add
@@ -93,7 +379,7 @@ class CacheManager {
 
     // Update cache and persist
     this.sharedListCache = sharedList;
-    this.storage.save(this.SHARED_LIST_KEY, sharedList);
+    this.storage.save(this.getSharedListKey(), sharedList);
     
     // Log cache state changes (Requirement 6.3)
     console.log(`CacheManager: Shared list cache updated`, {
@@ -121,7 +407,7 @@ class CacheManager {
 
     if (filteredList.length < initialLength) {
       this.sharedListCache = filteredList;
-      this.storage.save(this.SHARED_LIST_KEY, filteredList);
+      this.storage.save(this.getSharedListKey(), filteredList);
       
       // Log cache state changes (Requirement 6.3)
       console.log(`CacheManager: Removed entry from shared list`, {
@@ -169,7 +455,7 @@ class CacheManager {
 
     const previousLength = this.sharedListCache ? this.sharedListCache.length : 0;
     this.sharedListCache = uniqueEntries;
-    this.storage.save(this.SHARED_LIST_KEY, uniqueEntries);
+    this.storage.save(this.getSharedListKey(), uniqueEntries);
     
     // Log cache state changes (Requirement 6.3)
     console.log(`CacheManager: Updated shared list cache`, {
@@ -198,7 +484,7 @@ class CacheManager {
 
     const previousLength = this.watchedListCache ? this.watchedListCache.length : 0;
     this.watchedListCache = movies;
-    this.storage.save(this.WATCHED_LIST_KEY, movies);
+    this.storage.save(this.getWatchedListKey(), movies);
     
     // Log cache state changes (Requirement 6.3)
     console.log(`CacheManager: Updated watched list cache`, {
@@ -217,9 +503,10 @@ class CacheManager {
     this.watchedListCache = null;
     this.pendingOpsCache = null;
     
-    this.storage.remove(this.SHARED_LIST_KEY);
-    this.storage.remove(this.WATCHED_LIST_KEY);
-    this.storage.remove(this.PENDING_OPS_KEY);
+    this.storage.remove(this.getSharedListKey());
+    this.storage.remove(this.getWatchedListKey());
+    this.storage.remove(this.getSyncCursorKey());
+    this.storage.remove(this.getPendingOpsKey());
     
     console.log('CacheManager: Cleared all caches');
   }
@@ -231,7 +518,7 @@ class CacheManager {
    */
   getPendingOperations() {
     if (this.pendingOpsCache === null) {
-      this.pendingOpsCache = this.storage.load(this.PENDING_OPS_KEY) || [];
+      this.pendingOpsCache = this.storage.load(this.getPendingOpsKey()) || [];
     }
     return this.pendingOpsCache;
   }
@@ -257,7 +544,7 @@ class CacheManager {
     
     pendingOps.push(op);
     this.pendingOpsCache = pendingOps;
-    this.storage.save(this.PENDING_OPS_KEY, pendingOps);
+    this.storage.save(this.getPendingOpsKey(), pendingOps);
     
     console.log(`CacheManager: Added pending operation ${op.id}`);
     return op;
@@ -276,7 +563,7 @@ class CacheManager {
     
     if (filteredOps.length < pendingOps.length) {
       this.pendingOpsCache = filteredOps;
-      this.storage.save(this.PENDING_OPS_KEY, filteredOps);
+      this.storage.save(this.getPendingOpsKey(), filteredOps);
       console.log(`CacheManager: Marked operation ${operationId} as synced`);
     } else {
       console.warn(`CacheManager: Operation ${operationId} not found in pending operations`);
@@ -294,7 +581,7 @@ class CacheManager {
     if (op) {
       op.retries = (op.retries || 0) + 1;
       this.pendingOpsCache = pendingOps;
-      this.storage.save(this.PENDING_OPS_KEY, pendingOps);
+      this.storage.save(this.getPendingOpsKey(), pendingOps);
       console.log(`CacheManager: Incremented retry count for operation ${operationId} to ${op.retries}`);
     }
   }
@@ -310,10 +597,47 @@ class CacheManager {
     if (op) {
       op.status = 'failed';
       this.pendingOpsCache = pendingOps;
-      this.storage.save(this.PENDING_OPS_KEY, pendingOps);
+      this.storage.save(this.getPendingOpsKey(), pendingOps);
       console.log(`CacheManager: Marked operation ${operationId} as failed`);
     }
   }
+
+  /**
+   * Mark operation as conflicting with a newer server version
+   * Conflicting operations are not retried until the conflict is resolved
+   * @param {string} operationId - Operation ID
+   * @param {Object} serverEntry - Current server row
+   */
+  markAsConflict(operationId, serverEntry) {
+    this.updatePendingOperation(operationId, {
+      status: 'conflict',
+      conflict: {
+        server: serverEntry,
+        detectedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Update fields of a pending operation (e.g. data of an unsynced edit)
+   * @param {string} operationId - Operation ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Object|null} Updated operation or null if not found
+   */
+  updatePendingOperation(operationId, changes) {
+    const pendingOps = this.getPendingOperations();
+    const op = pendingOps.find(o => o.id === operationId);
+    
+    if (!op) {
+      return null;
+    }
+    
+    Object.assign(op, changes);
+    this.pendingOpsCache = pendingOps;
+    this.storage.save(this.getPendingOpsKey(), pendingOps);
+    console.log(`CacheManager: Updated operation ${operationId}`);
+    return op;
+  }
 }
 
 // Export for use in other modules
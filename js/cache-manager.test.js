@@ -48,6 +48,7 @@ describe('CacheManager - Property-Based Tests', () => {
       remove: (key) => {
         delete isolatedStorage[key];
       },
+      keys: () => Object.keys(isolatedStorage),
       clear: () => {
         // Clear all keys in this isolated storage
         Object.keys(isolatedStorage).forEach(k => {
@@ -603,4 +604,155 @@ describe('CacheManager - Property-Based Tests', () => {
       expect(remainingOps.length).toBe(0);
     });
   });
+
+  describe('Per-list caches', () => {
+    const entryFor = (id, title) => ({
+      id,
+      id_filme: id,
+      film: { id: 1, title, genres: [] }
+    });
+
+    it('should keep a separate shared list for each list id', () => {
+      const storage = createIsolatedStorage();
+      const cache = new CacheManager(storage);
+      
+      cache.setCurrentList('list-a');
+      cache.addToSharedList(entryFor('a-1', 'Film A'));
+      
+      cache.setCurrentList('list-b');
+      expect(cache.getSharedList().length).toBe(0);
+      cache.addToSharedList(entryFor('b-1', 'Film B'));
+      
+      cache.setCurrentList('list-a');
+      expect(cache.getSharedList().map(e => e.id)).toEqual(['a-1']);
+      
+      // A fresh instance reads the same per-list data from storage
+      const reloaded = new CacheManager(storage);
+      reloaded.setCurrentList('list-b');
+      expect(reloaded.getSharedList().map(e => e.id)).toEqual(['b-1']);
+    });
+
+    it('should clear only the cache of the given list', () => {
+      const storage = createIsolatedStorage();
+      const cache = new CacheManager(storage);
+      
+      cache.setCurrentList('list-a');
+      cache.addToSharedList(entryFor('a-1', 'Film A'));
+      cache.setCurrentList('list-b');
+      cache.addToSharedList(entryFor('b-1', 'Film B'));
+      
+      cache.clearList('list-b');
+      expect(cache.getSharedList().length).toBe(0);
+      
+      cache.setCurrentList('list-a');
+      expect(cache.getSharedList().length).toBe(1);
+    });
+
+    it('should remember the selected list per user', () => {
+      const storage = createIsolatedStorage();
+      const cache = new CacheManager(storage);
+      
+      cache.saveSelectedList('user-1', 'list-a');
+      cache.saveSelectedList('user-2', 'list-b');
+      
+      expect(cache.getSelectedList('user-1')).toBe('list-a');
+      expect(cache.getSelectedList('user-2')).toBe('list-b');
+      expect(cache.getSelectedList('user-3')).toBeNull();
+    });
+  });
+
+  describe('Per-user caches', () => {
+    const entryFor = (id, title) => ({
+      id,
+      id_filme: id,
+      film: { id: 1, title, genres: [] }
+    });
+
+    it('should keep entries and pending operations of each user apart', () => {
+      const storage = createIsolatedStorage();
+      const cache = new CacheManager(storage);
+      
+      cache.setCurrentUser('user-1');
+      cache.setCurrentList('list-a');
+      cache.addToSharedList(entryFor('a-1', 'Film A'));
+      cache.addPendingOperation({ type: 'add', data: { id: 'a-1' } });
+      
+      cache.setCurrentUser('user-2');
+      cache.setCurrentList('list-a');
+      expect(cache.getSharedList().length).toBe(0);
+      expect(cache.getPendingOperations().length).toBe(0);
+      
+      cache.setCurrentUser('user-1');
+      cache.setCurrentList('list-a');
+      expect(cache.getSharedList().map(e => e.id)).toEqual(['a-1']);
+      expect(cache.getPendingOperations().length).toBe(1);
+      expect(storage.load('letterboxd_user_user-1_shared_list_list-a')).toHaveLength(1);
+    });
+
+    it('should hand global pending operations only to the user who queued them', () => {
+      const storage = createIsolatedStorage();
+      storage.save('letterboxd_shared_list_list-a', [entryFor('a-1', 'Film A')]);
+      storage.save('letterboxd_sync_cursor_list-a', '2024-01-01T00:00:00.000Z');
+      storage.save('letterboxd_pending_operations', [
+        { id: 'op-1', type: 'add', data: { id_usuario: 'user-1' } },
+        { id: 'op-2', type: 'add', data: { id_usuario: 'user-2' } },
+        { id: 'op-3', type: 'remove', data: { id_filme: 'a-1' } }
+      ]);
+      storage.save('letterboxd_selected_list', { 'user-1': 'list-a' });
+      
+      const cache = new CacheManager(storage);
+      cache.setCurrentUser('user-1');
+      cache.setCurrentList('list-a');
+      
+      expect(cache.getPendingOperations().map(op => op.id)).toEqual(['op-1']);
+      // Cached entries may belong to someone else: they are dropped and pulled again
+      expect(cache.getSharedList().length).toBe(0);
+      expect(cache.getSyncCursor()).toBeNull();
+      expect(storage.load('letterboxd_shared_list_list-a')).toBeNull();
+      expect(storage.load('letterboxd_pending_operations')).toBeNull();
+      // The selected list map is already per user and stays global
+      expect(cache.getSelectedList('user-1')).toBe('list-a');
+      
+      // The other user still gets their own operation; the one without an owner is gone
+      cache.setCurrentUser('user-2');
+      cache.setCurrentList('list-a');
+      expect(cache.getPendingOperations().map(op => op.id)).toEqual(['op-2']);
+    });
+
+    it('should purge the user data and optionally keep pending operations', () => {
+      const storage = createIsolatedStorage();
+      const cache = new CacheManager(storage);
+      
+      cache.setCurrentUser('user-2');
+      cache.setCurrentList('list-a');
+      cache.addToSharedList(entryFor('b-1', 'Film B'));
+      
+      cache.setCurrentUser('user-1');
+      cache.setCurrentList('list-a');
+      cache.addToSharedList(entryFor('a-1', 'Film A'));
+      cache.addPendingOperation({ type: 'add', data: { id: 'a-1' } });
+      
+      cache.purgeUserData({ keepPendingOperations: true });
+      expect(storage.load('letterboxd_user_user-1_shared_list_list-a')).toBeNull();
+      expect(storage.load('letterboxd_user_user-1_pending_operations')).toHaveLength(1);
+      
+      cache.purgeUserData();
+      expect(storage.load('letterboxd_user_user-1_pending_operations')).toBeNull();
+      expect(storage.load('letterboxd_user_user-2_shared_list_list-a')).toHaveLength(1);
+    });
+
+    it('should purge the filter and tab state kept under the user keys', () => {
+      const storage = createIsolatedStorage();
+      const cache = new CacheManager(storage);
+      
+      cache.setCurrentUser('user-1');
+      storage.save(cache.scopedKey('letterboxd_filter_state'), { genre: 'Drama' });
+      storage.save(cache.scopedKey('letterboxd_active_tab'), 'watched');
+      expect(cache.scopedKey('letterboxd_active_tab')).toBe('letterboxd_user_user-1_active_tab');
+      
+      cache.purgeUserData();
+      expect(storage.load('letterboxd_user_user-1_filter_state')).toBeNull();
+      expect(storage.load('letterboxd_user_user-1_active_tab')).toBeNull();
+    });
+  });
 });
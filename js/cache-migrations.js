@@ -0,0 +1,149 @@
+/**
+ * CacheMigrations - Upgrades the data persisted by CacheManager to the current schema
+ * Entries cached by older versions of the app have different shapes (id vs id_filme,
+ * film.id vs tmdb_id, added_by vs addedBy). Each migration upgrades the cached lists
+ * by one version; the runner applies the pending ones once, at startup, and stores
+ * the schema version next to the cache.
+ */
+
+// Import ErrorRecovery for error handling
+const ErrorRecovery = typeof require !== 'undefined' ? require('./error-recovery.js') : window.ErrorRecovery;
+
+class CacheMigrations {
+  /**
+   * Apply the pending migrations to every cached shared/watched list in storage
+   * A list that cannot be migrated is dropped together with its sync cursor,
+   * so the next sync downloads it again
+   * @param {StorageManager} storage - Storage holding the CacheManager data
+   * @returns {number} Schema version after the run
+   */
+  static run(storage) {
+    const storedVersion = storage.load(CacheMigrations.VERSION_KEY);
+    const fromVersion = typeof storedVersion === 'number' ? storedVersion : 0;
+    const pending = CacheMigrations.MIGRATIONS.filter(migration => migration.version > fromVersion);
+
+    if (pending.length === 0) {
+      return fromVersion;
+    }
+
+    const listKeys = storage.keys().filter(key => CacheMigrations.isListKey(key));
+
+    for (const key of listKeys) {
+      try {
+        const entries = storage.load(key);
+        if (!Array.isArray(entries)) {
+          throw new Error('Cached list is not an array');
+        }
+
+        const migrated = pending.reduce(
+          (list, migration) => list.map(entry => CacheMigrations.migrateEntry(migration, entry)),
+          entries
+        );
+        storage.save(key, migrated);
+      } catch (error) {
+        ErrorRecovery.logError(error, {
+          context: 'CacheMigrations.run',
+          key,
+          fromVersion
+        });
+        storage.remove(key);
+        storage.remove(key.replace(/(shared_list|watched_list)/, 'sync_cursor'));
+      }
+    }
+
+    storage.save(CacheMigrations.VERSION_KEY, CacheMigrations.CURRENT_VERSION);
+    console.log(`CacheMigrations: Upgraded ${listKeys.length} cached lists from schema ${fromVersion} to ${CacheMigrations.CURRENT_VERSION}`, {
+      migrations: pending.map(migration => migration.description)
+    });
+
+    return CacheMigrations.CURRENT_VERSION;
+  }
+
+  /**
+   * Apply one migration to an entry (values that are not objects are kept as they are)
+   * @param {Object} migration - Migration from MIGRATIONS
+   * @param {Object} entry - Cached entry
+   * @returns {Object} Migrated entry
+   */
+  static migrateEntry(migration, entry) {
+    if (!entry || typeof entry !== 'object') {
+      return entry;
+    }
+    return migration.migrate(entry);
+  }
+
+  /**
+   * Check whether a storage key holds a cached shared or watched list
+   * @param {string} key - Storage key
+   * @returns {boolean} True for list cache keys (global, per user and per list)
+   */
+  static isListKey(key) {
+    return /^letterboxd_(user_.+_)?(shared_list|watched_list)(_|$)/.test(key);
+  }
+}
+
+// Storage key of the schema version of the cached data
+CacheMigrations.VERSION_KEY = 'letterboxd_cache_schema_version';
+
+// Each migration upgrades an entry from version - 1 to version
+CacheMigrations.MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Entries carry both id and id_filme',
+    migrate(entry) {
+      const id = entry.id_filme || entry.id ||
+        `temp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      return {
+        ...entry,
+        id: entry.id || id,
+        id_filme: entry.id_filme || id
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Entries carry a complete film object matching tmdb_id',
+    migrate(entry) {
+      const film = entry.film && typeof entry.film === 'object' ? entry.film : {};
+      const tmdbId = entry.tmdb_id ?? film.id ?? null;
+
+      return {
+        ...entry,
+        tmdb_id: tmdbId,
+        film: {
+          ...film,
+          id: film.id ?? tmdbId ?? entry.id_filme,
+          title: film.title || entry.titulo_filme || '',
+          year: film.year ?? entry.ano ?? null,
+          poster: film.poster ?? null,
+          rating: Number(film.rating) || 0,
+          genres: Array.isArray(film.genres) ? film.genres : [],
+          overview: film.overview || ''
+        },
+        titulo_filme: entry.titulo_filme || film.title || '',
+        ano: entry.ano ?? film.year ?? null
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Metadata uses camelCase names (addedBy, addedByUserId, addedAt)',
+    migrate(entry) {
+      const { added_by, added_by_user_id, added_at, ...rest } = entry;
+      return {
+        ...rest,
+        addedBy: entry.addedBy || added_by || '',
+        addedByUserId: entry.addedByUserId || added_by_user_id || entry.id_usuario || '',
+        addedAt: entry.addedAt || added_at || new Date().toISOString()
+      };
+    }
+  }
+];
+
+// Schema version written by the current code
+CacheMigrations.CURRENT_VERSION = CacheMigrations.MIGRATIONS[CacheMigrations.MIGRATIONS.length - 1].version;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CacheMigrations;
+}
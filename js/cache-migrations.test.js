@@ -0,0 +1,187 @@
+/**
+ * Unit tests for CacheMigrations
+ * One test block per migration step, plus the runner
+ */
+
+const CacheMigrations = require('./cache-migrations.js');
+const StorageManager = require('./storage.js');
+const DataValidator = require('./data-validator.js');
+
+describe('CacheMigrations', () => {
+  const migrate = (version, entry) => {
+    const migration = CacheMigrations.MIGRATIONS.find(m => m.version === version);
+    return CacheMigrations.migrateEntry(migration, entry);
+  };
+
+  // Entry as cached by the first versions of the app
+  const legacyEntry = {
+    id_filme: 'f1',
+    titulo_filme: 'Alien',
+    ano: 1979,
+    tmdb_id: 348,
+    added_by: 'Ana',
+    added_by_user_id: 'u1',
+    added_at: '2024-01-01T00:00:00.000Z'
+  };
+
+  describe('Migration 1: id and id_filme', () => {
+    it('should copy id_filme to id and id to id_filme', () => {
+      expect(migrate(1, { id_filme: 'f1' })).toEqual({ id: 'f1', id_filme: 'f1' });
+      expect(migrate(1, { id: 'f2' })).toEqual({ id: 'f2', id_filme: 'f2' });
+    });
+
+    it('should keep both ids when they already exist', () => {
+      expect(migrate(1, { id: 'a', id_filme: 'b' })).toEqual({ id: 'a', id_filme: 'b' });
+    });
+
+    it('should give entries without any id a temporary one', () => {
+      const entry = migrate(1, { titulo_filme: 'Alien' });
+      expect(entry.id).toMatch(/^temp-/);
+      expect(entry.id_filme).toBe(entry.id);
+    });
+  });
+
+  describe('Migration 2: film object and tmdb_id', () => {
+    it('should build the film object from the legacy title, year and tmdb_id', () => {
+      const entry = migrate(2, { id: 'f1', id_filme: 'f1', titulo_filme: 'Alien', ano: 1979, tmdb_id: 348 });
+
+      expect(entry.film).toEqual({
+        id: 348,
+        title: 'Alien',
+        year: 1979,
+        poster: null,
+        rating: 0,
+        genres: [],
+        overview: ''
+      });
+      expect(entry.tmdb_id).toBe(348);
+    });
+
+    it('should fill tmdb_id and the legacy fields from the film object', () => {
+      const entry = migrate(2, {
+        id: 'f1',
+        id_filme: 'f1',
+        film: { id: 348, title: 'Alien', year: 1979, poster: '/alien.jpg', rating: 8.1, genres: ['Terror'], overview: 'No espaço' }
+      });
+
+      expect(entry.tmdb_id).toBe(348);
+      expect(entry.titulo_filme).toBe('Alien');
+      expect(entry.ano).toBe(1979);
+      expect(entry.film.poster).toBe('/alien.jpg');
+      expect(entry.film.genres).toEqual(['Terror']);
+    });
+
+    it('should fall back to id_filme for watched entries without TMDB data', () => {
+      const entry = migrate(2, { id: 'w1', id_filme: 'w1', titulo_filme: 'Alien', tmdb_id: null });
+      expect(entry.film.id).toBe('w1');
+    });
+
+    it('should replace genres that are not an array', () => {
+      const entry = migrate(2, { id: 'f1', id_filme: 'f1', film: { id: 1, title: 'Alien', genres: 'Terror' } });
+      expect(entry.film.genres).toEqual([]);
+    });
+  });
+
+  describe('Migration 3: camelCase metadata', () => {
+    it('should rename the snake_case metadata fields', () => {
+      const entry = migrate(3, {
+        id: 'f1',
+        added_by: 'Ana',
+        added_by_user_id: 'u1',
+        added_at: '2024-01-01T00:00:00.000Z'
+      });
+
+      expect(entry).toEqual({
+        id: 'f1',
+        addedBy: 'Ana',
+        addedByUserId: 'u1',
+        addedAt: '2024-01-01T00:00:00.000Z'
+      });
+    });
+
+    it('should take the user id of watched rows from id_usuario', () => {
+      const entry = migrate(3, { id: 'w1', id_usuario: 'u2', addedAt: '2024-01-01T00:00:00.000Z' });
+      expect(entry.addedByUserId).toBe('u2');
+      expect(entry.addedBy).toBe('');
+    });
+
+    it('should keep existing camelCase values', () => {
+      const entry = migrate(3, { id: 'f1', addedBy: 'Bia', added_by: 'Ana', addedAt: 'x' });
+      expect(entry.addedBy).toBe('Bia');
+      expect(entry).not.toHaveProperty('added_by');
+    });
+  });
+
+  describe('run()', () => {
+    let storage;
+
+    beforeEach(() => {
+      localStorage.clear();
+      storage = new StorageManager();
+    });
+
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it('should upgrade every cached list to an entry the validator accepts', () => {
+      storage.save('letterboxd_shared_list', [legacyEntry]);
+      storage.save('letterboxd_user_u1_watched_list_l1', [{ ...legacyEntry, id_filme: 'w1', nota: 4 }]);
+
+      const version = CacheMigrations.run(storage);
+
+      expect(version).toBe(CacheMigrations.CURRENT_VERSION);
+      expect(storage.load(CacheMigrations.VERSION_KEY)).toBe(CacheMigrations.CURRENT_VERSION);
+
+      const [shared] = storage.load('letterboxd_shared_list');
+      expect(DataValidator.validateEntry(shared)).toBe(shared);
+      expect(shared.addedBy).toBe('Ana');
+
+      const [watched] = storage.load('letterboxd_user_u1_watched_list_l1');
+      expect(DataValidator.validateEntry(watched)).toBe(watched);
+      expect(watched.nota).toBe(4);
+    });
+
+    it('should run each migration only once', () => {
+      CacheMigrations.run(storage);
+      storage.save('letterboxd_shared_list', [legacyEntry]);
+
+      CacheMigrations.run(storage);
+
+      expect(storage.load('letterboxd_shared_list')).toEqual([legacyEntry]);
+    });
+
+    it('should only run the migrations newer than the stored version', () => {
+      storage.save(CacheMigrations.VERSION_KEY, 2);
+      storage.save('letterboxd_shared_list', [{ id: 'f1', added_by: 'Ana' }]);
+
+      CacheMigrations.run(storage);
+
+      // Migration 2 would have added a film object
+      expect(storage.load('letterboxd_shared_list')[0]).toEqual(expect.objectContaining({ id: 'f1', addedBy: 'Ana' }));
+      expect(storage.load('letterboxd_shared_list')[0].film).toBeUndefined();
+    });
+
+    it('should leave other keys alone', () => {
+      storage.save('letterboxd_session', { token: 't' });
+      storage.save('letterboxd_user_u1_pending_operations', [{ id: 'op-1', data: { added_by: 'Ana' } }]);
+
+      CacheMigrations.run(storage);
+
+      expect(storage.load('letterboxd_session')).toEqual({ token: 't' });
+      expect(storage.load('letterboxd_user_u1_pending_operations')).toEqual([{ id: 'op-1', data: { added_by: 'Ana' } }]);
+    });
+
+    it('should drop a list that cannot be migrated together with its sync cursor', () => {
+      storage.save('letterboxd_user_u1_shared_list_l1', { broken: true });
+      storage.save('letterboxd_user_u1_sync_cursor_l1', '2024-01-01T00:00:00.000Z');
+      storage.save('letterboxd_user_u1_shared_list_l2', [legacyEntry]);
+
+      CacheMigrations.run(storage);
+
+      expect(storage.load('letterboxd_user_u1_shared_list_l1')).toBeNull();
+      expect(storage.load('letterboxd_user_u1_sync_cursor_l1')).toBeNull();
+      expect(storage.load('letterboxd_user_u1_shared_list_l2')).toHaveLength(1);
+    });
+  });
+});
@@ -11,6 +11,7 @@ const StorageManager = require('./storage.js');
 const CacheManager = require('./cache-manager.js');
 const SyncManager = require('./sync-manager.js');
 const DataValidator = require('./data-validator.js');
+const CacheMigrations = require('./cache-migrations.js');
 const ErrorRecovery = require('./error-recovery.js');
 
 // Mock GoogleSheetsApi for testing
@@ -95,7 +96,24 @@ class MockGoogleSheetsApi {
     return { ok: true, data: this.sharedList };
   }
 
-  async addMovieToList(payload) {
+  async getSharedList(params) {
+    return this.getMoviesByList(params);
+  }
+
+  async getChangesSince(params) {
+    const response = await this.getMoviesByList(params);
+    return {
+      ok: true,
+      data: {
+        cursor: Date.now(),
+        full: true,
+        shared: { changed: response.data, deleted: [] },
+        watched: { changed: this.watchedMovies, deleted: [] }
+      }
+    };
+  }
+
+  async addToSharedList(payload) {
     this.requestCount++;
     if (this.isOffline || this.shouldFailNetwork) {
       throw new Error('Network error: Failed to fetch');
@@ -127,6 +145,10 @@ class MockGoogleSheetsApi {
     return { ok: true, data: entry };
   }
 
+  async removeFromSharedList(idFilme) {
+    return this.deleteMovie(idFilme);
+  }
+
   async deleteMovie(idFilme) {
     this.requestCount++;
     if (this.isOffline || this.shouldFailNetwork) {
@@ -174,6 +196,22 @@ class MockGoogleSheetsApi {
     return { ok: true, data: watched };
   }
 
+  async markAsWatched(payload) {
+    const entry = this.sharedList.find(e => e.id === payload.id_filme || e.id_filme === payload.id_filme);
+    if (!entry) {
+      throw new Error('Movie not found in shared list');
+    }
+
+    const response = await this.addWatchedMovie({
+      ...payload,
+      tmdb_id: entry.tmdb_id,
+      titulo_filme: entry.titulo_filme,
+      ano: entry.ano
+    });
+    this.sharedList = this.sharedList.filter(e => e !== entry);
+    return response;
+  }
+
   clear() {
     this.users.clear();
     this.sharedList = [];
@@ -189,6 +227,17 @@ class MockGoogleSheetsApi {
 describe('Complete Flow Integration Tests - Task 13.1', () => {
   let authService, listService, storageManager, cacheManager, syncManager, mockApi;
 
+  // In the browser sync-manager.js relies on these globals
+  beforeAll(() => {
+    global.DataValidator = DataValidator;
+    global.ErrorRecovery = ErrorRecovery;
+  });
+
+  afterAll(() => {
+    delete global.DataValidator;
+    delete global.ErrorRecovery;
+  });
+
   beforeEach(() => {
     storageManager = new StorageManager();
     mockApi = new MockGoogleSheetsApi();
@@ -542,6 +591,23 @@ describe('Complete Flow Integration Tests - Task 13.1', () => {
       expect(pendingOps.length).toBeGreaterThan(0);
     });
 
+    it('should cancel the queued add when an unsynced film is removed', async () => {
+      mockApi.isOffline = true;
+      const entry = await listService.addFilmToList(
+        { id: 550, title: 'Fight Club', year: 1999, genres: ['Drama'] },
+        testUser.id,
+        testUser.username
+      );
+      expect(entry.id).toMatch(/^temp-/);
+      expect(cacheManager.getPendingOperations().some(op => op.data.tempId === entry.id)).toBe(true);
+
+      listService.removeFilmFromList(entry.id);
+
+      // Nothing is left to re-add the film or to delete it on the server
+      expect(cacheManager.getSharedList()).toHaveLength(0);
+      expect(cacheManager.getPendingOperations().filter(op => op.entity === 'shared')).toHaveLength(0);
+    });
+
     it('should sync pending operations when back online', async () => {
       // Verify that operations can be queued
       const operation = {
@@ -695,7 +761,7 @@ describe('Complete Flow Integration Tests - Task 13.1', () => {
   });
 
   describe('6. Data Validation and Normalization', () => {
-    it('should normalize various API response formats', () => {
+    it('should migrate various cached formats to entries that pass validation', () => {
       const apiResponses = [
         // Format 1: Full structure
         {
@@ -730,7 +796,11 @@ describe('Complete Flow Integration Tests - Task 13.1', () => {
       ];
 
       apiResponses.forEach(response => {
-        const normalized = DataValidator.normalizeEntry(response);
+        const migrated = CacheMigrations.MIGRATIONS.reduce(
+          (entry, migration) => CacheMigrations.migrateEntry(migration, entry),
+          response
+        );
+        const normalized = DataValidator.validateEntry(migrated);
         
         // All normalized entries should have required fields
         expect(normalized.id).toBeDefined();
@@ -746,6 +816,7 @@ describe('Complete Flow Integration Tests - Task 13.1', () => {
         // Valid entry
         {
           id: 'entry_1',
+          id_filme: 'entry_1',
           film: {
             id: 550,
             title: 'Fight Club',
@@ -765,6 +836,7 @@ describe('Complete Flow Integration Tests - Task 13.1', () => {
         // Valid entry
         {
           id: 'entry_4',
+          id_filme: 'entry_4',
           film: {
             id: 603,
             title: 'The Matrix',
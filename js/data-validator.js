@@ -1,5 +1,5 @@
 /**
- * DataValidator - Validates and normalizes data structures
+ * DataValidator - Validates data structures and parses API rows
  * Prevents crashes from malformed API responses
  * Requirements: 1.1, 1.2, 1.3, 1.4, 1.5
  */
@@ -9,9 +9,9 @@ const ErrorRecovery = typeof require !== 'undefined' ? require('./error-recovery
 
 class DataValidator {
   /**
-   * Validate and normalize a list entry
-   * @param {Object} entry - Raw entry from API or cache
-   * @returns {Object|null} Normalized entry or null if invalid
+   * Validate a list entry
+   * @param {Object} entry - Entry from the cache
+   * @returns {Object|null} The entry or null if invalid
    * Requirements: 1.1, 1.2, 1.5
    */
   static validateEntry(entry) {
@@ -53,7 +53,7 @@ class DataValidator {
       return null;
     }
 
-    // Normalize the entry structure
+    // Check the entry has the current schema
     return this.normalizeEntry(entry);
   }
 
@@ -87,72 +87,94 @@ class DataValidator {
   }
 
   /**
-   * Normalize entry structure from API response
-   * Ensures all expected fields exist with proper types
-   * @param {Object} rawEntry - Raw entry from API
-   * @returns {Object} Normalized entry
+   * Check that an entry has the current cache schema
+   * Entries cached with older shapes are upgraded once at startup by
+   * CacheMigrations, so nothing is patched here
+   * @param {Object} entry - Entry with a valid film object
+   * @returns {Object|null} The same entry, or null if it does not match the schema
    * Requirements: 1.5
    */
-  static normalizeEntry(rawEntry) {
-    // Log normalization transformations (Requirement 6.4)
-    const transformations = [];
-    
-    const normalized = {
-      // Entry IDs
-      id: rawEntry.id || rawEntry.id_filme || `temp-${Date.now()}`,
-      id_filme: rawEntry.id_filme || rawEntry.id || `temp-${Date.now()}`,
-      
-      // TMDB ID
-      tmdb_id: rawEntry.tmdb_id || rawEntry.film?.id || null,
-      
-      // Film object with all required fields
+  static normalizeEntry(entry) {
+    const legacyFields = ['added_by', 'added_by_user_id', 'added_at'].filter(field => field in entry);
+
+    if (!entry.id || !entry.id_filme || !this.isCompleteEntry(entry) || legacyFields.length > 0) {
+      // Log entry structure when validation fails (Requirement 6.1)
+      ErrorRecovery.logError(new Error('Entry validation failed: outdated cache schema'), {
+        context: 'DataValidator.normalizeEntry',
+        entryId: entry.id || entry.id_filme,
+        entryKeys: Object.keys(entry),
+        legacyFields,
+        reason: 'Entry does not match the current cache schema'
+      });
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Convert a shared list row returned by the API into a list entry
+   * @param {Object} row - Row from getSharedList/addToSharedList
+   * @returns {Object} List entry with nested film object
+   */
+  static parseSharedListRow(row) {
+    const tmdbId = row.tmdb_id !== undefined && row.tmdb_id !== null && row.tmdb_id !== ''
+      ? Number(row.tmdb_id)
+      : null;
+
+    return {
+      id: row.id_filme,
+      id_filme: row.id_filme,
+      tmdb_id: tmdbId,
       film: {
-        id: rawEntry.film?.id || rawEntry.tmdb_id || null,
-        title: rawEntry.film?.title || rawEntry.titulo_filme || '',
-        year: rawEntry.film?.year || rawEntry.ano || null,
-        poster: rawEntry.film?.poster || null,
-        rating: rawEntry.film?.rating || 0,
-        genres: Array.isArray(rawEntry.film?.genres) ? rawEntry.film.genres : [],
-        overview: rawEntry.film?.overview || ''
+        id: tmdbId,
+        title: row.titulo_filme || '',
+        year: row.ano || null,
+        poster: row.poster || null,
+        rating: Number(row.rating) || 0,
+        genres: Array.isArray(row.genres) ? row.genres : [],
+        overview: row.overview || ''
       },
-      
-      // Legacy fields for compatibility
-      titulo_filme: rawEntry.titulo_filme || rawEntry.film?.title || '',
-      ano: rawEntry.ano || rawEntry.film?.year || null,
-      
-      // Metadata
-      addedBy: rawEntry.addedBy || rawEntry.added_by || '',
-      addedByUserId: rawEntry.addedByUserId || rawEntry.added_by_user_id || '',
-      addedAt: rawEntry.addedAt || rawEntry.added_at || new Date().toISOString(),
-      
-      // Streaming services (if present)
-      streamingServices: Array.isArray(rawEntry.streamingServices) 
-        ? rawEntry.streamingServices 
-        : []
+      titulo_filme: row.titulo_filme || '',
+      ano: row.ano || null,
+      addedBy: row.added_by || '',
+      addedByUserId: row.id_usuario || '',
+      addedAt: row.added_at || new Date().toISOString()
     };
+  }
 
-    // Track transformations applied
-    if (!rawEntry.id && !rawEntry.id_filme) {
-      transformations.push('Generated temporary ID');
-    }
-    if (!rawEntry.film?.title && rawEntry.titulo_filme) {
-      transformations.push('Mapped titulo_filme to film.title');
-    }
-    if (!Array.isArray(rawEntry.film?.genres)) {
-      transformations.push('Initialized empty genres array');
-    }
-
-    // Log normalization transformations (Requirement 6.4)
-    if (transformations.length > 0) {
-      console.log('DataValidator: Normalization applied', {
-        entryId: normalized.id,
-        transformations,
-        originalKeys: Object.keys(rawEntry),
-        normalizedKeys: Object.keys(normalized)
-      });
-    }
+  /**
+   * Convert a watched movie row (Filmes sheet) returned by the API into a watched entry
+   * Rows do not carry TMDB data, so the film falls back to the title and year
+   * @param {Object} row - Row from getChangesSince/getMoviesByList
+   * @returns {Object} Watched entry with nested film object
+   */
+  static parseWatchedRow(row) {
+    const nota = Number(row.nota) || 0;
+    const tmdbId = row.tmdb_id ? Number(row.tmdb_id) : null;
 
-    return normalized;
+    return {
+      id: row.id_filme,
+      id_filme: row.id_filme,
+      tmdb_id: tmdbId,
+      film: {
+        id: tmdbId || row.id_filme,
+        title: row.titulo_filme || '',
+        year: row.ano || null,
+        poster: null,
+        rating: 0,
+        genres: [],
+        overview: ''
+      },
+      titulo_filme: row.titulo_filme || '',
+      ano: row.ano || null,
+      nota,
+      rating: nota,
+      review: row.review || '',
+      assistido_em: row.assistido_em || null,
+      version: Number(row.version) || 1,
+      addedByUserId: row.id_usuario || ''
+    };
   }
 
   /**
@@ -197,7 +219,7 @@ class DataValidator {
    * Validate and filter an array of entries
    * Returns only valid entries, logging warnings for invalid ones
    * @param {Array} entries - Array of entries to validate
-   * @returns {Array} Array of valid, normalized entries
+   * @returns {Array} Array of valid entries
    * Requirements: 1.1, 1.2
    */
   static validateEntries(entries) {
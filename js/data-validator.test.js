@@ -217,8 +217,8 @@ describe('DataValidator - Property-Based Tests', () => {
    * Feature: critical-bugs-fix, Property 3: Normalization produces consistent structure
    * Validates: Requirements 1.5
    * 
-   * For any API response format, the normalization function should produce 
-   * an entry with all required fields in the expected structure.
+   * For any entry in the current cache schema, validation should keep
+   * all required fields in the expected structure.
    */
   describe('Property 3: Normalization produces consistent structure', () => {
     it('should normalize valid entries to consistent structure', () => {
@@ -254,63 +254,46 @@ describe('DataValidator - Property-Based Tests', () => {
       );
     });
 
-    it('should normalize entries with missing optional fields', () => {
+    it('should reject entries without ids instead of patching them', () => {
       fc.assert(
         fc.property(
           fc.record({
             film: fc.record({
               id: fc.integer({ min: 1, max: 1000000 }),
-              title: fc.string({ minLength: 1, maxLength: 200 })
+              title: fc.string({ minLength: 1, maxLength: 200 }),
+              genres: fc.constant([])
             })
           }),
           (rawEntry) => {
-            const normalized = DataValidator.normalizeEntry(rawEntry);
-            
-            // Should have all required fields with defaults
-            expect(normalized.id).toBeDefined();
-            expect(normalized.id_filme).toBeDefined();
-            expect(normalized.film).toBeDefined();
-            expect(normalized.film.title).toBe(rawEntry.film.title);
-            expect(normalized.film.id).toBe(rawEntry.film.id);
-            expect(Array.isArray(normalized.film.genres)).toBe(true);
-            expect(typeof normalized.film.rating).toBe('number');
-            expect(typeof normalized.film.overview).toBe('string');
-            expect(Array.isArray(normalized.streamingServices)).toBe(true);
+            // Missing ids are filled once by CacheMigrations, not at read time
+            expect(DataValidator.normalizeEntry(rawEntry)).toBeNull();
           }
         ),
         { numRuns: 15 }
       );
     });
 
-    it('should normalize entries with alternative field names', () => {
+    it('should reject entries that still use legacy field names', () => {
       fc.assert(
         fc.property(
-          fc.record({
-            id_filme: fc.string({ minLength: 1, maxLength: 50 }),
-            titulo_filme: fc.string({ minLength: 1, maxLength: 200 }),
-            ano: fc.integer({ min: 1900, max: 2030 }),
-            tmdb_id: fc.integer({ min: 1, max: 1000000 })
-          }),
+          validEntryArb,
+          fc.constantFrom('added_by', 'added_by_user_id', 'added_at'),
+          (rawEntry, legacyField) => {
+            const entry = { ...rawEntry, [legacyField]: 'legado' };
+
+            expect(DataValidator.normalizeEntry(entry)).toBeNull();
+          }
+        ),
+        { numRuns: 15 }
+      );
+    });
+
+    it('should return current entries unchanged', () => {
+      fc.assert(
+        fc.property(
+          validEntryArb,
           (rawEntry) => {
-            // Add minimal film object to make it valid
-            const entryWithFilm = {
-              ...rawEntry,
-              film: {
-                id: rawEntry.tmdb_id,
-                title: rawEntry.titulo_filme
-              }
-            };
-            
-            const normalized = DataValidator.normalizeEntry(entryWithFilm);
-            
-            // Should map alternative field names correctly
-            expect(normalized.id).toBe(rawEntry.id_filme);
-            expect(normalized.id_filme).toBe(rawEntry.id_filme);
-            expect(normalized.titulo_filme).toBe(rawEntry.titulo_filme);
-            expect(normalized.ano).toBe(rawEntry.ano);
-            expect(normalized.tmdb_id).toBe(rawEntry.tmdb_id);
-            expect(normalized.film.title).toBe(rawEntry.titulo_filme);
-            expect(normalized.film.year).toBe(rawEntry.ano);
+            expect(DataValidator.normalizeEntry(rawEntry)).toBe(rawEntry);
           }
         ),
         { numRuns: 15 }
@@ -332,4 +315,34 @@ describe('DataValidator - Property-Based Tests', () => {
       );
     });
   });
+
+  describe('Shared list rows', () => {
+    it('should convert any shared list row into a complete entry', () => {
+      fc.assert(
+        fc.property(
+          fc.record({
+            id_filme: fc.uuid(),
+            id_usuario: fc.string({ minLength: 1, maxLength: 20 }),
+            tmdb_id: fc.integer({ min: 1, max: 1000000 }).map(String),
+            titulo_filme: fc.string({ minLength: 1, maxLength: 100 }).filter(s => s.trim().length > 0),
+            ano: fc.integer({ min: 1900, max: 2030 }),
+            rating: fc.float({ min: 0, max: 10, noNaN: true }),
+            genres: fc.array(fc.constantFrom('Ação', 'Drama', 'Comédia'), { maxLength: 3 }),
+            added_by: fc.string({ maxLength: 20 })
+          }),
+          (row) => {
+            const entry = DataValidator.parseSharedListRow(row);
+
+            expect(entry.id).toBe(row.id_filme);
+            expect(entry.tmdb_id).toBe(Number(row.tmdb_id));
+            expect(entry.film.id).toBe(Number(row.tmdb_id));
+            expect(entry.film.title).toBe(row.titulo_filme);
+            expect(entry.addedByUserId).toBe(row.id_usuario);
+            expect(DataValidator.isCompleteEntry(entry)).toBe(true);
+          }
+        ),
+        { numRuns: 15 }
+      );
+    });
+  });
 });
@@ -5,14 +5,35 @@
  */
 
 class FilmService {
-  constructor() {
+  // Extra data requested with the film details
+  static DETAILS_APPEND = 'credits,videos,release_dates';
+
+  // Cast members kept in the film details, in billing order
+  static TOP_CAST_SIZE = 6;
+
+  // Minimum vote count when discovering by rating (films with a handful of votes would come first)
+  static RATING_SORT_MIN_VOTES = 100;
+
+  /**
+   * @param {StorageManager|null} storageManager - Keeps film details across reloads
+   *   (in-memory cache only when omitted)
+   */
+  constructor(storageManager = null) {
+    this.storageManager = storageManager;
     this.baseUrl = CONFIG.tmdb.baseUrl;
     this.imageBaseUrl = CONFIG.tmdb.imageBaseUrl;
+    // Provider logos are small, so they use the w92 size of the same image server
+    this.logoBaseUrl = this.imageBaseUrl.replace(/\/w\d+$/, '/w92');
+    // Cast photos use the w185 profile size
+    this.profileBaseUrl = this.imageBaseUrl.replace(/\/w\d+$/, '/w185');
+    // Country (ISO 3166-1) of the streaming availability
+    this.watchRegion = CONFIG.tmdb.watchRegion || 'BR';
     this.readAccessToken = CONFIG.tmdb.readAccessToken;
     
     // In-memory cache for API responses
     this.cache = new Map();
     this.cacheExpiration = CONFIG.app.cacheExpiration || 300000; // 5 minutes default
+    this.persistedCacheExpiration = CONFIG.app.persistedCacheExpiration || 604800000; // 7 days default
     
     // TMDB Genre ID to Name mapping
     // Source: https://developers.themoviedb.org/3/genres/get-movie-list
@@ -67,13 +88,13 @@ class FilmService {
    */
   getCached(key) {
     const cached = this.cache.get(key);
-    if (!cached) return null;
+    if (!cached) return this.getPersisted(key);
     
     const now = Date.now();
     if (now - cached.timestamp > this.cacheExpiration) {
       // Cache expired, remove it
       this.cache.delete(key);
-      return null;
+      return this.getPersisted(key);
     }
     
     return cached.data;
@@ -83,12 +104,56 @@ class FilmService {
    * Store data in cache
    * @param {string} key - Cache key
    * @param {Object} data - Data to cache
+   * @param {boolean} persist - Also keep it in storage (evicted first when the quota is exceeded)
    */
-  setCache(key, data) {
+  setCache(key, data, persist = false) {
     this.cache.set(key, {
       data,
       timestamp: Date.now()
     });
+    
+    if (persist && this.storageManager) {
+      try {
+        this.storageManager.save(this.getStorageKey(key), { data, timestamp: Date.now() });
+      } catch (error) {
+        console.warn('FilmService: Could not persist cache entry', key, error.message);
+      }
+    }
+  }
+
+  /**
+   * Storage key of a persisted cache entry
+   * @param {string} key - Cache key
+   * @returns {string} Storage key
+   */
+  getStorageKey(key) {
+    // Same prefix as StorageManager.TMDB_KEY_PREFIX, so these entries are evicted first
+    return `letterboxd_tmdb_${key}`;
+  }
+
+  /**
+   * Get a persisted cache entry if available and not expired
+   * @param {string} key - Cache key
+   * @returns {Object|null} Cached data or null
+   */
+  getPersisted(key) {
+    if (!this.storageManager) return null;
+    
+    try {
+      const persisted = this.storageManager.load(this.getStorageKey(key));
+      if (!persisted) return null;
+      
+      if (Date.now() - persisted.timestamp > this.persistedCacheExpiration) {
+        this.storageManager.remove(this.getStorageKey(key));
+        return null;
+      }
+      
+      this.cache.set(key, { data: persisted.data, timestamp: Date.now() });
+      return persisted.data;
+    } catch (error) {
+      console.warn('FilmService: Could not read persisted cache entry', key, error.message);
+      return null;
+    }
   }
 
   /**
@@ -206,29 +271,149 @@ class FilmService {
 
   /**
    * Get detailed information about a specific film
+   * Credits, videos and release dates come in the same request (append_to_response)
    * @param {number} filmId - TMDB film ID
-   * @returns {Promise<Object>} Film object with full details
+   * @returns {Promise<Object>} Film object with full details (see parseFilmDetails)
    */
   async getFilmDetails(filmId) {
     if (!filmId || typeof filmId !== 'number') {
       throw new Error('Valid film ID is required');
     }
 
+    // Details cached by older versions have no credits and are fetched again
     const cacheKey = `details:${filmId}`;
     const cached = this.getCached(cacheKey);
-    if (cached) {
+    if (cached && Array.isArray(cached.cast)) {
       return cached;
     }
 
     const data = await this.makeRequest(`/movie/${filmId}`, {
-      language: 'pt-BR'
+      language: 'pt-BR',
+      append_to_response: FilmService.DETAILS_APPEND,
+      // Without this only pt-BR videos come back, and most trailers are in English
+      include_video_language: 'pt,en,null'
     });
 
-    const film = this.parseFilm(data);
-    this.setCache(cacheKey, film);
+    const film = this.parseFilmDetails(data);
+    this.setCache(cacheKey, film, true);
     return film;
   }
 
+  /**
+   * Parse a TMDB film details response (with credits, videos and release_dates appended)
+   * @param {Object} tmdbFilm - Raw film details from TMDB API
+   * @returns {Object} Film object (see parseFilm) plus tagline, runtime (minutes or null),
+   *   director (names, comma separated, or null), cast ({ name, character, photo }),
+   *   certification (age rating in the watch region, or null) and trailerKey (YouTube video ID, or null)
+   */
+  parseFilmDetails(tmdbFilm) {
+    const crew = Array.isArray(tmdbFilm.credits?.crew) ? tmdbFilm.credits.crew : [];
+    const directors = crew.filter(member => member.job === 'Director').map(member => member.name);
+
+    const cast = (Array.isArray(tmdbFilm.credits?.cast) ? tmdbFilm.credits.cast : [])
+      .slice()
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .slice(0, FilmService.TOP_CAST_SIZE)
+      .map(member => ({
+        name: member.name,
+        character: member.character || '',
+        photo: member.profile_path ? `${this.profileBaseUrl}${member.profile_path}` : null
+      }));
+
+    return {
+      ...this.parseFilm(tmdbFilm),
+      tagline: tmdbFilm.tagline || '',
+      runtime: tmdbFilm.runtime || null,
+      director: directors.length > 0 ? directors.join(', ') : null,
+      cast,
+      certification: this.parseCertification(tmdbFilm.release_dates, this.watchRegion),
+      trailerKey: this.parseTrailerKey(tmdbFilm.videos)
+    };
+  }
+
+  /**
+   * Age rating of a film in a country
+   * Theatrical releases are preferred over the other release types
+   * @param {Object|undefined} releaseDates - release_dates of the film details
+   * @param {string} region - ISO 3166-1 country code
+   * @returns {string|null} Certification (e.g. '14', 'L') or null when there is none
+   */
+  parseCertification(releaseDates, region) {
+    const country = (releaseDates?.results || []).find(result => result.iso_3166_1 === region);
+    const rated = (country?.release_dates || [])
+      .filter(release => release.certification)
+      .sort((a, b) => (a.type === 3 ? 0 : 1) - (b.type === 3 ? 0 : 1));
+
+    return rated.length > 0 ? rated[0].certification : null;
+  }
+
+  /**
+   * YouTube key of the best trailer of a film
+   * Official trailers come first, then Portuguese ones; teasers are used when there is no trailer
+   * @param {Object|undefined} videos - videos of the film details
+   * @returns {string|null} YouTube video ID or null
+   */
+  parseTrailerKey(videos) {
+    const youtube = (videos?.results || []).filter(video => video.site === 'YouTube' && video.key);
+    const score = video => (video.official ? 0 : 2) + (video.iso_639_1 === 'pt' ? 0 : 1);
+    const best = type => youtube
+      .filter(video => video.type === type)
+      .sort((a, b) => score(a) - score(b))[0];
+
+    const trailer = best('Trailer') || best('Teaser');
+    return trailer ? trailer.key : null;
+  }
+
+  /**
+   * Get the streaming, rental and purchase options of a film in a country
+   * Cached with the film details (kept across reloads)
+   * @param {number} filmId - TMDB film ID
+   * @param {string} region - ISO 3166-1 country code (default: CONFIG.tmdb.watchRegion or BR)
+   * @returns {Promise<Object>} { region, link, flatrate, rent, buy } with { id, name, logo } providers
+   */
+  async getWatchProviders(filmId, region = this.watchRegion) {
+    if (!filmId || typeof filmId !== 'number') {
+      throw new Error('Valid film ID is required');
+    }
+
+    const cacheKey = `providers:${filmId}:${region}`;
+    const cached = this.getCached(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const data = await this.makeRequest(`/movie/${filmId}/watch/providers`);
+
+    const providers = this.parseWatchProviders(data.results?.[region], region);
+    this.setCache(cacheKey, providers, true);
+    return providers;
+  }
+
+  /**
+   * Parse the watch providers of one country
+   * @param {Object|undefined} regionData - Entry of the country in the TMDB results
+   * @param {string} region - ISO 3166-1 country code
+   * @returns {Object} { region, link, flatrate, rent, buy }, providers sorted by TMDB priority
+   */
+  parseWatchProviders(regionData, region) {
+    const parseList = list => (Array.isArray(list) ? list : [])
+      .slice()
+      .sort((a, b) => (a.display_priority ?? 0) - (b.display_priority ?? 0))
+      .map(provider => ({
+        id: provider.provider_id,
+        name: provider.provider_name,
+        logo: provider.logo_path ? `${this.logoBaseUrl}${provider.logo_path}` : null
+      }));
+
+    return {
+      region,
+      link: regionData?.link || null,
+      flatrate: parseList(regionData?.flatrate),
+      rent: parseList(regionData?.rent),
+      buy: parseList(regionData?.buy)
+    };
+  }
+
   /**
    * Get popular films
    * @param {number} page - Page number (default: 1)
@@ -280,6 +465,137 @@ class FilmService {
     this.setCache(cacheKey, result);
     return result;
   }
+
+  /**
+   * Get films recommended to people who liked a film (based on TMDB user ratings)
+   * @param {number} filmId - TMDB film ID
+   * @param {number} page - Page number (default: 1)
+   * @returns {Promise<Object>} Object with films array and totalPages
+   */
+  async getRecommendations(filmId, page = 1) {
+    if (!filmId || typeof filmId !== 'number') {
+      throw new Error('Valid film ID is required');
+    }
+
+    const cacheKey = `recommendations:${filmId}:${page}`;
+    const cached = this.getCached(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const data = await this.makeRequest(`/movie/${filmId}/recommendations`, {
+      language: 'pt-BR',
+      page: page
+    });
+
+    const result = {
+      films: data.results.map(film => this.parseFilm(film)),
+      totalPages: data.total_pages || 1
+    };
+    
+    this.setCache(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Get films similar to a film (same genres and keywords)
+   * @param {number} filmId - TMDB film ID
+   * @param {number} page - Page number (default: 1)
+   * @returns {Promise<Object>} Object with films array and totalPages
+   */
+  async getSimilarFilms(filmId, page = 1) {
+    if (!filmId || typeof filmId !== 'number') {
+      throw new Error('Valid film ID is required');
+    }
+
+    const cacheKey = `similar:${filmId}:${page}`;
+    const cached = this.getCached(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const data = await this.makeRequest(`/movie/${filmId}/similar`, {
+      language: 'pt-BR',
+      page: page
+    });
+
+    const result = {
+      films: data.results.map(film => this.parseFilm(film)),
+      totalPages: data.total_pages || 1
+    };
+    
+    this.setCache(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Discover films matching a set of filters (TMDB /discover/movie)
+   * @param {Object} params - Filters, all optional (see buildDiscoverQuery)
+   * @param {number} page - Page number (default: 1)
+   * @returns {Promise<Object>} Object with films array and totalPages
+   */
+  async discoverFilms(params = {}, page = 1) {
+    const query = this.buildDiscoverQuery(params);
+
+    const cacheKey = `discover:${new URLSearchParams(query)}:${page}`;
+    const cached = this.getCached(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const data = await this.makeRequest('/discover/movie', {
+      ...query,
+      page: page
+    });
+
+    const result = {
+      films: data.results.map(film => this.parseFilm(film)),
+      totalPages: data.total_pages || 1
+    };
+    
+    this.setCache(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Translate discover filters to TMDB query parameters
+   * Films match any of the selected genres; empty filters are left out
+   * @param {Object} params - Filters
+   * @param {Array<number>} [params.genres] - TMDB genre IDs
+   * @param {number} [params.yearFrom] - First release year
+   * @param {number} [params.yearTo] - Last release year
+   * @param {number} [params.runtimeMin] - Minimum runtime in minutes
+   * @param {number} [params.runtimeMax] - Maximum runtime in minutes
+   * @param {number} [params.minRating] - Minimum TMDB vote average (0-10)
+   * @param {number} [params.minVotes] - Minimum TMDB vote count
+   * @param {string} [params.language] - Original language (ISO 639-1)
+   * @param {string} [params.sortBy] - TMDB sort order (default: popularity.desc)
+   * @returns {Object} Query parameters for /discover/movie
+   */
+  buildDiscoverQuery(params = {}) {
+    const query = {
+      language: 'pt-BR',
+      include_adult: false,
+      sort_by: params.sortBy || 'popularity.desc'
+    };
+    const set = (key, value) => {
+      if (value) {
+        query[key] = value;
+      }
+    };
+
+    set('with_genres', Array.isArray(params.genres) ? params.genres.join('|') : null);
+    set('primary_release_date.gte', params.yearFrom && `${params.yearFrom}-01-01`);
+    set('primary_release_date.lte', params.yearTo && `${params.yearTo}-12-31`);
+    set('with_runtime.gte', params.runtimeMin);
+    set('with_runtime.lte', params.runtimeMax);
+    set('vote_average.gte', params.minRating);
+    set('vote_count.gte', params.minVotes ||
+      (query.sort_by.startsWith('vote_average') ? FilmService.RATING_SORT_MIN_VOTES : null));
+    set('with_original_language', params.language);
+
+    return query;
+  }
 }
 
 // Export for use in other modules
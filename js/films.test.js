@@ -5,6 +5,7 @@
 
 const fc = require('fast-check');
 const FilmService = require('./films.js');
+const StorageManager = require('./storage.js');
 
 // Mock CONFIG for tests
 global.CONFIG = {
@@ -988,4 +989,388 @@ describe('FilmService', () => {
       expect(nextBtn.classList.contains('disabled')).toBe(false);
     });
   });
+
+  describe('Persisted film details', () => {
+    const originalFetch = global.fetch;
+    let storageManager;
+
+    beforeEach(() => {
+      localStorage.clear();
+      storageManager = new StorageManager();
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ id: 550, title: 'Clube da Luta', genres: [{ id: 18, name: 'Drama' }] })
+        })
+      );
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      localStorage.clear();
+    });
+
+    test('should reuse film details stored by a previous session', async () => {
+      await new FilmService(storageManager).getFilmDetails(550);
+      expect(storageManager.load('letterboxd_tmdb_details:550').data.title).toBe('Clube da Luta');
+
+      const film = await new FilmService(storageManager).getFilmDetails(550);
+
+      expect(film.title).toBe('Clube da Luta');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fetch again when the stored details expired', async () => {
+      const service = new FilmService(storageManager);
+      storageManager.save('letterboxd_tmdb_details:550', {
+        data: { id: 550, title: 'Antigo' },
+        timestamp: Date.now() - service.persistedCacheExpiration - 1
+      });
+
+      const film = await service.getFilmDetails(550);
+
+      expect(film.title).toBe('Clube da Luta');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should take the stored details lifetime from the config', () => {
+      expect(new FilmService(storageManager).persistedCacheExpiration).toBe(7 * 24 * 60 * 60 * 1000);
+
+      global.CONFIG.app.persistedCacheExpiration = 60000;
+      try {
+        expect(new FilmService(storageManager).persistedCacheExpiration).toBe(60000);
+      } finally {
+        delete global.CONFIG.app.persistedCacheExpiration;
+      }
+    });
+
+    test('should not persist search results', async () => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve({ results: [], total_pages: 1 }) })
+      );
+
+      await new FilmService(storageManager).searchFilms('clube');
+
+      expect(storageManager.keys()).toEqual([]);
+    });
+  });
+
+  describe('Watch providers', () => {
+    const originalFetch = global.fetch;
+    const providersResponse = {
+      id: 550,
+      results: {
+        BR: {
+          link: 'https://www.themoviedb.org/movie/550/watch?locale=BR',
+          flatrate: [
+            { provider_id: 337, provider_name: 'Disney Plus', logo_path: '/disney.jpg', display_priority: 2 },
+            { provider_id: 8, provider_name: 'Netflix', logo_path: '/netflix.jpg', display_priority: 1 }
+          ],
+          rent: [{ provider_id: 2, provider_name: 'Apple TV', logo_path: '/apple.jpg', display_priority: 4 }]
+        },
+        US: {
+          buy: [{ provider_id: 10, provider_name: 'Amazon Video', logo_path: null, display_priority: 1 }]
+        }
+      }
+    };
+
+    beforeEach(() => {
+      localStorage.clear();
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve(providersResponse) })
+      );
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      localStorage.clear();
+    });
+
+    test('should return the providers of the configured region by type, in TMDB order', async () => {
+      const providers = await filmService.getWatchProviders(550);
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/movie/550/watch/providers');
+      expect(providers.region).toBe('BR');
+      expect(providers.link).toBe(providersResponse.results.BR.link);
+      expect(providers.flatrate.map(p => p.name)).toEqual(['Netflix', 'Disney Plus']);
+      expect(providers.flatrate[0]).toEqual({
+        id: 8,
+        name: 'Netflix',
+        logo: 'https://image.tmdb.org/t/p/w92/netflix.jpg'
+      });
+      expect(providers.rent.map(p => p.id)).toEqual([2]);
+      expect(providers.buy).toEqual([]);
+    });
+
+    test('should use another region when asked', async () => {
+      const providers = await filmService.getWatchProviders(550, 'US');
+
+      expect(providers.flatrate).toEqual([]);
+      expect(providers.buy).toEqual([{ id: 10, name: 'Amazon Video', logo: null }]);
+    });
+
+    test('should return empty lists when the film is not offered in the region', async () => {
+      const providers = await filmService.getWatchProviders(550, 'PT');
+
+      expect(providers).toEqual({ region: 'PT', link: null, flatrate: [], rent: [], buy: [] });
+    });
+
+    test('should keep the providers with the cached film data', async () => {
+      const storageManager = new StorageManager();
+
+      await new FilmService(storageManager).getWatchProviders(550);
+      const providers = await new FilmService(storageManager).getWatchProviders(550);
+
+      expect(providers.flatrate).toHaveLength(2);
+      expect(storageManager.load('letterboxd_tmdb_providers:550:BR')).not.toBeNull();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Full film details', () => {
+    const originalFetch = global.fetch;
+    const detailsResponse = {
+      id: 550,
+      title: 'Clube da Luta',
+      tagline: 'Mischief. Mayhem. Soap.',
+      runtime: 139,
+      genres: [{ id: 18, name: 'Drama' }],
+      credits: {
+        cast: [
+          { name: 'Brad Pitt', character: 'Tyler Durden', profile_path: '/brad.jpg', order: 1 },
+          { name: 'Edward Norton', character: 'Narrador', profile_path: null, order: 0 }
+        ],
+        crew: [
+          { name: 'David Fincher', job: 'Director' },
+          { name: 'Jim Uhls', job: 'Screenplay' }
+        ]
+      },
+      videos: {
+        results: [
+          { site: 'YouTube', type: 'Teaser', key: 'teaser', official: true, iso_639_1: 'en' },
+          { site: 'YouTube', type: 'Trailer', key: 'fan-trailer', official: false, iso_639_1: 'pt' },
+          { site: 'YouTube', type: 'Trailer', key: 'trailer-en', official: true, iso_639_1: 'en' },
+          { site: 'YouTube', type: 'Trailer', key: 'trailer-pt', official: true, iso_639_1: 'pt' },
+          { site: 'Vimeo', type: 'Trailer', key: 'vimeo', official: true, iso_639_1: 'pt' }
+        ]
+      },
+      release_dates: {
+        results: [
+          { iso_3166_1: 'US', release_dates: [{ type: 3, certification: 'R' }] },
+          {
+            iso_3166_1: 'BR',
+            release_dates: [
+              { type: 4, certification: '16' },
+              { type: 3, certification: '18' },
+              { type: 5, certification: '' }
+            ]
+          }
+        ]
+      }
+    };
+
+    beforeEach(() => {
+      localStorage.clear();
+      global.fetch = jest.fn(() =>
+        Promise.resolve({ ok: true, json: () => Promise.resolve(detailsResponse) })
+      );
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      localStorage.clear();
+    });
+
+    test('should request credits, videos and release dates with the details', async () => {
+      await filmService.getFilmDetails(550);
+
+      const url = global.fetch.mock.calls[0][0];
+      expect(url).toContain('/movie/550');
+      expect(url).toContain('append_to_response=credits%2Cvideos%2Crelease_dates');
+    });
+
+    test('should return director, top cast, runtime, age rating and trailer', async () => {
+      const film = await filmService.getFilmDetails(550);
+
+      expect(film.title).toBe('Clube da Luta');
+      expect(film.tagline).toBe('Mischief. Mayhem. Soap.');
+      expect(film.runtime).toBe(139);
+      expect(film.director).toBe('David Fincher');
+      expect(film.cast).toEqual([
+        { name: 'Edward Norton', character: 'Narrador', photo: null },
+        { name: 'Brad Pitt', character: 'Tyler Durden', photo: 'https://image.tmdb.org/t/p/w185/brad.jpg' }
+      ]);
+      expect(film.certification).toBe('18');
+      expect(film.trailerKey).toBe('trailer-pt');
+    });
+
+    test('should keep only the top billed cast', () => {
+      const cast = Array.from({ length: 20 }, (_, order) => ({ name: `Ator ${order}`, order }));
+
+      const film = filmService.parseFilmDetails({ id: 1, title: 'Filme', credits: { cast, crew: [] } });
+
+      expect(film.cast).toHaveLength(FilmService.TOP_CAST_SIZE);
+      expect(film.cast[0].name).toBe('Ator 0');
+    });
+
+    test('should use nulls when the details have no credits, videos or release dates', () => {
+      const film = filmService.parseFilmDetails({ id: 1, title: 'Filme' });
+
+      expect(film.director).toBeNull();
+      expect(film.cast).toEqual([]);
+      expect(film.runtime).toBeNull();
+      expect(film.certification).toBeNull();
+      expect(film.trailerKey).toBeNull();
+    });
+
+    test('should fall back to a teaser when there is no trailer', () => {
+      const key = filmService.parseTrailerKey({
+        results: [{ site: 'YouTube', type: 'Teaser', key: 'teaser', official: true }]
+      });
+
+      expect(key).toBe('teaser');
+    });
+
+    test('should fetch again details stored without credits by older versions', async () => {
+      const storageManager = new StorageManager();
+      storageManager.save('letterboxd_tmdb_details:550', {
+        data: { id: 550, title: 'Clube da Luta' },
+        timestamp: Date.now()
+      });
+
+      const film = await new FilmService(storageManager).getFilmDetails(550);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(film.director).toBe('David Fincher');
+    });
+  });
+
+  describe('Related films', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(() => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({
+            results: [{ id: 807, title: 'Seven', genre_ids: [80], vote_average: 8.4 }],
+            total_pages: 3
+          })
+        })
+      );
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should get the recommendations of a film', async () => {
+      const result = await filmService.getRecommendations(550);
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/movie/550/recommendations?');
+      expect(result.films.map(film => film.title)).toEqual(['Seven']);
+      expect(result.totalPages).toBe(3);
+    });
+
+    test('should get similar films', async () => {
+      const result = await filmService.getSimilarFilms(550, 2);
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/movie/550/similar?');
+      expect(global.fetch.mock.calls[0][0]).toContain('page=2');
+      expect(result.films[0].id).toBe(807);
+    });
+
+    test('should cache related films for the session', async () => {
+      await filmService.getRecommendations(550);
+      await filmService.getRecommendations(550);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject invalid film IDs', async () => {
+      await expect(filmService.getRecommendations('550')).rejects.toThrow('Valid film ID is required');
+      await expect(filmService.getSimilarFilms(null)).rejects.toThrow('Valid film ID is required');
+    });
+  });
+
+  describe('Discover', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(() => {
+      global.fetch = jest.fn(() =>
+        Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({
+            results: [{ id: 496243, title: 'Parasita', genre_ids: [35, 53, 18], vote_average: 8.5 }],
+            total_pages: 12
+          })
+        })
+      );
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should translate every filter to the TMDB query', () => {
+      const query = filmService.buildDiscoverQuery({
+        genres: [18, 53],
+        yearFrom: 2010,
+        yearTo: 2019,
+        runtimeMin: 90,
+        runtimeMax: 150,
+        minRating: 7,
+        minVotes: 500,
+        language: 'ko',
+        sortBy: 'primary_release_date.desc'
+      });
+
+      expect(query).toEqual({
+        language: 'pt-BR',
+        include_adult: false,
+        sort_by: 'primary_release_date.desc',
+        with_genres: '18|53',
+        'primary_release_date.gte': '2010-01-01',
+        'primary_release_date.lte': '2019-12-31',
+        'with_runtime.gte': 90,
+        'with_runtime.lte': 150,
+        'vote_average.gte': 7,
+        'vote_count.gte': 500,
+        with_original_language: 'ko'
+      });
+    });
+
+    test('should leave empty filters out and sort by popularity by default', () => {
+      const query = filmService.buildDiscoverQuery({ genres: [], yearFrom: null, language: '' });
+
+      expect(query).toEqual({ language: 'pt-BR', include_adult: false, sort_by: 'popularity.desc' });
+    });
+
+    test('should require a minimum vote count when sorting by rating', () => {
+      expect(filmService.buildDiscoverQuery({ sortBy: 'vote_average.desc' })['vote_count.gte'])
+        .toBe(FilmService.RATING_SORT_MIN_VOTES);
+      expect(filmService.buildDiscoverQuery({ sortBy: 'vote_average.desc', minVotes: 5000 })['vote_count.gte'])
+        .toBe(5000);
+    });
+
+    test('should discover films page by page', async () => {
+      const result = await filmService.discoverFilms({ genres: [18], language: 'ko' }, 2);
+
+      const url = global.fetch.mock.calls[0][0];
+      expect(url).toContain('/discover/movie?');
+      expect(url).toContain('with_genres=18');
+      expect(url).toContain('with_original_language=ko');
+      expect(url).toContain('page=2');
+      expect(result.films[0].title).toBe('Parasita');
+      expect(result.totalPages).toBe(12);
+    });
+
+    test('should cache each combination of filters separately', async () => {
+      await filmService.discoverFilms({ genres: [18] });
+      await filmService.discoverFilms({ genres: [18] });
+      await filmService.discoverFilms({ genres: [27] });
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
 });
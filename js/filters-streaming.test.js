@@ -129,6 +129,39 @@ describe('FilterManager - Streaming Service Integration', () => {
     });
   });
 
+  describe('subscription modes', () => {
+    beforeEach(() => {
+      filterManager.clearAllFilters();
+      filterManager.setSubscriptions(['prime'], ['prime', 'disney']);
+    });
+
+    test('should show films on any service the user subscribes to', () => {
+      filterManager.setStreamingFilter(FilterManager.STREAMING_MINE);
+      const result = filterManager.applyFilters();
+      expect(result.map(entry => entry.id)).toEqual(['2']);
+    });
+
+    test('should show films on any service someone in the group subscribes to', () => {
+      filterManager.setStreamingFilter(FilterManager.STREAMING_GROUP);
+      const result = filterManager.applyFilters();
+      expect(result.map(entry => entry.id).sort()).toEqual(['2', '3']);
+    });
+
+    test('should show nothing when the user has no services', () => {
+      filterManager.setSubscriptions([], []);
+      filterManager.setStreamingFilter(FilterManager.STREAMING_MINE);
+      expect(filterManager.applyFilters()).toHaveLength(0);
+    });
+
+    test('should keep the mode but not the services in the saved state', () => {
+      filterManager.setStreamingFilter(FilterManager.STREAMING_GROUP);
+      const saved = JSON.parse(localStorage.getItem('filter_state'));
+      expect(saved.streaming).toBe(FilterManager.STREAMING_GROUP);
+      expect(saved.subscriptions).toBeUndefined();
+      expect(new FilterManager(mockListService).subscriptions).toEqual({ mine: [], group: [] });
+    });
+  });
+
   describe('clearAllFilters', () => {
     test('should clear streaming filter', () => {
       filterManager.setStreamingFilter('netflix');
@@ -185,5 +218,33 @@ describe('FilterManager - Streaming Service Integration', () => {
       const saved = JSON.parse(localStorage.getItem('filter_state'));
       expect(saved.streaming).toBe('hbo');
     });
+
+    test('should keep the filter state in the given storage under its own key', () => {
+      const storage = { data: {}, save(key, value) { this.data[key] = value; }, load(key) { return this.data[key] || null; } };
+      const watchedFilters = new FilterManager(mockListService, storage, 'watched_filter_state');
+
+      watchedFilters.setStreamingFilter('hbo');
+
+      expect(storage.data.watched_filter_state.streaming).toBe('hbo');
+      expect(new FilterManager(mockListService, storage, 'watched_filter_state').activeFilters.streaming).toBe('hbo');
+      expect(localStorage.getItem('watched_filter_state')).toBeNull();
+    });
+
+    test('should switch to the state saved under another key', () => {
+      const storage = { data: {}, save(key, value) { this.data[key] = value; }, load(key) { return this.data[key] || null; } };
+      const filters = new FilterManager(mockListService, storage, 'letterboxd_filter_state');
+      filters.setStreamingFilter('hbo');
+
+      filters.setStorageKey('letterboxd_user_ana_filter_state');
+      expect(filters.activeFilters.streaming).toBeNull();
+      filters.setStreamingFilter('netflix');
+
+      filters.setStorageKey('letterboxd_user_bia_filter_state');
+      expect(filters.hasActiveFilters()).toBe(false);
+
+      filters.setStorageKey('letterboxd_user_ana_filter_state');
+      expect(filters.activeFilters.streaming).toBe('netflix');
+      expect(storage.data.letterboxd_filter_state.streaming).toBe('hbo');
+    });
   });
 });
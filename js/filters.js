@@ -5,9 +5,21 @@
  */
 
 class FilterManager {
-  constructor(listService) {
+  // Streaming filter values matching the services of the user / of anyone in the list
+  // instead of a single service
+  static STREAMING_MINE = 'mine';
+  static STREAMING_GROUP = 'group';
+
+  /**
+   * @param {ListService} listService - List service
+   * @param {StorageManager|null} storageManager - Where the filter state is kept
+   *   (localStorage when omitted)
+   * @param {string} storageKey - Storage key of the filter state
+   */
+  constructor(listService, storageManager = null, storageKey = 'filter_state') {
     this.listService = listService;
-    this.storageKey = 'filter_state';
+    this.storageManager = storageManager;
+    this.storageKey = storageKey;
     
     // Load persisted filter state or use defaults
     this.activeFilters = this.loadFilterState() || {
@@ -17,15 +29,40 @@ class FilterManager {
       random: false,
       sortBy: 'dateAdded' // Default sort option
     };
+    
+    // Streaming services of the user and of the list members (see setSubscriptions)
+    this.subscriptions = {
+      mine: [],
+      group: []
+    };
   }
 
   /**
-   * Load filter state from localStorage
+   * Keep the filter state under another storage key (e.g. the key of the user who logged in)
+   * The state saved under that key is loaded, or the filters are reset when there is none
+   * @param {string} storageKey - Storage key of the filter state
+   */
+  setStorageKey(storageKey) {
+    this.storageKey = storageKey;
+    
+    const saved = this.loadFilterState();
+    if (saved) {
+      this.activeFilters = saved;
+    } else {
+      this.clearAllFilters();
+    }
+  }
+
+  /**
+   * Load filter state from storage
    * @returns {Object|null} Saved filter state or null
    * Requirements: 14.3
    */
   loadFilterState() {
     try {
+      if (this.storageManager) {
+        return this.storageManager.load(this.storageKey);
+      }
       const saved = localStorage.getItem(this.storageKey);
       if (saved) {
         return JSON.parse(saved);
@@ -37,11 +74,15 @@ class FilterManager {
   }
 
   /**
-   * Save filter state to localStorage
+   * Save filter state to storage
    * Requirements: 14.3
    */
   saveFilterState() {
     try {
+      if (this.storageManager) {
+        this.storageManager.save(this.storageKey, this.activeFilters);
+        return;
+      }
       localStorage.setItem(this.storageKey, JSON.stringify(this.activeFilters));
     } catch (error) {
       console.error('Error saving filter state:', error.message);
@@ -129,22 +170,53 @@ class FilterManager {
   /**
    * Filter entries by streaming service
    * @param {Array} entries - Film entries to filter
-   * @param {string} serviceKey - Streaming service key to filter by
+   * @param {string} serviceKey - Streaming service key to filter by, or STREAMING_MINE /
+   *   STREAMING_GROUP for films on any service of the user / of the group
    * @returns {Array} Filtered entries
    * Requirements: 11.3
    */
   filterByStreaming(entries, serviceKey) {
     if (!serviceKey) return entries;
     
+    const serviceKeys = this.getStreamingFilterServices(serviceKey);
+    
     return entries.filter(entry => {
       if (!entry.film.streamingServices || !Array.isArray(entry.film.streamingServices)) {
         return false;
       }
       
-      return entry.film.streamingServices.includes(serviceKey);
+      return entry.film.streamingServices.some(key => serviceKeys.includes(key));
     });
   }
 
+  /**
+   * Services matched by a streaming filter value
+   * @param {string} serviceKey - Service key, STREAMING_MINE or STREAMING_GROUP
+   * @returns {Array<string>} Service keys
+   */
+  getStreamingFilterServices(serviceKey) {
+    if (serviceKey === FilterManager.STREAMING_MINE) {
+      return this.subscriptions.mine;
+    }
+    if (serviceKey === FilterManager.STREAMING_GROUP) {
+      return this.subscriptions.group;
+    }
+    return [serviceKey];
+  }
+
+  /**
+   * Set the services used by the STREAMING_MINE and STREAMING_GROUP filters
+   * (not persisted: they come from the user profile and the list members)
+   * @param {Array<string>} mine - Services the user subscribes to
+   * @param {Array<string>} group - Services anyone in the list subscribes to
+   */
+  setSubscriptions(mine, group) {
+    this.subscriptions = {
+      mine: [...(mine || [])],
+      group: [...(group || [])]
+    };
+  }
+
   /**
    * Shuffle array using Fisher-Yates algorithm
    * @param {Array} array - Array to shuffle
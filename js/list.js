@@ -6,6 +6,8 @@
 
 // Import ErrorRecovery for error handling
 const ErrorRecovery = typeof require !== 'undefined' ? require('./error-recovery.js') : window.ErrorRecovery;
+// Import DataValidator for parsing shared list rows
+const DataValidator = typeof require !== 'undefined' ? require('./data-validator.js') : window.DataValidator;
 
 class ListService {
   constructor(googleSheetsApi, authService, cacheManager, syncManager) {
@@ -14,6 +16,7 @@ class ListService {
     this.cacheManager = cacheManager;
     this.syncManager = syncManager;
     this.currentListId = null; // ID da lista atual
+    this.lists = []; // Listas visíveis para o usuário (próprias e compartilhadas)
     // Initialize legacy cache properties for backward compatibility
     this.sharedListCache = [];
     this.watchedMoviesCache = [];
@@ -24,6 +27,12 @@ class ListService {
    * @returns {Promise<void>}
    */
   async initialize() {
+    // Each user has their own cached entries and pending operations
+    const currentUser = this.authService.getCurrentUser();
+    if (this.cacheManager && currentUser) {
+      this.cacheManager.setCurrentUser(currentUser.id);
+    }
+    
     try {
       let lists = await this.getListsByUser();
       
@@ -34,7 +43,8 @@ class ListService {
           'Filmes para Assistir',
           'Lista compartilhada de filmes'
         );
-        this.currentListId = defaultList.id_lista;
+        this.lists = [{ ...defaultList, is_owner: true, role: 'owner' }];
+        this.selectList(defaultList.id_lista);
         // Initialize empty cache
         if (this.cacheManager) {
           this.cacheManager.updateSharedListCache([]);
@@ -43,8 +53,15 @@ class ListService {
         }
         console.log('✅ Lista padrão criada:', this.currentListId);
       } else {
-        // Use the first list as default
-        this.currentListId = lists[0].id_lista;
+        this.lists = lists;
+        
+        // Reopen the list the user was using last time, falling back to the first one
+        const rememberedId = this.cacheManager && currentUser
+          ? this.cacheManager.getSelectedList(currentUser.id)
+          : null;
+        const selected = lists.find(list => list.id_lista === rememberedId) || lists[0];
+        
+        this.selectList(selected.id_lista);
         console.log('📋 Usando lista existente:', this.currentListId);
         // Load movies from this list
         await this.refreshCache();
@@ -78,13 +95,31 @@ class ListService {
     }
     
     try {
-      const movies = await this.getMoviesByList(this.currentListId);
+      // Only pull rows changed since the last refresh of this list
+      if (this.syncManager && this.cacheManager) {
+        const currentUser = this.authService.getCurrentUser();
+        if (!currentUser) {
+          throw new Error('User not authenticated');
+        }
+        await this.syncManager.pullChanges(this.currentListId, currentUser.id);
+        return;
+      }
+
+      const entries = await this.getSharedListEntries(this.currentListId);
+      
+      // Keep entries that were added locally but not persisted yet
+      const pendingEntries = this.getSharedList().filter(entry =>
+        typeof entry.id === 'string' && entry.id.startsWith('temp-') &&
+        !entries.some(e => e.tmdb_id === entry.tmdb_id)
+      );
+      const mergedEntries = [...entries, ...pendingEntries];
+      
       // Use CacheManager if available (Requirement 3.6)
       if (this.cacheManager) {
-        this.cacheManager.updateSharedListCache(movies || []);
+        this.cacheManager.updateSharedListCache(mergedEntries);
       } else {
         // Fallback to legacy cache
-        this.sharedListCache = movies || [];
+        this.sharedListCache = mergedEntries;
       }
     } catch (error) {
       // Log API responses and status codes on errors (Requirement 6.2)
@@ -166,6 +201,222 @@ class ListService {
     }
   }
 
+  /**
+   * Lists loaded for the current user (owned and shared)
+   * @returns {Array} Array of list objects
+   */
+  getLists() {
+    return this.lists;
+  }
+
+  /**
+   * Currently selected list
+   * @returns {Object|null} List object
+   */
+  getCurrentList() {
+    return this.lists.find(list => list.id_lista === this.currentListId) || null;
+  }
+
+  /**
+   * Whether the current user may change the current list (owner or editor)
+   * Mirrors canEditList on the server, which checks the same roles.
+   * @returns {boolean} True for owners and editors
+   */
+  canEditCurrentList() {
+    const list = this.getCurrentList();
+    return !!list && (list.role === 'owner' || list.role === 'editor');
+  }
+
+  /**
+   * Get the members of a list with their roles and streaming services
+   * Offline, the members last loaded for the list are returned
+   * @param {string} [idLista] - List ID (defaults to the current list)
+   * @returns {Promise<Array>} Members ({id_usuario, nome, email, servicos, role, desde})
+   */
+  async getListMembers(idLista = this.currentListId) {
+    const currentUser = this.authService.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    try {
+      const response = await this.googleSheetsApi.getListMembers({
+        id_lista: idLista,
+        id_usuario: currentUser.id
+      });
+      const members = response.data || [];
+      
+      if (this.cacheManager) {
+        this.cacheManager.saveListMembers(members, idLista);
+      }
+      
+      return members;
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'ListService.getListMembers',
+        idLista,
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      
+      const cached = this.cacheManager ? this.cacheManager.getListMembers(idLista) : null;
+      if (cached) {
+        return cached;
+      }
+      throw new Error(`Failed to fetch list members: ${error.message}`);
+    }
+  }
+
+  /**
+   * Point the service and the cache at a list and remember the choice for the user
+   * @param {string} idLista - List ID
+   */
+  selectList(idLista) {
+    this.currentListId = idLista;
+    
+    if (this.cacheManager) {
+      this.cacheManager.setCurrentList(idLista);
+      
+      const currentUser = this.authService.getCurrentUser();
+      if (currentUser) {
+        this.cacheManager.saveSelectedList(currentUser.id, idLista);
+      }
+    }
+  }
+
+  /**
+   * Switch to another list and load its movies
+   * @param {string} idLista - List ID
+   * @returns {Promise<Object>} Selected list object
+   */
+  async switchList(idLista) {
+    const list = this.lists.find(l => l.id_lista === idLista);
+    if (!list) {
+      throw new Error('List not found');
+    }
+    
+    this.selectList(idLista);
+    await this.refreshCache();
+    return list;
+  }
+
+  /**
+   * Create a list and make it the current one
+   * @param {string} titulo - List title
+   * @param {string} descricao - List description
+   * @returns {Promise<Object>} Created list object
+   */
+  async createAndSwitchList(titulo, descricao = '') {
+    const created = await this.createList(titulo, descricao);
+    const list = { ...created, is_owner: true, role: 'owner' };
+    
+    this.lists.push(list);
+    this.selectList(list.id_lista);
+    
+    if (this.cacheManager) {
+      this.cacheManager.updateSharedListCache([]);
+    } else {
+      this.sharedListCache = [];
+    }
+    
+    return list;
+  }
+
+  /**
+   * Rename a list (owner only)
+   * @param {string} idLista - List ID
+   * @param {string} titulo - New title
+   * @param {string} [descricao] - New description
+   * @returns {Promise<Object>} Updated list object
+   */
+  async renameList(idLista, titulo, descricao) {
+    const currentUser = this.authService.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    // Validate inputs
+    if (!titulo || typeof titulo !== 'string' || titulo.trim().length === 0) {
+      throw new Error('List title is required');
+    }
+    
+    try {
+      const response = await this.googleSheetsApi.updateList({
+        id_lista: idLista,
+        id_usuario: currentUser.id,
+        titulo: titulo.trim(),
+        descricao
+      });
+      
+      const index = this.lists.findIndex(list => list.id_lista === idLista);
+      if (index !== -1) {
+        this.lists[index] = { ...this.lists[index], ...response.data };
+      }
+      
+      return response.data;
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'ListService.renameList',
+        userId: currentUser.id,
+        listId: idLista,
+        titulo,
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      throw new Error(`Failed to rename list: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a list (owner only) and switch to another one
+   * A new default list is created when the user has no lists left
+   * @param {string} idLista - List ID
+   * @returns {Promise<void>}
+   */
+  async deleteList(idLista) {
+    const currentUser = this.authService.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    try {
+      await this.googleSheetsApi.deleteList({
+        id_lista: idLista,
+        id_usuario: currentUser.id
+      });
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'ListService.deleteList',
+        userId: currentUser.id,
+        listId: idLista,
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      throw new Error(`Failed to delete list: ${error.message}`);
+    }
+    
+    this.lists = this.lists.filter(list => list.id_lista !== idLista);
+    if (this.cacheManager) {
+      this.cacheManager.clearList(idLista);
+    }
+    
+    if (this.currentListId !== idLista) {
+      return;
+    }
+    
+    if (this.lists.length > 0) {
+      await this.switchList(this.lists[0].id_lista);
+    } else {
+      await this.createAndSwitchList('Filmes para Assistir', 'Lista compartilhada de filmes');
+    }
+  }
+
   /**
    * Add watched movie to list
    * Requirements: 3.1, 3.2, 3.3, 3.4, 3.5, 4.5
@@ -264,6 +515,43 @@ class ListService {
     }
   }
 
+  /**
+   * Get the to-watch entries of a list from Google Sheets
+   * @param {string} idLista - List ID
+   * @returns {Promise<Array>} Array of list entries
+   */
+  async getSharedListEntries(idLista) {
+    const currentUser = this.authService.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('User not authenticated');
+    }
+    
+    // Validate inputs
+    if (!idLista || typeof idLista !== 'string') {
+      throw new Error('List ID is required');
+    }
+    
+    try {
+      const response = await this.googleSheetsApi.getSharedList({
+        id_lista: idLista,
+        id_usuario: currentUser.id
+      });
+      
+      return (response.data || []).map(row => DataValidator.parseSharedListRow(row));
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'ListService.getSharedListEntries',
+        userId: currentUser.id,
+        listId: idLista,
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      throw new Error(`Failed to fetch shared list: ${error.message}`);
+    }
+  }
+
   /**
    * Check if a film is in the shared list (by TMDB ID)
    * Requirements: 16.1
@@ -272,7 +560,7 @@ class ListService {
    */
   isFilmInList(filmId) {
     // Check in local cache
-    return this.sharedListCache.some(movie => {
+    return this.getSharedList().some(movie => {
       // Try to match by TMDB ID stored in the movie data
       return movie.tmdb_id === filmId || 
              movie.id_filme === String(filmId) ||
@@ -280,6 +568,17 @@ class ListService {
     });
   }
 
+  /**
+   * Check if a film is in the watched list (by TMDB ID)
+   * @param {number} filmId - TMDB film ID
+   * @returns {boolean} True if the film was already watched
+   */
+  isFilmWatched(filmId) {
+    return this.getWatchedList().some(movie =>
+      movie.tmdb_id === filmId || movie.film?.id === filmId
+    );
+  }
+
   /**
    * Get the shared list (cached)
    * @returns {Array} Array of list entries
@@ -330,7 +629,8 @@ class ListService {
         year: film.year,
         poster: film.poster,
         rating: film.rating,
-        genres: film.genres || []
+        genres: film.genres || [],
+        overview: film.overview || ''
       },
       titulo_filme: film.title,
       ano: film.year,
@@ -351,23 +651,22 @@ class ListService {
       this.sharedListCache.push(entry);
     }
     
+    const payload = {
+      id_lista: this.currentListId,
+      id_usuario: userId,
+      titulo_filme: film.title,
+      ano: film.year || '',
+      tmdb_id: film.id,
+      poster: film.poster || '',
+      rating: film.rating || 0,
+      genres: JSON.stringify(film.genres || []),
+      overview: film.overview || '',
+      added_by: username
+    };
+    
     // Try to persist to Google Sheets in background
-    // Using addWatchedMovie with nota=0 as a workaround
-    // TODO: Create proper addToSharedList endpoint
     try {
-      const response = await this.googleSheetsApi.addWatchedMovie({
-        id_lista: this.currentListId,
-        id_usuario: userId,
-        titulo_filme: film.title,
-        ano: film.year || '',
-        nota: 0, // 0 means "not watched yet"
-        assistido_em: null,
-        review: '',
-        tmdb_id: film.id,
-        poster: film.poster || '',
-        rating: film.rating || 0,
-        genres: JSON.stringify(film.genres || [])
-      });
+      const response = await this.googleSheetsApi.addToSharedList(payload);
       
       // Update entry with real ID from server
       if (response && response.data) {
@@ -408,7 +707,15 @@ class ListService {
         responseData: error.response?.data
       });
       console.warn('Failed to persist to Google Sheets:', error.message);
-      // Keep in cache anyway for now
+      
+      // Keep in cache and let SyncManager retry later (Requirement 3.2)
+      if (this.syncManager) {
+        this.syncManager.queueOperation({
+          type: 'add',
+          entity: 'shared',
+          data: { ...payload, tempId: entry.id }
+        });
+      }
     }
     
     return entry;
@@ -429,6 +736,35 @@ class ListService {
         this.sharedListCache.splice(index, 1);
       }
     }
+    
+    if (!this.syncManager) {
+      return;
+    }
+    
+    // Entries with a temporary ID were never persisted: drop the queued add instead of deleting on the server
+    if (String(entryId).startsWith('temp-')) {
+      this.cancelPendingSharedAdd(entryId);
+      return;
+    }
+    
+    this.syncManager.queueOperation({
+      type: 'remove',
+      entity: 'shared',
+      data: { id_filme: entryId }
+    });
+  }
+
+  /**
+   * Drop the queued add of a shared entry that has not reached the server yet
+   * @param {string} tempId - Temporary ID of the entry
+   */
+  cancelPendingSharedAdd(tempId) {
+    const pendingAdd = this.cacheManager.getPendingOperations().find(op =>
+      op.entity === 'shared' && op.type === 'add' && op.data && op.data.tempId === tempId
+    );
+    if (pendingAdd) {
+      this.cacheManager.markAsSynced(pendingAdd.id);
+    }
   }
 
   /**
@@ -452,21 +788,16 @@ class ListService {
       throw new Error('Film not found in shared list');
     }
     
+    if (typeof rating !== 'number' || rating < 0.5 || rating > 5) {
+      throw new Error('Rating must be a number between 0.5 and 5');
+    }
+    
     try {
-      // First, we need to delete the old entry (nota=0) from Google Sheets
-      // TODO: Implement deleteMovie endpoint
-      // For now, we'll just add a new entry with the rating
-      
-      // Add to watched movies using the API with real rating
-      const watchedEntry = await this.addWatchedMovie(
-        this.currentListId,
-        filmEntry.film,
-        rating,
-        review
-      );
+      const watchedEntry = await this.moveToWatched(filmEntry, rating, userId, review);
       
       const watchedMovie = {
         ...watchedEntry,
+        id: watchedEntry.id_filme,
         film: filmEntry.film,
         nota: rating,
         rating: rating,
@@ -511,6 +842,227 @@ class ListService {
       throw error;
     }
   }
+
+  /**
+   * Update the rating of a watched film (list owner or editor only)
+   * @param {string} watchedId - Watched entry ID
+   * @param {number} newRating - New rating (0.5-5)
+   * @returns {Object} Updated watched entry
+   */
+  updateWatchedRating(watchedId, newRating) {
+    if (typeof newRating !== 'number' || newRating < 0.5 || newRating > 5) {
+      throw new Error('Rating must be a number between 0.5 and 5');
+    }
+    
+    return this.updateWatchedEntry(watchedId, { nota: newRating, rating: newRating });
+  }
+
+  /**
+   * Update the review of a watched film (list owner or editor only)
+   * @param {string} watchedId - Watched entry ID
+   * @param {string} newReview - New review
+   * @returns {Object} Updated watched entry
+   */
+  updateWatchedReview(watchedId, newReview) {
+    return this.updateWatchedEntry(watchedId, { review: newReview || '' });
+  }
+
+  /**
+   * Apply an edit to a watched entry in the cache and queue it for the server
+   * @param {string} watchedId - Watched entry ID
+   * @param {Object} changes - Fields to change
+   * @returns {Object} Updated watched entry
+   */
+  updateWatchedEntry(watchedId, changes) {
+    if (!this.canEditCurrentList()) {
+      throw new Error('Only the list owner and editors can edit watched films');
+    }
+    
+    const watchedList = this.getWatchedList();
+    const index = watchedList.findIndex(entry => entry.id === watchedId);
+    
+    if (index === -1) {
+      throw new Error('Watched film not found');
+    }
+    
+    const updatedEntry = { ...watchedList[index], ...changes };
+    const updatedList = [
+      ...watchedList.slice(0, index),
+      updatedEntry,
+      ...watchedList.slice(index + 1)
+    ];
+    
+    if (this.cacheManager) {
+      this.cacheManager.updateWatchedCache(updatedList);
+    } else {
+      this.watchedMoviesCache = updatedList;
+    }
+    
+    this.queueWatchedChange('update', updatedEntry);
+    return updatedEntry;
+  }
+
+  /**
+   * Remove a film from the watched list (list owner or editor only)
+   * @param {string} watchedId - Watched entry ID
+   * @returns {boolean} True when removed
+   */
+  removeFromWatched(watchedId) {
+    if (!this.canEditCurrentList()) {
+      throw new Error('Only the list owner and editors can edit watched films');
+    }
+    
+    const watchedList = this.getWatchedList();
+    const entry = watchedList.find(e => e.id === watchedId);
+    
+    if (!entry) {
+      throw new Error('Watched film not found');
+    }
+    
+    const updatedList = watchedList.filter(e => e.id !== watchedId);
+    
+    if (this.cacheManager) {
+      this.cacheManager.updateWatchedCache(updatedList);
+    } else {
+      this.watchedMoviesCache = updatedList;
+    }
+    
+    this.queueWatchedChange('remove', entry);
+    return true;
+  }
+
+  /**
+   * Send a watched entry change to the server through the sync queue
+   * The entry version goes along so the server can detect concurrent edits.
+   * Changes to entries not synced yet are folded into their pending operation.
+   * @param {'update'|'remove'} type - Operation type
+   * @param {Object} entry - Watched entry (after the change)
+   */
+  queueWatchedChange(type, entry) {
+    if (!this.syncManager) {
+      return;
+    }
+    
+    const pendingOps = this.cacheManager.getPendingOperations().filter(op =>
+      op.entity === 'watched' && op.status !== 'conflict' && op.data &&
+      (op.data.tempId === entry.id || (op.type === 'update' && op.data.id_filme === entry.id))
+    );
+    
+    if (type === 'remove') {
+      pendingOps.forEach(op => this.cacheManager.markAsSynced(op.id));
+      
+      // Entries with a temporary ID were never persisted, nothing to delete on the server
+      if (String(entry.id).startsWith('temp-')) {
+        return;
+      }
+      
+      this.syncManager.queueOperation({
+        type: 'remove',
+        entity: 'watched',
+        data: { id_filme: entry.id, version: entry.version }
+      });
+      return;
+    }
+    
+    if (pendingOps.length > 0) {
+      const pending = pendingOps[0];
+      this.cacheManager.updatePendingOperation(pending.id, {
+        data: { ...pending.data, nota: entry.nota, review: entry.review || '' }
+      });
+      return;
+    }
+    
+    this.syncManager.queueOperation({
+      type: 'update',
+      entity: 'watched',
+      data: {
+        id_filme: entry.id,
+        nota: entry.nota,
+        review: entry.review || '',
+        assistido_em: entry.assistido_em,
+        version: entry.version
+      }
+    });
+  }
+
+  /**
+   * Persist the to-watch → watched transition for a shared list entry
+   * Uses the atomic markAsWatched action when online and queues it otherwise
+   * @param {Object} filmEntry - Shared list entry
+   * @param {number} rating - User rating (0.5-5)
+   * @param {string} userId - User ID
+   * @param {string} review - Optional review
+   * @returns {Promise<Object>} Watched movie data (server row or local placeholder)
+   */
+  async moveToWatched(filmEntry, rating, userId, review) {
+    const assistidoEm = new Date().toISOString();
+    const isTemporary = String(filmEntry.id).startsWith('temp-');
+    const isOnline = this.syncManager ? this.syncManager.isOnline() : true;
+    
+    if (!isTemporary && isOnline) {
+      const response = await this.googleSheetsApi.markAsWatched({
+        id_filme: filmEntry.id,
+        id_usuario: userId,
+        nota: rating,
+        assistido_em: assistidoEm,
+        review: review || ''
+      });
+      return response.data;
+    }
+    
+    if (!this.syncManager) {
+      throw new Error('Film has not been saved yet');
+    }
+    
+    const tempId = `temp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    
+    if (isTemporary) {
+      // The film never reached the server: drop its queued add and record it as watched directly
+      this.cancelPendingSharedAdd(filmEntry.id);
+      
+      this.syncManager.queueOperation({
+        type: 'add',
+        entity: 'watched',
+        data: {
+          id_lista: this.currentListId,
+          id_usuario: userId,
+          titulo_filme: filmEntry.film.title,
+          tmdb_id: filmEntry.tmdb_id || filmEntry.film.id,
+          ano: filmEntry.film.year || '',
+          nota: rating,
+          assistido_em: assistidoEm,
+          review: review || '',
+          tempId
+        }
+      });
+    } else {
+      this.syncManager.queueOperation({
+        type: 'move',
+        entity: 'watched',
+        data: {
+          id_filme: filmEntry.id,
+          id_lista: this.currentListId,
+          id_usuario: userId,
+          nota: rating,
+          assistido_em: assistidoEm,
+          review: review || '',
+          tempId
+        }
+      });
+    }
+    
+    return {
+      id_filme: tempId,
+      id_lista: this.currentListId,
+      id_usuario: userId,
+      titulo_filme: filmEntry.film.title,
+      tmdb_id: filmEntry.tmdb_id || filmEntry.film.id,
+      ano: filmEntry.film.year || '',
+      nota: rating,
+      assistido_em: assistidoEm,
+      review: review || ''
+    };
+  }
 }
 
 // Export for use in other modules
@@ -78,7 +78,19 @@ describe('ListService - Property 11: Watched film state transition', () => {
                 data: { id_filme: `watched-${Date.now()}-${idCounter++}` } 
               });
             }),
-            deleteMovie: jest.fn().mockResolvedValue({ ok: true })
+            deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+            addToSharedList: jest.fn().mockImplementation(() => {
+              return Promise.resolve({ 
+                ok: true, 
+                data: { id_filme: `shared-${Date.now()}-${idCounter++}` } 
+              });
+            }),
+            markAsWatched: jest.fn().mockImplementation(() => {
+              return Promise.resolve({ 
+                ok: true, 
+                data: { id_filme: `watched-${Date.now()}-${idCounter++}` } 
+              });
+            })
           };
 
           // Create mock auth service
@@ -122,6 +134,10 @@ describe('ListService - Property 11: Watched film state transition', () => {
             true // isAdmin
           );
           
+          // Transition is persisted with a single atomic request
+          expect(mockApi.markAsWatched).toHaveBeenCalledTimes(1);
+          expect(mockApi.addWatchedMovie).not.toHaveBeenCalled();
+          
           // Verify film is removed from shared list (Requirement 5.2)
           const sharedListAfter = listService.getSharedList();
           expect(sharedListAfter.length).toBe(0);
@@ -179,7 +195,19 @@ describe('ListService - Property 11: Watched film state transition', () => {
                 data: { id_filme: `watched-${Date.now()}-${idCounter++}` } 
               });
             }),
-            deleteMovie: jest.fn().mockResolvedValue({ ok: true })
+            deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+            addToSharedList: jest.fn().mockImplementation(() => {
+              return Promise.resolve({ 
+                ok: true, 
+                data: { id_filme: `shared-${Date.now()}-${idCounter++}` } 
+              });
+            }),
+            markAsWatched: jest.fn().mockImplementation(() => {
+              return Promise.resolve({ 
+                ok: true, 
+                data: { id_filme: `watched-${Date.now()}-${idCounter++}` } 
+              });
+            })
           };
 
           // Create mock auth service
@@ -275,7 +303,19 @@ describe('ListService - Property 11: Watched film state transition', () => {
                 data: { id_filme: `watched-${Date.now()}-${idCounter++}` } 
               });
             }),
-            deleteMovie: jest.fn().mockResolvedValue({ ok: true })
+            deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+            addToSharedList: jest.fn().mockImplementation(() => {
+              return Promise.resolve({ 
+                ok: true, 
+                data: { id_filme: `shared-${Date.now()}-${idCounter++}` } 
+              });
+            }),
+            markAsWatched: jest.fn().mockImplementation(() => {
+              return Promise.resolve({ 
+                ok: true, 
+                data: { id_filme: `watched-${Date.now()}-${idCounter++}` } 
+              });
+            })
           };
 
           // Create mock auth service
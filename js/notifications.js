@@ -91,6 +91,22 @@ class NotificationService {
         background-color: #ffa500;
       }
 
+      .notification-action {
+        margin-left: auto;
+        padding: 0.35rem 0.75rem;
+        border: 1px solid rgba(255, 255, 255, 0.8);
+        border-radius: 4px;
+        background: transparent;
+        color: white;
+        font-size: 0.85rem;
+        cursor: pointer;
+        white-space: nowrap;
+      }
+
+      .notification-action:hover {
+        background-color: rgba(255, 255, 255, 0.15);
+      }
+
       .notification.slide-out {
         animation: slideOut 0.3s ease-out forwards;
       }
@@ -216,18 +232,53 @@ class NotificationService {
     this.notificationContainer.appendChild(notification);
     
     // Auto-remove after duration
-    setTimeout(() => {
-      notification.classList.add('slide-out');
-      setTimeout(() => {
-        if (notification.parentNode) {
-          notification.parentNode.removeChild(notification);
-        }
-      }, 300);
-    }, duration);
+    setTimeout(() => this.dismiss(notification), duration);
+    
+    return notification;
+  }
+
+  /**
+   * Show a notification toast with an action button
+   * The toast closes when the button is clicked or after duration
+   * @param {string} message - Message to display
+   * @param {string} actionLabel - Button text
+   * @param {Function} onAction - Called when the button is clicked
+   * @param {string} type - Type of notification (default: 'warning')
+   * @param {number} duration - Duration in milliseconds (default: 10000)
+   * @returns {HTMLElement} Notification element
+   */
+  action(message, actionLabel, onAction, type = 'warning', duration = 10000) {
+    const notification = this.show(message, type, duration);
+    
+    const button = document.createElement('button');
+    button.className = 'notification-action';
+    button.textContent = actionLabel;
+    button.addEventListener('click', () => {
+      this.dismiss(notification);
+      onAction();
+    });
+    notification.appendChild(button);
     
     return notification;
   }
 
+  /**
+   * Close a notification toast
+   * @param {HTMLElement} notification - Element returned by show()
+   */
+  dismiss(notification) {
+    if (!notification || !notification.parentNode || notification.classList.contains('slide-out')) {
+      return;
+    }
+    
+    notification.classList.add('slide-out');
+    setTimeout(() => {
+      if (notification.parentNode) {
+        notification.parentNode.removeChild(notification);
+      }
+    }, 300);
+  }
+
   /**
    * Show success notification
    * @param {string} message - Success message
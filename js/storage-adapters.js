@@ -0,0 +1,174 @@
+/**
+ * Storage adapters - Async key/value backends for StorageManager
+ * Every adapter stores serialized (JSON string) values and implements:
+ * open(), getAll(), setItem(key, value), removeItem(key) and clear()
+ * IndexedDB is preferred; localStorage is kept as a fallback for browsers
+ * (or private windows) where IndexedDB cannot be opened
+ */
+
+/**
+ * Check whether an error means the storage quota was exceeded
+ * Browsers report it with different names and codes
+ * @param {Error} error - Error thrown by localStorage or IndexedDB
+ * @returns {boolean} True if the quota was exceeded
+ */
+function isQuotaExceededError(error) {
+  if (!error) {
+    return false;
+  }
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014;
+}
+
+/**
+ * localStorage backend (synchronous API wrapped in promises)
+ */
+class LocalStorageAdapter {
+  constructor() {
+    this.name = 'localStorage';
+  }
+
+  async open() {
+    // localStorage needs no setup
+  }
+
+  /**
+   * Read every stored value
+   * @returns {Promise<Object>} Map of key → serialized value
+   */
+  async getAll() {
+    const entries = {};
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      entries[key] = localStorage.getItem(key);
+    }
+    return entries;
+  }
+
+  async setItem(key, value) {
+    localStorage.setItem(key, value);
+  }
+
+  async removeItem(key) {
+    localStorage.removeItem(key);
+  }
+
+  async clear() {
+    localStorage.clear();
+  }
+}
+
+/**
+ * IndexedDB backend - a single object store keyed by the storage key
+ */
+class IndexedDBAdapter {
+  /**
+   * @param {string} dbName - Database name
+   * @param {string} storeName - Object store name
+   */
+  constructor(dbName = 'letterboxd_manager', storeName = 'storage') {
+    this.name = 'indexedDB';
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  /**
+   * Check whether IndexedDB exists in this browser
+   * @returns {boolean} True if available
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Open (and create on first use) the database
+   * @returns {Promise<void>}
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+    });
+  }
+
+  /**
+   * Run a request against the object store and resolve when its transaction completes
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the store and returns an IDBRequest
+   * @returns {Promise<any>} Request result
+   */
+  run(mode, callback) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      const request = callback(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      // Quota errors surface on the transaction, not on the request
+      transaction.onabort = () => reject(transaction.error || request.error);
+      transaction.onerror = () => reject(transaction.error || request.error);
+    });
+  }
+
+  /**
+   * Read every stored value
+   * @returns {Promise<Object>} Map of key → serialized value
+   */
+  getAll() {
+    return new Promise((resolve, reject) => {
+      const entries = {};
+      const transaction = this.db.transaction(this.storeName, 'readonly');
+      const request = transaction.objectStore(this.storeName).openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          entries[cursor.key] = cursor.value;
+          cursor.continue();
+        }
+      };
+      transaction.oncomplete = () => resolve(entries);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  setItem(key, value) {
+    return this.run('readwrite', store => store.put(value, key));
+  }
+
+  removeItem(key) {
+    return this.run('readwrite', store => store.delete(key));
+  }
+
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * Create the best backend available in this browser
+ * @returns {IndexedDBAdapter|LocalStorageAdapter} Storage adapter
+ */
+function createStorageAdapter() {
+  return IndexedDBAdapter.isAvailable() ? new IndexedDBAdapter() : new LocalStorageAdapter();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LocalStorageAdapter, IndexedDBAdapter, createStorageAdapter, isQuotaExceededError };
+}
@@ -2,8 +2,102 @@
  * StorageManager - Abstraction layer for localStorage operations
  * Handles serialization/deserialization and provides a clean interface
  * for data persistence operations.
+ *
+ * With an async adapter (see storage-adapters.js) the data lives in that backend
+ * (IndexedDB): init() loads it into memory once, reads stay synchronous and
+ * writes are persisted in the background, in order. When the quota is exceeded,
+ * the least recently used TMDB data is evicted first, then cached list copies.
  */
+
+const StorageAdapters = typeof require !== 'undefined' ? require('./storage-adapters.js') : window;
+
 class StorageManager {
+  /**
+   * @param {Object|null} adapter - Async storage backend; without one every call
+   *   goes straight to localStorage
+   */
+  constructor(adapter = null) {
+    this.adapter = adapter;
+
+    // Serialized values kept in memory when an adapter is used
+    this.memory = adapter ? new Map() : null;
+
+    // Last read/write time of each key, used to evict the least recently used data
+    this.accessTimes = {};
+    this.accessTimesQueued = false;
+
+    // Adapter writes run one after another so they land in call order
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the adapter data into memory (no-op without an adapter)
+   * Values saved before init() finishes win over the stored ones
+   * If the backend cannot be opened, falls back to localStorage
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (!this.adapter) {
+      return;
+    }
+
+    try {
+      await this.adapter.open();
+      const entries = await this.adapter.getAll();
+
+      const accessTimes = entries[StorageManager.ACCESS_TIMES_KEY];
+      delete entries[StorageManager.ACCESS_TIMES_KEY];
+      if (accessTimes) {
+        this.accessTimes = { ...JSON.parse(accessTimes), ...this.accessTimes };
+      }
+
+      for (const [key, value] of Object.entries(entries)) {
+        if (!this.memory.has(key)) {
+          this.memory.set(key, value);
+        }
+      }
+      console.log(`StorageManager: Loaded ${this.memory.size} keys from ${this.adapter.name}`);
+    } catch (error) {
+      console.error(`Error opening ${this.adapter.name}, falling back to localStorage:`, error?.message);
+      const unsaved = this.memory;
+      this.adapter = null;
+      this.memory = null;
+      unsaved.forEach((value, key) => this.writeLocal(key, value));
+    }
+  }
+
+  /**
+   * Move keys left in localStorage (before the adapter was used) into the adapter
+   * @param {Function} shouldMove - Receives a key and returns true to move it
+   * @returns {number} Number of keys moved
+   */
+  importFromLocalStorage(shouldMove) {
+    if (!this.adapter || this.adapter.name === 'localStorage') {
+      return 0;
+    }
+
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (shouldMove(key)) {
+        keys.push(key);
+      }
+    }
+
+    for (const key of keys) {
+      if (!this.memory.has(key)) {
+        this.memory.set(key, localStorage.getItem(key));
+        this.persist(key);
+      }
+      localStorage.removeItem(key);
+    }
+
+    if (keys.length > 0) {
+      console.log(`StorageManager: Moved ${keys.length} keys from localStorage to ${this.adapter.name}`);
+    }
+    return keys.length;
+  }
+
   /**
    * Save data to localStorage with automatic serialization
    * @param {string} key - Storage key
@@ -12,7 +106,14 @@ class StorageManager {
   save(key, data) {
     try {
       const serialized = JSON.stringify(data);
-      localStorage.setItem(key, serialized);
+      this.touch(key);
+
+      if (this.adapter) {
+        this.memory.set(key, serialized);
+        this.persist(key);
+      } else {
+        this.writeLocal(key, serialized);
+      }
     } catch (error) {
       console.error(`Error saving data to localStorage for key "${key}":`, error.message);
       throw new Error(`Failed to save data: ${error.message}`);
@@ -26,10 +127,13 @@ class StorageManager {
    */
   load(key) {
     try {
-      const serialized = localStorage.getItem(key);
+      const serialized = this.adapter
+        ? (this.memory.has(key) ? this.memory.get(key) : null)
+        : localStorage.getItem(key);
       if (serialized === null) {
         return null;
       }
+      this.touch(key);
       return JSON.parse(serialized);
     } catch (error) {
       console.error(`Error loading data from localStorage for key "${key}":`, error.message);
@@ -43,26 +147,219 @@ class StorageManager {
    */
   remove(key) {
     try {
-      localStorage.removeItem(key);
+      delete this.accessTimes[key];
+
+      if (this.adapter) {
+        this.memory.delete(key);
+        this.enqueue(() => this.adapter.removeItem(key), key);
+      } else {
+        localStorage.removeItem(key);
+      }
     } catch (error) {
       console.error(`Error removing data from localStorage for key "${key}":`, error.message);
       throw new Error(`Failed to remove data: ${error.message}`);
     }
   }
 
+  /**
+   * List every key in localStorage
+   * @returns {string[]} Storage keys
+   */
+  keys() {
+    if (this.adapter) {
+      return Array.from(this.memory.keys());
+    }
+
+    try {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        keys.push(localStorage.key(i));
+      }
+      return keys;
+    } catch (error) {
+      console.error('Error listing localStorage keys:', error.message);
+      throw new Error(`Failed to list keys: ${error.message}`);
+    }
+  }
+
   /**
    * Clear all data from localStorage
    */
   clear() {
     try {
-      localStorage.clear();
+      this.accessTimes = {};
+
+      if (this.adapter) {
+        this.memory.clear();
+        this.enqueue(() => this.adapter.clear());
+      } else {
+        localStorage.clear();
+      }
     } catch (error) {
       console.error('Error clearing localStorage:', error.message);
       throw new Error(`Failed to clear storage: ${error.message}`);
     }
   }
+
+  /**
+   * Wait until every pending adapter write has been persisted
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeQueue;
+  }
+
+  /**
+   * Record that a key was just used
+   * @param {string} key - Storage key
+   */
+  touch(key) {
+    this.accessTimes[key] = Date.now();
+  }
+
+  /**
+   * Write a serialized value to localStorage, evicting data while the quota is exceeded
+   * @param {string} key - Storage key
+   * @param {string} serialized - Serialized value
+   */
+  writeLocal(key, serialized) {
+    for (;;) {
+      try {
+        localStorage.setItem(key, serialized);
+        return;
+      } catch (error) {
+        if (!StorageAdapters.isQuotaExceededError(error)) {
+          throw error;
+        }
+        const evicted = this.evictNext(key);
+        if (evicted.length === 0) {
+          throw error;
+        }
+        evicted.forEach(evictedKey => localStorage.removeItem(evictedKey));
+      }
+    }
+  }
+
+  /**
+   * Queue the adapter write of a key (and of the access times, once per burst)
+   * @param {string} key - Storage key
+   */
+  persist(key) {
+    const serialized = this.memory.get(key);
+    this.enqueue(() => this.writeAdapter(key, serialized), key);
+
+    if (!this.accessTimesQueued) {
+      this.accessTimesQueued = true;
+      this.enqueue(() => {
+        this.accessTimesQueued = false;
+        return this.writeAdapter(StorageManager.ACCESS_TIMES_KEY, JSON.stringify(this.accessTimes));
+      });
+    }
+  }
+
+  /**
+   * Write a serialized value to the adapter, evicting data while the quota is exceeded
+   * @param {string} key - Storage key
+   * @param {string} serialized - Serialized value
+   * @returns {Promise<void>}
+   */
+  async writeAdapter(key, serialized) {
+    for (;;) {
+      try {
+        await this.adapter.setItem(key, serialized);
+        return;
+      } catch (error) {
+        if (!StorageAdapters.isQuotaExceededError(error)) {
+          throw error;
+        }
+        const evicted = this.evictNext(key);
+        if (evicted.length === 0) {
+          throw error;
+        }
+        for (const evictedKey of evicted) {
+          this.memory.delete(evictedKey);
+          await this.adapter.removeItem(evictedKey);
+        }
+      }
+    }
+  }
+
+  /**
+   * Append an operation to the adapter write queue
+   * A failed write is logged and does not stop the next ones
+   * @param {Function} operation - Returns a promise
+   * @param {string} [key] - Storage key, for the error log
+   */
+  enqueue(operation, key = null) {
+    this.writeQueue = this.writeQueue
+      .then(operation)
+      .catch(error => {
+        console.error(`Error writing data to ${this.adapter?.name || 'storage'} for key "${key}":`, error?.message);
+      });
+  }
+
+  /**
+   * Pick the next keys to evict to free space
+   * TMDB data goes first, then cached list copies, least recently used first.
+   * A list copy is evicted with the other caches of the same list and its sync
+   * cursor, so the next sync downloads the whole list again
+   * @param {string} protectedKey - Key being written (never evicted)
+   * @returns {string[]} Keys that were evicted (empty when nothing is left)
+   */
+  evictNext(protectedKey) {
+    const candidates = this.keys()
+      .filter(key => key !== protectedKey && StorageManager.getEvictionTier(key) > 0)
+      .sort((a, b) =>
+        StorageManager.getEvictionTier(a) - StorageManager.getEvictionTier(b) ||
+        (this.accessTimes[a] || 0) - (this.accessTimes[b] || 0)
+      );
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const group = StorageManager.getEvictionGroup(candidates[0]);
+    const evicted = this.keys().filter(key =>
+      key !== protectedKey && StorageManager.getEvictionGroup(key) === group
+    );
+    evicted.forEach(key => delete this.accessTimes[key]);
+
+    console.warn('StorageManager: Storage quota exceeded, evicted', evicted);
+    return evicted;
+  }
+
+  /**
+   * Eviction order of a key: 1 = TMDB data, 2 = cached list copy, 0 = never evicted
+   * (session, pending operations, preferences)
+   * @param {string} key - Storage key
+   * @returns {number} Eviction tier
+   */
+  static getEvictionTier(key) {
+    if (key.startsWith(StorageManager.TMDB_KEY_PREFIX)) {
+      return 1;
+    }
+    if (/^letterboxd_(user_.+_)?(shared_list|watched_list)(_|$)/.test(key)) {
+      return 2;
+    }
+    return 0;
+  }
+
+  /**
+   * Keys that must be evicted together share the same group
+   * @param {string} key - Storage key
+   * @returns {string} Group name
+   */
+  static getEvictionGroup(key) {
+    return key.replace(/^(letterboxd_(?:user_.+_)?)(shared_list|watched_list|sync_cursor)(_|$)/, '$1*$3');
+  }
 }
 
+// Keys of cached TMDB responses start with this prefix
+StorageManager.TMDB_KEY_PREFIX = 'letterboxd_tmdb_';
+
+// Adapter key holding the access times used for LRU eviction
+StorageManager.ACCESS_TIMES_KEY = 'letterboxd_storage_access_times';
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = StorageManager;
@@ -5,6 +5,32 @@
  */
 
 const StorageManager = require('./storage.js');
+const { LocalStorageAdapter } = require('./storage-adapters.js');
+
+// In-memory async adapter; setItem fails with a quota error above `capacity` keys
+function createMemoryAdapter(initial = {}, capacity = Infinity) {
+  const data = { ...initial };
+  return {
+    name: 'memory',
+    data,
+    open: jest.fn(async () => {}),
+    getAll: async () => ({ ...data }),
+    setItem: async (key, value) => {
+      if (!(key in data) && Object.keys(data).length >= capacity) {
+        const error = new Error('The quota has been exceeded.');
+        error.name = 'QuotaExceededError';
+        throw error;
+      }
+      data[key] = value;
+    },
+    removeItem: async (key) => {
+      delete data[key];
+    },
+    clear: async () => {
+      Object.keys(data).forEach(key => delete data[key]);
+    }
+  };
+}
 
 describe('StorageManager', () => {
   let storageManager;
@@ -151,6 +177,19 @@ describe('StorageManager', () => {
         }).not.toThrow();
       });
     });
+
+    describe('keys()', () => {
+      it('should list every stored key', () => {
+        storageManager.save('key1', 'value1');
+        storageManager.save('key2', 'value2');
+        
+        expect(storageManager.keys().sort()).toEqual(['key1', 'key2']);
+      });
+
+      it('should return an empty array on empty localStorage', () => {
+        expect(storageManager.keys()).toEqual([]);
+      });
+    });
   });
 
   describe('Complex Object Serialization', () => {
@@ -274,4 +313,161 @@ describe('StorageManager', () => {
       expect(typeof loaded.metadata).toBe('object');
     });
   });
+
+  describe('Quota handling (localStorage)', () => {
+    it('should evict TMDB data before list caches and retry the write', () => {
+      storageManager.save('letterboxd_user_u1_shared_list_l1', [1]);
+      storageManager.save('letterboxd_tmdb_details:1', { data: 1 });
+      storageManager.save('letterboxd_session', { token: 't' });
+
+      const setItem = Storage.prototype.setItem;
+      let failures = 1;
+      const spy = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+        if (failures-- > 0) {
+          const error = new Error('The quota has been exceeded.');
+          error.name = 'QuotaExceededError';
+          throw error;
+        }
+        return setItem.call(this, key, value);
+      });
+
+      storageManager.save('letterboxd_user_u1_pending_operations', [{ id: 'op-1' }]);
+      spy.mockRestore();
+
+      expect(storageManager.load('letterboxd_tmdb_details:1')).toBeNull();
+      expect(storageManager.load('letterboxd_user_u1_shared_list_l1')).toEqual([1]);
+      expect(storageManager.load('letterboxd_session')).toEqual({ token: 't' });
+      expect(storageManager.load('letterboxd_user_u1_pending_operations')).toEqual([{ id: 'op-1' }]);
+    });
+
+    it('should throw when nothing can be evicted', () => {
+      storageManager.save('letterboxd_session', { token: 't' });
+      const spy = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        const error = new Error('The quota has been exceeded.');
+        error.name = 'QuotaExceededError';
+        throw error;
+      });
+
+      expect(() => storageManager.save('other', 'value')).toThrow('Failed to save data');
+      spy.mockRestore();
+      expect(storageManager.load('letterboxd_session')).toEqual({ token: 't' });
+    });
+  });
+
+  describe('Async adapters', () => {
+    it('should load the adapter data on init and persist writes in the background', async () => {
+      const adapter = createMemoryAdapter({ existing: JSON.stringify({ a: 1 }) });
+      const store = new StorageManager(adapter);
+
+      await store.init();
+      expect(store.load('existing')).toEqual({ a: 1 });
+
+      store.save('key1', ['x']);
+      store.remove('existing');
+      expect(store.load('key1')).toEqual(['x']);
+      expect(store.keys()).toEqual(['key1']);
+
+      await store.flush();
+      expect(JSON.parse(adapter.data.key1)).toEqual(['x']);
+      expect(adapter.data.existing).toBeUndefined();
+      expect(localStorage.getItem('key1')).toBeNull();
+    });
+
+    it('should keep values saved before init finishes', async () => {
+      const adapter = createMemoryAdapter({ key1: JSON.stringify('stored') });
+      const store = new StorageManager(adapter);
+
+      store.save('key1', 'newer');
+      await store.init();
+
+      expect(store.load('key1')).toBe('newer');
+    });
+
+    it('should fall back to localStorage when the adapter cannot be opened', async () => {
+      const adapter = createMemoryAdapter();
+      adapter.open.mockRejectedValue(new Error('IndexedDB unavailable'));
+      const store = new StorageManager(adapter);
+
+      store.save('key1', 'value');
+      await store.init();
+
+      expect(store.adapter).toBeNull();
+      expect(localStorage.getItem('key1')).toBe(JSON.stringify('value'));
+      store.save('key2', 2);
+      expect(localStorage.getItem('key2')).toBe('2');
+    });
+
+    it('should move matching localStorage keys into the adapter', async () => {
+      localStorage.setItem('letterboxd_shared_list', JSON.stringify([1]));
+      localStorage.setItem('letterboxd_session', JSON.stringify({ token: 't' }));
+      const adapter = createMemoryAdapter();
+      const store = new StorageManager(adapter);
+      await store.init();
+
+      const moved = store.importFromLocalStorage(key => key.startsWith('letterboxd_shared_list'));
+      await store.flush();
+
+      expect(moved).toBe(1);
+      expect(store.load('letterboxd_shared_list')).toEqual([1]);
+      expect(adapter.data.letterboxd_shared_list).toBe(JSON.stringify([1]));
+      expect(localStorage.getItem('letterboxd_shared_list')).toBeNull();
+      expect(localStorage.getItem('letterboxd_session')).not.toBeNull();
+    });
+
+    it('should not import anything into the localStorage adapter', async () => {
+      localStorage.setItem('letterboxd_shared_list', JSON.stringify([1]));
+      const store = new StorageManager(new LocalStorageAdapter());
+      await store.init();
+
+      expect(store.importFromLocalStorage(() => true)).toBe(0);
+      expect(store.load('letterboxd_shared_list')).toEqual([1]);
+    });
+
+    it('should evict the least recently used TMDB data first, then whole list caches', async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      const adapter = createMemoryAdapter({}, 6);
+      const store = new StorageManager(adapter);
+      await store.init();
+
+      let now = 1000;
+      nowSpy.mockImplementation(() => now++);
+      store.save('letterboxd_user_u1_shared_list_l1', [1]);
+      store.save('letterboxd_user_u1_watched_list_l1', [2]);
+      store.save('letterboxd_user_u1_sync_cursor_l1', 'cursor');
+      store.save('letterboxd_tmdb_details:1', { data: 1 });
+      store.save('letterboxd_tmdb_details:2', { data: 2 });
+      store.load('letterboxd_tmdb_details:1');
+      await store.flush();
+
+      // 5 keys + access times fill the adapter: the least recently used TMDB entry goes first
+      store.save('letterboxd_user_u1_pending_operations', [{ id: 'op-1' }]);
+      await store.flush();
+      expect(store.load('letterboxd_tmdb_details:2')).toBeNull();
+      expect(adapter.data['letterboxd_tmdb_details:2']).toBeUndefined();
+      expect(adapter.data['letterboxd_tmdb_details:1']).toBeDefined();
+
+      store.save('letterboxd_selected_list', { u1: 'l1' });
+      await store.flush();
+      expect(adapter.data['letterboxd_tmdb_details:1']).toBeUndefined();
+
+      // No TMDB data left: the list caches go together with their sync cursor
+      store.save('letterboxd_client_id', 'client');
+      await store.flush();
+      nowSpy.mockRestore();
+
+      expect(store.load('letterboxd_user_u1_shared_list_l1')).toBeNull();
+      expect(store.load('letterboxd_user_u1_watched_list_l1')).toBeNull();
+      expect(store.load('letterboxd_user_u1_sync_cursor_l1')).toBeNull();
+      expect(adapter.data.letterboxd_client_id).toBe(JSON.stringify('client'));
+      expect(adapter.data.letterboxd_user_u1_pending_operations).toBeDefined();
+    });
+
+    it('should classify keys into eviction tiers', () => {
+      expect(StorageManager.getEvictionTier('letterboxd_tmdb_details:1')).toBe(1);
+      expect(StorageManager.getEvictionTier('letterboxd_user_u1_shared_list_l1')).toBe(2);
+      expect(StorageManager.getEvictionTier('letterboxd_watched_list')).toBe(2);
+      expect(StorageManager.getEvictionTier('letterboxd_user_u1_pending_operations')).toBe(0);
+      expect(StorageManager.getEvictionTier('letterboxd_session')).toBe(0);
+    });
+  });
 });
@@ -1,120 +1,221 @@
 /**
  * StreamingService - Manages streaming service availability and filtering
  * Provides streaming service badges and filtering functionality
+ * Availability comes from the TMDB watch providers (through FilmService): TMDB
+ * provider IDs are mapped to the services below, other providers keep the TMDB
+ * name and logo.
  * Requirements: 10.1, 10.2, 10.3, 10.4, 10.5, 11.3
  */
 
 class StreamingService {
-  constructor() {
+  // How a film is offered, in badge order
+  static AVAILABILITY_TYPES = ['flatrate', 'rent', 'buy'];
+
+  /**
+   * @param {FilmService|null} filmService - Source of the TMDB watch providers
+   *   (without it no film is available anywhere)
+   */
+  constructor(filmService = null) {
+    this.filmService = filmService;
+
+    // Services the current user subscribes to (their badges are highlighted)
+    this.subscribedServices = [];
+
+    // Labels of the availability types
+    this.typeLabels = {
+      flatrate: 'Assinatura',
+      rent: 'Aluguel',
+      buy: 'Compra'
+    };
+
     // Mapping of streaming services with visual properties
+    // providerIds are the TMDB watch provider IDs of each service
     // Requirements: 10.1, 10.2
     this.services = {
       netflix: { 
         name: 'Netflix', 
         icon: '🎬', 
         color: '#E50914',
-        url: 'https://www.netflix.com'
+        url: 'https://www.netflix.com',
+        providerIds: [8, 1796]
       },
       prime: { 
         name: 'Prime Video', 
         icon: '📺', 
         color: '#00A8E1',
-        url: 'https://www.primevideo.com'
+        url: 'https://www.primevideo.com',
+        providerIds: [119, 9]
       },
       disney: { 
         name: 'Disney+', 
         icon: '🏰', 
         color: '#113CCF',
-        url: 'https://www.disneyplus.com'
+        url: 'https://www.disneyplus.com',
+        providerIds: [337]
       },
       hbo: { 
         name: 'HBO Max', 
         icon: '🎭', 
         color: '#B026FF',
-        url: 'https://www.max.com'
+        url: 'https://www.max.com',
+        providerIds: [384, 1899]
       },
       apple: { 
         name: 'Apple TV+', 
         icon: '🍎', 
         color: '#000000',
-        url: 'https://tv.apple.com'
+        url: 'https://tv.apple.com',
+        providerIds: [350]
       },
       paramount: {
         name: 'Paramount+',
         icon: '⛰️',
         color: '#0064FF',
-        url: 'https://www.paramountplus.com'
+        url: 'https://www.paramountplus.com',
+        providerIds: [531]
       },
       star: {
         name: 'Star+',
         icon: '⭐',
         color: '#FFD700',
-        url: 'https://www.starplus.com'
+        url: 'https://www.starplus.com',
+        providerIds: [619]
       }
     };
   }
   
   /**
    * Get streaming availability for a film
-   * This is a mock implementation - in production, integrate with JustWatch API or similar
    * @param {number} filmId - TMDB film ID
-   * @returns {Promise<Array>} Array of available streaming service keys
+   * @returns {Promise<Object>} { region, link, flatrate, rent, buy }, each type a list
+   *   of { key, name, logo } (key is a service key, or tmdb-<provider ID> for other providers)
    * Requirements: 10.1
    */
   async getAvailability(filmId) {
-    // Mock implementation - randomly assign 0-3 streaming services
-    // In production, this would call an external API like JustWatch
-    
-    // Use filmId as seed for consistent results per film
-    const seed = filmId % 100;
-    const serviceKeys = Object.keys(this.services);
-    const availableServices = [];
-    
-    // Randomly select services based on seed
-    if (seed % 7 === 0) availableServices.push('netflix');
-    if (seed % 5 === 0) availableServices.push('prime');
-    if (seed % 11 === 0) availableServices.push('disney');
-    if (seed % 13 === 0) availableServices.push('hbo');
-    if (seed % 17 === 0) availableServices.push('apple');
-    if (seed % 19 === 0) availableServices.push('paramount');
-    if (seed % 23 === 0) availableServices.push('star');
-    
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 50));
-    
-    return availableServices;
+    if (!this.filmService) {
+      return { region: null, link: null, flatrate: [], rent: [], buy: [] };
+    }
+
+    const providers = await this.filmService.getWatchProviders(filmId);
+    const toService = provider => ({
+      key: this.getServiceKey(provider.id),
+      name: provider.name,
+      logo: provider.logo
+    });
+
+    return {
+      region: providers.region,
+      link: providers.link,
+      flatrate: providers.flatrate.map(toService),
+      rent: providers.rent.map(toService),
+      buy: providers.buy.map(toService)
+    };
+  }
+
+  /**
+   * Key of the service of a TMDB watch provider
+   * @param {number} providerId - TMDB provider ID
+   * @returns {string} Service key, or tmdb-<provider ID> for providers not in the services table
+   */
+  getServiceKey(providerId) {
+    const entry = Object.entries(this.services).find(([, service]) => service.providerIds.includes(providerId));
+    return entry ? entry[0] : `tmdb-${providerId}`;
+  }
+
+  /**
+   * Set the services the current user subscribes to
+   * @param {Array<string>} serviceKeys - Service keys (tmdb-<provider ID> for other providers)
+   */
+  setSubscribedServices(serviceKeys) {
+    this.subscribedServices = [...(serviceKeys || [])];
+  }
+
+  /**
+   * Keys of the services where a film can be watched with a subscription
+   * (stored as film.streamingServices and used by the streaming filter)
+   * @param {Object} availability - Result of getAvailability
+   * @returns {Array<string>} Service keys, without duplicates
+   */
+  getStreamingKeys(availability) {
+    return [...new Set((availability?.flatrate || []).map(service => service.key))];
   }
   
   /**
    * Create streaming badges HTML
-   * @param {Array} services - Array of service keys
+   * Badges are grouped by type (subscription, rental, purchase); providers missing
+   * from the services table get a generic badge with the TMDB name and logo.
+   * Subscription badges of services the user subscribes to are highlighted.
+   * @param {Object|Array} availability - Result of getAvailability, or an array of
+   *   service keys (subscription only, as stored by older versions)
    * @returns {string} HTML string with badges
    * Requirements: 10.2, 10.3, 10.4
    */
-  createBadges(services) {
+  createBadges(availability) {
+    if (Array.isArray(availability)) {
+      // Handle no services available (Requirement 10.3)
+      if (availability.length === 0) {
+        return '<span class="streaming-unavailable">Informação não disponível</span>';
+      }
+      return availability
+        .filter(serviceKey => this.services[serviceKey])
+        .map(serviceKey => this.createBadge({ key: serviceKey }, 'flatrate', null))
+        .join('');
+    }
+
+    const types = StreamingService.AVAILABILITY_TYPES.filter(type => availability?.[type]?.length > 0);
+
     // Handle no services available (Requirement 10.3)
-    if (!services || services.length === 0) {
+    if (types.length === 0) {
       return '<span class="streaming-unavailable">Informação não disponível</span>';
     }
-    
+
     // Create badges for each service (Requirements 10.2, 10.4)
-    return services.map(serviceKey => {
-      const service = this.services[serviceKey];
-      if (!service) return '';
-      
-      return `
-        <a href="${this.escapeHtmlAttr(service.url)}" 
-           target="_blank" 
-           rel="noopener noreferrer"
-           class="streaming-badge" 
-           style="background-color: ${this.escapeHtmlAttr(service.color)}" 
-           title="Assistir em ${this.escapeHtmlAttr(service.name)}"
-           aria-label="Assistir ${this.escapeHtmlAttr(service.name)}">
-          <span class="streaming-icon">${service.icon}</span>
-          <span class="streaming-name">${this.escapeHtml(service.name)}</span>
-        </a>
-      `;
-    }).join('');
+    return types.map(type => `
+      <span class="streaming-type">${this.escapeHtml(this.typeLabels[type])}:</span>
+      ${availability[type].map(service => this.createBadge(service, type, availability.link)).join('')}
+    `).join('');
+  }
+
+  /**
+   * Create the badge of one service
+   * @param {{key: string, name?: string, logo?: string|null}} service - Service from getAvailability
+   * @param {'flatrate'|'rent'|'buy'} type - How the film is offered there
+   * @param {string|null} link - TMDB page listing the offers (used for unknown providers)
+   * @returns {string} HTML string
+   */
+  createBadge(service, type, link) {
+    const known = this.services[service.key];
+    const name = known ? known.name : service.name;
+    const url = known ? known.url : (link || 'https://www.themoviedb.org');
+    const verb = { flatrate: 'Assistir', rent: 'Alugar', buy: 'Comprar' }[type];
+    const subscribed = type === 'flatrate' && this.subscribedServices.includes(service.key);
+    const label = `${verb} em ${name}${subscribed ? ' (você assina)' : ''}`;
+
+    // Rental and purchase badges are outlined, subscription badges are filled
+    // (generic badges take their color from the stylesheet)
+    const style = !known ? '' : type === 'flatrate'
+      ? `background-color: ${known.color}`
+      : `border-color: ${known.color}`;
+
+    let icon = '<span class="streaming-icon">▶️</span>';
+    if (known) {
+      icon = `<span class="streaming-icon">${known.icon}</span>`;
+    } else if (service.logo) {
+      icon = `<img class="streaming-logo" src="${this.escapeHtmlAttr(service.logo)}" alt="" loading="lazy" />`;
+    }
+
+    return `
+      <a href="${this.escapeHtmlAttr(url)}" 
+         target="_blank" 
+         rel="noopener noreferrer"
+         class="streaming-badge ${type}${known ? '' : ' generic'}${subscribed ? ' subscribed' : ''}" 
+         style="${this.escapeHtmlAttr(style)}" 
+         title="${this.escapeHtmlAttr(label)}"
+         aria-label="${this.escapeHtmlAttr(label)}">
+        ${icon}
+        <span class="streaming-name">${this.escapeHtml(name)}</span>
+      </a>
+    `;
   }
   
   /**
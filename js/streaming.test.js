@@ -33,23 +33,52 @@ describe('StreamingService', () => {
   });
 
   describe('getAvailability', () => {
-    test('should return an array of service keys', async () => {
+    const providers = {
+      region: 'BR',
+      link: 'https://www.themoviedb.org/movie/550/watch?locale=BR',
+      flatrate: [
+        { id: 8, name: 'Netflix', logo: 'https://image.tmdb.org/t/p/w92/netflix.jpg' },
+        { id: 1796, name: 'Netflix basic with Ads', logo: null },
+        { id: 307, name: 'Globoplay', logo: 'https://image.tmdb.org/t/p/w92/globoplay.jpg' }
+      ],
+      rent: [{ id: 2, name: 'Apple TV', logo: null }],
+      buy: []
+    };
+
+    test('should return empty availability without a film service', async () => {
       const result = await streamingService.getAvailability(123);
-      expect(Array.isArray(result)).toBe(true);
+      expect(result).toEqual({ region: null, link: null, flatrate: [], rent: [], buy: [] });
     });
 
-    test('should return consistent results for same film ID', async () => {
-      const result1 = await streamingService.getAvailability(100);
-      const result2 = await streamingService.getAvailability(100);
-      expect(result1).toEqual(result2);
+    test('should map TMDB watch providers to service keys', async () => {
+      const filmService = { getWatchProviders: jest.fn().mockResolvedValue(providers) };
+      streamingService = new StreamingService(filmService);
+
+      const result = await streamingService.getAvailability(550);
+
+      expect(filmService.getWatchProviders).toHaveBeenCalledWith(550);
+      expect(result.region).toBe('BR');
+      expect(result.link).toBe(providers.link);
+      expect(result.flatrate.map(service => service.key)).toEqual(['netflix', 'netflix', 'tmdb-307']);
+      expect(result.rent).toEqual([{ key: 'tmdb-2', name: 'Apple TV', logo: null }]);
+      expect(result.buy).toEqual([]);
     });
 
-    test('should return valid service keys', async () => {
-      const result = await streamingService.getAvailability(123);
-      const validKeys = Object.keys(streamingService.services);
-      result.forEach(key => {
-        expect(validKeys).toContain(key);
-      });
+    test('should list each subscription service once in the streaming keys', async () => {
+      const filmService = { getWatchProviders: jest.fn().mockResolvedValue(providers) };
+      streamingService = new StreamingService(filmService);
+
+      const result = await streamingService.getAvailability(550);
+
+      expect(streamingService.getStreamingKeys(result)).toEqual(['netflix', 'tmdb-307']);
+      expect(streamingService.getStreamingKeys(null)).toEqual([]);
+    });
+
+    test('should propagate TMDB errors', async () => {
+      const filmService = { getWatchProviders: jest.fn().mockRejectedValue(new Error('Network error: offline')) };
+      streamingService = new StreamingService(filmService);
+
+      await expect(streamingService.getAvailability(550)).rejects.toThrow('Network error');
     });
   });
 
@@ -86,6 +115,77 @@ describe('StreamingService', () => {
       const result = streamingService.createBadges(['invalid_service']);
       expect(result).toBe('');
     });
+
+    test('should return unavailable message when no provider offers the film', () => {
+      const result = streamingService.createBadges({ region: 'BR', link: null, flatrate: [], rent: [], buy: [] });
+      expect(result).toContain('Informação não disponível');
+    });
+
+    test('should group badges by availability type', () => {
+      const result = streamingService.createBadges({
+        region: 'BR',
+        link: null,
+        flatrate: [{ key: 'netflix', name: 'Netflix', logo: null }],
+        rent: [{ key: 'prime', name: 'Amazon Video', logo: null }],
+        buy: []
+      });
+
+      expect(result).toContain('Assinatura:');
+      expect(result).toContain('Aluguel:');
+      expect(result).not.toContain('Compra:');
+      expect(result).toContain('streaming-badge flatrate');
+      expect(result).toContain('streaming-badge rent');
+      expect(result).toContain('Alugar em Prime Video');
+      expect(result.indexOf('Assinatura:')).toBeLessThan(result.indexOf('Aluguel:'));
+    });
+
+    test('should render unknown providers with the TMDB name and logo', () => {
+      const link = 'https://www.themoviedb.org/movie/550/watch?locale=BR';
+      const result = streamingService.createBadges({
+        region: 'BR',
+        link,
+        flatrate: [],
+        rent: [],
+        buy: [{ key: 'tmdb-307', name: 'Globoplay', logo: 'https://image.tmdb.org/t/p/w92/globoplay.jpg' }]
+      });
+
+      expect(result).toContain('streaming-badge buy generic');
+      expect(result).toContain('Globoplay');
+      expect(result).toContain('src="https://image.tmdb.org/t/p/w92/globoplay.jpg"');
+      expect(result).toContain(`href="${link}"`);
+    });
+
+    test('should highlight subscription badges of the services the user subscribes to', () => {
+      streamingService.setSubscribedServices(['netflix']);
+      const result = streamingService.createBadges({
+        region: 'BR',
+        link: null,
+        flatrate: [
+          { key: 'netflix', name: 'Netflix', logo: null },
+          { key: 'disney', name: 'Disney Plus', logo: null }
+        ],
+        rent: [{ key: 'netflix', name: 'Netflix', logo: null }],
+        buy: []
+      });
+
+      expect(result.match(/ subscribed"/g)).toHaveLength(1);
+      expect(result).toContain('streaming-badge flatrate subscribed');
+      expect(result).toContain('Assistir em Netflix (você assina)');
+      expect(result).toContain('title="Assistir em Disney+"');
+    });
+
+    test('should escape provider names from TMDB', () => {
+      const result = streamingService.createBadges({
+        region: 'BR',
+        link: null,
+        flatrate: [{ key: 'tmdb-1', name: '<b>Canal</b>', logo: null }],
+        rent: [],
+        buy: []
+      });
+
+      expect(result).not.toContain('<b>');
+      expect(result).toContain('&lt;b&gt;Canal&lt;/b&gt;');
+    });
   });
 
   describe('getAllServices', () => {
@@ -5,6 +5,24 @@
  */
 
 class SyncManager {
+  // How conflicts with newer server versions are resolved
+  static CONFLICT_POLICIES = ['server-wins', 'client-wins', 'prompt'];
+
+  // 409-style status returned by the Apps Script for stale versions
+  static CONFLICT_STATUS = 409;
+
+  // Message returned by the Apps Script when the session token expired (see GoogleSheetsApi)
+  static SESSION_EXPIRED_MESSAGE = 'Invalid or expired session';
+
+  // Delay before the first retry of a failed operation, doubled on each new failure
+  static RETRY_BASE_DELAY = 5000;
+
+  // Longest delay between two retries of an operation
+  static RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+  // Background Sync tag registered with the service worker (see service-worker.js)
+  static BACKGROUND_SYNC_TAG = 'letterboxd-sync-queue';
+
   constructor(googleSheetsApi, cacheManager) {
     if (!googleSheetsApi) {
       throw new Error('SyncManager requires a GoogleSheetsApi instance');
@@ -16,7 +34,22 @@ class SyncManager {
     this.api = googleSheetsApi;
     this.cache = cacheManager;
     this.isSyncing = false;
-    this.maxRetries = 3;
+    // Attempts before an operation is marked as failed and waits for the user
+    this.maxRetries = 6;
+    // Operations per batch request (kept small so reviews stay under the body size limit)
+    this.batchSize = 10;
+    // Conflicts wait for the user by default; see setConflictPolicy
+    this.conflictPolicy = 'prompt';
+    // Optional callback invoked with (operation, serverEntry) when a conflict waits for the user
+    this.onConflict = null;
+    // Set when a conflict was resolved for the client and the edit must be sent again
+    this.resyncNeeded = false;
+    // Set when the session expired; the queue waits for the next login instead of a timer
+    this.sessionPaused = false;
+    // Timer of the next scheduled retry (see scheduleNextSync)
+    this.retryTimer = null;
+    // Optional callback invoked with getQueueSummary() whenever the queue changes
+    this.onQueueChange = null;
     
     // Listen for online/offline events
     if (typeof window !== 'undefined') {
@@ -25,6 +58,17 @@ class SyncManager {
     }
   }
 
+  /**
+   * Choose how conflicts with newer server versions are resolved
+   * @param {'server-wins'|'client-wins'|'prompt'} policy - Conflict policy
+   */
+  setConflictPolicy(policy) {
+    if (!SyncManager.CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(`Invalid conflict policy: ${policy}`);
+    }
+    this.conflictPolicy = policy;
+  }
+
   /**
    * Check if online
    * @returns {boolean} True if online
@@ -44,7 +88,7 @@ class SyncManager {
    */
   handleOnline() {
     console.log('SyncManager: Connection restored, syncing pending operations');
-    this.processSyncQueue().catch(error => {
+    this.processSyncQueue({ ignoreBackoff: true }).catch(error => {
       console.error('SyncManager: Error processing sync queue after reconnection:', error);
     });
   }
@@ -55,6 +99,7 @@ class SyncManager {
    */
   handleOffline() {
     console.log('SyncManager: Connection lost, operations will be queued');
+    this.cancelScheduledSync();
   }
 
   /**
@@ -84,28 +129,13 @@ class SyncManager {
       if (listsResponse && listsResponse.data) {
         const lists = listsResponse.data;
         
-        // Find the shared list (assuming first list or specific list)
+        // Keep the list already selected in the cache, otherwise use the first one
         if (lists.length > 0) {
-          const sharedListId = lists[0].id_lista;
+          const current = lists.find(list => list.id_lista === this.cache.currentListId);
+          const listId = current ? current.id_lista : lists[0].id_lista;
+          this.cache.setCurrentList(listId);
           
-          // Load movies from the shared list
-          const moviesResponse = await this.api.getMoviesByList({
-            id_lista: sharedListId,
-            id_usuario: userId
-          });
-          
-          // Log API responses (Requirement 6.2)
-          console.log('SyncManager: Received movies response', {
-            listId: sharedListId,
-            moviesCount: moviesResponse?.data?.length || 0,
-            responseStatus: moviesResponse?.status || 'unknown'
-          });
-          
-          if (moviesResponse && moviesResponse.data) {
-            const entries = moviesResponse.data;
-            this.cache.updateSharedListCache(entries);
-            console.log(`SyncManager: Loaded ${entries.length} entries from server`);
-          }
+          await this.pullChanges(listId, userId);
         } else {
           // No lists found, clear cache
           this.cache.updateSharedListCache([]);
@@ -113,9 +143,6 @@ class SyncManager {
         }
       }
       
-      // Note: Watched movies would be loaded separately if API supports it
-      // For now, we focus on shared list as per requirements
-      
     } catch (error) {
       // Log API responses and status codes on errors (Requirement 6.2)
       ErrorRecovery.logError(error, {
@@ -129,6 +156,110 @@ class SyncManager {
     }
   }
 
+  /**
+   * Pull the rows changed since the last sync and merge them into the cache
+   * The first call (no cursor yet) loads the whole list; later calls only
+   * receive changed and deleted rows
+   * @param {string} listId - List ID (must be the current list of the cache)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Changes returned by the server
+   */
+  async pullChanges(listId, userId) {
+    const since = this.cache.getSyncCursor(listId);
+    
+    const response = await this.api.getChangesSince({
+      id_lista: listId,
+      id_usuario: userId,
+      since: since || undefined
+    });
+    
+    const changes = response.data;
+    const full = changes.full || !since;
+    
+    this.cache.updateSharedListCache(this.mergeChanges(
+      this.cache.getSharedList(),
+      changes.shared,
+      full,
+      row => DataValidator.parseSharedListRow(row)
+    ));
+    
+    // Watched rows have no TMDB data, so cached entries keep their film object
+    this.cache.updateWatchedCache(this.mergeChanges(
+      this.cache.getWatchedList(),
+      changes.watched,
+      full,
+      (row, existing) => existing
+        ? { ...existing, nota: Number(row.nota), rating: Number(row.nota), review: row.review || '', assistido_em: row.assistido_em, version: row.version }
+        : DataValidator.parseWatchedRow(row)
+    ));
+    
+    this.cache.saveSyncCursor(changes.cursor, listId);
+    
+    console.log('SyncManager: Pulled changes', {
+      listId,
+      full,
+      sharedChanged: changes.shared?.changed?.length || 0,
+      sharedDeleted: changes.shared?.deleted?.length || 0,
+      watchedChanged: changes.watched?.changed?.length || 0,
+      watchedDeleted: changes.watched?.deleted?.length || 0
+    });
+    
+    return changes;
+  }
+
+  /**
+   * Merge server changes into cached entries
+   * Entries with a temporary ID are always kept (they are still in the sync queue)
+   * unless the server already has the same film: same tmdb_id, or for watched rows
+   * (which have no tmdb_id) the same title, year and user
+   * @param {Array} current - Cached entries
+   * @param {{changed: Array, deleted: Array}} changes - Changed rows and deleted IDs
+   * @param {boolean} full - True when changes hold every row (replace instead of merge)
+   * @param {Function} toEntry - Converts a row (and the cached entry, if any) into an entry
+   * @returns {Array} Merged entries
+   */
+  mergeChanges(current, changes, full, toEntry) {
+    const changed = changes?.changed || [];
+    const deleted = new Set(changes?.deleted || []);
+    const isTemp = entry => typeof entry.id === 'string' && entry.id.startsWith('temp-');
+    
+    const merged = current.filter(entry => !isTemp(entry) && !full && !deleted.has(entry.id));
+    
+    for (const row of changed) {
+      const entry = toEntry(row, current.find(e => e.id === row.id_filme));
+      const index = merged.findIndex(e => e.id === entry.id);
+      if (index >= 0) {
+        merged[index] = entry;
+      } else {
+        merged.push(entry);
+      }
+    }
+    
+    const pending = current.filter(entry =>
+      isTemp(entry) && !merged.some(e => SyncManager.isSameFilm(e, entry))
+    );
+    
+    return [...merged, ...pending];
+  }
+
+  /**
+   * Check if a server entry and a local entry stand for the same film
+   * @param {Object} serverEntry - Entry built from a server row
+   * @param {Object} localEntry - Cached entry with a temporary ID
+   * @returns {boolean} True if both entries are the same film
+   */
+  static isSameFilm(serverEntry, localEntry) {
+    if (serverEntry.tmdb_id && localEntry.tmdb_id) {
+      return serverEntry.tmdb_id === localEntry.tmdb_id;
+    }
+    
+    const title = entry => entry.titulo_filme || entry.film?.title || '';
+    return title(serverEntry) !== '' &&
+      title(serverEntry) === title(localEntry) &&
+      String(serverEntry.ano || '') === String(localEntry.ano || '') &&
+      serverEntry.addedByUserId === localEntry.addedByUserId;
+  }
+
   /**
    * Add operation to sync queue
    * @param {Object} operation - Operation to queue
@@ -147,6 +278,12 @@ class SyncManager {
     console.log('SyncManager: Queueing operation', operation.type, operation.entity);
     
     const queuedOp = this.cache.addPendingOperation(operation);
+    this.notifyQueueChange();
+    
+    // Offline, the service worker wakes the page up when the connection is back
+    if (!this.isOnline()) {
+      this.requestBackgroundSync();
+    }
     
     // If online, try to process immediately (but don't await to avoid blocking)
     if (this.isOnline() && !this.isSyncing) {
@@ -163,10 +300,15 @@ class SyncManager {
 
   /**
    * Process sync queue with retry logic
+   * Sends the queue in chunks through the batch endpoint when available,
+   * falling back to one request per operation. Operations still waiting for
+   * their retry delay are skipped, and a timer is set for the next one due.
+   * @param {{ignoreBackoff?: boolean}} [options] - ignoreBackoff also sends the
+   *   operations still waiting for their retry delay (reconnection, "sync now")
    * @returns {Promise<void>}
    * Requirements: 3.2, 7.2, 7.4
    */
-  async processSyncQueue() {
+  async processSyncQueue({ ignoreBackoff = false } = {}) {
     if (this.isSyncing) {
       console.log('SyncManager: Already syncing, skipping');
       return;
@@ -178,6 +320,8 @@ class SyncManager {
     }
     
     this.isSyncing = true;
+    this.sessionPaused = false;
+    this.cancelScheduledSync();
     
     try {
       const pendingOps = this.cache.getPendingOperations();
@@ -189,56 +333,515 @@ class SyncManager {
       
       console.log(`SyncManager: Processing ${pendingOps.length} pending operations`);
       
-      for (const operation of pendingOps) {
-        if (operation.status === 'failed' && operation.retries >= this.maxRetries) {
-          // Log context information (Requirement 6.5)
-          ErrorRecovery.logError(new Error('Operation exceeded max retries'), {
-            context: 'SyncManager.processSyncQueue',
-            operationId: operation.id,
-            operationType: operation.type,
-            operationEntity: operation.entity,
-            retries: operation.retries,
-            maxRetries: this.maxRetries,
-            operationData: operation.data
-          });
-          continue;
+      const now = Date.now();
+      const operations = pendingOps.filter(operation => {
+        // Conflicts stay in the queue until resolved by the user
+        if (operation.status === 'conflict') {
+          return false;
         }
         
-        try {
-          await this.syncOperation(operation);
-          this.cache.markAsSynced(operation.id);
-          console.log(`SyncManager: Successfully synced operation ${operation.id}`);
-        } catch (error) {
-          // Log API responses and status codes on errors (Requirement 6.2)
-          ErrorRecovery.logError(error, {
-            context: 'SyncManager.processSyncQueue',
-            operationId: operation.id,
-            operationType: operation.type,
-            operationEntity: operation.entity,
-            retries: operation.retries,
-            statusCode: error.response?.status,
-            statusText: error.response?.statusText,
-            responseData: error.response?.data
-          });
-          
-          this.cache.incrementRetryCount(operation.id);
-          
-          if (operation.retries + 1 >= this.maxRetries) {
-            this.cache.markAsFailed(operation.id);
-            // Log context information (Requirement 6.5)
-            ErrorRecovery.logError(new Error('Operation marked as failed'), {
-              context: 'SyncManager.processSyncQueue',
-              operationId: operation.id,
-              operationType: operation.type,
-              finalRetries: operation.retries + 1,
-              maxRetries: this.maxRetries
-            });
+        // Failed operations wait for the user to retry or discard them
+        if (operation.status === 'failed') {
+          return false;
+        }
+        
+        return ignoreBackoff || this.isDue(operation, now);
+      });
+      
+      if (typeof this.api.batch === 'function') {
+        for (let i = 0; i < operations.length; i += this.batchSize) {
+          const sent = await this.processBatch(operations.slice(i, i + this.batchSize));
+          if (!sent) {
+            break;
+          }
+        }
+      } else {
+        for (const operation of operations) {
+          try {
+            await this.syncOperation(operation);
+            this.cache.markAsSynced(operation.id);
+            console.log(`SyncManager: Successfully synced operation ${operation.id}`);
+          } catch (error) {
+            if (this.isSessionError(error)) {
+              console.log('SyncManager: Session expired, keeping the queue until the next login');
+              this.sessionPaused = true;
+              break;
+            } else if (this.isConflictError(error)) {
+              this.handleConflict(operation, error.response.data?.current);
+            } else {
+              this.handleOperationFailure(operation, error);
+            }
           }
         }
       }
       
     } finally {
       this.isSyncing = false;
+      
+      // Edits kept by client-wins are sent again with the server version
+      if (this.resyncNeeded) {
+        this.resyncNeeded = false;
+        setTimeout(() => {
+          this.processSyncQueue().catch(error => {
+            console.error('SyncManager: Error processing sync queue:', error);
+          });
+        }, 0);
+      } else {
+        this.scheduleNextSync();
+      }
+      
+      this.notifyQueueChange();
+    }
+  }
+
+  /**
+   * Check whether an operation's retry delay is over
+   * @param {Object} operation - Pending operation
+   * @param {number} [now] - Current time in ms
+   * @returns {boolean} True when the operation can be sent
+   */
+  isDue(operation, now = Date.now()) {
+    return !operation.nextRetryAt || operation.nextRetryAt <= now;
+  }
+
+  /**
+   * Delay before the next attempt of an operation that failed `retries` times
+   * Exponential backoff with jitter: a random value between half and all of
+   * RETRY_BASE_DELAY * 2^(retries - 1), capped at RETRY_MAX_DELAY, so clients
+   * that failed together do not retry together
+   * @param {number} retries - Failed attempts so far (1 or more)
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(retries) {
+    const exponential = Math.min(
+      SyncManager.RETRY_MAX_DELAY,
+      SyncManager.RETRY_BASE_DELAY * 2 ** Math.max(0, retries - 1)
+    );
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  /**
+   * Set a timer for the earliest operation waiting to be sent
+   * Nothing is scheduled while offline (the online event syncs) or after the
+   * session expired (the next login syncs)
+   */
+  scheduleNextSync() {
+    this.cancelScheduledSync();
+    
+    if (this.sessionPaused || !this.isOnline()) {
+      return;
+    }
+    
+    const waiting = this.cache.getPendingOperations().filter(op => op.status === 'pending');
+    if (waiting.length === 0) {
+      return;
+    }
+    
+    const nextRetryAt = Math.min(...waiting.map(op => op.nextRetryAt || 0));
+    const delay = Math.max(0, nextRetryAt - Date.now());
+    
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processSyncQueue().catch(error => {
+        console.error('SyncManager: Error processing sync queue:', error);
+      });
+    }, delay);
+    
+    console.log(`SyncManager: Next sync attempt in ${Math.round(delay / 1000)}s`);
+  }
+
+  /**
+   * Cancel the retry timer set by scheduleNextSync
+   */
+  cancelScheduledSync() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Ask the service worker to wake the page up when the connection comes back
+   * (Background Sync). Does nothing without a service worker or Background Sync support.
+   * @returns {Promise<boolean>} True when the sync was registered
+   */
+  async requestBackgroundSync() {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+      return false;
+    }
+    
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      if (!registration.sync) {
+        return false;
+      }
+      await registration.sync.register(SyncManager.BACKGROUND_SYNC_TAG);
+      return true;
+    } catch (error) {
+      console.warn('SyncManager: Could not register background sync:', error?.message);
+      return false;
+    }
+  }
+
+  /**
+   * Counts of the operations in the queue
+   * waiting counts the operations that failed and wait for their next attempt
+   * @returns {{total: number, waiting: number, failed: number, conflicts: number, nextRetryAt: number|null}}
+   */
+  getQueueSummary() {
+    const operations = this.cache.getPendingOperations();
+    const waiting = operations.filter(op => op.status === 'pending' && op.nextRetryAt);
+    
+    return {
+      total: operations.length,
+      waiting: waiting.length,
+      failed: operations.filter(op => op.status === 'failed').length,
+      conflicts: operations.filter(op => op.status === 'conflict').length,
+      nextRetryAt: waiting.length > 0 ? Math.min(...waiting.map(op => op.nextRetryAt)) : null
+    };
+  }
+
+  /**
+   * Invoke onQueueChange with the current queue summary
+   */
+  notifyQueueChange() {
+    if (typeof this.onQueueChange === 'function') {
+      this.onQueueChange(this.getQueueSummary());
+    }
+  }
+
+  /**
+   * Send an operation again right away, with a fresh set of retries
+   * @param {string} operationId - Failed or waiting operation ID
+   * @returns {Promise<void>} Resolves when the sync attempt finished
+   */
+  retryOperation(operationId) {
+    const operation = this.cache.getPendingOperations().find(op => op.id === operationId);
+    if (!operation || operation.status === 'conflict') {
+      throw new Error('Operation not found');
+    }
+    
+    this.cache.updatePendingOperation(operationId, {
+      status: 'pending',
+      retries: 0,
+      nextRetryAt: undefined
+    });
+    this.notifyQueueChange();
+    
+    return this.processSyncQueue();
+  }
+
+  /**
+   * Drop an operation from the queue, giving up the local change
+   * Entries created by the operation are removed from the cache, and the sync
+   * cursor of the list is reset so the next pull loads the server version again
+   * @param {string} operationId - Operation ID
+   */
+  discardOperation(operationId) {
+    const operation = this.cache.getPendingOperations().find(op => op.id === operationId);
+    if (!operation) {
+      throw new Error('Operation not found');
+    }
+    
+    const tempId = operation.data?.tempId;
+    if (tempId) {
+      const isLocal = entry => entry.id === tempId || entry.id_filme === tempId;
+      this.cache.updateSharedListCache(this.cache.getSharedList().filter(entry => !isLocal(entry)));
+      this.cache.updateWatchedCache(this.cache.getWatchedList().filter(entry => !isLocal(entry)));
+    }
+    
+    this.cache.markAsSynced(operationId);
+    this.cache.saveSyncCursor(null, operation.data?.id_lista || this.cache.currentListId);
+    this.notifyQueueChange();
+    
+    console.log(`SyncManager: Discarded operation ${operationId}`);
+  }
+
+  /**
+   * Send a chunk of operations in a single batch request
+   * @param {Array<Object>} operations - Pending operations, in queue order
+   * @returns {Promise<boolean>} False when the session expired and the queue should stop
+   */
+  async processBatch(operations) {
+    const requests = [];
+    
+    for (const operation of operations) {
+      try {
+        requests.push({ operation, request: this.toBatchOperation(operation) });
+      } catch (error) {
+        // Malformed operations never reach the server
+        this.handleOperationFailure(operation, error);
+      }
+    }
+    
+    if (requests.length === 0) {
+      return true;
+    }
+    
+    let response;
+    try {
+      response = await this.api.batch(requests.map(r => r.request));
+    } catch (error) {
+      // Operations wait for the next login without using up their retries
+      if (this.isSessionError(error)) {
+        console.log('SyncManager: Session expired, keeping the queue until the next login');
+        this.sessionPaused = true;
+        return false;
+      }
+      
+      // The whole request failed, so every operation in it is retried
+      requests.forEach(({ operation }) => this.handleOperationFailure(operation, error));
+      return true;
+    }
+    
+    const results = response?.data?.results || [];
+    
+    for (const { operation } of requests) {
+      const result = results.find(r => r.id === operation.id);
+      
+      if (result && result.ok) {
+        if (result.realId) {
+          this.applyRealId(operation, result.realId);
+        }
+        if (operation.entity === 'watched' && result.data?.version) {
+          this.applyServerEntry(result.data);
+        }
+        this.cache.markAsSynced(operation.id);
+        console.log(`SyncManager: Successfully synced operation ${operation.id}`);
+      } else if (result && result.status === SyncManager.CONFLICT_STATUS) {
+        this.handleConflict(operation, result.data?.current);
+      } else {
+        const message = result ? result.message : 'Missing result in batch response';
+        this.handleOperationFailure(operation, new Error(message));
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Record a failed sync attempt: the operation waits for its next retry delay,
+   * or is marked as failed after max retries
+   * @param {Object} operation - Operation that failed
+   * @param {Error} error - Error returned by the API
+   */
+  handleOperationFailure(operation, error) {
+    // Log API responses and status codes on errors (Requirement 6.2)
+    ErrorRecovery.logError(error, {
+      context: 'SyncManager.processSyncQueue',
+      operationId: operation.id,
+      operationType: operation.type,
+      operationEntity: operation.entity,
+      retries: operation.retries,
+      statusCode: error.response?.status,
+      statusText: error.response?.statusText,
+      responseData: error.response?.data
+    });
+    
+    // Read before incrementRetryCount, which may update this same object
+    const retries = (operation.retries || 0) + 1;
+    this.cache.incrementRetryCount(operation.id);
+    
+    if (retries >= this.maxRetries) {
+      this.cache.markAsFailed(operation.id);
+      // Log context information (Requirement 6.5)
+      ErrorRecovery.logError(new Error('Operation marked as failed'), {
+        context: 'SyncManager.processSyncQueue',
+        operationId: operation.id,
+        operationType: operation.type,
+        finalRetries: retries,
+        maxRetries: this.maxRetries
+      });
+    } else {
+      this.cache.updatePendingOperation(operation.id, {
+        nextRetryAt: Date.now() + this.getRetryDelay(retries)
+      });
+    }
+  }
+
+  /**
+   * Check if an API error means the session token is no longer valid
+   * @param {Error} error - Error thrown by the API client
+   * @returns {boolean} True for expired, revoked or missing sessions
+   */
+  isSessionError(error) {
+    return error?.message === SyncManager.SESSION_EXPIRED_MESSAGE;
+  }
+
+  /**
+   * Check if an API error is a version conflict
+   * @param {Error} error - Error thrown by the API client
+   * @returns {boolean} True for conflicts
+   */
+  isConflictError(error) {
+    return error?.response?.status === SyncManager.CONFLICT_STATUS;
+  }
+
+  /**
+   * Apply the conflict policy to an operation rejected because the server entry changed
+   * @param {Object} operation - Conflicting operation
+   * @param {Object} serverEntry - Current server row
+   */
+  handleConflict(operation, serverEntry) {
+    console.warn(`SyncManager: Conflict on operation ${operation.id} (${this.conflictPolicy})`);
+    
+    if (this.conflictPolicy === 'server-wins') {
+      this.resolveWithServer(operation, serverEntry);
+    } else if (this.conflictPolicy === 'client-wins') {
+      this.resolveWithClient(operation, serverEntry);
+    } else {
+      this.cache.markAsConflict(operation.id, serverEntry);
+      if (typeof this.onConflict === 'function') {
+        this.onConflict(operation, serverEntry);
+      }
+    }
+  }
+
+  /**
+   * Operations waiting for the user to resolve a conflict
+   * @returns {Array} Conflicting operations (with conflict.server holding the server row)
+   */
+  getConflicts() {
+    return this.cache.getPendingOperations().filter(op => op.status === 'conflict');
+  }
+
+  /**
+   * Resolve a conflict listed by getConflicts
+   * @param {string} operationId - Conflicting operation ID
+   * @param {'server'|'client'} resolution - Keep the server version or send the local edit again
+   */
+  resolveConflict(operationId, resolution) {
+    const operation = this.getConflicts().find(op => op.id === operationId);
+    if (!operation) {
+      throw new Error('Conflict not found');
+    }
+    
+    if (resolution === 'server') {
+      this.resolveWithServer(operation, operation.conflict.server);
+      this.notifyQueueChange();
+    } else if (resolution === 'client') {
+      this.resolveWithClient(operation, operation.conflict.server);
+      this.resyncNeeded = false;
+      this.processSyncQueue().catch(error => {
+        console.error('SyncManager: Error processing sync queue:', error);
+      });
+    } else {
+      throw new Error(`Invalid conflict resolution: ${resolution}`);
+    }
+  }
+
+  /**
+   * Drop the local edit and keep the server entry in the cache
+   * @param {Object} operation - Conflicting operation
+   * @param {Object} serverEntry - Current server row
+   */
+  resolveWithServer(operation, serverEntry) {
+    if (serverEntry) {
+      this.applyServerEntry(serverEntry);
+    }
+    this.cache.markAsSynced(operation.id);
+  }
+
+  /**
+   * Keep the local edit, rebasing it on the server version so it is accepted next time
+   * @param {Object} operation - Conflicting operation
+   * @param {Object} serverEntry - Current server row
+   */
+  resolveWithClient(operation, serverEntry) {
+    this.cache.updatePendingOperation(operation.id, {
+      status: 'pending',
+      conflict: undefined,
+      data: { ...operation.data, version: serverEntry?.version }
+    });
+    this.resyncNeeded = true;
+  }
+
+  /**
+   * Write a server row of the Filmes sheet into the watched cache of its list
+   * Cached entries keep their film object; missing entries are added back
+   * @param {Object} serverEntry - Server row (id_filme, id_lista, nota, review, assistido_em, version)
+   */
+  applyServerEntry(serverEntry) {
+    const listId = serverEntry.id_lista;
+    const watchedList = this.cache.getListEntries('watched', listId);
+    const index = watchedList.findIndex(e => e.id === serverEntry.id_filme || e.id_filme === serverEntry.id_filme);
+    
+    if (index >= 0) {
+      const entry = watchedList[index];
+      const nota = serverEntry.nota !== undefined ? Number(serverEntry.nota) : entry.nota;
+      const updatedEntry = {
+        ...entry,
+        nota,
+        rating: nota,
+        review: serverEntry.review !== undefined ? serverEntry.review : entry.review,
+        assistido_em: serverEntry.assistido_em || entry.assistido_em,
+        version: serverEntry.version
+      };
+      this.cache.saveListEntries('watched', [
+        ...watchedList.slice(0, index),
+        updatedEntry,
+        ...watchedList.slice(index + 1)
+      ], listId);
+    } else {
+      this.cache.saveListEntries('watched', [...watchedList, DataValidator.parseWatchedRow(serverEntry)], listId);
+    }
+  }
+
+  /**
+   * Convert a queued operation into a batch request item
+   * @param {Object} operation - Operation to convert
+   * @returns {Object} Batch operation ({ id, action, tempId?, ...payload })
+   */
+  toBatchOperation(operation) {
+    const { type, entity, data } = operation;
+    let action;
+    let payload;
+    
+    if (entity === 'shared' && type === 'add') {
+      action = 'addToSharedList';
+      payload = this.buildSharedAddPayload(data);
+    } else if (entity === 'shared' && type === 'remove') {
+      action = 'removeFromSharedList';
+      payload = this.buildSharedRemovePayload(data);
+    } else if (entity === 'watched' && type === 'add') {
+      action = 'addWatchedMovie';
+      payload = this.buildWatchedAddPayload(data);
+    } else if (entity === 'watched' && type === 'move') {
+      action = 'markAsWatched';
+      payload = this.buildMarkAsWatchedPayload(data);
+    } else if (entity === 'watched' && type === 'update') {
+      action = 'updateMovie';
+      payload = this.buildWatchedUpdatePayload(data);
+    } else if (entity === 'watched' && type === 'remove') {
+      action = 'deleteMovie';
+      payload = this.buildWatchedRemovePayload(data);
+    } else {
+      throw new Error(`Unknown operation type: ${type} for entity: ${entity}`);
+    }
+    
+    return {
+      id: operation.id,
+      action,
+      ...(data.tempId ? { tempId: data.tempId } : {}),
+      ...payload
+    };
+  }
+
+  /**
+   * Replace the temporary ID of a synced operation with the server ID
+   * The entry is looked up in the cache of the operation's list, which may not be the current one
+   * @param {Object} operation - Synced operation
+   * @param {string} realId - Real ID from server
+   */
+  applyRealId(operation, realId) {
+    if (!operation.data.tempId) {
+      return;
+    }
+    
+    if (operation.entity === 'shared') {
+      this.updateEntryId(operation.data.tempId, realId, operation.data.id_lista);
+    } else if (operation.entity === 'watched') {
+      this.updateWatchedEntryId(operation.data.tempId, realId, operation.data.id_lista);
     }
   }
 
@@ -262,6 +865,12 @@ class SyncManager {
     } else if (entity === 'watched') {
       if (type === 'add') {
         return await this.syncAddWatchedMovie(data);
+      } else if (type === 'move') {
+        return await this.syncMarkAsWatched(data);
+      } else if (type === 'update') {
+        return await this.syncUpdateWatchedMovie(data);
+      } else if (type === 'remove') {
+        return await this.syncRemoveWatchedMovie(data);
       }
     }
     
@@ -269,33 +878,134 @@ class SyncManager {
   }
 
   /**
-   * Sync add to shared list operation
+   * Build the addToSharedList payload of an operation
    * @param {Object} data - Operation data
-   * @returns {Promise<any>} API response
-   * Requirements: 3.2, 3.3
+   * @returns {Object} API payload
    */
-  async syncAddToSharedList(data) {
+  buildSharedAddPayload(data) {
     // Validate required fields
     if (!data.id_lista || !data.id_usuario || !data.titulo_filme) {
       throw new Error('Missing required fields for adding to shared list');
     }
     
-    // Call API to add movie
-    const response = await this.api.addMovieToList({
+    return {
       id_lista: data.id_lista,
       id_usuario: data.id_usuario,
       titulo_filme: data.titulo_filme,
       ano: data.ano,
       tmdb_id: data.tmdb_id,
-      addedBy: data.addedBy,
-      addedByUserId: data.addedByUserId
-    });
+      poster: data.poster,
+      rating: data.rating,
+      genres: data.genres,
+      overview: data.overview,
+      added_by: data.added_by || data.addedBy
+    };
+  }
+
+  /**
+   * Build the removeFromSharedList payload of an operation
+   * @param {Object} data - Operation data
+   * @returns {Object} API payload
+   */
+  buildSharedRemovePayload(data) {
+    if (!data.id_filme) {
+      throw new Error('Missing id_filme for removing from shared list');
+    }
+    
+    return { id_filme: data.id_filme };
+  }
+
+  /**
+   * Build the addWatchedMovie payload of an operation
+   * @param {Object} data - Operation data
+   * @returns {Object} API payload
+   */
+  buildWatchedAddPayload(data) {
+    // Validate required fields
+    if (!data.id_lista || !data.id_usuario || !data.titulo_filme) {
+      throw new Error('Missing required fields for adding watched movie');
+    }
+    
+    return {
+      id_lista: data.id_lista,
+      id_usuario: data.id_usuario,
+      titulo_filme: data.titulo_filme,
+      tmdb_id: data.tmdb_id,
+      ano: data.ano,
+      nota: data.nota,
+      assistido_em: data.assistido_em,
+      review: data.review
+    };
+  }
+
+  /**
+   * Build the markAsWatched payload of an operation
+   * @param {Object} data - Operation data
+   * @returns {Object} API payload
+   */
+  buildMarkAsWatchedPayload(data) {
+    // Validate required fields
+    if (!data.id_filme || !data.id_usuario || data.nota === undefined) {
+      throw new Error('Missing required fields for marking movie as watched');
+    }
+    
+    return {
+      id_filme: data.id_filme,
+      id_usuario: data.id_usuario,
+      nota: data.nota,
+      assistido_em: data.assistido_em,
+      review: data.review
+    };
+  }
+
+  /**
+   * Build the updateMovie payload of an operation
+   * @param {Object} data - Operation data
+   * @returns {Object} API payload
+   */
+  buildWatchedUpdatePayload(data) {
+    // Validate required fields
+    if (!data.id_filme || data.nota === undefined) {
+      throw new Error('Missing required fields for updating watched movie');
+    }
+    
+    return {
+      id_filme: data.id_filme,
+      nota: data.nota,
+      assistido_em: data.assistido_em,
+      review: data.review,
+      version: data.version
+    };
+  }
+
+  /**
+   * Build the deleteMovie payload of an operation
+   * @param {Object} data - Operation data
+   * @returns {Object} API payload
+   */
+  buildWatchedRemovePayload(data) {
+    if (!data.id_filme) {
+      throw new Error('Missing id_filme for removing watched movie');
+    }
+    
+    return { id_filme: data.id_filme, version: data.version };
+  }
+
+  /**
+   * Sync add to shared list operation
+   * @param {Object} data - Operation data
+   * @returns {Promise<any>} API response
+   * Requirements: 3.2, 3.3
+   */
+  async syncAddToSharedList(data) {
+    // Call API to add movie
+    const response = await this.api.addToSharedList(this.buildSharedAddPayload(data));
     
     // If the entry has a temporary ID, update it with the real ID from server
     if (data.tempId && response && response.data) {
-      const realId = response.id || response.data.id;
+      const realId = response.id || response.data.id || response.data.id_filme;
       if (realId) {
-        this.updateEntryId(data.tempId, realId);
+        this.updateEntryId(data.tempId, realId, data.id_lista);
       }
     }
     
@@ -309,12 +1019,8 @@ class SyncManager {
    * Requirements: 3.2
    */
   async syncRemoveFromSharedList(data) {
-    if (!data.id_filme) {
-      throw new Error('Missing id_filme for removing from shared list');
-    }
-    
-    // Call API to delete movie
-    const response = await this.api.deleteMovie(data.id_filme);
+    // Call API to remove the entry from the shared list
+    const response = await this.api.removeFromSharedList(this.buildSharedRemovePayload(data).id_filme);
     return response;
   }
 
@@ -325,40 +1031,86 @@ class SyncManager {
    * Requirements: 3.2, 3.3
    */
   async syncAddWatchedMovie(data) {
-    // Validate required fields
-    if (!data.id_lista || !data.id_usuario || !data.titulo_filme) {
-      throw new Error('Missing required fields for adding watched movie');
-    }
-    
     // Call API to add watched movie
-    const response = await this.api.addWatchedMovie({
-      id_lista: data.id_lista,
-      id_usuario: data.id_usuario,
-      titulo_filme: data.titulo_filme,
-      ano: data.ano,
-      nota: data.nota,
-      assistido_em: data.assistido_em
-    });
+    const response = await this.api.addWatchedMovie(this.buildWatchedAddPayload(data));
     
     // If the entry has a temporary ID, update it with the real ID from server
     if (data.tempId && response && response.data) {
-      const realId = response.id || response.data.id;
+      const realId = response.id || response.data.id || response.data.id_filme;
       if (realId) {
-        this.updateWatchedEntryId(data.tempId, realId);
+        this.updateWatchedEntryId(data.tempId, realId, data.id_lista);
       }
     }
     
+    // Keep the server version for conflict detection on later edits
+    if (response && response.data && response.data.version) {
+      this.applyServerEntry(response.data);
+    }
+    
     return response;
   }
 
+  /**
+   * Sync mark as watched operation (shared entry moved to watched on the server)
+   * @param {Object} data - Operation data
+   * @returns {Promise<any>} API response
+   * Requirements: 3.2, 3.3
+   */
+  async syncMarkAsWatched(data) {
+    // Call API to move the entry in a single request
+    const response = await this.api.markAsWatched(this.buildMarkAsWatchedPayload(data));
+    
+    // Replace the local placeholder ID with the watched entry ID from server
+    if (data.tempId && response && response.data) {
+      const realId = response.data.id_filme;
+      if (realId) {
+        this.updateWatchedEntryId(data.tempId, realId, data.id_lista);
+      }
+    }
+    
+    // Keep the server version for conflict detection on later edits
+    if (response && response.data && response.data.version) {
+      this.applyServerEntry(response.data);
+    }
+    
+    return response;
+  }
+
+  /**
+   * Sync update watched movie operation (rating or review edit)
+   * @param {Object} data - Operation data
+   * @returns {Promise<any>} API response
+   */
+  async syncUpdateWatchedMovie(data) {
+    const response = await this.api.updateMovie(this.buildWatchedUpdatePayload(data));
+    
+    // Keep the new version so the next edit is not seen as a conflict
+    if (response && response.data && response.data.version) {
+      this.applyServerEntry(response.data);
+    }
+    
+    return response;
+  }
+
+  /**
+   * Sync remove watched movie operation
+   * @param {Object} data - Operation data
+   * @returns {Promise<any>} API response
+   */
+  async syncRemoveWatchedMovie(data) {
+    const payload = this.buildWatchedRemovePayload(data);
+    return await this.api.deleteMovie(payload.id_filme, payload.version);
+  }
+
   /**
    * Update entry ID in cache after successful sync
    * @param {string} tempId - Temporary ID
    * @param {string} realId - Real ID from server
+   * @param {string} [listId] - List of the entry (defaults to the current list)
    * Requirements: 3.3
    */
-  updateEntryId(tempId, realId) {
-    const sharedList = this.cache.getSharedList();
+  updateEntryId(tempId, realId, listId) {
+    const sharedList = this.cache.getListEntries('shared', listId);
     const entryIndex = sharedList.findIndex(e => e.id === tempId || e.id_filme === tempId);
     
     if (entryIndex >= 0) {
@@ -377,7 +1129,7 @@ class SyncManager {
         ...sharedList.slice(entryIndex + 1)
       ];
       
-      this.cache.updateSharedListCache(updatedList);
+      this.cache.saveListEntries('shared', updatedList, listId);
       console.log(`SyncManager: Updated entry ID from ${tempId} to ${realId}`);
     }
   }
@@ -386,10 +1138,11 @@ class SyncManager {
    * Update watched entry ID in cache after successful sync
    * @param {string} tempId - Temporary ID
    * @param {string} realId - Real ID from server
+   * @param {string} [listId] - List of the entry (defaults to the current list)
    * Requirements: 3.3
    */
-  updateWatchedEntryId(tempId, realId) {
-    const watchedList = this.cache.getWatchedList();
+  updateWatchedEntryId(tempId, realId, listId) {
+    const watchedList = this.cache.getListEntries('watched', listId);
     const entryIndex = watchedList.findIndex(e => e.id === tempId || e.id_filme === tempId);
     
     if (entryIndex >= 0) {
@@ -408,18 +1161,18 @@ class SyncManager {
         ...watchedList.slice(entryIndex + 1)
       ];
       
-      this.cache.updateWatchedCache(updatedList);
+      this.cache.saveListEntries('watched', updatedList, listId);
       console.log(`SyncManager: Updated watched entry ID from ${tempId} to ${realId}`);
     }
   }
 
   /**
-   * Sync local changes to API
+   * Sync local changes to API now, without waiting for the retry delays
    * @returns {Promise<void>}
    * Requirements: 3.2
    */
   async syncToServer() {
-    return this.processSyncQueue();
+    return this.processSyncQueue({ ignoreBackoff: true });
   }
 }
 
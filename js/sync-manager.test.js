@@ -15,6 +15,17 @@ describe('SyncManager - Property-Based Tests', () => {
   let mockStorage;
   let storageKeyCounter = 0;
   
+  // In the browser these are globals loaded before sync-manager.js
+  beforeAll(() => {
+    global.ErrorRecovery = require('./error-recovery.js');
+    global.DataValidator = require('./data-validator.js');
+  });
+
+  afterAll(() => {
+    delete global.ErrorRecovery;
+    delete global.DataValidator;
+  });
+  
   beforeEach(() => {
     // Reset mock storage
     // Use isolated storage
@@ -32,10 +43,15 @@ describe('SyncManager - Property-Based Tests', () => {
       writable: true,
       value: true
     });
+    
+    // Retries are scheduled on real timers that would fire during later tests;
+    // the retry scheduling tests restore it and use fake timers
+    jest.spyOn(SyncManager.prototype, 'scheduleNextSync').mockImplementation(() => {});
   });
 
   afterEach(() => {
     jest.clearAllMocks();
+    jest.restoreAllMocks();
   });
   
   // Helper to create isolated storage manager with unique keys
@@ -122,8 +138,9 @@ describe('SyncManager - Property-Based Tests', () => {
                 data: [] 
               }),
               deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+              removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
               addWatchedMovie: jest.fn().mockResolvedValue({ ok: true }),
-              addMovieToList: jest.fn().mockResolvedValue({ 
+              addToSharedList: jest.fn().mockResolvedValue({ 
                 ok: true, 
                 id: 'real-id',
                 data: { id: 'real-id' }
@@ -145,10 +162,10 @@ describe('SyncManager - Property-Based Tests', () => {
             await sync.syncOperation(operation);
             
             // Verify API was called
-            expect(mockApi.addMovieToList).toHaveBeenCalled();
+            expect(mockApi.addToSharedList).toHaveBeenCalled();
             
             // Verify all required fields were included in the call
-            const callArgs = mockApi.addMovieToList.mock.calls[0][0];
+            const callArgs = mockApi.addToSharedList.mock.calls[0][0];
             expect(callArgs.id_lista).toBe(operationData.id_lista);
             expect(callArgs.id_usuario).toBe(operationData.id_usuario);
             
@@ -178,8 +195,9 @@ describe('SyncManager - Property-Based Tests', () => {
             const mockApi = {
               getMoviesByList: jest.fn().mockResolvedValue({ ok: true, data: [] }),
               deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+              removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
               addWatchedMovie: jest.fn().mockResolvedValue({ ok: true }),
-              addMovieToList: jest.fn().mockResolvedValue({ ok: true })
+              addToSharedList: jest.fn().mockResolvedValue({ ok: true })
             };
             
             const storage = createIsolatedStorage();
@@ -212,6 +230,58 @@ describe('SyncManager - Property-Based Tests', () => {
       );
     });
 
+    it('should move the shared entry and replace the watched temp ID when syncing mark as watched', () => {
+      fc.assert(
+        fc.asyncProperty(
+          fc.record({
+            id_filme: realIdArb,
+            id_usuario: fc.string({ minLength: 1, maxLength: 20 }).filter(s => s.trim().length > 0),
+            nota: fc.float({ min: 0.5, max: 5, noNaN: true }),
+            assistido_em: fc.integer({ min: 946684800000, max: 1924905600000 }).map(ts => new Date(ts).toISOString()),
+            review: fc.string({ maxLength: 50 }),
+            tempId: tempIdArb
+          }),
+          realIdArb,
+          async (operationData, watchedId) => {
+            // Mock API
+            const mockApi = {
+              getMoviesByList: jest.fn().mockResolvedValue({ ok: true, data: [] }),
+              deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+              removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
+              addWatchedMovie: jest.fn().mockResolvedValue({ ok: true }),
+              addToSharedList: jest.fn().mockResolvedValue({ ok: true }),
+              markAsWatched: jest.fn().mockResolvedValue({
+                ok: true,
+                data: { id_filme: watchedId }
+              })
+            };
+            
+            const storage = createIsolatedStorage();
+            const cache = new CacheManager(storage);
+            cache.updateWatchedCache([{ id: operationData.tempId, id_filme: operationData.tempId }]);
+            const sync = new SyncManager(mockApi, cache);
+            
+            await sync.syncOperation({
+              type: 'move',
+              entity: 'watched',
+              data: operationData
+            });
+            
+            // Verify the single move request carried the shared entry ID
+            const callArgs = mockApi.markAsWatched.mock.calls[0][0];
+            expect(callArgs.id_filme).toBe(operationData.id_filme);
+            expect(callArgs.id_usuario).toBe(operationData.id_usuario);
+            expect(callArgs.nota).toBe(operationData.nota);
+            expect(mockApi.addWatchedMovie).not.toHaveBeenCalled();
+            
+            // Placeholder watched entry now uses the server ID
+            expect(cache.getWatchedList()[0].id).toBe(watchedId);
+          }
+        ),
+        { numRuns: 5 }
+      );
+    });
+
     it('should reject operations missing required fields', () => {
       fc.assert(
         fc.asyncProperty(
@@ -223,8 +293,9 @@ describe('SyncManager - Property-Based Tests', () => {
             const mockApi = {
               getMoviesByList: jest.fn().mockResolvedValue({ ok: true, data: [] }),
               deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+              removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
               addWatchedMovie: jest.fn().mockResolvedValue({ ok: true }),
-              addMovieToList: jest.fn().mockResolvedValue({ ok: true })
+              addToSharedList: jest.fn().mockResolvedValue({ ok: true })
             };
             
             const storage = createIsolatedStorage();
@@ -241,7 +312,7 @@ describe('SyncManager - Property-Based Tests', () => {
             await expect(sync.syncOperation(operation)).rejects.toThrow();
             
             // API should not be called with incomplete data
-            expect(mockApi.addMovieToList).not.toHaveBeenCalled();
+            expect(mockApi.addToSharedList).not.toHaveBeenCalled();
           }
         ),
         { numRuns: 5 }
@@ -275,8 +346,9 @@ describe('SyncManager - Property-Based Tests', () => {
                 data: { id: realId }
               }),
               deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+              removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
               addWatchedMovie: jest.fn().mockResolvedValue({ ok: true }),
-              addMovieToList: jest.fn().mockResolvedValue({ 
+              addToSharedList: jest.fn().mockResolvedValue({ 
                 ok: true, 
                 id: realId,
                 data: { id: realId }
@@ -338,12 +410,13 @@ describe('SyncManager - Property-Based Tests', () => {
             const mockApi = {
               getMoviesByList: jest.fn().mockResolvedValue({ ok: true, data: [] }),
               deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+              removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
               addWatchedMovie: jest.fn().mockResolvedValue({ 
                 ok: true, 
                 id: realId,
                 data: { id: realId }
               }),
-              addMovieToList: jest.fn().mockResolvedValue({ 
+              addToSharedList: jest.fn().mockResolvedValue({ 
                 ok: true, 
                 id: realId,
                 data: { id: realId }
@@ -408,8 +481,9 @@ describe('SyncManager - Property-Based Tests', () => {
                 data: { id: realId }
               }),
               deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+              removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
               addWatchedMovie: jest.fn().mockResolvedValue({ ok: true }),
-              addMovieToList: jest.fn().mockResolvedValue({ 
+              addToSharedList: jest.fn().mockResolvedValue({ 
                 ok: true, 
                 id: realId,
                 data: { id: realId }
@@ -480,8 +554,9 @@ describe('SyncManager - Property-Based Tests', () => {
             const mockApi = {
               getMoviesByList: jest.fn().mockRejectedValue(new Error('API Error')),
               deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+              removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
               addWatchedMovie: jest.fn().mockResolvedValue({ ok: true }),
-              addMovieToList: jest.fn().mockRejectedValue(new Error('API Error'))
+              addToSharedList: jest.fn().mockRejectedValue(new Error('API Error'))
             };
             
             const storage = createIsolatedStorage();
@@ -538,8 +613,9 @@ describe('SyncManager - Property-Based Tests', () => {
             const mockApi = {
               getMoviesByList: jest.fn().mockResolvedValue({ ok: true, data: [] }),
               deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+              removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
               addWatchedMovie: jest.fn().mockResolvedValue({ ok: true }),
-              addMovieToList: jest.fn().mockResolvedValue({ ok: true })
+              addToSharedList: jest.fn().mockResolvedValue({ ok: true })
             };
             
             const storage = createIsolatedStorage();
@@ -589,8 +665,9 @@ describe('SyncManager - Property-Based Tests', () => {
             const mockApi = {
               getMoviesByList: jest.fn().mockRejectedValue(new Error('Network Error')),
               deleteMovie: jest.fn().mockRejectedValue(new Error('Network Error')),
+              removeFromSharedList: jest.fn().mockRejectedValue(new Error('Network Error')),
               addWatchedMovie: jest.fn().mockRejectedValue(new Error('Network Error')),
-              addMovieToList: jest.fn().mockRejectedValue(new Error('Network Error'))
+              addToSharedList: jest.fn().mockRejectedValue(new Error('Network Error'))
             };
             
             const storage = createIsolatedStorage();
@@ -646,6 +723,527 @@ describe('SyncManager - Property-Based Tests', () => {
   });
 
   // Additional unit tests for edge cases
+  describe('Batch sync', () => {
+    // Echo every operation back as successful, mapping temp IDs to server IDs
+    const batchApi = () => ({
+      batch: jest.fn().mockImplementation(async (operations) => ({
+        ok: true,
+        data: {
+          results: operations.map(op => ({
+            id: op.id,
+            ok: true,
+            ...(op.tempId ? { tempId: op.tempId, realId: `real-${op.tempId}` } : {})
+          }))
+        }
+      }))
+    });
+
+    it('should send the queue in ordered chunks and map temporary IDs', () => {
+      fc.assert(
+        fc.asyncProperty(
+          fc.array(addOperationDataArb, { minLength: 1, maxLength: 25 }),
+          async (dataList) => {
+            const mockApi = batchApi();
+            const storage = createIsolatedStorage();
+            const cache = new CacheManager(storage);
+            const sync = new SyncManager(mockApi, cache);
+
+            // Unique temp IDs, each backed by a cached entry
+            const entries = dataList.map((data, index) => ({
+              ...data,
+              tempId: `temp-${index}`
+            }));
+            cache.updateSharedListCache(entries.map(data => ({
+              id: data.tempId,
+              id_filme: data.tempId,
+              film: { id: data.tmdb_id, title: data.titulo_filme, genres: [] }
+            })));
+
+            const queued = entries.map(data => cache.addPendingOperation({ type: 'add', entity: 'shared', data }));
+
+            await sync.processSyncQueue();
+
+            // One request per chunk, operations kept in queue order
+            expect(mockApi.batch).toHaveBeenCalledTimes(Math.ceil(entries.length / sync.batchSize));
+            const sentIds = mockApi.batch.mock.calls.flatMap(([operations]) => operations.map(op => op.id));
+            expect(sentIds).toEqual(queued.map(op => op.id));
+            expect(mockApi.batch.mock.calls[0][0][0].action).toBe('addToSharedList');
+
+            expect(cache.getPendingOperations()).toHaveLength(0);
+            expect(cache.getSharedList().map(e => e.id)).toEqual(entries.map(data => `real-${data.tempId}`));
+          }
+        ),
+        { numRuns: 5 }
+      );
+    });
+
+    it('should retry only the operations that failed in the batch', async () => {
+      const mockApi = {
+        batch: jest.fn().mockImplementation(async (operations) => ({
+          ok: true,
+          data: {
+            results: operations.map((op, index) => ({
+              id: op.id,
+              ok: index !== 1,
+              message: index === 1 ? 'Movie not found in shared list' : 'ok'
+            }))
+          }
+        }))
+      };
+
+      const storage = createIsolatedStorage();
+      const cache = new CacheManager(storage);
+      const sync = new SyncManager(mockApi, cache);
+
+      cache.addPendingOperation({ type: 'remove', entity: 'shared', data: { id_filme: 'a' } });
+      const failing = cache.addPendingOperation({ type: 'remove', entity: 'shared', data: { id_filme: 'b' } });
+      cache.addPendingOperation({ type: 'remove', entity: 'shared', data: { id_filme: 'c' } });
+
+      await sync.processSyncQueue();
+
+      const pending = cache.getPendingOperations();
+      expect(pending).toHaveLength(1);
+      expect(pending[0].id).toBe(failing.id);
+      expect(pending[0].retries).toBe(1);
+    });
+
+    it('should keep every operation queued when the batch request fails', async () => {
+      const mockApi = {
+        batch: jest.fn().mockRejectedValue(new Error('Network error'))
+      };
+
+      const storage = createIsolatedStorage();
+      const cache = new CacheManager(storage);
+      const sync = new SyncManager(mockApi, cache);
+
+      cache.addPendingOperation({ type: 'remove', entity: 'shared', data: { id_filme: 'a' } });
+      cache.addPendingOperation({ type: 'remove', entity: 'shared', data: { id_filme: 'b' } });
+
+      await sync.processSyncQueue();
+
+      const pending = cache.getPendingOperations();
+      expect(pending).toHaveLength(2);
+      expect(pending.every(op => op.retries === 1)).toBe(true);
+    });
+
+    it('should stop without using retries when the session expired', async () => {
+      const mockApi = {
+        batch: jest.fn().mockRejectedValue(new Error('Invalid or expired session'))
+      };
+
+      const storage = createIsolatedStorage();
+      const cache = new CacheManager(storage);
+      const sync = new SyncManager(mockApi, cache);
+      sync.batchSize = 1;
+
+      cache.addPendingOperation({ type: 'remove', entity: 'shared', data: { id_filme: 'a' } });
+      cache.addPendingOperation({ type: 'remove', entity: 'shared', data: { id_filme: 'b' } });
+
+      await sync.processSyncQueue();
+
+      expect(mockApi.batch).toHaveBeenCalledTimes(1);
+      const pending = cache.getPendingOperations();
+      expect(pending).toHaveLength(2);
+      expect(pending.every(op => op.retries === 0)).toBe(true);
+    });
+
+    it('should replace temporary IDs in the cache of the operation list', async () => {
+      const mockApi = batchApi();
+      const cache = new CacheManager(createIsolatedStorage());
+      const sync = new SyncManager(mockApi, cache);
+
+      cache.setCurrentList('list-a');
+      cache.updateWatchedCache([
+        { id: 'temp-1', id_filme: 'temp-1', titulo_filme: 'Alien', film: { id: 1, title: 'Alien', genres: [] } }
+      ]);
+      cache.addPendingOperation({
+        type: 'add',
+        entity: 'watched',
+        data: { id_lista: 'list-a', id_usuario: 'user-1', titulo_filme: 'Alien', nota: 4, tempId: 'temp-1' }
+      });
+
+      // The queue is sent while another list is open
+      cache.setCurrentList('list-b');
+      await sync.processSyncQueue();
+
+      expect(cache.getWatchedList()).toHaveLength(0);
+      cache.setCurrentList('list-a');
+      expect(cache.getWatchedList().map(e => e.id)).toEqual(['real-temp-1']);
+    });
+  });
+
+  describe('Delta sync', () => {
+    const sharedRow = (id, tmdbId, title) => ({
+      id_filme: id,
+      id_lista: 'list-1',
+      id_usuario: 'user-1',
+      tmdb_id: tmdbId,
+      titulo_filme: title,
+      genres: []
+    });
+
+    const changesResponse = (data) => ({
+      ok: true,
+      data: {
+        shared: { changed: [], deleted: [] },
+        watched: { changed: [], deleted: [] },
+        ...data
+      }
+    });
+
+    it('should load everything first and then merge only the changes', async () => {
+      const mockApi = {
+        getChangesSince: jest.fn()
+          .mockResolvedValueOnce(changesResponse({
+            cursor: 1000,
+            full: true,
+            shared: { changed: [sharedRow('a', 1, 'Alien'), sharedRow('b', 2, 'Brazil')], deleted: [] }
+          }))
+          .mockResolvedValueOnce(changesResponse({
+            cursor: 2000,
+            full: false,
+            shared: { changed: [sharedRow('c', 3, 'Casablanca')], deleted: ['a'] }
+          }))
+      };
+
+      const cache = new CacheManager(createIsolatedStorage());
+      cache.setCurrentList('list-1');
+      const sync = new SyncManager(mockApi, cache);
+
+      await sync.pullChanges('list-1', 'user-1');
+      expect(mockApi.getChangesSince.mock.calls[0][0].since).toBeUndefined();
+      expect(cache.getSharedList().map(e => e.id)).toEqual(['a', 'b']);
+      expect(cache.getSyncCursor('list-1')).toBe(1000);
+
+      await sync.pullChanges('list-1', 'user-1');
+      expect(mockApi.getChangesSince.mock.calls[1][0].since).toBe(1000);
+      expect(cache.getSharedList().map(e => e.id)).toEqual(['b', 'c']);
+      expect(cache.getSyncCursor('list-1')).toBe(2000);
+    });
+
+    it('should keep unsynced entries and cached film data of watched movies', async () => {
+      const mockApi = {
+        getChangesSince: jest.fn().mockResolvedValue(changesResponse({
+          cursor: 3000,
+          full: false,
+          watched: {
+            changed: [{ id_filme: 'w1', id_lista: 'list-1', titulo_filme: 'Alien', nota: 4, review: 'Revisto' }],
+            deleted: []
+          }
+        }))
+      };
+
+      const cache = new CacheManager(createIsolatedStorage());
+      cache.setCurrentList('list-1');
+      cache.saveSyncCursor(2000);
+      cache.updateSharedListCache([
+        { id: 'temp-1', tmdb_id: 9, film: { id: 9, title: 'Offline', genres: [] } }
+      ]);
+      cache.updateWatchedCache([
+        { id: 'w1', nota: 3, review: '', film: { id: 1, title: 'Alien', poster: '/alien.jpg', genres: [] } }
+      ]);
+      const sync = new SyncManager(mockApi, cache);
+
+      await sync.pullChanges('list-1', 'user-1');
+
+      expect(cache.getSharedList().map(e => e.id)).toEqual(['temp-1']);
+      const [watched] = cache.getWatchedList();
+      expect(watched.nota).toBe(4);
+      expect(watched.review).toBe('Revisto');
+      expect(watched.film.poster).toBe('/alien.jpg');
+    });
+
+    it('should drop an unsynced watched entry once the server has the same film', async () => {
+      const watchedRow = (id, userId) => ({
+        id_filme: id, id_lista: 'list-1', id_usuario: userId, titulo_filme: 'Alien', ano: 1979, nota: 4
+      });
+      const mockApi = {
+        getChangesSince: jest.fn().mockResolvedValue(changesResponse({
+          cursor: 3000,
+          full: false,
+          watched: { changed: [watchedRow('w1', 'user-1'), watchedRow('w2', 'user-2')], deleted: [] }
+        }))
+      };
+
+      const cache = new CacheManager(createIsolatedStorage());
+      cache.setCurrentList('list-1');
+      cache.saveSyncCursor(2000);
+      cache.updateWatchedCache([
+        { id: 'temp-1', titulo_filme: 'Alien', ano: 1979, addedByUserId: 'user-1', film: { id: 1, title: 'Alien', genres: [] } },
+        { id: 'temp-2', titulo_filme: 'Alien', ano: 1979, addedByUserId: 'user-3', film: { id: 1, title: 'Alien', genres: [] } }
+      ]);
+      const sync = new SyncManager(mockApi, cache);
+
+      await sync.pullChanges('list-1', 'user-1');
+
+      // Only the entry of the user whose row came back is replaced
+      expect(cache.getWatchedList().map(e => e.id)).toEqual(['w1', 'w2', 'temp-2']);
+    });
+  });
+
+  describe('Conflict resolution', () => {
+    const serverRow = { id_filme: 'w1', titulo_filme: 'Alien', nota: 2, review: 'Do servidor', version: 3 };
+
+    // updateMovie that rejects stale versions like the Apps Script does
+    const conflictApi = () => ({
+      updateMovie: jest.fn().mockImplementation(async (payload) => {
+        if (payload.version !== serverRow.version) {
+          const error = new Error('Conflict: entry was changed by another user');
+          error.response = { status: 409, data: { current: serverRow } };
+          throw error;
+        }
+        return { ok: true, data: { ...serverRow, nota: payload.nota, review: payload.review, version: serverRow.version + 1 } };
+      })
+    });
+
+    const setup = (policy) => {
+      const cache = new CacheManager(createIsolatedStorage());
+      cache.updateWatchedCache([
+        { id: 'w1', id_filme: 'w1', nota: 5, rating: 5, review: 'Minha', version: 2, film: { id: 1, title: 'Alien', genres: [] } }
+      ]);
+      const sync = new SyncManager(conflictApi(), cache);
+      sync.setConflictPolicy(policy);
+      cache.addPendingOperation({
+        type: 'update',
+        entity: 'watched',
+        data: { id_filme: 'w1', nota: 5, review: 'Minha', version: 2 }
+      });
+      return { cache, sync };
+    };
+
+    it('should keep the server version with server-wins', async () => {
+      const { cache, sync } = setup('server-wins');
+
+      await sync.processSyncQueue();
+
+      expect(cache.getPendingOperations()).toHaveLength(0);
+      const [entry] = cache.getWatchedList();
+      expect(entry.nota).toBe(2);
+      expect(entry.review).toBe('Do servidor');
+      expect(entry.version).toBe(3);
+    });
+
+    it('should send the local edit again on top of the server version with client-wins', async () => {
+      const { cache, sync } = setup('client-wins');
+
+      await sync.processSyncQueue();
+      expect(cache.getPendingOperations()[0].data.version).toBe(3);
+
+      // The rebased edit is sent by the follow-up sync
+      const followUp = jest.spyOn(sync, 'processSyncQueue');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await followUp.mock.results[0].value;
+
+      expect(sync.api.updateMovie).toHaveBeenCalledTimes(2);
+      expect(cache.getPendingOperations()).toHaveLength(0);
+      const [entry] = cache.getWatchedList();
+      expect(entry.nota).toBe(5);
+      expect(entry.version).toBe(4);
+    });
+
+    it('should hold the operation until the user resolves it with prompt', async () => {
+      const { cache, sync } = setup('prompt');
+      sync.onConflict = jest.fn();
+
+      await sync.processSyncQueue();
+
+      const conflicts = sync.getConflicts();
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].conflict.server).toEqual(serverRow);
+      expect(sync.onConflict).toHaveBeenCalledWith(expect.objectContaining({ id: conflicts[0].id }), serverRow);
+
+      // Conflicts are not retried by later syncs
+      await sync.processSyncQueue();
+      expect(sync.api.updateMovie).toHaveBeenCalledTimes(1);
+
+      sync.resolveConflict(conflicts[0].id, 'server');
+      expect(sync.getConflicts()).toHaveLength(0);
+      expect(cache.getWatchedList()[0].review).toBe('Do servidor');
+    });
+
+    it('should reject unknown policies', () => {
+      const cache = new CacheManager(createIsolatedStorage());
+      const sync = new SyncManager({}, cache);
+
+      expect(() => sync.setConflictPolicy('last-write-wins')).toThrow('Invalid conflict policy');
+    });
+  });
+
+  describe('Retry scheduling', () => {
+    const failingApi = () => ({
+      batch: jest.fn().mockRejectedValue(new Error('Apps Script error 503'))
+    });
+
+    const setup = (api) => {
+      const cache = new CacheManager(createIsolatedStorage());
+      const sync = new SyncManager(api, cache);
+      const operation = cache.addPendingOperation({ type: 'remove', entity: 'shared', data: { id_filme: 'a' } });
+      return { cache, sync, operation };
+    };
+
+    beforeEach(() => {
+      SyncManager.prototype.scheduleNextSync.mockRestore();
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should wait between half and all of an exponential delay, up to the maximum', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 20 }), (retries) => {
+          const sync = new SyncManager({}, new CacheManager(createIsolatedStorage()));
+          const exponential = Math.min(
+            SyncManager.RETRY_MAX_DELAY,
+            SyncManager.RETRY_BASE_DELAY * 2 ** (retries - 1)
+          );
+
+          const delay = sync.getRetryDelay(retries);
+
+          expect(delay).toBeGreaterThanOrEqual(exponential / 2);
+          expect(delay).toBeLessThanOrEqual(exponential);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    it('should skip a failed operation until its retry delay is over', async () => {
+      const { cache, sync, operation } = setup(failingApi());
+
+      await sync.processSyncQueue();
+
+      const [failed] = cache.getPendingOperations();
+      expect(failed.retries).toBe(1);
+      expect(failed.nextRetryAt).toBeGreaterThan(Date.now());
+
+      // Not due yet: a manual sync leaves it alone
+      sync.cancelScheduledSync();
+      await sync.processSyncQueue();
+      expect(sync.api.batch).toHaveBeenCalledTimes(1);
+
+      // Reconnection and "sync now" send it anyway
+      await sync.syncToServer();
+      expect(sync.api.batch).toHaveBeenCalledTimes(2);
+      expect(cache.getPendingOperations().find(op => op.id === operation.id).retries).toBe(2);
+    });
+
+    it('should send the operation again when its retry timer fires', async () => {
+      const api = failingApi();
+      api.batch.mockRejectedValueOnce(new Error('Timeout')).mockImplementation(async (operations) => ({
+        ok: true,
+        data: { results: operations.map(op => ({ id: op.id, ok: true })) }
+      }));
+      const { cache, sync } = setup(api);
+
+      await sync.processSyncQueue();
+      expect(sync.retryTimer).not.toBeNull();
+
+      await jest.advanceTimersByTimeAsync(SyncManager.RETRY_BASE_DELAY);
+
+      expect(api.batch).toHaveBeenCalledTimes(2);
+      expect(cache.getPendingOperations()).toHaveLength(0);
+      expect(sync.retryTimer).toBeNull();
+    });
+
+    it('should stop retrying after max retries and wait for the user', async () => {
+      const { cache, sync, operation } = setup(failingApi());
+
+      await sync.processSyncQueue();
+      await jest.advanceTimersByTimeAsync(SyncManager.RETRY_MAX_DELAY * sync.maxRetries);
+
+      expect(sync.api.batch).toHaveBeenCalledTimes(sync.maxRetries);
+      expect(cache.getPendingOperations()[0].status).toBe('failed');
+      expect(sync.retryTimer).toBeNull();
+
+      // Retrying starts over with a fresh set of retries
+      sync.api.batch.mockResolvedValue({ ok: true, data: { results: [{ id: operation.id, ok: true }] } });
+      await sync.retryOperation(operation.id);
+
+      expect(cache.getPendingOperations()).toHaveLength(0);
+    });
+
+    it('should not schedule retries after the session expired', async () => {
+      const { cache, sync } = setup({
+        batch: jest.fn().mockRejectedValue(new Error('Invalid or expired session'))
+      });
+
+      await sync.processSyncQueue();
+
+      expect(sync.retryTimer).toBeNull();
+      expect(cache.getPendingOperations()[0].retries).toBe(0);
+    });
+
+    it('should not schedule retries while offline', async () => {
+      const { sync } = setup(failingApi());
+      await sync.processSyncQueue();
+
+      Object.defineProperty(global.navigator, 'onLine', { writable: true, value: false });
+      sync.handleOffline();
+      sync.scheduleNextSync();
+
+      expect(sync.retryTimer).toBeNull();
+    });
+
+    it('should report the queue to onQueueChange', async () => {
+      const { sync } = setup(failingApi());
+      sync.onQueueChange = jest.fn();
+
+      await sync.processSyncQueue();
+
+      expect(sync.onQueueChange).toHaveBeenLastCalledWith(expect.objectContaining({
+        total: 1,
+        waiting: 1,
+        failed: 0,
+        conflicts: 0,
+        nextRetryAt: expect.any(Number)
+      }));
+    });
+
+    it('should discard an operation and the entry it created', () => {
+      const cache = new CacheManager(createIsolatedStorage());
+      const sync = new SyncManager({}, cache);
+      cache.setCurrentList('l1');
+      cache.saveSyncCursor(1700000000000, 'l1');
+      cache.updateSharedListCache([
+        { id: 'f1', id_filme: 'f1', film: { id: 1, title: 'Alien', genres: [] } },
+        { id: 'temp-1', id_filme: 'temp-1', film: { id: 2, title: 'Aliens', genres: [] } }
+      ]);
+      const operation = cache.addPendingOperation({
+        type: 'add',
+        entity: 'shared',
+        data: { id_lista: 'l1', id_usuario: 'u1', titulo_filme: 'Aliens', tempId: 'temp-1' }
+      });
+
+      sync.discardOperation(operation.id);
+
+      expect(cache.getPendingOperations()).toHaveLength(0);
+      expect(cache.getSharedList().map(entry => entry.id)).toEqual(['f1']);
+      // The next pull reloads the whole list
+      expect(cache.getSyncCursor('l1')).toBeNull();
+    });
+
+    it('should register a Background Sync when queueing offline', async () => {
+      const register = jest.fn().mockResolvedValue(undefined);
+      Object.defineProperty(global.navigator, 'serviceWorker', {
+        configurable: true,
+        value: { ready: Promise.resolve({ sync: { register } }) }
+      });
+      Object.defineProperty(global.navigator, 'onLine', { writable: true, value: false });
+
+      try {
+        const sync = new SyncManager({}, new CacheManager(createIsolatedStorage()));
+        sync.queueOperation({ type: 'remove', entity: 'shared', data: { id_filme: 'a' } });
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(register).toHaveBeenCalledWith(SyncManager.BACKGROUND_SYNC_TAG);
+      } finally {
+        delete global.navigator.serviceWorker;
+      }
+    });
+  });
+
   describe('Edge Cases and Error Handling', () => {
     it('should require GoogleSheetsApi instance', () => {
       const storage = createIsolatedStorage();
@@ -658,8 +1256,9 @@ describe('SyncManager - Property-Based Tests', () => {
       const mockApi = {
         getMoviesByList: jest.fn(),
         deleteMovie: jest.fn(),
+        removeFromSharedList: jest.fn(),
         addWatchedMovie: jest.fn(),
-        addMovieToList: jest.fn()
+        addToSharedList: jest.fn()
       };
       
       expect(() => new SyncManager(mockApi, null)).toThrow('CacheManager');
@@ -669,8 +1268,9 @@ describe('SyncManager - Property-Based Tests', () => {
       const mockApi = {
         getMoviesByList: jest.fn(),
         deleteMovie: jest.fn(),
+        removeFromSharedList: jest.fn(),
         addWatchedMovie: jest.fn(),
-        addMovieToList: jest.fn()
+        addToSharedList: jest.fn()
       };
       
       const storage = createIsolatedStorage();
@@ -693,8 +1293,9 @@ describe('SyncManager - Property-Based Tests', () => {
       const mockApi = {
         getMoviesByList: jest.fn().mockResolvedValue({ ok: true, data: [] }),
         deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+        removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
         addWatchedMovie: jest.fn().mockResolvedValue({ ok: true }),
-        addMovieToList: jest.fn().mockResolvedValue({ ok: true })
+        addToSharedList: jest.fn().mockResolvedValue({ ok: true })
       };
       
       const storage = createIsolatedStorage();
@@ -715,8 +1316,9 @@ describe('SyncManager - Property-Based Tests', () => {
       const mockApi = {
         getMoviesByList: jest.fn().mockResolvedValue({ ok: true, data: [] }),
         deleteMovie: jest.fn().mockResolvedValue({ ok: true }),
+        removeFromSharedList: jest.fn().mockResolvedValue({ ok: true }),
         addWatchedMovie: jest.fn().mockResolvedValue({ ok: true }),
-        addMovieToList: jest.fn().mockResolvedValue({ ok: true })
+        addToSharedList: jest.fn().mockResolvedValue({ ok: true })
       };
       
       const storage = createIsolatedStorage();
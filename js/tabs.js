@@ -5,8 +5,13 @@
  */
 
 class TabManager {
-  constructor(storageManager) {
+  /**
+   * @param {StorageManager} storageManager - Where the active tab is kept
+   * @param {string} storageKey - Storage key of the active tab
+   */
+  constructor(storageManager, storageKey = 'activeTab') {
     this.storageManager = storageManager;
+    this.storageKey = storageKey;
     this.activeTab = this.loadActiveTab() || 'explore';
     this.tabs = {
       explore: {
@@ -233,7 +238,7 @@ class TabManager {
    * @param {string} tabId - Tab ID to save
    */
   saveActiveTab(tabId) {
-    this.storageManager.save('activeTab', tabId);
+    this.storageManager.save(this.storageKey, tabId);
   }
 
   /**
@@ -241,6 +246,15 @@ class TabManager {
    * @returns {string|null} Saved tab ID or null
    */
   loadActiveTab() {
-    return this.storageManager.load('activeTab');
+    return this.storageManager.load(this.storageKey);
+  }
+
+  /**
+   * Keep the active tab under another storage key (e.g. the key of the user who logged in)
+   * @param {string} storageKey - Storage key of the active tab
+   */
+  setStorageKey(storageKey) {
+    this.storageKey = storageKey;
+    this.activeTab = this.loadActiveTab() || 'explore';
   }
 }
@@ -8,6 +8,9 @@
 const ErrorRecovery = typeof require !== 'undefined' ? require('./error-recovery.js') : window.ErrorRecovery;
 
 class UserService {
+  // Message returned by the Apps Script when an update or delete would leave no admin
+  static LAST_ADMIN_MESSAGE = 'Cannot remove the last admin';
+
   constructor(googleSheetsApi) {
     this.googleSheetsApi = googleSheetsApi;
   }
@@ -40,19 +43,13 @@ class UserService {
    */
   async getAllUsers() {
     try {
-      // Get current user to pass as admin verification
-      const currentUser = JSON.parse(localStorage.getItem('letterboxd_session') || '{}');
-      if (!currentUser || !currentUser.id) {
-        throw new Error('Not authenticated');
-      }
-      
-      const response = await this.googleSheetsApi.getAllUsers(currentUser.id);
+      // The admin is identified by the session token sent with the request
+      const response = await this.googleSheetsApi.getAllUsers();
       return response.data || [];
     } catch (error) {
       // Log API responses and status codes on errors (Requirement 6.2)
       ErrorRecovery.logError(error, {
         context: 'UserService.getAllUsers',
-        userId: currentUser.id,
         statusCode: error.response?.status,
         statusText: error.response?.statusText,
         responseData: error.response?.data
@@ -63,20 +60,21 @@ class UserService {
 
   /**
    * Create a new user (admin only)
-   * @param {string} username - Username
-   * @param {string} passwordHash - Hashed password
+   * The Apps Script registers every user as a regular user, so admins are promoted afterwards.
+   * No invite code is needed because the request carries an admin session.
+   * @param {string} nome - User name
+   * @param {string} email - User email
+   * @param {string} senha - Plain text password (hashed by the server)
    * @param {boolean} isAdmin - Whether user is admin
    * @returns {Promise<Object>} Created user object
    */
-  async createUser(username, passwordHash, isAdmin = false) {
+  async createUser(nome, email, senha, isAdmin = false) {
     try {
-      // Use registerUser endpoint
-      const response = await this.googleSheetsApi.registerUser({
-        nome: username,
-        email: `${username}@letterboxd.local`, // Generate email from username
-        senha: passwordHash // Note: This should be the plain password, not hash
-      });
-      return response.data;
+      const response = await this.googleSheetsApi.registerUser({ nome, email, senha });
+      if (!isAdmin) {
+        return response.data;
+      }
+      return await this.updateUser(response.data.id_usuario, { isAdmin: true });
     } catch (error) {
       // Log API responses and status codes on errors (Requirement 6.2)
       ErrorRecovery.logError(error, {
@@ -95,24 +93,181 @@ class UserService {
   /**
    * Update user (admin only)
    * @param {string} userId - User ID
-   * @param {Object} updates - Fields to update
+   * @param {{nome?: string, email?: string, isAdmin?: boolean, senha?: string}} updates - Fields to update;
+   *   senha resets the password
    * @returns {Promise<Object>} Updated user object
+   * @throws {Error} If the update would demote the last admin or the API call fails
    */
   async updateUser(userId, updates) {
-    // TODO: Implement updateUser endpoint in Google Sheets API
-    console.warn('updateUser not implemented yet');
-    throw new Error('updateUser not implemented yet');
+    const payload = { id_usuario_alvo: userId };
+    if (updates.nome !== undefined) payload.nome = updates.nome;
+    if (updates.email !== undefined) payload.email = updates.email;
+    if (updates.isAdmin !== undefined) payload.is_admin = updates.isAdmin;
+    if (updates.senha) payload.senha = updates.senha;
+
+    try {
+      const response = await this.googleSheetsApi.updateUser(payload);
+      return response.data;
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'UserService.updateUser',
+        userId,
+        fields: Object.keys(payload),
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      throw this.toUserError(error);
+    }
   }
 
   /**
    * Delete user (admin only)
    * @param {string} userId - User ID
+   * @param {{mode?: 'delete'|'reassign', reassignTo?: string}} options - What happens to the
+   *   user's lists and films: removed (default) or moved to the reassignTo user
    * @returns {Promise<boolean>} Success status
+   * @throws {Error} If the user is the last admin or the API call fails
+   */
+  async deleteUser(userId, options = {}) {
+    const { mode = 'delete', reassignTo } = options;
+
+    if (mode === 'reassign' && !reassignTo) {
+      throw new Error('Reassign target user is required');
+    }
+
+    try {
+      await this.googleSheetsApi.deleteUser({
+        id_usuario_alvo: userId,
+        modo: mode,
+        id_usuario_destino: mode === 'reassign' ? reassignTo : undefined
+      });
+      return true;
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'UserService.deleteUser',
+        userId,
+        mode,
+        reassignTo,
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      throw this.toUserError(error);
+    }
+  }
+
+  /**
+   * Create a one-time password reset code for a user (admin only)
+   * The admin hands the code to the user, who redeems it from the login screen
+   * @param {string} userId - User ID
+   * @returns {Promise<{codigo: string, expira_em: number}>} Code and its expiry (ms)
+   */
+  async createResetCode(userId) {
+    try {
+      const response = await this.googleSheetsApi.createResetCode({ id_usuario_alvo: userId });
+      return response.data;
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'UserService.createResetCode',
+        userId,
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a registration invite (admin only)
+   * @param {{maxUses?: number, expiresAt?: number, listId?: string, role?: 'editor'|'viewer'}} options -
+   *   maxUses defaults to 1; expiresAt is a timestamp in ms; listId adds new users to that list
+   * @returns {Promise<Object>} Invite with its code
    */
-  async deleteUser(userId) {
-    // TODO: Implement deleteUser endpoint in Google Sheets API
-    console.warn('deleteUser not implemented yet');
-    throw new Error('deleteUser not implemented yet');
+  async createInvite({ maxUses, expiresAt, listId, role } = {}) {
+    try {
+      const response = await this.googleSheetsApi.createInvite({
+        max_usos: maxUses,
+        expira_em: expiresAt,
+        id_lista: listId,
+        role
+      });
+      return response.data;
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'UserService.createInvite',
+        maxUses,
+        expiresAt,
+        listId,
+        role,
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all registration invites (admin only)
+   * @returns {Promise<Array>} Invites with usos, status and titulo_lista
+   */
+  async getInvites() {
+    try {
+      const response = await this.googleSheetsApi.getInvites();
+      return response.data || [];
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'UserService.getInvites',
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Revoke a registration invite (admin only)
+   * @param {string} code - Invite code
+   * @returns {Promise<Object>} Revoked invite
+   */
+  async revokeInvite(code) {
+    try {
+      const response = await this.googleSheetsApi.revokeInvite(code);
+      return response.data;
+    } catch (error) {
+      // Log API responses and status codes on errors (Requirement 6.2)
+      ErrorRecovery.logError(error, {
+        context: 'UserService.revokeInvite',
+        code,
+        statusCode: error.response?.status,
+        statusText: error.response?.statusText,
+        responseData: error.response?.data
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Translate Apps Script errors that admins are expected to hit into Portuguese
+   * @param {Error} error - Error thrown by the API client
+   * @returns {Error} Error to surface in the admin page
+   */
+  toUserError(error) {
+    if (error.message === UserService.LAST_ADMIN_MESSAGE) {
+      return new Error('Não é possível remover o último administrador.');
+    }
+    if (error.message === 'Email already registered') {
+      return new Error('Este email já está cadastrado.');
+    }
+    return error;
   }
 }
 
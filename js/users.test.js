@@ -95,6 +95,144 @@ describe('UserService - Google Sheets API Integration', () => {
       consoleErrorSpy.mockRestore();
     });
   });
+
+  describe('updateUser', () => {
+    beforeEach(() => {
+      mockGoogleSheetsApi.updateUser = jest.fn();
+    });
+
+    it('should map the updates to the API fields', async () => {
+      const updated = { id_usuario: 'user123', nome: 'Novo Nome', email: 'novo@example.com', is_admin: true };
+      mockGoogleSheetsApi.updateUser.mockResolvedValue({ ok: true, data: updated });
+
+      const result = await userService.updateUser('user123', {
+        nome: 'Novo Nome',
+        email: 'novo@example.com',
+        isAdmin: true,
+        senha: 'nova-senha'
+      });
+
+      expect(mockGoogleSheetsApi.updateUser).toHaveBeenCalledWith({
+        id_usuario_alvo: 'user123',
+        nome: 'Novo Nome',
+        email: 'novo@example.com',
+        is_admin: true,
+        senha: 'nova-senha'
+      });
+      expect(result).toEqual(updated);
+    });
+
+    it('should not send a password when none is given', async () => {
+      mockGoogleSheetsApi.updateUser.mockResolvedValue({ ok: true, data: {} });
+
+      await userService.updateUser('user123', { nome: 'Nome', senha: '' });
+
+      expect(mockGoogleSheetsApi.updateUser).toHaveBeenCalledWith({
+        id_usuario_alvo: 'user123',
+        nome: 'Nome'
+      });
+    });
+
+    it('should translate the last admin error', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      mockGoogleSheetsApi.updateUser.mockRejectedValue(new Error(UserService.LAST_ADMIN_MESSAGE));
+
+      await expect(userService.updateUser('admin1', { isAdmin: false }))
+        .rejects.toThrow('Não é possível remover o último administrador.');
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('createResetCode', () => {
+    it('should return the code and its expiry', async () => {
+      const code = { id_usuario: 'user123', codigo: 'ABCD2345', expira_em: 1700000000000 };
+      mockGoogleSheetsApi.createResetCode = jest.fn().mockResolvedValue({ ok: true, data: code });
+
+      const result = await userService.createResetCode('user123');
+
+      expect(mockGoogleSheetsApi.createResetCode).toHaveBeenCalledWith({ id_usuario_alvo: 'user123' });
+      expect(result).toEqual(code);
+    });
+  });
+
+  describe('invites', () => {
+    it('should map the invite options to the Apps Script fields', async () => {
+      const invite = { codigo: 'ABCD2345', max_usos: 3, usos: 0, status: 'ativo' };
+      mockGoogleSheetsApi.createInvite = jest.fn().mockResolvedValue({ ok: true, data: invite });
+
+      const result = await userService.createInvite({ maxUses: 3, listId: 'list1', role: 'viewer' });
+
+      expect(mockGoogleSheetsApi.createInvite).toHaveBeenCalledWith({
+        max_usos: 3,
+        expira_em: undefined,
+        id_lista: 'list1',
+        role: 'viewer'
+      });
+      expect(result).toEqual(invite);
+    });
+
+    it('should return an empty array when invites cannot be loaded', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      mockGoogleSheetsApi.getInvites = jest.fn().mockRejectedValue(new Error('Unauthorized: Admin access required'));
+
+      await expect(userService.getInvites()).resolves.toEqual([]);
+
+      console.error.mockRestore();
+    });
+
+    it('should revoke an invite by code', async () => {
+      mockGoogleSheetsApi.revokeInvite = jest.fn().mockResolvedValue({ ok: true, data: { status: 'revogado' } });
+
+      const result = await userService.revokeInvite('ABCD2345');
+
+      expect(mockGoogleSheetsApi.revokeInvite).toHaveBeenCalledWith('ABCD2345');
+      expect(result.status).toBe('revogado');
+    });
+  });
+
+  describe('deleteUser', () => {
+    beforeEach(() => {
+      mockGoogleSheetsApi.deleteUser = jest.fn().mockResolvedValue({ ok: true, data: {} });
+    });
+
+    it('should delete the user entries by default', async () => {
+      const result = await userService.deleteUser('user123');
+
+      expect(result).toBe(true);
+      expect(mockGoogleSheetsApi.deleteUser).toHaveBeenCalledWith({
+        id_usuario_alvo: 'user123',
+        modo: 'delete',
+        id_usuario_destino: undefined
+      });
+    });
+
+    it('should reassign the user entries to another user', async () => {
+      await userService.deleteUser('user123', { mode: 'reassign', reassignTo: 'user456' });
+
+      expect(mockGoogleSheetsApi.deleteUser).toHaveBeenCalledWith({
+        id_usuario_alvo: 'user123',
+        modo: 'reassign',
+        id_usuario_destino: 'user456'
+      });
+    });
+
+    it('should require a target user when reassigning', async () => {
+      await expect(userService.deleteUser('user123', { mode: 'reassign' }))
+        .rejects.toThrow('Reassign target user is required');
+      expect(mockGoogleSheetsApi.deleteUser).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to remove the last admin', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      mockGoogleSheetsApi.deleteUser.mockRejectedValue(new Error(UserService.LAST_ADMIN_MESSAGE));
+
+      await expect(userService.deleteUser('admin1'))
+        .rejects.toThrow('Não é possível remover o último administrador.');
+
+      console.error.mockRestore();
+    });
+  });
 });
 
 /*
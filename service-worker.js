@@ -0,0 +1,273 @@
+/**
+ * Service Worker - Offline support for Letterboxd Manager
+ * - The app shell (HTML, CSS, JS, config) is precached and served cache-first
+ * - TMDB poster images are cached as they are shown, keeping the newest MAX_POSTER_ENTRIES
+ * - TMDB API responses come from the network, falling back to the last cached response offline
+ * - Apps Script requests are never cached; offline writes go through the sync queue
+ * - A Background Sync registered by SyncManager asks an open page to send its queue
+ *   when the connection is back (the queue, session and API client live in the page)
+ * A new version installs in the background and waits until the page asks it to take over.
+ * The deploy workflow stamps CACHE_VERSION with the commit, so every deploy is a new version;
+ * bump it by hand when deploying some other way.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `letterboxd-shell-${CACHE_VERSION}`;
+const POSTER_CACHE = 'letterboxd-posters';
+const TMDB_CACHE = 'letterboxd-tmdb';
+
+// w500 posters are ~50 KB each, so this keeps the poster cache around 10 MB
+const MAX_POSTER_ENTRIES = 200;
+const MAX_TMDB_ENTRIES = 150;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'admin.html',
+  'config.js',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'js/api.js',
+  'js/notifications.js',
+  'js/storage-adapters.js',
+  'js/storage.js',
+  'js/data-validator.js',
+  'js/error-recovery.js',
+  'js/cache-migrations.js',
+  'js/cache-manager.js',
+  'js/sync-manager.js',
+  'js/auth.js',
+  'js/users.js',
+  'js/films.js',
+  'js/list.js',
+  'js/filters.js',
+  'js/filter-chips.js',
+  'js/skeleton.js',
+  'js/streaming.js',
+  'js/infinite-scroll.js',
+  'js/keyboard.js',
+  'js/tabs.js',
+  'js/app.js',
+  'js/admin.js'
+];
+
+// Same tag as SyncManager.BACKGROUND_SYNC_TAG
+const SYNC_TAG = 'letterboxd-sync-queue';
+
+const TMDB_IMAGE_HOST = 'image.tmdb.org';
+const TMDB_API_HOST = 'api.themoviedb.org';
+const CDN_HOST = 'cdnjs.cloudflare.com';
+
+/**
+ * Download the app shell into the cache of this version
+ * @returns {Promise<void>}
+ */
+async function precacheAppShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(APP_SHELL);
+}
+
+/**
+ * Delete the app shell caches of previous versions
+ * @returns {Promise<void>}
+ */
+async function deleteOldCaches() {
+  const names = await caches.keys();
+  await Promise.all(
+    names
+      .filter(name => name.startsWith('letterboxd-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name))
+  );
+}
+
+/**
+ * Keep only the newest entries of a cache (entries are listed in insertion order)
+ * @param {string} cacheName - Cache name
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise<void>}
+ */
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  const excess = keys.slice(0, Math.max(0, keys.length - maxEntries));
+  await Promise.all(excess.map(key => cache.delete(key)));
+}
+
+/**
+ * Serve a file of the app shell (or the CDN) from the cache, falling back to the network
+ * Navigations with a query string (e.g. ?convite=) use the cached page; offline
+ * navigations to unknown pages get index.html
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function handleShellRequest(request) {
+  const isNavigation = request.mode === 'navigate';
+  const cached = await caches.match(request, { ignoreSearch: isNavigation });
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(request);
+    if (response.ok && new URL(request.url).hostname === CDN_HOST) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    if (isNavigation) {
+      const fallback = await caches.match('index.html');
+      if (fallback) {
+        return fallback;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Serve a TMDB poster from the cache, downloading and caching it on first use
+ * Posters are requested with CORS so the cached response is not opaque (opaque
+ * responses take several MB of quota each)
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>} Response
+ */
+async function handlePosterRequest(request) {
+  const cache = await caches.open(POSTER_CACHE);
+  const cached = await cache.match(request.url);
+  if (cached) {
+    return cached;
+  }
+
+  let response;
+  try {
+    response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+  } catch (error) {
+    return fetch(request);
+  }
+
+  if (response.ok) {
+    await cache.put(request.url, response.clone());
+    await trimCache(POSTER_CACHE, MAX_POSTER_ENTRIES);
+  }
+  return response;
+}
+
+/**
+ * Fetch a TMDB API response from the network, keeping a copy for offline use
+ * When the network fails the last cached (possibly stale) response is served
+ * @param {Request} request - API request
+ * @returns {Promise<Response>} Response
+ */
+async function handleTmdbApiRequest(request) {
+  const cache = await caches.open(TMDB_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      await trimCache(TMDB_CACHE, MAX_TMDB_ENTRIES);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Pick the strategy for a request
+ * @param {Request} request - Request
+ * @returns {Promise<Response>|null} Response, or null to let the browser handle it
+ */
+function routeRequest(request) {
+  if (request.method !== 'GET') {
+    return null;
+  }
+
+  const url = new URL(request.url);
+
+  if (url.hostname === TMDB_IMAGE_HOST) {
+    return handlePosterRequest(request);
+  }
+  if (url.hostname === TMDB_API_HOST) {
+    return handleTmdbApiRequest(request);
+  }
+  if (url.origin === self.location.origin || url.hostname === CDN_HOST) {
+    return handleShellRequest(request);
+  }
+
+  // Apps Script and anything else always go to the network
+  return null;
+}
+
+/**
+ * Ask an open page to send its sync queue
+ * Only one page is asked, so two tabs never send the same operations. Rejects when
+ * no page is open, so the browser tries the sync again later.
+ * @returns {Promise<void>}
+ */
+async function requestQueueSync() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length === 0) {
+    throw new Error('No open page to send the sync queue');
+  }
+
+  const client = windows.find(candidate => candidate.focused) || windows[0];
+  client.postMessage({ type: 'SYNC_QUEUE' });
+}
+
+if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+  self.addEventListener('install', event => {
+    event.waitUntil(precacheAppShell());
+  });
+
+  self.addEventListener('activate', event => {
+    event.waitUntil(deleteOldCaches().then(() => self.clients.claim()));
+  });
+
+  self.addEventListener('fetch', event => {
+    const response = routeRequest(event.request);
+    if (response) {
+      event.respondWith(response);
+    }
+  });
+
+  self.addEventListener('sync', event => {
+    if (event.tag === SYNC_TAG) {
+      event.waitUntil(requestQueueSync());
+    }
+  });
+
+  // The page asks the waiting worker to take over after the user accepts the update
+  self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+      self.skipWaiting();
+    }
+  });
+}
+
+// Export for tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    APP_SHELL,
+    SHELL_CACHE,
+    POSTER_CACHE,
+    TMDB_CACHE,
+    MAX_POSTER_ENTRIES,
+    precacheAppShell,
+    deleteOldCaches,
+    trimCache,
+    routeRequest,
+    handleShellRequest,
+    handlePosterRequest,
+    handleTmdbApiRequest,
+    requestQueueSync
+  };
+}
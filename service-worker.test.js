@@ -0,0 +1,247 @@
+/**
+ * Unit tests for the service worker caching strategies
+ * Uses an in-memory CacheStorage and a mocked fetch
+ */
+
+const sw = require('./service-worker.js');
+
+const ORIGIN = self.location.origin;
+
+// Minimal Cache API keyed by absolute URL
+class FakeCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  static url(request) {
+    return new URL(typeof request === 'string' ? request : request.url, `${ORIGIN}/`).href;
+  }
+
+  async match(request, options = {}) {
+    const url = FakeCache.url(request);
+    if (this.entries.has(url)) {
+      return this.entries.get(url);
+    }
+    if (options.ignoreSearch) {
+      const withoutSearch = url.split('?')[0];
+      for (const [key, response] of this.entries) {
+        if (key.split('?')[0] === withoutSearch) {
+          return response;
+        }
+      }
+    }
+    return undefined;
+  }
+
+  async put(request, response) {
+    this.entries.set(FakeCache.url(request), response);
+  }
+
+  async delete(request) {
+    return this.entries.delete(FakeCache.url(request));
+  }
+
+  async keys() {
+    return Array.from(this.entries.keys()).map(url => ({ url }));
+  }
+
+  async addAll(urls) {
+    for (const url of urls) {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to precache ${url}`);
+      }
+      await this.put(url, response);
+    }
+  }
+}
+
+const createResponse = (body, ok = true) => ({
+  ok,
+  status: ok ? 200 : 500,
+  body,
+  clone() {
+    return this;
+  }
+});
+
+const createRequest = (url, options = {}) => ({
+  url: new URL(url, `${ORIGIN}/`).href,
+  method: 'GET',
+  mode: 'cors',
+  ...options
+});
+
+describe('Service worker', () => {
+  let stores;
+
+  beforeEach(() => {
+    stores = new Map();
+    global.caches = {
+      open: async (name) => {
+        if (!stores.has(name)) {
+          stores.set(name, new FakeCache());
+        }
+        return stores.get(name);
+      },
+      keys: async () => Array.from(stores.keys()),
+      delete: async (name) => stores.delete(name),
+      match: async (request, options) => {
+        for (const cache of stores.values()) {
+          const response = await cache.match(request, options);
+          if (response) {
+            return response;
+          }
+        }
+        return undefined;
+      }
+    };
+    global.fetch = jest.fn(async (request) => createResponse(`network:${FakeCache.url(request)}`));
+  });
+
+  afterEach(() => {
+    delete global.caches;
+    delete global.fetch;
+  });
+
+  describe('App shell', () => {
+    it('should precache every file of the app shell', async () => {
+      await sw.precacheAppShell();
+
+      const shell = stores.get(sw.SHELL_CACHE);
+      expect(shell.entries.size).toBe(sw.APP_SHELL.length);
+      expect(await shell.match('js/app.js')).toBeDefined();
+      expect(await shell.match('css/styles.css')).toBeDefined();
+    });
+
+    it('should delete only the shell caches of older versions', async () => {
+      await caches.open('letterboxd-shell-v0');
+      await caches.open(sw.SHELL_CACHE);
+      await caches.open(sw.POSTER_CACHE);
+
+      await sw.deleteOldCaches();
+
+      expect(Array.from(stores.keys()).sort()).toEqual([sw.POSTER_CACHE, sw.SHELL_CACHE].sort());
+    });
+
+    it('should serve shell files from the cache', async () => {
+      await sw.precacheAppShell();
+      fetch.mockClear();
+
+      const response = await sw.routeRequest(createRequest('js/app.js'));
+
+      expect(response.body).toBe(`network:${ORIGIN}/js/app.js`);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should serve the cached page for navigations with a query string', async () => {
+      await sw.precacheAppShell();
+      fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      const response = await sw.routeRequest(createRequest('index.html?convite=ABC123', { mode: 'navigate' }));
+
+      expect(response.body).toBe(`network:${ORIGIN}/index.html`);
+    });
+
+    it('should fall back to index.html for offline navigations to unknown pages', async () => {
+      await sw.precacheAppShell();
+      fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      const response = await sw.routeRequest(createRequest('outra-pagina', { mode: 'navigate' }));
+
+      expect(response.body).toBe(`network:${ORIGIN}/index.html`);
+    });
+
+    it('should leave non-GET and Apps Script requests to the browser', () => {
+      expect(sw.routeRequest(createRequest('index.html', { method: 'POST' }))).toBeNull();
+      expect(sw.routeRequest(createRequest('https://script.google.com/macros/s/abc/exec'))).toBeNull();
+    });
+  });
+
+  describe('TMDB posters', () => {
+    const posterUrl = (n) => `https://image.tmdb.org/t/p/w500/poster-${n}.jpg`;
+
+    it('should download posters with CORS and serve them from the cache afterwards', async () => {
+      const request = createRequest(posterUrl(1), { mode: 'no-cors' });
+
+      await sw.routeRequest(request);
+      const response = await sw.routeRequest(request);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledWith(posterUrl(1), { mode: 'cors', credentials: 'omit' });
+      expect(response.body).toBe(`network:${posterUrl(1)}`);
+    });
+
+    it('should keep only the newest posters', async () => {
+      for (let n = 0; n < sw.MAX_POSTER_ENTRIES + 5; n++) {
+        await sw.handlePosterRequest(createRequest(posterUrl(n)));
+      }
+
+      const posters = stores.get(sw.POSTER_CACHE);
+      expect(posters.entries.size).toBe(sw.MAX_POSTER_ENTRIES);
+      expect(await posters.match(posterUrl(0))).toBeUndefined();
+      expect(await posters.match(posterUrl(sw.MAX_POSTER_ENTRIES + 4))).toBeDefined();
+    });
+
+    it('should not cache failed downloads', async () => {
+      fetch.mockResolvedValueOnce(createResponse('erro', false));
+
+      await sw.handlePosterRequest(createRequest(posterUrl(1)));
+
+      expect(stores.get(sw.POSTER_CACHE).entries.size).toBe(0);
+    });
+  });
+
+  describe('TMDB API', () => {
+    const apiUrl = 'https://api.themoviedb.org/3/movie/popular?language=pt-BR&page=1';
+
+    it('should prefer fresh responses from the network', async () => {
+      await sw.routeRequest(createRequest(apiUrl));
+      fetch.mockResolvedValueOnce(createResponse('nova'));
+
+      const response = await sw.routeRequest(createRequest(apiUrl));
+
+      expect(response.body).toBe('nova');
+    });
+
+    it('should serve the last cached response while offline', async () => {
+      await sw.routeRequest(createRequest(apiUrl));
+      fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      const response = await sw.routeRequest(createRequest(apiUrl));
+
+      expect(response.body).toBe(`network:${apiUrl}`);
+    });
+
+    it('should fail offline when nothing was cached', async () => {
+      fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      await expect(sw.routeRequest(createRequest(apiUrl))).rejects.toThrow('Failed to fetch');
+    });
+  });
+
+  describe('Background Sync', () => {
+    const createClient = (focused = false) => ({ focused, postMessage: jest.fn() });
+
+    afterEach(() => {
+      delete self.clients;
+    });
+
+    it('should ask only one open page to send the sync queue, preferring the focused one', async () => {
+      const clients = [createClient(), createClient(true)];
+      self.clients = { matchAll: jest.fn().mockResolvedValue(clients) };
+
+      await sw.requestQueueSync();
+
+      expect(self.clients.matchAll).toHaveBeenCalledWith({ type: 'window' });
+      expect(clients[0].postMessage).not.toHaveBeenCalled();
+      expect(clients[1].postMessage).toHaveBeenCalledWith({ type: 'SYNC_QUEUE' });
+    });
+
+    it('should fail without an open page so the browser tries again later', async () => {
+      self.clients = { matchAll: jest.fn().mockResolvedValue([]) };
+
+      await expect(sw.requestQueueSync()).rejects.toThrow('No open page');
+    });
+  });
+});